@@ -0,0 +1,253 @@
+/**
+ * Analysis lexicons
+ *
+ * The pattern-based biography (generateComprehensiveAnalysis in worker.js, used when no AI
+ * model writes it) names a person's topics, personality traits and values by counting the
+ * words they used. This module holds the word lists and does the counting.
+ *
+ * How text is matched:
+ * 1. tokenize() lowercases the text, removes Urdu diacritics, unifies Arabic letter variants
+ *    (ي → ی, ك → ک, ه → ہ) and splits it into words. Hyphens and punctuation separate words,
+ *    and a possessive 's is dropped ("mother's" → "mother")
+ * 2. Lexicon terms are tokenized the same way and matched as whole words or whole phrases, so
+ *    "work" doesn't count inside "homework" and "kind" doesn't count inside "kindergarten".
+ *    Inflected forms must be listed: "pray" doesn't match "prayed"
+ *
+ * Every lexicon maps a label to its terms per language (en, ur). Add a language by adding its
+ * terms to each label - nothing else checks for a particular language. countLexicon() returns
+ * the evidence for each label: how many times its terms occurred, in how many entries, and
+ * which terms they were.
+ */
+
+// Subjects the person talked about
+export const TOPIC_LEXICON = {
+    'Childhood & Early Years': {
+        en: ['childhood', 'grew up', 'as a child', 'when i was little', 'little girl', 'little boy', 'toys', 'games we played'],
+        ur: ['بچپن', 'بچپنے', 'کھلونے', 'کھلونا', 'لڑکپن', 'جب میں چھوٹی تھی', 'جب میں چھوٹا تھا']
+    },
+    'Family': {
+        en: ['family', 'families', 'parents', 'mother', 'father', 'brother', 'brothers', 'sister', 'sisters', 'relatives', 'cousins'],
+        ur: ['خاندان', 'گھر والے', 'گھر والوں', 'والدین', 'امی', 'ابو', 'ابا', 'بھائی', 'بہن', 'بہنیں', 'رشتہ دار', 'رشتہ داروں']
+    },
+    'Work & Career': {
+        en: ['work', 'worked', 'working', 'job', 'jobs', 'career', 'office', 'business', 'shop', 'factory', 'salary', 'retired', 'retirement'],
+        ur: ['نوکری', 'ملازمت', 'دفتر', 'کاروبار', 'دکان', 'فیکٹری', 'کارخانہ', 'تنخواہ', 'ریٹائر', 'روزگار']
+    },
+    'Education': {
+        en: ['school', 'schools', 'college', 'university', 'teacher', 'teachers', 'exam', 'exams', 'studied', 'studies', 'education', 'degree', 'class'],
+        ur: ['سکول', 'اسکول', 'کالج', 'یونیورسٹی', 'استاد', 'استانی', 'امتحان', 'پڑھائی', 'تعلیم', 'جماعت', 'ڈگری', 'مدرسہ']
+    },
+    'Travel & Adventures': {
+        en: ['travel', 'traveled', 'travelled', 'travelling', 'trip', 'trips', 'journey', 'abroad', 'train', 'ship', 'flight', 'visited'],
+        ur: ['سفر', 'ریل', 'ریل گاڑی', 'ٹرین', 'بحری جہاز', 'ہوائی جہاز', 'بیرون ملک', 'ولایت', 'سیر']
+    },
+    'Migration & Partition': {
+        en: ['partition', 'migrated', 'migration', 'refugee', 'refugees', 'border', 'emigrated', 'settled'],
+        ur: ['ہجرت', 'تقسیم', 'بٹوارہ', 'مہاجر', 'مہاجرین', 'پاکستان بنا', 'سرحد']
+    },
+    'Marriage & Relationships': {
+        en: ['marriage', 'married', 'wedding', 'husband', 'wife', 'bride', 'groom', 'engagement', 'engaged'],
+        ur: ['شادی', 'شوہر', 'بیوی', 'دلہن', 'دولہا', 'منگنی', 'بارات', 'نکاح', 'رخصتی', 'سسرال']
+    },
+    'Friendships': {
+        en: ['friend', 'friends', 'friendship', 'neighbour', 'neighbours', 'neighbor', 'neighbors'],
+        ur: ['دوست', 'دوستی', 'دوستوں', 'سہیلی', 'سہیلیاں', 'سہیلیوں', 'پڑوسی', 'ہمسایہ', 'ہمسائے']
+    },
+    'Hobbies & Interests': {
+        en: ['hobby', 'hobbies', 'sewing', 'cooking', 'gardening', 'garden', 'reading', 'music', 'singing', 'poetry', 'cricket', 'knitting', 'embroidery'],
+        ur: ['شوق', 'سلائی', 'کڑھائی', 'کھانا پکانا', 'باغبانی', 'شاعری', 'گانا', 'موسیقی', 'کرکٹ', 'کتابیں', 'بنائی']
+    },
+    'Health & Wellness': {
+        en: ['health', 'hospital', 'doctor', 'doctors', 'illness', 'sick', 'medicine', 'operation', 'surgery'],
+        ur: ['صحت', 'ہسپتال', 'اسپتال', 'ڈاکٹر', 'بیماری', 'بیمار', 'دوا', 'دوائی', 'آپریشن', 'علاج']
+    },
+    'Religion & Spirituality': {
+        en: ['religion', 'faith', 'god', 'allah', 'pray', 'prayed', 'prayer', 'prayers', 'mosque', 'church', 'temple', 'quran', 'ramadan', 'eid', 'hajj', 'namaz'],
+        ur: ['مذہب', 'ایمان', 'اللہ', 'خدا', 'نماز', 'مسجد', 'قرآن', 'رمضان', 'روزہ', 'روزے', 'عید', 'حج', 'دعا', 'عمرہ']
+    }
+};
+
+// What the person was like, from how they describe themselves and what they did
+export const PERSONALITY_LEXICON = {
+    'Kind': {
+        en: ['kind', 'kindness', 'kind hearted', 'gentle', 'caring', 'helped others', 'looked after'],
+        ur: ['مہربان', 'رحم دل', 'نرم دل', 'خیال رکھا', 'خیال رکھتی', 'خیال رکھتے', 'مدد کی']
+    },
+    'Patient': {
+        en: ['patient', 'patience', 'calm', 'waited'],
+        ur: ['صبر', 'صابر', 'تحمل', 'سکون', 'برداشت']
+    },
+    'Curious': {
+        en: ['curious', 'curiosity', 'wondered', 'wanted to learn', 'wanted to know', 'asked questions'],
+        ur: ['تجسس', 'سیکھنے کا شوق', 'جاننے کا شوق', 'سوال پوچھتی', 'سوال پوچھتا']
+    },
+    'Hardworking': {
+        en: ['hardworking', 'hard working', 'worked hard', 'hard work', 'dedicated', 'diligent', 'never gave up'],
+        ur: ['محنتی', 'محنت', 'محنت کی', 'دن رات کام', 'ہمت نہیں ہاری']
+    },
+    'Loving': {
+        en: ['loving', 'love', 'loved', 'affection', 'affectionate', 'adored'],
+        ur: ['محبت', 'پیار', 'شفقت', 'چاہت', 'لاڈ']
+    },
+    'Humorous': {
+        en: ['funny', 'humor', 'humour', 'joke', 'jokes', 'joked', 'laughed', 'laugh', 'laughing'],
+        ur: ['مذاق', 'ہنسی', 'ہنستے', 'ہنستی', 'ہنسنا', 'لطیفہ', 'لطیفے', 'مزاح']
+    },
+    'Creative': {
+        en: ['creative', 'creativity', 'painted', 'painting', 'drawing', 'designed', 'stitched', 'embroidered', 'poems', 'wrote poetry'],
+        ur: ['تخلیق', 'تصویریں', 'کڑھائی', 'شعر', 'اشعار', 'نظم', 'ڈیزائن']
+    },
+    'Brave': {
+        en: ['brave', 'bravely', 'bravery', 'courage', 'courageous', 'fearless', 'not afraid'],
+        ur: ['بہادر', 'بہادری', 'ہمت', 'حوصلہ', 'نڈر', 'دلیر']
+    },
+    'Wise': {
+        en: ['wise', 'wisdom', 'advice', 'lesson', 'lessons', 'learned that'],
+        ur: ['عقلمند', 'دانا', 'دانائی', 'نصیحت', 'سبق', 'حکمت', 'سمجھداری']
+    },
+    'Generous': {
+        en: ['generous', 'generosity', 'shared', 'charity', 'donated', 'gave away'],
+        ur: ['سخی', 'سخاوت', 'خیرات', 'صدقہ', 'بانٹ دیا', 'بانٹتی']
+    },
+    'Resilient': {
+        en: ['survived', 'struggled', 'struggle', 'hardship', 'hardships', 'difficult times', 'started again', 'rebuilt'],
+        ur: ['مشکل', 'مشکلات', 'مصیبت', 'مصیبتیں', 'گزارا', 'سنبھالا', 'دوبارہ شروع']
+    }
+};
+
+// What the person held dear
+export const VALUES_LEXICON = {
+    'Family': {
+        en: ['family', 'together', 'our children', 'my children', 'parents'],
+        ur: ['خاندان', 'گھر والے', 'اکٹھے', 'بچوں', 'والدین']
+    },
+    'Honesty': {
+        en: ['honest', 'honesty', 'truth', 'truthful', 'never lied', 'never lie'],
+        ur: ['ایمانداری', 'ایماندار', 'سچ', 'سچائی', 'دیانت', 'جھوٹ نہیں']
+    },
+    'Hard Work': {
+        en: ['hard work', 'worked hard', 'effort', 'labour', 'labor'],
+        ur: ['محنت', 'کوشش', 'مشقت']
+    },
+    'Education': {
+        en: ['education', 'learning', 'knowledge', 'study', 'studies', 'degree'],
+        ur: ['تعلیم', 'علم', 'پڑھائی', 'پڑھنا', 'ڈگری']
+    },
+    'Faith': {
+        en: ['faith', 'god', 'allah', 'pray', 'prayed', 'prayer', 'prayers', 'religion', 'blessing', 'blessings'],
+        ur: ['ایمان', 'اللہ', 'خدا', 'نماز', 'دعا', 'دعائیں', 'مذہب', 'برکت']
+    },
+    'Respect': {
+        en: ['respect', 'respected', 'elders', 'manners', 'courtesy'],
+        ur: ['عزت', 'احترام', 'ادب', 'بزرگوں', 'بزرگ', 'تمیز', 'لحاظ']
+    },
+    'Love': {
+        en: ['love', 'loved', 'affection', 'care'],
+        ur: ['محبت', 'پیار', 'شفقت']
+    },
+    'Tradition': {
+        en: ['tradition', 'traditions', 'custom', 'customs', 'culture', 'heritage'],
+        ur: ['روایت', 'روایات', 'رسم', 'رسمیں', 'رواج', 'ثقافت']
+    },
+    'Hospitality': {
+        en: ['guest', 'guests', 'hospitality', 'welcomed'],
+        ur: ['مہمان', 'مہمانوں', 'مہمان نوازی', 'خاطر داری']
+    },
+    'Service': {
+        en: ['helped', 'helping', 'serve', 'service', 'community', 'volunteer'],
+        ur: ['خدمت', 'مدد', 'بھلائی']
+    },
+    'Gratitude': {
+        en: ['grateful', 'gratitude', 'thankful', 'blessed', 'content'],
+        ur: ['شکر', 'شکرگزار', 'الحمدللہ', 'قناعت']
+    }
+};
+
+// Urdu diacritics (harakat, superscript alef) and the tatweel, which don't change a word
+const DIACRITICS = /[\u064B-\u0652\u0670\u0640]/g;
+// Arabic letters typed or recognized in place of their Urdu forms
+const LETTER_VARIANTS = { 'ي': 'ی', 'ى': 'ی', 'ك': 'ک', 'ه': 'ہ' };
+
+/**
+ * Splits text into normalized words
+ *
+ * @param {string} text - Any text
+ * @returns {Array<string>} Lowercase words, Urdu without diacritics
+ */
+export function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(DIACRITICS, '')
+        .replace(/[يىكه]/g, letter => LETTER_VARIANTS[letter])
+        .replace(/\u200C/g, '')
+        .replace(/['\u2019]s(?![\p{L}\p{M}])/gu, '')
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Counts the evidence for each label of a lexicon in a set of texts
+ *
+ * @param {Array<string>} texts - One text per entry (conversation turn or memory)
+ * @param {Object} lexicon - { label: { en: [terms], ur: [terms] } }
+ * @returns {Array<{label: string, count: number, entries: number, terms: Object<string, number>}>}
+ *   Labels with any evidence, most mentioned first; terms says how often each term occurred
+ */
+export function countLexicon(texts, lexicon) {
+    const entries = texts.map(text => tokenize(text));
+    const results = [];
+
+    for (const [label, languages] of Object.entries(lexicon)) {
+        const terms = {};
+        let count = 0;
+        let entryCount = 0;
+
+        for (const words of entries) {
+            let inEntry = 0;
+            for (const term of Object.values(languages).flat()) {
+                const found = countPhrase(words, tokenize(term));
+                if (found > 0) {
+                    terms[term] = (terms[term] || 0) + found;
+                    inEntry += found;
+                }
+            }
+            count += inEntry;
+            entryCount += inEntry > 0 ? 1 : 0;
+        }
+
+        if (count > 0) {
+            results.push({ label, count, entries: entryCount, terms });
+        }
+    }
+
+    return results.sort((a, b) => b.entries - a.entries || b.count - a.count);
+}
+
+/**
+ * Counts topics, personality traits and values in a person's entries
+ *
+ * @param {Array<string>} texts - What the person said, one text per entry
+ * @returns {{topics: Array<Object>, personality: Array<Object>, values: Array<Object>}} See countLexicon
+ */
+export function analyzeLexicons(texts) {
+    return {
+        topics: countLexicon(texts, TOPIC_LEXICON),
+        personality: countLexicon(texts, PERSONALITY_LEXICON),
+        values: countLexicon(texts, VALUES_LEXICON)
+    };
+}
+
+// How many times a phrase (as words) occurs in a list of words
+function countPhrase(words, phrase) {
+    if (phrase.length === 0) {
+        return 0;
+    }
+
+    let count = 0;
+    for (let i = 0; i + phrase.length <= words.length; i++) {
+        if (phrase.every((word, offset) => words[i + offset] === word)) {
+            count++;
+        }
+    }
+    return count;
+}
@@ -0,0 +1,305 @@
+/**
+ * Language registry
+ *
+ * Everything that differs between the languages a conversation can be held in lives here:
+ * the /chat system prompt, the worker's fallback phrases, script and text direction, the
+ * speech-recognition locale and text-to-speech voice hints. It is an ES module shared by the
+ * worker (/chat, /save, /transcribe) and both pages, so adding a language means adding an
+ * entry below - no code path checks for a particular language.
+ *
+ * Entry fields:
+ * - name, label:       English name, and the text of the language button (native name first)
+ * - direction, script: 'ltr' | 'rtl', and the script transcripts must be in (see SCRIPT_PATTERNS)
+ * - speechLocale:      locale for the browser's SpeechRecognition, or null when browsers have no
+ *                      recognizer for the language - the page then records and /transcribe is used
+ * - transliterate:     transcripts in Devanagari are converted to Urdu script (transliterate.js),
+ *                      for languages recognized as Hindi (speechLocale 'hi-IN')
+ * - voiceLanguages:    text-to-speech voice language prefixes, best first
+ * - voiceNames:        voice names to prefer within those languages
+ * - textFallbacks:     which other texts to use where a text has no version in this language
+ *                      (e.g. the interview question bank), before English
+ * - placeholder:       placeholder of the message box
+ * - prompts:           system prompt, plus the templates for steering to a new question
+ *                      ({question}), for facts already known ({name}, {facts}) and for the
+ *                      photo a session is about ({name}, {details})
+ * - phrases:           replies used when no LLM provider answers, and the opening question of a
+ *                      session started from a photo (photoQuestionAbout gets {about}, its caption)
+ */
+
+export const DEFAULT_LANGUAGE = 'en-US';
+
+export const LANGUAGES = {
+    'en-US': {
+        code: 'en-US',
+        name: 'English',
+        label: 'English',
+        direction: 'ltr',
+        script: 'latin',
+        speechLocale: 'en-US',
+        transliterate: false,
+        voiceLanguages: ['en-US', 'en'],
+        voiceNames: ['Samantha', 'Alex', 'Victoria', 'Zira', 'Mark'],
+        textFallbacks: [],
+        placeholder: 'Type your message or use voice...',
+        prompts: {
+            system: 'You are a friendly, curious person who genuinely wants to listen. Speak naturally. If someone asks a question, answer it directly. If someone shares a story or experience, ask relevant follow-up questions using the actual words and topics from the conversation. Use the specific words and phrases they used. Be conversational and natural - respond to what they actually said, not with generic phrases.',
+            steer: '\n\nThis part of the conversation has run its course. Acknowledge what they said in one short sentence, then gently move on by asking: "{question}"',
+            knownFacts: '\n\nThings {name} has already told you. Don\'t ask for these again - refer to them naturally instead:\n{facts}',
+            photo: '\n\nYou are looking at a photo together with {name}. What the family wrote about it:\n{details}\nKeep the conversation on this photo: who is in it, where and when it was taken, and what was happening at the time.'
+        },
+        phrases: {
+            canHear: 'Yes, I can hear you! What would you like to tell me?',
+            hello: 'Hello! Nice to meet you. Tell me about yourself.',
+            niceToMeetName: 'Nice to meet you, {name}! Where are you from?',
+            askName: 'Nice to meet you! What\'s your name?',
+            goodQuestion: 'That\'s a good question! What do you think about that?',
+            whatWasThatLike: 'What was that like?',
+            whatHappenedNext: 'That\'s interesting! What happened next?',
+            youSaid: 'You said: "{message}". What happened next?',
+            photoQuestion: 'Let\'s look at this photo together. Who is in it, and what do you remember about it?',
+            photoQuestionAbout: 'Let\'s look at this photo together: {about}. What do you remember about it?'
+        }
+    },
+    'ur-PK': {
+        code: 'ur-PK',
+        name: 'Urdu',
+        label: 'اردو (Urdu)',
+        direction: 'rtl',
+        script: 'arabic',
+        // iOS has no Urdu recognizer - Hindi is understood and converted to Urdu script
+        speechLocale: 'hi-IN',
+        transliterate: true,
+        // Hindi voices are often better than the basic Urdu ones
+        voiceLanguages: ['ur', 'hi'],
+        voiceNames: [],
+        textFallbacks: [],
+        placeholder: 'اپنا پیغام ٹائپ کریں یا آواز استعمال کریں...',
+        prompts: {
+            system: 'آپ ایک دوستانہ، متجسس انسان ہیں جو واقعی سننا چاہتا ہے۔ قدرتی طور پر بات کریں۔ اگر کوئی سوال پوچھے تو براہ راست جواب دیں۔ اگر کوئی کہانی یا واقعہ بتائے تو اس کے الفاظ استعمال کرتے ہوئے متعلقہ سوالات پوچھیں۔ گفتگو کے الفاظ اور موضوعات کو استعمال کریں۔',
+            steer: '\n\nیہ موضوع اپنے اختتام کو پہنچ چکا ہے۔ ان کی بات کا ایک مختصر جملے میں جواب دیں، پھر نرمی سے یہ سوال پوچھیں: "{question}"',
+            knownFacts: '\n\n{name} آپ کو یہ باتیں پہلے بتا چکے ہیں۔ یہ دوبارہ نہ پوچھیں، بلکہ گفتگو میں ان کا حوالہ دیں:\n{facts}',
+            photo: '\n\nآپ {name} کے ساتھ ایک تصویر دیکھ رہے ہیں۔ گھر والوں نے اس کے بارے میں یہ لکھا ہے:\n{details}\nگفتگو اسی تصویر پر رکھیں: اس میں کون ہے، یہ کہاں اور کب کھینچی گئی، اور اس وقت کیا ہو رہا تھا۔'
+        },
+        phrases: {
+            canHear: 'جی ہاں، میں آپ کو سن رہا ہوں! آپ کیا کہنا چاہتے ہیں؟',
+            hello: 'ہیلو! آپ سے مل کر خوشی ہوئی۔ آپ مجھے اپنے بارے میں کچھ بتائیں۔',
+            niceToMeetName: 'آپ سے مل کر بہت خوشی ہوئی، {name}! آپ کہاں رہتے ہیں؟',
+            askName: 'آپ سے مل کر خوشی ہوئی! آپ کا نام کیا ہے؟',
+            goodQuestion: 'یہ اچھا سوال ہے! آپ اس کے بارے میں کیا سوچتے ہیں؟',
+            whatWasThatLike: 'وہ کیسا تھا؟',
+            whatHappenedNext: 'یہ بہت دلچسپ ہے! پھر کیا ہوا؟',
+            youSaid: 'آپ نے کہا: "{message}"۔ پھر کیا ہوا؟',
+            photoQuestion: 'آئیے یہ تصویر مل کر دیکھیں۔ اس میں کون ہے، اور آپ کو اس کے بارے میں کیا یاد ہے؟',
+            photoQuestionAbout: 'آئیے یہ تصویر مل کر دیکھیں: {about}۔ آپ کو اس کے بارے میں کیا یاد ہے؟'
+        }
+    },
+    'pa-PK': {
+        code: 'pa-PK',
+        name: 'Punjabi (Shahmukhi)',
+        label: 'پنجابی (Punjabi)',
+        direction: 'rtl',
+        script: 'arabic',
+        // Same route as Urdu: recognized as Hindi, written in Shahmukhi (Urdu script)
+        speechLocale: 'hi-IN',
+        transliterate: true,
+        voiceLanguages: ['ur'],
+        voiceNames: [],
+        // Punjabi speakers in Pakistan read Urdu - the question bank has no Punjabi yet
+        textFallbacks: ['ur'],
+        placeholder: 'اپنا سنیہا لکھو یا آواز ورتو...',
+        prompts: {
+            system: 'You are a friendly, curious person who genuinely wants to listen. Speak naturally. If someone asks a question, answer it directly. If someone shares a story or experience, ask relevant follow-up questions using the actual words and topics from the conversation. Always reply in Punjabi written in Shahmukhi (the Perso-Arabic script used in Pakistan) - never in Gurmukhi, Urdu or English.',
+            steer: '\n\nThis part of the conversation has run its course. Acknowledge what they said in one short sentence, then gently move on by asking, in Punjabi: "{question}"',
+            knownFacts: '\n\nThings {name} has already told you. Don\'t ask for these again - refer to them naturally instead:\n{facts}',
+            photo: '\n\nYou are looking at a photo together with {name}. What the family wrote about it:\n{details}\nKeep the conversation on this photo, in Punjabi: who is in it, where and when it was taken, and what was happening at the time.'
+        },
+        phrases: {
+            canHear: 'جی ہاں، میں تہانوں سن رہیا واں! تسیں کی کہنا چاہندے او؟',
+            hello: 'سلام! تہانوں مل کے بڑی خوشی ہوئی۔ مینوں اپنے بارے کجھ دسو۔',
+            niceToMeetName: 'تہانوں مل کے بڑی خوشی ہوئی، {name}! تسیں کتھے رہندے او؟',
+            askName: 'تہانوں مل کے خوشی ہوئی! تہاڈا ناں کی اے؟',
+            goodQuestion: 'ایہہ چنگا سوال اے! تسیں ایہدے بارے کی سوچدے او؟',
+            whatWasThatLike: 'اوہ کیہو جیہا سی؟',
+            whatHappenedNext: 'ایہہ بڑی دلچسپ گل اے! فیر کی ہویا؟',
+            youSaid: 'تسیں کہیا: "{message}"۔ فیر کی ہویا؟',
+            photoQuestion: 'آؤ ایہہ تصویر رل کے ویکھیے۔ ایہدے وچ کون اے، تے تہانوں ایہدے بارے کی یاد اے؟',
+            photoQuestionAbout: 'آؤ ایہہ تصویر رل کے ویکھیے: {about}۔ تہانوں ایہدے بارے کی یاد اے؟'
+        }
+    },
+    'hi-IN': {
+        code: 'hi-IN',
+        name: 'Hindi',
+        label: 'हिंदी (Hindi)',
+        direction: 'ltr',
+        script: 'devanagari',
+        speechLocale: 'hi-IN',
+        transliterate: false,
+        voiceLanguages: ['hi'],
+        voiceNames: [],
+        textFallbacks: [],
+        placeholder: 'अपना संदेश लिखें या आवाज़ का इस्तेमाल करें...',
+        prompts: {
+            system: 'आप एक दोस्ताना, जिज्ञासु इंसान हैं जो सच में सुनना चाहता है। स्वाभाविक रूप से बात करें। अगर कोई सवाल पूछे तो सीधा जवाब दें। अगर कोई कहानी या अनुभव बताए तो उन्हीं के शब्दों का इस्तेमाल करते हुए उससे जुड़े सवाल पूछें। हमेशा हिंदी में जवाब दें।',
+            steer: '\n\nयह बात अब पूरी हो चुकी है। उनकी बात का एक छोटे वाक्य में जवाब दें, फिर नरमी से यह सवाल पूछें: "{question}"',
+            knownFacts: '\n\n{name} आपको ये बातें पहले बता चुके हैं। इन्हें दोबारा न पूछें, बल्कि बातचीत में इनका ज़िक्र करें:\n{facts}',
+            photo: '\n\nआप {name} के साथ एक तस्वीर देख रहे हैं। परिवार ने इसके बारे में यह लिखा है:\n{details}\nबातचीत इसी तस्वीर पर रखें: इसमें कौन है, यह कहाँ और कब खींची गई, और उस वक़्त क्या हो रहा था।'
+        },
+        phrases: {
+            canHear: 'जी हाँ, मैं आपको सुन रहा हूँ! आप क्या कहना चाहते हैं?',
+            hello: 'नमस्ते! आपसे मिलकर ख़ुशी हुई। मुझे अपने बारे में कुछ बताइए।',
+            niceToMeetName: 'आपसे मिलकर बहुत ख़ुशी हुई, {name}! आप कहाँ रहते हैं?',
+            askName: 'आपसे मिलकर ख़ुशी हुई! आपका नाम क्या है?',
+            goodQuestion: 'यह अच्छा सवाल है! आप इसके बारे में क्या सोचते हैं?',
+            whatWasThatLike: 'वह कैसा था?',
+            whatHappenedNext: 'यह बहुत दिलचस्प है! फिर क्या हुआ?',
+            youSaid: 'आपने कहा: "{message}"। फिर क्या हुआ?',
+            photoQuestion: 'आइए यह तस्वीर साथ में देखें। इसमें कौन है, और आपको इसके बारे में क्या याद है?',
+            photoQuestionAbout: 'आइए यह तस्वीर साथ में देखें: {about}। आपको इसके बारे में क्या याद है?'
+        }
+    },
+    'ar-SA': {
+        code: 'ar-SA',
+        name: 'Arabic',
+        label: 'العربية (Arabic)',
+        direction: 'rtl',
+        script: 'arabic',
+        speechLocale: 'ar-SA',
+        transliterate: false,
+        voiceLanguages: ['ar'],
+        voiceNames: [],
+        textFallbacks: [],
+        placeholder: 'اكتب رسالتك أو استخدم الصوت...',
+        prompts: {
+            system: 'أنت شخص ودود وفضولي يرغب حقًا في الاستماع. تحدث بشكل طبيعي. إذا سألك أحد سؤالًا فأجب عنه مباشرة. وإذا روى أحد قصة أو تجربة فاطرح أسئلة متابعة مرتبطة بها مستخدمًا كلماته نفسها. أجب دائمًا باللغة العربية.',
+            steer: '\n\nلقد اكتمل هذا الموضوع. علّق على ما قاله في جملة قصيرة واحدة، ثم انتقل بلطف واسأل بالعربية: "{question}"',
+            knownFacts: '\n\nهذه أمور أخبرك بها {name} من قبل. لا تسأل عنها مرة أخرى، بل أشر إليها بشكل طبيعي:\n{facts}',
+            photo: '\n\nأنت تنظر إلى صورة مع {name}. هذا ما كتبته العائلة عنها:\n{details}\nأبقِ الحديث حول هذه الصورة: من فيها، وأين ومتى التُقطت، وماذا كان يحدث حينها.'
+        },
+        phrases: {
+            canHear: 'نعم، أسمعك! ماذا تريد أن تقول؟',
+            hello: 'مرحبًا! سعدت بلقائك. حدثني عن نفسك.',
+            niceToMeetName: 'سعدت جدًا بلقائك يا {name}! من أين أنت؟',
+            askName: 'سعدت بلقائك! ما اسمك؟',
+            goodQuestion: 'هذا سؤال جيد! ما رأيك أنت في ذلك؟',
+            whatWasThatLike: 'كيف كان ذلك؟',
+            whatHappenedNext: 'هذا مثير للاهتمام! ماذا حدث بعد ذلك؟',
+            youSaid: 'قلت: "{message}". ماذا حدث بعد ذلك؟',
+            photoQuestion: 'لننظر إلى هذه الصورة معًا. من فيها، وماذا تتذكر عنها؟',
+            photoQuestionAbout: 'لننظر إلى هذه الصورة معًا: {about}. ماذا تتذكر عنها؟'
+        }
+    },
+    'ps-AF': {
+        code: 'ps-AF',
+        name: 'Pashto',
+        label: 'پښتو (Pashto)',
+        direction: 'rtl',
+        script: 'arabic',
+        // Browsers have no Pashto recognizer - answers are recorded and sent to /transcribe
+        speechLocale: null,
+        transliterate: false,
+        voiceLanguages: ['ps'],
+        voiceNames: [],
+        textFallbacks: [],
+        placeholder: 'خپل پیغام ولیکئ یا غږ وکاروئ...',
+        prompts: {
+            system: 'You are a friendly, curious person who genuinely wants to listen. Speak naturally. If someone asks a question, answer it directly. If someone shares a story or experience, ask relevant follow-up questions using the actual words and topics from the conversation. Always reply in Pashto, written in the Pashto alphabet.',
+            steer: '\n\nThis part of the conversation has run its course. Acknowledge what they said in one short sentence, then gently move on by asking, in Pashto: "{question}"',
+            knownFacts: '\n\nThings {name} has already told you. Don\'t ask for these again - refer to them naturally instead:\n{facts}',
+            photo: '\n\nYou are looking at a photo together with {name}. What the family wrote about it:\n{details}\nKeep the conversation on this photo, in Pashto: who is in it, where and when it was taken, and what was happening at the time.'
+        },
+        phrases: {
+            canHear: 'هو، زه تاسو اورم! تاسو څه ویل غواړئ؟',
+            hello: 'سلام! له تاسو سره په لیدو خوشحاله شوم. ما ته د ځان په اړه یو څه ووایاست.',
+            niceToMeetName: '{name}، له تاسو سره په لیدو ډېر خوشحاله شوم! تاسو چېرته اوسېږئ؟',
+            askName: 'له تاسو سره په لیدو خوشحاله شوم! ستاسو نوم څه دی؟',
+            goodQuestion: 'دا ښه پوښتنه ده! تاسو د دې په اړه څه فکر کوئ؟',
+            whatWasThatLike: 'هغه څنګه وو؟',
+            whatHappenedNext: 'دا ډېره په زړه پورې ده! بیا څه وشول؟',
+            youSaid: 'تاسو وویل: "{message}". بیا څه وشول؟',
+            photoQuestion: 'راځئ دا انځور یوځای وګورو. په دې کې څوک دي، او تاسو ته یې په اړه څه یاد دي؟',
+            photoQuestionAbout: 'راځئ دا انځور یوځای وګورو: {about}. تاسو ته یې په اړه څه یاد دي؟'
+        }
+    }
+};
+
+// Letters of each script, for checking which script a transcript is in
+export const SCRIPT_PATTERNS = {
+    latin: /[A-Za-z\u00C0-\u024F]/g,
+    arabic: /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/g,
+    devanagari: /[\u0900-\u097F]/g
+};
+
+/**
+ * Looks a language up by code - exactly, or by its first part ('ur' finds 'ur-PK')
+ *
+ * @param {string} code - Language code, e.g. 'ur-PK'
+ * @returns {Object|null} The registry entry, or null for a language not in the registry
+ */
+export function findLanguage(code) {
+    if (!code || typeof code !== 'string') {
+        return null;
+    }
+    if (LANGUAGES[code]) {
+        return LANGUAGES[code];
+    }
+
+    const primary = code.split('-')[0].toLowerCase();
+    return Object.values(LANGUAGES).find(language => language.code.split('-')[0] === primary) || null;
+}
+
+/**
+ * Like findLanguage, but falls back to DEFAULT_LANGUAGE
+ *
+ * @param {string} code - Language code
+ * @returns {Object} The registry entry
+ */
+export function getLanguage(code) {
+    return findLanguage(code) || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Picks the version of a text for a language from an object keyed by language
+ * ({en: ..., ur: ...}): the language itself, then its textFallbacks, then English
+ *
+ * @param {Object} texts - Versions keyed by the first part of a language code
+ * @param {string} code - Language code
+ * @returns {*} The best version
+ */
+export function localize(texts, code) {
+    const language = getLanguage(code);
+    const candidates = [language.code, ...language.textFallbacks, DEFAULT_LANGUAGE]
+        .map(candidate => candidate.split('-')[0]);
+    const key = candidates.find(candidate => texts[candidate] !== undefined);
+    return texts[key];
+}
+
+/**
+ * Fills the {placeholders} of a registry template
+ *
+ * @param {string} template - e.g. 'Nice to meet you, {name}!'
+ * @param {Object} values - e.g. { name: 'Amina' }
+ * @returns {string}
+ */
+export function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder));
+}
+
+/**
+ * Returns the script most of a text's letters are written in ('latin', 'arabic',
+ * 'devanagari'), or null if it has no letters from any of them
+ *
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function detectScript(text) {
+    let best = null;
+    let bestCount = 0;
+    for (const [script, pattern] of Object.entries(SCRIPT_PATTERNS)) {
+        const count = (text.match(pattern) || []).length;
+        if (count > bestCount) {
+            best = script;
+            bestCount = count;
+        }
+    }
+    return best;
+}
@@ -1,4 +1,36 @@
--- Create conversations table for storing chat history
+-- Full database schema for the Grandma Memories worker
+--
+-- You normally don't need to run this file: the worker applies the numbered
+-- migrations in worker.js (MIGRATIONS) automatically and records them in
+-- schema_migrations. This file mirrors the result of the latest migration
+-- (version 20) for reference and for setting up a database by hand:
+--
+--   wrangler d1 execute grandma-memory-db --file=./schema.sql
+--
+-- When you add a migration, update this file to match.
+
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+);
+
+-- Saved memories (POST /save)
+CREATE TABLE IF NOT EXISTS grandma_memories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    text TEXT,
+    language TEXT,
+    timestamp TEXT,
+    person_id TEXT,
+    raw_text TEXT,          -- text as sent; text holds it normalized (Devanagari Urdu → Urdu script)
+    deleted_at TEXT,        -- set when an admin deletes the memory (soft delete)
+    speaker TEXT,           -- imported memories: who said it (e.g. the WhatsApp sender)
+    source TEXT,            -- imported memories: format and file name, e.g. whatsapp:Chat with Nani.txt
+    content_hash TEXT,      -- imported memories: hash of date and text, to skip duplicates
+    photo_id INTEGER        -- the photo the memory is about (photos.id)
+);
+
+-- Conversation turns (POST /chat)
 CREATE TABLE IF NOT EXISTS conversations (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     session_id TEXT,
@@ -6,15 +38,286 @@ CREATE TABLE IF NOT EXISTS conversations (
     ai_response TEXT,
     language TEXT,
     timestamp TEXT,
-    context TEXT
+    context TEXT,           -- JSON {"turnIds": [...]}: earlier turns the reply was based on
+    person_id TEXT,
+    raw_user_message TEXT,  -- message as sent; user_message holds it normalized
+    deleted_at TEXT,        -- set when an admin deletes the turn (soft delete)
+    photo_id INTEGER        -- set for every turn of a session started from a photo (photo_sessions)
 );
 
--- Note: The grandma_memories table should already exist from your previous setup
--- If it doesn't, uncomment the line below:
--- CREATE TABLE IF NOT EXISTS grandma_memories (
---     id INTEGER PRIMARY KEY AUTOINCREMENT,
---     text TEXT,
---     language TEXT,
---     timestamp TEXT
--- );
+-- People/profiles - every person_id used in a private link must exist here
+CREATE TABLE IF NOT EXISTS people (
+    id TEXT PRIMARY KEY,
+    display_name TEXT NOT NULL,
+    birth_year INTEGER,
+    preferred_language TEXT,
+    relationship TEXT,
+    created_at TEXT,
+    updated_at TEXT
+);
+
+-- Private invite links - only a SHA-256 hash of each signed token is stored
+CREATE TABLE IF NOT EXISTS invite_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    person_id TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    label TEXT,
+    created_at TEXT,
+    revoked_at TEXT,
+    last_used_at TEXT
+);
+
+-- Long-term facts mined from what each person said (names, places, dates, relationships)
+-- Deleted facts keep their row (deleted_at) so the same statement is not mined again
+CREATE TABLE IF NOT EXISTS facts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    person_id TEXT NOT NULL,
+    category TEXT NOT NULL,  -- name, place, date or relationship
+    label TEXT NOT NULL,     -- e.g. "husband's name", "grew up in"
+    value TEXT NOT NULL,
+    source_table TEXT,       -- conversations or grandma_memories
+    source_id INTEGER,       -- row the fact was mined from
+    source_text TEXT,        -- the sentence it came from
+    verified INTEGER DEFAULT 0,  -- 1 once corrected/confirmed by an admin
+    created_at TEXT,
+    updated_at TEXT,
+    deleted_at TEXT
+);
+
+-- Life-story curriculum coverage (see INTERVIEW_CHAPTERS in worker.js)
+CREATE TABLE IF NOT EXISTS chapter_coverage (
+    person_id TEXT NOT NULL,
+    chapter TEXT NOT NULL,              -- childhood, schooling, migration, marriage, children, work, faith, advice
+    mentions INTEGER DEFAULT 0,         -- turns/memories that talked about the chapter
+    questions_asked INTEGER DEFAULT 0,  -- curriculum questions asked, in order
+    first_mentioned_at TEXT,
+    last_mentioned_at TEXT,
+    last_asked_at TEXT,
+    PRIMARY KEY (person_id, chapter)
+);
+
+-- Original audio of utterances - the audio itself is in the MEDIA R2 bucket under object_key
+CREATE TABLE IF NOT EXISTS recordings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    person_id TEXT NOT NULL,
+    source_table TEXT NOT NULL,  -- conversations or grandma_memories
+    source_id INTEGER NOT NULL,  -- row holding the transcript
+    object_key TEXT NOT NULL UNIQUE,
+    content_type TEXT,
+    size_bytes INTEGER,
+    duration_ms INTEGER,
+    created_at TEXT
+);
+
+-- Every admin edit, redaction, delete and restore of a conversation or memory,
+-- every change to a family account and every pinned biography
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor TEXT NOT NULL,        -- who made the change
+    action TEXT NOT NULL,       -- create, update, redact, delete, restore, pin or unpin
+    target_table TEXT NOT NULL, -- conversations, grandma_memories, admin_users or biographies
+    target_id INTEGER NOT NULL,
+    person_id TEXT,
+    previous_value TEXT,        -- JSON of the changed columns before the change (NULL once redacted)
+    new_value TEXT,             -- JSON of the changed columns after the change
+    created_at TEXT NOT NULL
+);
+
+-- Stored /admin/analyze results, one row per version of a person's biography
+CREATE TABLE IF NOT EXISTS biographies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    person_id TEXT NOT NULL,
+    version INTEGER NOT NULL,   -- 1, 2, 3... per person
+    method TEXT NOT NULL,       -- ai or patterns
+    analysis TEXT NOT NULL,     -- JSON of the analysis: book, citations, topics...
+    state TEXT,                 -- JSON the next run continues from: row hashes, notes, drafts
+    conversation_ids TEXT,      -- JSON array of the conversations it covers
+    memory_ids TEXT,            -- JSON array of the memories it covers
+    created_by TEXT,
+    created_at TEXT,
+    pinned_at TEXT,             -- set on the version approved as the person's book (one per person)
+    pinned_by TEXT,
+    stale_at TEXT               -- set when a row it was written from was redacted (analysis cleared)
+);
+
+-- Dated events found in what people said (conversations.user_message and memories)
+CREATE TABLE IF NOT EXISTS timeline_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    person_id TEXT NOT NULL,
+    source_table TEXT NOT NULL, -- conversations or grandma_memories
+    source_id INTEGER NOT NULL, -- the row the event was mentioned in
+    year INTEGER,               -- when it happened; NULL for an age while the birth year is unknown
+    year_end INTEGER,           -- last year of a range (a decade, "as a child"), otherwise = year
+    age INTEGER,                -- the age it happened at, when it was told as an age
+    age_end INTEGER,            -- last age of an age range ("in my twenties")
+    precision TEXT NOT NULL,    -- year, decade, age or relative (to the birth year)
+    phrase TEXT NOT NULL,       -- the words the date came from, e.g. "when I was twelve"
+    description TEXT NOT NULL,  -- the sentence it was mentioned in
+    created_at TEXT
+);
+
+-- The relatives each person named: the people in their family graph
+CREATE TABLE IF NOT EXISTS family_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    person_id TEXT NOT NULL,    -- whose family it is
+    name TEXT,                  -- NULL for a relative only known by relation ("my mother's brother")
+    name_key TEXT NOT NULL,     -- lowercase name, or ~relation for an unnamed relative
+    relation TEXT NOT NULL,     -- relation to the person: self, mother, maternal uncle, son...
+    generation INTEGER NOT NULL,-- +1 parents, +2 grandparents, 0 siblings and spouses, -1 children
+    side TEXT,                  -- maternal or paternal, when the relation says
+    created_at TEXT,
+    updated_at TEXT
+);
+
+-- How two family members are related: to_member is from_member's relation, citing where it was said
+CREATE TABLE IF NOT EXISTS family_edges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    person_id TEXT NOT NULL,
+    from_member_id INTEGER NOT NULL,
+    to_member_id INTEGER NOT NULL,
+    relation TEXT NOT NULL,
+    source_table TEXT NOT NULL, -- conversations or grandma_memories
+    source_id INTEGER NOT NULL,
+    source_text TEXT,           -- the sentence that says so
+    created_at TEXT
+);
+
+-- Photos in a person's archive; the image itself is in the MEDIA R2 bucket (object_key)
+CREATE TABLE IF NOT EXISTS photos (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    person_id TEXT NOT NULL,
+    object_key TEXT NOT NULL,   -- photos/<personId>/<time>.<ext>
+    content_type TEXT,
+    size_bytes INTEGER,
+    caption TEXT,
+    people TEXT,                -- JSON array of the names of the people in it
+    approximate_date TEXT,      -- as the family wrote it, e.g. "summer 1958" or "the 1960s"
+    year INTEGER,               -- read from approximate_date, for sorting
+    created_by TEXT,
+    created_at TEXT,
+    updated_at TEXT
+);
+
+-- /chat sessions started from a photo (POST /admin/photos/:id/sessions)
+CREATE TABLE IF NOT EXISTS photo_sessions (
+    session_id TEXT PRIMARY KEY,-- the sessionId index.html sends to /chat
+    photo_id INTEGER NOT NULL,
+    person_id TEXT NOT NULL,
+    language TEXT,
+    question TEXT,              -- the question the session opens with
+    created_by TEXT,
+    created_at TEXT
+);
+
+-- Failed POST /admin/login attempts per client (hashed IP), for the lockout
+CREATE TABLE IF NOT EXISTS admin_login_attempts (
+    client TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL DEFAULT 0,  -- failed attempts in the current window
+    first_failed_at TEXT,
+    locked_until TEXT                     -- logins from this client are refused until then
+);
+
+-- Family accounts that log in with a username and password (the ADMIN_SECRET login is always an owner)
+CREATE TABLE IF NOT EXISTS admin_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    display_name TEXT,
+    role TEXT NOT NULL,            -- viewer, editor or owner
+    password_hash TEXT NOT NULL,   -- pbkdf2-sha256$iterations$salt$hash
+    created_at TEXT,
+    updated_at TEXT
+);
+
+-- People a viewer or editor account may see; owners see everyone
+CREATE TABLE IF NOT EXISTS admin_grants (
+    user_id INTEGER NOT NULL,
+    person_id TEXT NOT NULL,
+    created_at TEXT,
+    PRIMARY KEY (user_id, person_id)
+);
+
+-- Full-text search over conversations and memories (POST /admin/query)
+-- rowid = conversation id * 2, or memory id * 2 + 1. The triggers keep it in sync and leave
+-- deleted rows out; the nested REPLACE calls are generated from SEARCH_NORMALIZATION in worker.js
+CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+    person_text,
+    ai_text,
+    source_table UNINDEXED,
+    source_id UNINDEXED,
+    person_id UNINDEXED,
+    language UNINDEXED,
+    timestamp UNINDEXED,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS conversations_search_insert AFTER INSERT ON conversations BEGIN
+    INSERT INTO search_index (rowid, person_text, ai_text, source_table, source_id, person_id, language, timestamp)
+        SELECT new.id * 2, REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(COALESCE(new.user_message, ''), 'ً', ''), 'ٌ', ''), 'ٍ', ''), 'َ', ''), 'ُ', ''), 'ِ', ''), 'ّ', ''), 'ْ', ''), 'ٓ', ''), 'ٔ', ''), 'ٰ', ''), 'ـ', ''), 'ي', 'ی'), 'ى', 'ی'), 'ك', 'ک'), 'ه', 'ہ'), '۰', '0'), '۱', '1'), '۲', '2'), '۳', '3'), '۴', '4'), '۵', '5'), '۶', '6'), '۷', '7'), '۸', '8'), '۹', '9'), '٠', '0'), '١', '1'), '٢', '2'), '٣', '3'), '٤', '4'), '٥', '5'), '٦', '6'), '٧', '7'), '٨', '8'), '٩', '9'), REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(COALESCE(new.ai_response, ''), 'ً', ''), 'ٌ', ''), 'ٍ', ''), 'َ', ''), 'ُ', ''), 'ِ', ''), 'ّ', ''), 'ْ', ''), 'ٓ', ''), 'ٔ', ''), 'ٰ', ''), 'ـ', ''), 'ي', 'ی'), 'ى', 'ی'), 'ك', 'ک'), 'ه', 'ہ'), '۰', '0'), '۱', '1'), '۲', '2'), '۳', '3'), '۴', '4'), '۵', '5'), '۶', '6'), '۷', '7'), '۸', '8'), '۹', '9'), '٠', '0'), '١', '1'), '٢', '2'), '٣', '3'), '٤', '4'), '٥', '5'), '٦', '6'), '٧', '7'), '٨', '8'), '٩', '9'), 'conversations', new.id, new.person_id, new.language, new.timestamp WHERE new.deleted_at IS NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS conversations_search_update AFTER UPDATE ON conversations BEGIN
+    DELETE FROM search_index WHERE rowid = old.id * 2;
+    INSERT INTO search_index (rowid, person_text, ai_text, source_table, source_id, person_id, language, timestamp)
+        SELECT new.id * 2, REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(COALESCE(new.user_message, ''), 'ً', ''), 'ٌ', ''), 'ٍ', ''), 'َ', ''), 'ُ', ''), 'ِ', ''), 'ّ', ''), 'ْ', ''), 'ٓ', ''), 'ٔ', ''), 'ٰ', ''), 'ـ', ''), 'ي', 'ی'), 'ى', 'ی'), 'ك', 'ک'), 'ه', 'ہ'), '۰', '0'), '۱', '1'), '۲', '2'), '۳', '3'), '۴', '4'), '۵', '5'), '۶', '6'), '۷', '7'), '۸', '8'), '۹', '9'), '٠', '0'), '١', '1'), '٢', '2'), '٣', '3'), '٤', '4'), '٥', '5'), '٦', '6'), '٧', '7'), '٨', '8'), '٩', '9'), REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(COALESCE(new.ai_response, ''), 'ً', ''), 'ٌ', ''), 'ٍ', ''), 'َ', ''), 'ُ', ''), 'ِ', ''), 'ّ', ''), 'ْ', ''), 'ٓ', ''), 'ٔ', ''), 'ٰ', ''), 'ـ', ''), 'ي', 'ی'), 'ى', 'ی'), 'ك', 'ک'), 'ه', 'ہ'), '۰', '0'), '۱', '1'), '۲', '2'), '۳', '3'), '۴', '4'), '۵', '5'), '۶', '6'), '۷', '7'), '۸', '8'), '۹', '9'), '٠', '0'), '١', '1'), '٢', '2'), '٣', '3'), '٤', '4'), '٥', '5'), '٦', '6'), '٧', '7'), '٨', '8'), '٩', '9'), 'conversations', new.id, new.person_id, new.language, new.timestamp WHERE new.deleted_at IS NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS conversations_search_delete AFTER DELETE ON conversations BEGIN
+    DELETE FROM search_index WHERE rowid = old.id * 2;
+END;
+
+CREATE TRIGGER IF NOT EXISTS grandma_memories_search_insert AFTER INSERT ON grandma_memories BEGIN
+    INSERT INTO search_index (rowid, person_text, ai_text, source_table, source_id, person_id, language, timestamp)
+        SELECT new.id * 2 + 1, REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(COALESCE(new.text, ''), 'ً', ''), 'ٌ', ''), 'ٍ', ''), 'َ', ''), 'ُ', ''), 'ِ', ''), 'ّ', ''), 'ْ', ''), 'ٓ', ''), 'ٔ', ''), 'ٰ', ''), 'ـ', ''), 'ي', 'ی'), 'ى', 'ی'), 'ك', 'ک'), 'ه', 'ہ'), '۰', '0'), '۱', '1'), '۲', '2'), '۳', '3'), '۴', '4'), '۵', '5'), '۶', '6'), '۷', '7'), '۸', '8'), '۹', '9'), '٠', '0'), '١', '1'), '٢', '2'), '٣', '3'), '٤', '4'), '٥', '5'), '٦', '6'), '٧', '7'), '٨', '8'), '٩', '9'), '', 'grandma_memories', new.id, new.person_id, new.language, new.timestamp WHERE new.deleted_at IS NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS grandma_memories_search_update AFTER UPDATE ON grandma_memories BEGIN
+    DELETE FROM search_index WHERE rowid = old.id * 2 + 1;
+    INSERT INTO search_index (rowid, person_text, ai_text, source_table, source_id, person_id, language, timestamp)
+        SELECT new.id * 2 + 1, REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(COALESCE(new.text, ''), 'ً', ''), 'ٌ', ''), 'ٍ', ''), 'َ', ''), 'ُ', ''), 'ِ', ''), 'ّ', ''), 'ْ', ''), 'ٓ', ''), 'ٔ', ''), 'ٰ', ''), 'ـ', ''), 'ي', 'ی'), 'ى', 'ی'), 'ك', 'ک'), 'ه', 'ہ'), '۰', '0'), '۱', '1'), '۲', '2'), '۳', '3'), '۴', '4'), '۵', '5'), '۶', '6'), '۷', '7'), '۸', '8'), '۹', '9'), '٠', '0'), '١', '1'), '٢', '2'), '٣', '3'), '٤', '4'), '٥', '5'), '٦', '6'), '٧', '7'), '٨', '8'), '٩', '9'), '', 'grandma_memories', new.id, new.person_id, new.language, new.timestamp WHERE new.deleted_at IS NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS grandma_memories_search_delete AFTER DELETE ON grandma_memories BEGIN
+    DELETE FROM search_index WHERE rowid = old.id * 2 + 1;
+END;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_person ON conversations (person_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_conversations_session ON conversations (session_id);
+CREATE INDEX IF NOT EXISTS idx_memories_person ON grandma_memories (person_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_memories_content_hash ON grandma_memories (person_id, content_hash);
+CREATE INDEX IF NOT EXISTS idx_invite_tokens_person ON invite_tokens (person_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_facts_unique ON facts (person_id, category, label, value);
+CREATE INDEX IF NOT EXISTS idx_recordings_source ON recordings (source_table, source_id);
+CREATE INDEX IF NOT EXISTS idx_recordings_person ON recordings (person_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log (target_table, target_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_grants_person ON admin_grants (person_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_biographies_version ON biographies (person_id, version);
+CREATE INDEX IF NOT EXISTS idx_timeline_person ON timeline_events (person_id, year);
+CREATE INDEX IF NOT EXISTS idx_timeline_source ON timeline_events (source_table, source_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_family_members_name ON family_members (person_id, name_key);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_family_edges_unique ON family_edges (from_member_id, to_member_id, relation, source_table, source_id);
+CREATE INDEX IF NOT EXISTS idx_family_edges_source ON family_edges (source_table, source_id);
+CREATE INDEX IF NOT EXISTS idx_family_edges_person ON family_edges (person_id);
+CREATE INDEX IF NOT EXISTS idx_photos_person ON photos (person_id, year);
+CREATE INDEX IF NOT EXISTS idx_photo_sessions_photo ON photo_sessions (photo_id);
 
+INSERT OR IGNORE INTO schema_migrations (version, name, applied_at) VALUES
+    (1, 'create_core_tables', datetime('now')),
+    (2, 'add_person_id_columns', datetime('now')),
+    (3, 'create_people', datetime('now')),
+    (4, 'create_invite_tokens', datetime('now')),
+    (5, 'index_person_lookups', datetime('now')),
+    (6, 'create_facts', datetime('now')),
+    (7, 'create_chapter_coverage', datetime('now')),
+    (8, 'create_search_index', datetime('now')),
+    (9, 'create_recordings', datetime('now')),
+    (10, 'add_raw_text_columns', datetime('now')),
+    (11, 'add_soft_delete_and_audit_log', datetime('now')),
+    (12, 'create_admin_login_attempts', datetime('now')),
+    (13, 'create_admin_users', datetime('now')),
+    (14, 'add_memory_import_columns', datetime('now')),
+    (15, 'create_biographies', datetime('now')),
+    (16, 'create_timeline_events', datetime('now')),
+    (17, 'create_family_graph', datetime('now')),
+    (18, 'create_photos', datetime('now')),
+    (19, 'normalize_person_ids', datetime('now')),
+    (20, 'add_biography_stale_at', datetime('now'));
@@ -0,0 +1,389 @@
+/**
+ * Devanagari → Urdu (Nastaliq) transliteration
+ *
+ * Speech recognition on iOS (and some Android builds) has no Urdu, so the app listens
+ * in Hindi and gets Devanagari back. This module turns that into Urdu script. It is an
+ * ES module shared by the worker (which normalizes /save and /chat text, see worker.js)
+ * and index.html (which shows the converted transcript while the person speaks).
+ *
+ * How a word is converted:
+ * 1. Words in URDU_SPELLINGS are looked up first - many Urdu words are spelled with
+ *    Persian/Arabic letters that the sound alone can't tell (ख़त → خط, सुबह → صبح)
+ * 2. Otherwise the word is split into units: consonants (with nukta and the conjuncts in
+ *    CONJUNCTS), independent vowels, vowel signs, virama and nasalization
+ * 3. Each unit is written by position: word-initial vowels take an alif, vowels after a
+ *    vowel take a hamza (गए → گئے), े is ے only at the end of a word (मेरा → میرا, के → کے),
+ *    ं is ں at the end and ن inside a word, and doubled consonants are written once (अच्छा → اچھا)
+ *
+ * TRANSLITERATION_CORPUS holds the expected output for a set of words and sentences;
+ * GET /test-transliteration on the worker runs it.
+ */
+
+const CONSONANTS = {
+    'क': 'ک', 'ख': 'کھ', 'ग': 'گ', 'घ': 'گھ', 'ङ': 'ن',
+    'च': 'چ', 'छ': 'چھ', 'ज': 'ج', 'झ': 'جھ', 'ञ': 'ن',
+    'ट': 'ٹ', 'ठ': 'ٹھ', 'ड': 'ڈ', 'ढ': 'ڈھ', 'ण': 'ن',
+    'त': 'ت', 'थ': 'تھ', 'द': 'د', 'ध': 'دھ', 'न': 'ن',
+    'प': 'پ', 'फ': 'پھ', 'ब': 'ب', 'भ': 'بھ', 'म': 'م',
+    'य': 'ی', 'र': 'ر', 'ल': 'ل', 'व': 'و',
+    'श': 'ش', 'ष': 'ش', 'स': 'س', 'ह': 'ہ'
+};
+
+// Consonant + nukta (़) - the letters borrowed from Persian and Arabic, plus ड़/ढ़
+// Text is NFC-normalized first, which always splits क़ (U+0958) etc. into क + ़
+const NUKTA_CONSONANTS = {
+    'क': 'ق', 'ख': 'خ', 'ग': 'غ', 'ज': 'ز', 'झ': 'ژ',
+    'ड': 'ڑ', 'ढ': 'ڑھ', 'फ': 'ف', 'य': 'ی'
+};
+
+// Conjuncts that don't read as the sum of their parts
+const CONJUNCTS = {
+    'ज्ञ': 'گی',
+    'क्ष': 'کش',
+    'त्र': 'تر',
+    'श्र': 'شر'
+};
+
+// Independent vowels at the start of a word
+const INITIAL_VOWELS = {
+    'अ': 'ا', 'आ': 'آ', 'इ': 'ا', 'ई': 'ای', 'उ': 'ا', 'ऊ': 'او',
+    'ए': 'ای', 'ऐ': 'ای', 'ओ': 'او', 'औ': 'او', 'ऋ': 'ر', 'ऑ': 'آ'
+};
+
+// Independent vowels after another vowel take a hamza (भाई → بھائی, आओ → آؤ)
+const MEDIAL_VOWELS = {
+    'अ': 'ا', 'आ': 'ا', 'इ': 'ئ', 'ई': 'ئی', 'उ': 'ؤ', 'ऊ': 'ؤ',
+    'ए': 'ئی', 'ऐ': 'ئی', 'ओ': 'ؤ', 'औ': 'ؤ', 'ऋ': 'ر', 'ऑ': 'ا'
+};
+
+// Vowel signs (matras). ि, ु, े and ै depend on what follows - see vowelSign
+const VOWEL_SIGNS = {
+    'ा': 'ا', 'ि': '', 'ी': 'ی', 'ु': '', 'ू': 'و', 'े': 'ی', 'ै': 'ی',
+    'ो': 'و', 'ौ': 'و', 'ृ': 'ر', 'ॉ': 'ا', 'ॅ': ''
+};
+
+const VIRAMA = '्';
+const NUKTA = '़';
+const NASALS = ['ं', 'ँ'];
+const VISARGA = 'ः';
+
+const DEVANAGARI_DIGITS = '०१२३४५६७८९';
+
+// Punctuation in converted text
+const PUNCTUATION = {
+    '।': '۔',
+    '॥': '۔',
+    '?': '؟',
+    ',': '،'
+};
+
+/**
+ * Common words whose Urdu spelling can't be derived from the sound: Persian/Arabic
+ * letters (ع ح ص ض ط ظ ث), final ہ for a long a (पैसा → پیسہ), and short words that are
+ * written differently (कि → کہ, ये → یہ). Transcripts often drop the nukta, so every
+ * word also matches without it (खुश finds ख़ुश).
+ */
+const URDU_SPELLINGS = {
+    // Everyday words
+    'कि': 'کہ', 'न': 'نہ', 'ये': 'یہ', 'वो': 'وہ', 'वे': 'وہ',
+    'ख़ुश': 'خوش', 'ख़ुशी': 'خوشی', 'ख़्वाब': 'خواب', 'ख़त': 'خط', 'ख़्याल': 'خیال', 'ख़याल': 'خیال',
+    'वक़्त': 'وقت', 'हाल': 'حال', 'हालात': 'حالات', 'सुबह': 'صبح', 'ज़रूर': 'ضرور', 'ज़रूरत': 'ضرورت',
+    'ज़्यादा': 'زیادہ', 'शुक्रिया': 'شکریہ', 'पैसा': 'پیسہ', 'पैसे': 'پیسے', 'कमरा': 'کمرہ',
+    'रास्ता': 'راستہ', 'बच्चा': 'بچہ', 'ज़िंदगी': 'زندگی', 'तक़रीबन': 'تقریباً', 'मतलब': 'مطلب',
+    'तरह': 'طرح', 'तरफ़': 'طرف', 'तालीम': 'تعلیم', 'इल्म': 'علم', 'उम्र': 'عمر', 'औरत': 'عورت',
+    'इज़्ज़त': 'عزت', 'मोहब्बत': 'محبت', 'मुहब्बत': 'محبت', 'इश्क़': 'عشق', 'दुआ': 'دعا',
+    'शुरू': 'شروع', 'ख़त्म': 'ختم', 'सफ़ाई': 'صفائی', 'सब्र': 'صبر', 'सही': 'صحیح', 'सेहत': 'صحت',
+    'तबीयत': 'طبیعت', 'मौक़ा': 'موقع', 'वाक़ई': 'واقعی', 'वाक़िया': 'واقعہ', 'ज़माना': 'زمانہ',
+    'ज़माने': 'زمانے', 'मदरसा': 'مدرسہ', 'दफ़ा': 'دفعہ', 'क़िस्सा': 'قصہ', 'सदक़ा': 'صدقہ',
+    // Family
+    'वालिदा': 'والدہ', 'अब्बा': 'ابا', 'अम्मा': 'اماں', 'ख़ाला': 'خالہ', 'ख़ानदान': 'خاندان',
+    'शौहर': 'شوہر', 'बेगम': 'بیگم', 'औलाद': 'اولاد',
+    // Faith
+    'अल्लाह': 'اللہ', 'ख़ुदा': 'خدا', 'क़ुरान': 'قرآن', 'रमज़ान': 'رمضان', 'रोज़ा': 'روزہ',
+    'ईद': 'عید', 'हज': 'حج', 'उमरा': 'عمرہ', 'जन्नत': 'جنت', 'दरगाह': 'درگاہ',
+    // Names and places
+    'मुहम्मद': 'محمد', 'मोहम्मद': 'محمد', 'अली': 'علی', 'हसन': 'حسن', 'हुसैन': 'حسین',
+    'फ़ातिमा': 'فاطمہ', 'आयशा': 'عائشہ', 'ज़ैनब': 'زینب', 'उस्मान': 'عثمان',
+    'हिंदुस्तान': 'ہندوستان', 'दिल्ली': 'دہلی', 'मक्का': 'مکہ', 'मदीना': 'مدینہ', 'पेशावर': 'پشاور'
+};
+
+/**
+ * A test corpus for the transliterator: Devanagari input and the Urdu we expect
+ * GET /test-transliteration runs it (see runTransliterationCorpus)
+ */
+export const TRANSLITERATION_CORPUS = [
+    // Consonants and vowel signs
+    { devanagari: 'मेरा नाम', urdu: 'میرا نام' },
+    { devanagari: 'किताब', urdu: 'کتاب' },
+    { devanagari: 'दुनिया', urdu: 'دنیا' },
+    { devanagari: 'लाहौर', urdu: 'لاہور' },
+    { devanagari: 'गुरु', urdu: 'گرو' },
+    { devanagari: 'के', urdu: 'کے' },
+    { devanagari: 'है', urdu: 'ہے' },
+    { devanagari: 'हैं', urdu: 'ہیں' },
+    { devanagari: 'बच्चों', urdu: 'بچوں' },
+    // Aspirated consonants
+    { devanagari: 'भाई', urdu: 'بھائی' },
+    { devanagari: 'थी', urdu: 'تھی' },
+    { devanagari: 'घर', urdu: 'گھر' },
+    // Nukta
+    { devanagari: 'ग़ज़ल', urdu: 'غزل' },
+    { devanagari: 'ज़मीन', urdu: 'زمین' },
+    { devanagari: 'फ़ौज', urdu: 'فوج' },
+    { devanagari: 'पढ़ाई', urdu: 'پڑھائی' },
+    { devanagari: 'सड़क', urdu: 'سڑک' },
+    { devanagari: 'क़ानून', urdu: 'قانون' },
+    { devanagari: '\u0958\u093E\u0928\u0942\u0928', urdu: 'قانون' }, // precomposed क़ (U+0958)
+    // Conjuncts and doubled consonants
+    { devanagari: 'क्या', urdu: 'کیا' },
+    { devanagari: 'ज्ञान', urdu: 'گیان' },
+    { devanagari: 'पत्र', urdu: 'پتر' },
+    { devanagari: 'परीक्षा', urdu: 'پریکشا' },
+    { devanagari: 'अच्छा', urdu: 'اچھا' },
+    { devanagari: 'पत्थर', urdu: 'پتھر' },
+    { devanagari: 'अम्मी', urdu: 'امی' },
+    { devanagari: 'मस्जिद', urdu: 'مسجد' },
+    // Vowels at the start of a word and after a vowel
+    { devanagari: 'आज', urdu: 'آج' },
+    { devanagari: 'एक', urdu: 'ایک' },
+    { devanagari: 'और', urdu: 'اور' },
+    { devanagari: 'ईमान', urdu: 'ایمان' },
+    { devanagari: 'गए', urdu: 'گئے' },
+    { devanagari: 'हुआ', urdu: 'ہوا' },
+    { devanagari: 'हुई', urdu: 'ہوئی' },
+    { devanagari: 'लिए', urdu: 'لیے' },
+    { devanagari: 'आइए', urdu: 'آئیے' },
+    { devanagari: 'जाओ', urdu: 'جاؤ' },
+    // Nasalization
+    { devanagari: 'नहीं', urdu: 'نہیں' },
+    { devanagari: 'माँ', urdu: 'ماں' },
+    { devanagari: 'पाँच', urdu: 'پانچ' },
+    { devanagari: 'हिंदी', urdu: 'ہندی' },
+    { devanagari: 'मैं', urdu: 'میں' },
+    // Exceptions dictionary, with and without nukta
+    { devanagari: 'कि', urdu: 'کہ' },
+    { devanagari: 'ये', urdu: 'یہ' },
+    { devanagari: 'वक़्त', urdu: 'وقت' },
+    { devanagari: 'वक्त', urdu: 'وقت' },
+    { devanagari: 'खुश', urdu: 'خوش' },
+    { devanagari: 'शुक्रिया', urdu: 'شکریہ' },
+    // Sentences, digits and punctuation
+    { devanagari: 'मैं लाहौर में पैदा हुई थी।', urdu: 'میں لاہور میں پیدا ہوئی تھی۔' },
+    { devanagari: 'मेरा नाम फ़ातिमा है', urdu: 'میرا نام فاطمہ ہے' },
+    { devanagari: 'हम १९४७ में कराची आए', urdu: 'ہم 1947 میں کراچی آئے' },
+    { devanagari: 'आप कैसे हैं?', urdu: 'آپ کیسے ہیں؟' },
+    // Text that is not Devanagari is left alone
+    { devanagari: 'میرا نام فاطمہ ہے', urdu: 'میرا نام فاطمہ ہے' },
+    { devanagari: 'Hello, 1947?', urdu: 'Hello, 1947?' }
+];
+
+const DEVANAGARI_WORD = /[\u0900-\u0963\u0971-\u097F]+/g;
+const DEVANAGARI_PATTERN = /[\u0900-\u097F]/;
+
+// Lookup tables keyed by NFC-normalized Devanagari, so either form of क़ matches
+const EXCEPTIONS = buildExceptions(URDU_SPELLINGS);
+const CONJUNCT_KEYS = Object.keys(CONJUNCTS).map(key => key.normalize('NFC'));
+
+/**
+ * Does the text contain any Devanagari?
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function containsDevanagari(text) {
+    return typeof text === 'string' && DEVANAGARI_PATTERN.test(text);
+}
+
+/**
+ * Converts the Devanagari in a text to Urdu script
+ * Everything else (Urdu, English, spaces) is kept as it is; text without Devanagari is returned unchanged
+ *
+ * @param {string} text - e.g. a Hindi-mode speech transcript of Urdu speech
+ * @returns {string} The text in Urdu script
+ */
+export function transliterateToUrdu(text) {
+    if (!containsDevanagari(text)) {
+        return text;
+    }
+
+    return text.normalize('NFC')
+        .replace(DEVANAGARI_WORD, word => transliterateWord(word))
+        .replace(/[\u0966-\u096F]/g, digit => String(DEVANAGARI_DIGITS.indexOf(digit)))
+        .replace(/[\u0964\u0965?,]/g, mark => PUNCTUATION[mark]);
+}
+
+/**
+ * Runs TRANSLITERATION_CORPUS
+ *
+ * @returns {{passed: number, failed: number, results: Array<{devanagari: string, expected: string, actual: string, passed: boolean}>}}
+ */
+export function runTransliterationCorpus() {
+    const results = TRANSLITERATION_CORPUS.map(({ devanagari, urdu }) => {
+        const actual = transliterateToUrdu(devanagari);
+        return { devanagari, expected: urdu, actual, passed: actual === urdu };
+    });
+    const passed = results.filter(result => result.passed).length;
+
+    return { passed, failed: results.length - passed, results };
+}
+
+/**
+ * Converts one Devanagari word (NFC-normalized)
+ */
+function transliterateWord(word) {
+    const exception = EXCEPTIONS.get(word) || EXCEPTIONS.get(stripNukta(word));
+    if (exception) {
+        return exception;
+    }
+
+    const units = splitUnits(word);
+    let output = '';
+    for (let i = 0; i < units.length; i++) {
+        const unit = units[i];
+        const next = units[i + 1];
+
+        switch (unit.type) {
+            case 'consonant':
+                // A doubled consonant is written once: च्च → چ, च्छ → چھ
+                if (next?.type === 'virama' && units[i + 2]?.type === 'consonant'
+                    && (units[i + 2].text === unit.text || units[i + 2].text === unit.text + 'ھ')) {
+                    i++;
+                    break;
+                }
+                output += unit.text;
+                break;
+            case 'vowel':
+                output += independentVowel(unit.char, i, units, output);
+                break;
+            case 'sign':
+                output += vowelSign(unit.char, i, units);
+                break;
+            case 'nasal':
+                // Noon ghunna only at the end of a word (माँ → ماں, पाँच → پانچ)
+                output += i === units.length - 1 ? 'ں' : 'ن';
+                break;
+            default:
+                // Virama, visarga and a stray nukta are not written
+                break;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Splits a word into units: {type: 'consonant', text}, {type: 'vowel' | 'sign', char},
+ * {type: 'virama' | 'nasal' | 'silent'}
+ */
+function splitUnits(word) {
+    const units = [];
+    let i = 0;
+
+    while (i < word.length) {
+        const conjunct = CONJUNCT_KEYS.find(key => word.startsWith(key, i));
+        if (conjunct) {
+            units.push({ type: 'consonant', text: CONJUNCTS[conjunct] });
+            i += conjunct.length;
+            continue;
+        }
+
+        const char = word[i];
+        if (CONSONANTS[char]) {
+            if (word[i + 1] === NUKTA) {
+                units.push({ type: 'consonant', text: NUKTA_CONSONANTS[char] || CONSONANTS[char] });
+                i += 2;
+            } else {
+                units.push({ type: 'consonant', text: CONSONANTS[char] });
+                i++;
+            }
+            continue;
+        }
+
+        if (INITIAL_VOWELS[char]) {
+            units.push({ type: 'vowel', char });
+        } else if (char in VOWEL_SIGNS) {
+            units.push({ type: 'sign', char });
+        } else if (char === VIRAMA) {
+            units.push({ type: 'virama' });
+        } else if (NASALS.includes(char)) {
+            units.push({ type: 'nasal' });
+        } else if (char === VISARGA || char === NUKTA) {
+            units.push({ type: 'silent' });
+        } else {
+            // Letters outside the tables (rare signs, Vedic marks) are kept as they are
+            units.push({ type: 'consonant', text: char });
+        }
+        i++;
+    }
+
+    return units;
+}
+
+/**
+ * Writes an independent vowel: with an alif at the start of a word, with a hamza after a vowel
+ */
+function independentVowel(char, index, units, output) {
+    const atEnd = index === units.length - 1;
+
+    if (index === 0) {
+        return (char === 'ए' || char === 'ऐ') && atEnd ? 'اے' : INITIAL_VOWELS[char];
+    }
+
+    if (char === 'ए' || char === 'ऐ') {
+        // After an i sound the hamza is already there (आइए → آئیے) or not needed (लिए → لیے)
+        const previous = units[index - 1];
+        if (output.endsWith('ئ')) {
+            return atEnd ? 'یے' : 'ی';
+        }
+        if (previous.type === 'sign' && (previous.char === 'ि' || previous.char === 'ी')) {
+            return atEnd ? 'ے' : 'ی';
+        }
+        return atEnd ? 'ئے' : 'ئی';
+    }
+
+    return MEDIAL_VOWELS[char];
+}
+
+/**
+ * Writes a vowel sign after a consonant
+ */
+function vowelSign(char, index, units) {
+    const next = units[index + 1];
+    const atEnd = index === units.length - 1;
+
+    switch (char) {
+        case 'ि':
+            // Short i is usually not written, except before a vowel or at the end (हरि → ہری)
+            return atEnd || next.type === 'vowel' ? 'ی' : '';
+        case 'ु':
+            // Same for short u (हुआ → ہوا, गुरु → گرو)
+            return atEnd || next.type === 'vowel' ? 'و' : '';
+        case 'े':
+        case 'ै':
+            // Bari ye only at the very end of a word (के → کے, but में → میں, मेरा → میرا)
+            return atEnd ? 'ے' : 'ی';
+        default:
+            return VOWEL_SIGNS[char];
+    }
+}
+
+/**
+ * Builds the exceptions lookup: every word NFC-normalized, and again without its nukta
+ */
+function buildExceptions(spellings) {
+    const exceptions = new Map();
+    for (const [word, urdu] of Object.entries(spellings)) {
+        exceptions.set(word.normalize('NFC'), urdu);
+    }
+    for (const [word, urdu] of Object.entries(spellings)) {
+        const plain = stripNukta(word.normalize('NFC'));
+        if (!exceptions.has(plain)) {
+            exceptions.set(plain, urdu);
+        }
+    }
+    return exceptions;
+}
+
+function stripNukta(word) {
+    return word.split(NUKTA).join('');
+}
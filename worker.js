@@ -7,11 +7,40 @@
  * 3. Storing complete conversation history
  * 
  * Database Schema:
- * - grandma_memories: id, text, language, timestamp, person_id
- * - conversations: id, user_message, ai_response, language, timestamp, session_id, context, person_id
- * - people: id, name, created_at (optional table for managing people)
+ * - grandma_memories: id, text, language, timestamp, person_id, raw_text, deleted_at, speaker, source, content_hash, photo_id
+ * - conversations: id, user_message, ai_response, language, timestamp, session_id, context, person_id, raw_user_message, deleted_at, photo_id
+ *   (text/user_message hold the normalized text, see normalizeTranscript; raw_* what was sent;
+ *   speaker/source/content_hash are set for imported memories, see handleAdminImport;
+ *   photo_id is the photo the story is about, see photo_sessions)
+ * - people: id, display_name, birth_year, preferred_language, relationship, created_at, updated_at
+ * - invite_tokens: id, person_id, token_hash, label, created_at, revoked_at, last_used_at
+ * - facts: id, person_id, category, label, value, source_table, source_id, source_text, verified, created_at, updated_at, deleted_at
+ * - chapter_coverage: person_id, chapter, mentions, questions_asked, first_mentioned_at, last_mentioned_at, last_asked_at
+ * - search_index: FTS5 index over conversations and memories, kept in sync by triggers
+ * - recordings: id, person_id, source_table, source_id, object_key, content_type, size_bytes, duration_ms, created_at
+ *   (the audio itself is stored in the MEDIA R2 bucket)
+ * - admin_login_attempts: client, failures, first_failed_at, locked_until (lockout, see handleAdminLogin)
+ * - admin_users: id, username, display_name, role, password_hash, created_at, updated_at
+ * - admin_grants: user_id, person_id, created_at (the people an editor/viewer may see)
+ * - biographies: id, person_id, version, method, analysis, state, conversation_ids, memory_ids, created_by, created_at, pinned_at, pinned_by, stale_at
+ *   (stored /admin/analyze results; the pinned version is the person's book, see handleAdminExport)
+ * - timeline_events: id, person_id, source_table, source_id, year, year_end, age, age_end, precision, phrase, description, created_at
+ *   (dated events mined from what the person said, see extractTimelineEvents)
+ * - family_members: id, person_id, name, name_key, relation, generation, side, created_at, updated_at
+ * - family_edges: id, person_id, from_member_id, to_member_id, relation, source_table, source_id, source_text, created_at
+ *   (the relatives a person named and how they're related, see extractFamilyMentions)
+ * - photos: id, person_id, object_key, content_type, size_bytes, caption, people, approximate_date, year, created_by, created_at, updated_at
+ *   (the image itself is stored in the MEDIA R2 bucket, under photos/)
+ * - photo_sessions: session_id, photo_id, person_id, language, question, created_by, created_at
+ *   (/chat sessions started from a photo - every turn in one is linked to the photo)
+ * - audit_log: id, actor, action, target_table, target_id, person_id, previous_value, new_value, created_at
+ * - schema_migrations: version, name, applied_at (see MIGRATIONS)
  */
 
+import { transliterateToUrdu, runTransliterationCorpus } from './transliterate.js';
+import { LANGUAGES, findLanguage, getLanguage, localize, fillTemplate, detectScript } from './languages.js';
+import { countLexicon, analyzeLexicons, TOPIC_LEXICON, PERSONALITY_LEXICON } from './analysis.js';
+
 /**
  * Main worker entry point
  * Handles all incoming requests
@@ -32,6 +61,19 @@ export default {
         const url = new URL(request.url);
         const path = url.pathname;
 
+        // Bring the database schema up to date (runs once per worker instance)
+        if (env.DB) {
+            try {
+                await ensureSchema(env);
+            } catch (error) {
+                console.error('Schema migration failed:', error);
+                return new Response(
+                    JSON.stringify({ success: false, error: 'Database migration failed', details: error.message }),
+                    { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+                );
+            }
+        }
+
         // Route to appropriate handler
         if (path === '/save' && request.method === 'POST') {
             return handleSave(request, env);
@@ -39,7 +81,7 @@ export default {
 
         // Conversational AI endpoint for natural conversations
         if (path === '/chat' && request.method === 'POST') {
-            return handleChat(request, env);
+            return handleChat(request, env, ctx);
         }
 
         // Get conversation history
@@ -47,12 +89,167 @@ export default {
             return handleGetConversations(request, env);
         }
 
-        // Get all people/profiles
-        if (path === '/people' && request.method === 'GET') {
-            return handleGetPeople(request, env);
+        // Original audio of an utterance, linked to its conversation or memory row
+        if (path === '/recordings' && request.method === 'POST') {
+            return handleUploadRecording(request, env);
+        }
+
+        // Speech-to-text for browsers whose own recognition is missing or unreliable
+        if (path === '/transcribe' && request.method === 'POST') {
+            return handleTranscribe(request, env);
+        }
+
+        // Photo sessions started from admin.html, and the photos shown in them
+        const photoSessionMatch = path.match(/^\/photo-sessions\/([^/]+)$/);
+        if (photoSessionMatch && request.method === 'GET') {
+            return handleGetPhotoSession(request, env, decodeURIComponent(photoSessionMatch[1]));
+        }
+
+        const ownPhotoMatch = path.match(/^\/photos\/(\d+)$/);
+        if (ownPhotoMatch && request.method === 'GET') {
+            return handleGetPhoto(request, env, parseInt(ownPhotoMatch[1]));
+        }
+
+        // Which person does this invite token belong to?
+        if (path === '/me' && request.method === 'GET') {
+            return handleGetMe(request, env);
+        }
+
+        // Admin login - exchanges the admin secret for a session token used by every admin route
+        if (path === '/admin/login' && request.method === 'POST') {
+            return handleAdminLogin(request, env);
+        }
+
+        // Family accounts and what they may see (owner only)
+        if (path === '/admin/users' && request.method === 'GET') {
+            return handleAdminListUsers(request, env);
+        }
+
+        if (path === '/admin/users' && request.method === 'POST') {
+            return handleAdminCreateUser(request, env);
+        }
+
+        const userMatch = path.match(/^\/admin\/users\/(\d+)$/);
+        if (userMatch && request.method === 'PATCH') {
+            return handleAdminUpdateUser(request, env, parseInt(userMatch[1]));
+        }
+
+        if (userMatch && request.method === 'DELETE') {
+            return handleAdminDeleteUser(request, env, parseInt(userMatch[1]));
+        }
+
+        // Manage people/profiles (admin only) - available under /people and /admin/people
+        if ((path === '/people' || path === '/admin/people') && request.method === 'GET') {
+            return handleAdminGetPeople(request, env);
+        }
+
+        if ((path === '/people' || path === '/admin/people') && request.method === 'POST') {
+            return handleCreatePerson(request, env);
+        }
+
+        const personMatch = path.match(/^\/(?:admin\/)?people\/([^/]+)$/);
+        if (personMatch && request.method === 'PATCH') {
+            return handleUpdatePerson(request, env, decodeURIComponent(personMatch[1]));
+        }
+
+        if (personMatch && request.method === 'DELETE') {
+            return handleDeletePerson(request, env, decodeURIComponent(personMatch[1]));
+        }
+
+        // Private invite links (admin only)
+        if (path === '/admin/invites' && request.method === 'GET') {
+            return handleAdminListInvites(request, env);
+        }
+
+        if (path === '/admin/invites' && request.method === 'POST') {
+            return handleAdminCreateInvite(request, env);
+        }
+
+        const inviteMatch = path.match(/^\/admin\/invites\/(\d+)$/);
+        if (inviteMatch && request.method === 'DELETE') {
+            return handleAdminRevokeInvite(request, env, parseInt(inviteMatch[1]));
+        }
+
+        // Editing, redacting and deleting what people said (admin only, every change is audited)
+        const entryMatch = path.match(/^\/admin\/(conversations|memories)\/(\d+)$/);
+        if (entryMatch && request.method === 'PATCH') {
+            return handleAdminUpdateEntry(request, env, entryMatch[1], parseInt(entryMatch[2]));
+        }
+
+        if (entryMatch && request.method === 'DELETE') {
+            return handleAdminDeleteEntry(request, env, entryMatch[1], parseInt(entryMatch[2]));
+        }
+
+        if (path === '/admin/audit-log' && request.method === 'GET') {
+            return handleAdminGetAuditLog(request, env);
+        }
+
+        // Long-term facts remembered about each person (admin only)
+        if (path === '/admin/facts' && request.method === 'GET') {
+            return handleAdminListFacts(request, env);
+        }
+
+        const factMatch = path.match(/^\/admin\/facts\/(\d+)$/);
+        if (factMatch && request.method === 'PATCH') {
+            return handleAdminUpdateFact(request, env, parseInt(factMatch[1]));
+        }
+
+        if (factMatch && request.method === 'DELETE') {
+            return handleAdminDeleteFact(request, env, parseInt(factMatch[1]));
+        }
+
+        // Dated events from what each person said (admin only)
+        if (path === '/admin/timeline' && request.method === 'GET') {
+            return handleAdminGetTimeline(request, env);
+        }
+
+        // Relatives each person named, as a graph (admin only)
+        if (path === '/admin/family-graph' && request.method === 'GET') {
+            return handleAdminGetFamilyGraph(request, env);
+        }
+
+        // Which life chapters have been covered per person (admin only)
+        if (path === '/admin/coverage' && request.method === 'GET') {
+            return handleAdminGetCoverage(request, env);
+        }
+
+        // Audio recordings (admin only)
+        if (path === '/admin/recordings' && request.method === 'GET') {
+            return handleAdminListRecordings(request, env);
+        }
+
+        const recordingMatch = path.match(/^\/admin\/recordings\/(\d+)$/);
+        if (recordingMatch && request.method === 'GET') {
+            return handleAdminGetRecording(request, env, parseInt(recordingMatch[1]));
+        }
+
+        // Photos and the interview sessions started from them (admin only)
+        if (path === '/admin/photos' && request.method === 'GET') {
+            return handleAdminListPhotos(request, env);
         }
 
-        // Admin endpoints - require secret key
+        if (path === '/admin/photos' && request.method === 'POST') {
+            return handleAdminUploadPhoto(request, env);
+        }
+
+        const photoMatch = path.match(/^\/admin\/photos\/(\d+)(\/sessions)?$/);
+        if (photoMatch && !photoMatch[2] && request.method === 'GET') {
+            return handleAdminGetPhoto(request, env, parseInt(photoMatch[1]));
+        }
+
+        if (photoMatch && !photoMatch[2] && request.method === 'PATCH') {
+            return handleAdminUpdatePhoto(request, env, parseInt(photoMatch[1]));
+        }
+
+        if (photoMatch && !photoMatch[2] && request.method === 'DELETE') {
+            return handleAdminDeletePhoto(request, env, parseInt(photoMatch[1]));
+        }
+
+        if (photoMatch && photoMatch[2] && request.method === 'POST') {
+            return handleAdminStartPhotoSession(request, env, parseInt(photoMatch[1]));
+        }
+
+        // Admin endpoints - require a session from /admin/login
         if (path === '/admin/data' && request.method === 'GET') {
             return handleAdminGetData(request, env);
         }
@@ -61,15 +258,71 @@ export default {
             return handleAdminAnalyze(request, env);
         }
 
+        if (path === '/admin/export' && (request.method === 'GET' || request.method === 'POST')) {
+            return handleAdminExport(request, env);
+        }
+
+        // Stored biography versions (see handleAdminAnalyze)
+        if (path === '/admin/biographies' && request.method === 'GET') {
+            return handleAdminListBiographies(request, env);
+        }
+
+        if (path === '/admin/biographies/compare' && request.method === 'GET') {
+            return handleAdminCompareBiographies(request, env);
+        }
+
+        const biographyMatch = path.match(/^\/admin\/biographies\/(\d+)(\/pin)?$/);
+        if (biographyMatch && !biographyMatch[2] && request.method === 'GET') {
+            return handleAdminGetBiography(request, env, parseInt(biographyMatch[1]));
+        }
+        if (biographyMatch && biographyMatch[2] && (request.method === 'POST' || request.method === 'DELETE')) {
+            return handleAdminPinBiography(request, env, parseInt(biographyMatch[1]));
+        }
+
+        if (path === '/admin/import' && request.method === 'POST') {
+            return handleAdminImport(request, env);
+        }
+
+        // Backups of the whole database (owner only)
+        if (path === '/admin/backup' && request.method === 'GET') {
+            return handleAdminBackup(request, env);
+        }
+
+        if (path === '/admin/backups' && request.method === 'GET') {
+            return handleAdminListBackups(request, env);
+        }
+
+        if (path === '/admin/backups' && request.method === 'POST') {
+            return handleAdminStoreBackup(request, env);
+        }
+
+        if (path === '/admin/restore' && request.method === 'POST') {
+            return handleAdminRestore(request, env);
+        }
+
         if (path === '/admin/query' && request.method === 'POST') {
             return handleAdminQuery(request, env);
         }
 
+        if (path === '/admin/schema' && request.method === 'GET') {
+            return handleAdminGetSchema(request, env);
+        }
+
         // Test database connectivity (for debugging)
         if (path === '/test-db' && request.method === 'GET') {
             return handleTestDB(request, env);
         }
 
+        // Run the Devanagari → Urdu transliteration corpus (for debugging)
+        if (path === '/test-transliteration' && request.method === 'GET') {
+            return handleTestTransliteration();
+        }
+
+        // Run the family mention corpus (for debugging)
+        if (path === '/test-family-mentions' && request.method === 'GET') {
+            return handleTestFamilyMentions();
+        }
+
         // Handle unknown routes
         return new Response(
             JSON.stringify({ 
@@ -84,9 +337,594 @@ export default {
                 }
             }
         );
+    },
+
+    /**
+     * Cron trigger (see "triggers" in wrangler.jsonc) - stores a backup of the database
+     * 
+     * @param {Object} event - Scheduled event (cron, scheduledTime)
+     * @param {Object} env - Environment variables
+     * @param {Object} ctx - Execution context
+     */
+    async scheduled(event, env, ctx) {
+        ctx.waitUntil(runScheduledBackup(env));
     }
 };
 
+/**
+ * Database schema migrations
+ * 
+ * Every schema change is a numbered migration that runs exactly once per database.
+ * Applied versions are recorded in the schema_migrations table, so handlers can
+ * assume the latest schema and never issue CREATE/ALTER statements themselves.
+ * 
+ * Never edit a migration that has already been deployed - add a new one instead.
+ * Migrations must be safe to re-run (IF NOT EXISTS, addColumnIfMissing) because two
+ * worker instances can start at the same time.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'create_core_tables',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS grandma_memories (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                text TEXT,
+                language TEXT,
+                timestamp TEXT,
+                person_id TEXT
+            )`,
+            `CREATE TABLE IF NOT EXISTS conversations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT,
+                user_message TEXT,
+                ai_response TEXT,
+                language TEXT,
+                timestamp TEXT,
+                context TEXT,
+                person_id TEXT
+            )`
+        ]
+    },
+    {
+        // Databases created from the original schema.sql have no person_id columns
+        version: 2,
+        name: 'add_person_id_columns',
+        up: async (db) => {
+            await addColumnIfMissing(db, 'conversations', 'person_id', 'TEXT');
+            await addColumnIfMissing(db, 'grandma_memories', 'person_id', 'TEXT');
+        }
+    },
+    {
+        version: 3,
+        name: 'create_people',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS people (
+                id TEXT PRIMARY KEY,
+                display_name TEXT NOT NULL,
+                birth_year INTEGER,
+                preferred_language TEXT,
+                relationship TEXT,
+                created_at TEXT,
+                updated_at TEXT
+            )`
+        ],
+        // Every person_id already in use gets a profile so existing private links keep working
+        up: async (db) => {
+            const rows = await db.prepare(`
+                SELECT person_id FROM conversations WHERE person_id IS NOT NULL AND person_id != ''
+                UNION
+                SELECT person_id FROM grandma_memories WHERE person_id IS NOT NULL AND person_id != ''
+            `).all();
+
+            const personIds = (rows.results || []).map(row => row.person_id);
+            if (personIds.length === 0) {
+                return;
+            }
+
+            const now = new Date().toISOString();
+            await db.batch(personIds.map(id =>
+                db.prepare(
+                    'INSERT OR IGNORE INTO people (id, display_name, created_at, updated_at) VALUES (?, ?, ?, ?)'
+                ).bind(id, displayNameFromPersonId(id), now, now)
+            ));
+        }
+    },
+    {
+        version: 4,
+        name: 'create_invite_tokens',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS invite_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                person_id TEXT NOT NULL,
+                token_hash TEXT NOT NULL UNIQUE,
+                label TEXT,
+                created_at TEXT,
+                revoked_at TEXT,
+                last_used_at TEXT
+            )`
+        ]
+    },
+    {
+        version: 5,
+        name: 'index_person_lookups',
+        statements: [
+            'CREATE INDEX IF NOT EXISTS idx_conversations_person ON conversations (person_id, timestamp)',
+            'CREATE INDEX IF NOT EXISTS idx_conversations_session ON conversations (session_id)',
+            'CREATE INDEX IF NOT EXISTS idx_memories_person ON grandma_memories (person_id, timestamp)',
+            'CREATE INDEX IF NOT EXISTS idx_invite_tokens_person ON invite_tokens (person_id)'
+        ]
+    },
+    {
+        version: 6,
+        name: 'create_facts',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS facts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                person_id TEXT NOT NULL,
+                category TEXT NOT NULL,
+                label TEXT NOT NULL,
+                value TEXT NOT NULL,
+                source_table TEXT,
+                source_id INTEGER,
+                source_text TEXT,
+                verified INTEGER DEFAULT 0,
+                created_at TEXT,
+                updated_at TEXT,
+                deleted_at TEXT
+            )`,
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_facts_unique ON facts (person_id, category, label, value)'
+        ]
+    },
+    {
+        version: 7,
+        name: 'create_chapter_coverage',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS chapter_coverage (
+                person_id TEXT NOT NULL,
+                chapter TEXT NOT NULL,
+                mentions INTEGER DEFAULT 0,
+                questions_asked INTEGER DEFAULT 0,
+                first_mentioned_at TEXT,
+                last_mentioned_at TEXT,
+                last_asked_at TEXT,
+                PRIMARY KEY (person_id, chapter)
+            )`
+        ]
+    },
+    {
+        version: 8,
+        name: 'create_search_index',
+        // Built in code because the triggers embed the generated normalization SQL (see SEARCH_NORMALIZATION)
+        up: db => createSearchIndex(db)
+    },
+    {
+        version: 9,
+        name: 'create_recordings',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS recordings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                person_id TEXT NOT NULL,
+                source_table TEXT NOT NULL,
+                source_id INTEGER NOT NULL,
+                object_key TEXT NOT NULL UNIQUE,
+                content_type TEXT,
+                size_bytes INTEGER,
+                duration_ms INTEGER,
+                created_at TEXT
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_recordings_source ON recordings (source_table, source_id)',
+            'CREATE INDEX IF NOT EXISTS idx_recordings_person ON recordings (person_id, created_at)'
+        ]
+    },
+    {
+        // Text is normalized before it is stored (Devanagari Urdu → Urdu script); keep what was sent too
+        version: 10,
+        name: 'add_raw_text_columns',
+        up: async (db) => {
+            await addColumnIfMissing(db, 'grandma_memories', 'raw_text', 'TEXT');
+            await addColumnIfMissing(db, 'conversations', 'raw_user_message', 'TEXT');
+        }
+    },
+    {
+        // Admin edits/deletes (see ENTRY_TYPES): soft-delete columns plus a log of every change
+        version: 11,
+        name: 'add_soft_delete_and_audit_log',
+        up: async (db) => {
+            await addColumnIfMissing(db, 'conversations', 'deleted_at', 'TEXT');
+            await addColumnIfMissing(db, 'grandma_memories', 'deleted_at', 'TEXT');
+            await db.batch([
+                `CREATE TABLE IF NOT EXISTS audit_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    actor TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    target_table TEXT NOT NULL,
+                    target_id INTEGER NOT NULL,
+                    person_id TEXT,
+                    previous_value TEXT,
+                    new_value TEXT,
+                    created_at TEXT NOT NULL
+                )`,
+                'CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log (target_table, target_id, created_at)'
+            ].map(sql => db.prepare(sql)));
+            await excludeDeletedFromSearch(db);
+        }
+    },
+    {
+        // Failed /admin/login attempts per client, for the lockout (see handleAdminLogin)
+        version: 12,
+        name: 'create_admin_login_attempts',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS admin_login_attempts (
+                client TEXT PRIMARY KEY,
+                failures INTEGER NOT NULL DEFAULT 0,
+                first_failed_at TEXT,
+                locked_until TEXT
+            )`
+        ]
+    },
+    {
+        // Family accounts with a role, and which people each editor/viewer may see (see ADMIN_ROLES)
+        version: 13,
+        name: 'create_admin_users',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS admin_users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE,
+                display_name TEXT,
+                role TEXT NOT NULL,
+                password_hash TEXT NOT NULL,
+                created_at TEXT,
+                updated_at TEXT
+            )`,
+            `CREATE TABLE IF NOT EXISTS admin_grants (
+                user_id INTEGER NOT NULL,
+                person_id TEXT NOT NULL,
+                created_at TEXT,
+                PRIMARY KEY (user_id, person_id)
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_admin_grants_person ON admin_grants (person_id)'
+        ]
+    },
+    {
+        // Imported memories keep who said them, which file they came from and a hash for duplicates
+        version: 14,
+        name: 'add_memory_import_columns',
+        up: async (db) => {
+            await addColumnIfMissing(db, 'grandma_memories', 'speaker', 'TEXT');
+            await addColumnIfMissing(db, 'grandma_memories', 'source', 'TEXT');
+            await addColumnIfMissing(db, 'grandma_memories', 'content_hash', 'TEXT');
+            await db.prepare(
+                'CREATE INDEX IF NOT EXISTS idx_memories_content_hash ON grandma_memories (person_id, content_hash)'
+            ).run();
+        }
+    },
+    {
+        version: 15,
+        name: 'create_biographies',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS biographies (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                person_id TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                method TEXT NOT NULL,
+                analysis TEXT NOT NULL,
+                state TEXT,
+                conversation_ids TEXT,
+                memory_ids TEXT,
+                created_by TEXT,
+                created_at TEXT,
+                pinned_at TEXT,
+                pinned_by TEXT
+            )`,
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_biographies_version ON biographies (person_id, version)'
+        ]
+    },
+    {
+        // Dated events found in what people said, filled in for the rows saved before it existed
+        version: 16,
+        name: 'create_timeline_events',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS timeline_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                person_id TEXT NOT NULL,
+                source_table TEXT NOT NULL,
+                source_id INTEGER NOT NULL,
+                year INTEGER,
+                year_end INTEGER,
+                age INTEGER,
+                age_end INTEGER,
+                precision TEXT NOT NULL,
+                phrase TEXT NOT NULL,
+                description TEXT NOT NULL,
+                created_at TEXT
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_timeline_person ON timeline_events (person_id, year)',
+            'CREATE INDEX IF NOT EXISTS idx_timeline_source ON timeline_events (source_table, source_id)'
+        ],
+        up: async (db) => {
+            const people = await db.prepare(`
+                SELECT person_id FROM conversations WHERE person_id IS NOT NULL AND deleted_at IS NULL
+                UNION
+                SELECT person_id FROM grandma_memories WHERE person_id IS NOT NULL AND deleted_at IS NULL
+            `).all();
+            for (const row of people.results || []) {
+                await rebuildTimeline(db, row.person_id);
+            }
+        }
+    },
+    {
+        // Relatives named in what people said, filled in for the rows saved before it existed
+        version: 17,
+        name: 'create_family_graph',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS family_members (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                person_id TEXT NOT NULL,
+                name TEXT,
+                name_key TEXT NOT NULL,
+                relation TEXT NOT NULL,
+                generation INTEGER NOT NULL,
+                side TEXT,
+                created_at TEXT,
+                updated_at TEXT
+            )`,
+            `CREATE TABLE IF NOT EXISTS family_edges (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                person_id TEXT NOT NULL,
+                from_member_id INTEGER NOT NULL,
+                to_member_id INTEGER NOT NULL,
+                relation TEXT NOT NULL,
+                source_table TEXT NOT NULL,
+                source_id INTEGER NOT NULL,
+                source_text TEXT,
+                created_at TEXT
+            )`,
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_family_members_name ON family_members (person_id, name_key)',
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_family_edges_unique ON family_edges (from_member_id, to_member_id, relation, source_table, source_id)',
+            'CREATE INDEX IF NOT EXISTS idx_family_edges_source ON family_edges (source_table, source_id)',
+            'CREATE INDEX IF NOT EXISTS idx_family_edges_person ON family_edges (person_id)'
+        ],
+        up: async (db) => {
+            const people = await db.prepare(`
+                SELECT person_id FROM conversations WHERE person_id IS NOT NULL AND deleted_at IS NULL
+                UNION
+                SELECT person_id FROM grandma_memories WHERE person_id IS NOT NULL AND deleted_at IS NULL
+            `).all();
+            for (const row of people.results || []) {
+                await rebuildFamilyGraph(db, row.person_id);
+            }
+        }
+    },
+    {
+        // Photos in a person's archive, and interview sessions started from one (see handleAdminStartPhotoSession)
+        version: 18,
+        name: 'create_photos',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS photos (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                person_id TEXT NOT NULL,
+                object_key TEXT NOT NULL,
+                content_type TEXT,
+                size_bytes INTEGER,
+                caption TEXT,
+                people TEXT,
+                approximate_date TEXT,
+                year INTEGER,
+                created_by TEXT,
+                created_at TEXT,
+                updated_at TEXT
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_photos_person ON photos (person_id, year)',
+            `CREATE TABLE IF NOT EXISTS photo_sessions (
+                session_id TEXT PRIMARY KEY,
+                photo_id INTEGER NOT NULL,
+                person_id TEXT NOT NULL,
+                language TEXT,
+                question TEXT,
+                created_by TEXT,
+                created_at TEXT
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_photo_sessions_photo ON photo_sessions (photo_id)'
+        ],
+        up: async (db) => {
+            await addColumnIfMissing(db, 'conversations', 'photo_id', 'INTEGER');
+            await addColumnIfMissing(db, 'grandma_memories', 'photo_id', 'INTEGER');
+        }
+    },
+    {
+        // The original worker stored ?person= as typed ("Nani Jaan"), and migration 3 copied those
+        // ids into people as they were - but links and routes look people up by normalized id
+        version: 19,
+        name: 'normalize_person_ids',
+        up: async (db) => {
+            await normalizeStoredPersonIds(db);
+        }
+    },
+    {
+        // Versions written from text that was later redacted are kept, but not as books
+        version: 20,
+        name: 'add_biography_stale_at',
+        up: async (db) => {
+            await addColumnIfMissing(db, 'biographies', 'stale_at', 'TEXT');
+        }
+    }
+];
+
+// Migrations are checked once per worker instance, not on every request
+let schemaReady = null;
+
+/**
+ * Makes sure all migrations have been applied before a request touches the database
+ * 
+ * @param {Object} env - Environment variables (must include DB binding)
+ * @returns {Promise<void>}
+ */
+function ensureSchema(env) {
+    if (!schemaReady) {
+        schemaReady = applyMigrations(env.DB).catch(error => {
+            // Let the next request retry instead of caching the failure
+            schemaReady = null;
+            throw error;
+        });
+    }
+    return schemaReady;
+}
+
+/**
+ * Applies every migration newer than the database's current version, in order
+ * 
+ * @param {Object} db - D1 database binding
+ * @returns {Promise<number[]>} Versions applied by this call
+ */
+async function applyMigrations(db) {
+    await db.prepare(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `).run();
+
+    const applied = await db.prepare('SELECT version FROM schema_migrations').all();
+    const appliedVersions = new Set((applied.results || []).map(row => row.version));
+    const newlyApplied = [];
+
+    for (const migration of MIGRATIONS) {
+        if (appliedVersions.has(migration.version)) {
+            continue;
+        }
+
+        console.log(`Applying migration ${migration.version}: ${migration.name}`);
+
+        if (migration.statements) {
+            await db.batch(migration.statements.map(sql => db.prepare(sql)));
+        }
+        if (migration.up) {
+            await migration.up(db);
+        }
+
+        await db.prepare(
+            'INSERT OR IGNORE INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)'
+        ).bind(migration.version, migration.name, new Date().toISOString()).run();
+
+        newlyApplied.push(migration.version);
+    }
+
+    return newlyApplied;
+}
+
+/**
+ * Returns the highest applied migration version (0 for an empty database)
+ */
+async function getSchemaVersion(db) {
+    const row = await db.prepare('SELECT MAX(version) as version FROM schema_migrations').first();
+    return row?.version || 0;
+}
+
+/**
+ * Adds a column unless the table already has it (SQLite has no ADD COLUMN IF NOT EXISTS)
+ */
+async function addColumnIfMissing(db, table, column, type) {
+    const columns = await db.prepare(`PRAGMA table_info(${table})`).all();
+    if ((columns.results || []).some(col => col.name === column)) {
+        return;
+    }
+    await db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`).run();
+}
+
+/**
+ * Rewrites person ids that were stored before ids were normalized ("Nani Jaan" -> "nani-jaan")
+ * in every table with a person_id column, so those archives can get private links (migration 19)
+ * 
+ * If the normalized person already exists the two are merged: their rows are moved over, and
+ * derived rows that would clash (the same fact, chapter or biography version twice) are dropped.
+ * The merged people's family graphs are built again from their stories.
+ */
+async function normalizeStoredPersonIds(db) {
+    const people = await db.prepare('SELECT id FROM people').all();
+    const renames = (people.results || [])
+        .map(row => ({ from: row.id, to: normalizePersonId(row.id) }))
+        .filter(rename => rename.to && rename.to !== rename.from);
+    if (renames.length === 0) {
+        return;
+    }
+
+    const tables = await db.prepare(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'search_index%' ORDER BY name"
+    ).all();
+    const withPersonId = [];
+    for (const { name } of tables.results || []) {
+        const columns = await db.prepare(`PRAGMA table_info(${name})`).all();
+        if ((columns.results || []).some(column => column.name === 'person_id')) {
+            withPersonId.push(name);
+        }
+    }
+
+    const statements = [];
+    for (const { from, to } of renames) {
+        for (const table of [...withPersonId, 'people']) {
+            const column = table === 'people' ? 'id' : 'person_id';
+            statements.push(
+                db.prepare(`UPDATE OR IGNORE ${table} SET ${column} = ? WHERE ${column} = ?`).bind(to, from),
+                db.prepare(`DELETE FROM ${table} WHERE ${column} = ?`).bind(from)
+            );
+        }
+        console.log(`Person id "${from}" renamed to "${to}"`);
+    }
+    await db.batch(statements);
+
+    if (withPersonId.includes('family_members')) {
+        for (const to of new Set(renames.map(rename => rename.to))) {
+            await rebuildFamilyGraph(db, to);
+        }
+    }
+}
+
+/**
+ * Handles GET /admin/schema endpoint
+ * Shows the current schema version and which migrations have been applied (admin only)
+ */
+async function handleAdminGetSchema(request, env) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const applied = await env.DB.prepare(
+            'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+        ).all();
+        const appliedVersions = new Set((applied.results || []).map(row => row.version));
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                currentVersion: await getSchemaVersion(env.DB),
+                latestVersion: MIGRATIONS[MIGRATIONS.length - 1].version,
+                applied: applied.results || [],
+                pending: MIGRATIONS
+                    .filter(migration => !appliedVersions.has(migration.version))
+                    .map(migration => ({ version: migration.version, name: migration.name }))
+            }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error reading schema version:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
 /**
  * Handles the POST /save endpoint
  * Saves transcribed text and language to the D1 database
@@ -115,6 +953,13 @@ async function handleSave(request, env) {
             );
         }
 
+        // The person always comes from the invite token, never from the request body
+        const auth = await authenticateInvite(request, env);
+        if (auth.error) {
+            return inviteErrorResponse(auth);
+        }
+        const personId = auth.person.id;
+
         // Parse request body
         let body;
         try {
@@ -174,38 +1019,36 @@ async function handleSave(request, env) {
 
         // Prepare the text and language for insertion
         // Trim whitespace and limit length to prevent abuse
-        const text = body.text.trim().substring(0, 10000); // Max 10,000 characters
+        const rawText = body.text.trim().substring(0, 10000); // Max 10,000 characters
         const language = body.language.trim().substring(0, 50); // Max 50 characters for language code
-        const personId = body.personId || 'default'; // Get person_id from request, default to 'default'
+        const text = normalizeTranscript(rawText, language);
+
+        // Optional: the photo this memory is about - only one of the person's own
+        const photoId = body.photoId === undefined || body.photoId === null ? null : parseInt(body.photoId);
+        if (photoId !== null && !(await findPhoto(env, photoId, personId))) {
+            return new Response(
+                JSON.stringify({ success: false, error: `Photo ${body.photoId} not found` }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
 
         // Insert into D1 database
-        // The database table should be named 'grandma_memories' with columns:
-        // - id (INTEGER PRIMARY KEY AUTOINCREMENT)
-        // - text (TEXT)
-        // - language (TEXT)
-        // - timestamp (TEXT)
-        // - person_id (TEXT)
+        // The grandma_memories table is created by the schema migrations (see MIGRATIONS)
         try {
-            // Create table with person_id if it doesn't exist
-            await env.DB.prepare(`
-                CREATE TABLE IF NOT EXISTS grandma_memories (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    text TEXT,
-                    language TEXT,
-                    timestamp TEXT,
-                    person_id TEXT
-                )
-            `).run();
-
             const result = await env.DB.prepare(
-                `INSERT INTO grandma_memories (text, language, timestamp, person_id) 
-                 VALUES (?, ?, ?, ?)`
+                `INSERT INTO grandma_memories (text, language, timestamp, person_id, raw_text, photo_id) 
+                 VALUES (?, ?, ?, ?, ?, ?)`
             )
-            .bind(text, language, timestamp, personId)
+            .bind(text, language, timestamp, personId, rawText, photoId)
             .run();
 
             // Check if insertion was successful
             if (result.success) {
+                await saveFacts(env, personId, 'grandma_memories', result.meta.last_row_id, text);
+                await saveTimelineEvents(env, personId, 'grandma_memories', result.meta.last_row_id, text);
+                await saveFamilyMentions(env, personId, 'grandma_memories', result.meta.last_row_id, text);
+                await recordChapterCoverage(env, personId, detectChapters(text));
+
                 return new Response(
                     JSON.stringify({ 
                         success: true,
@@ -274,13 +1117,18 @@ function handleCORS() {
 /**
  * Handles the POST /chat endpoint
  * Provides conversational AI for natural conversations with follow-up questions
- * Uses free Hugging Face Inference API
+ * Uses the LLM providers configured in LLM_PROVIDERS (Hugging Face by default)
+ * 
+ * With "stream": true in the body the reply comes back as server-sent events instead of JSON:
+ * 'status', 'token' and 'reset' events while it is generated (see generateChatReply), then a
+ * 'done' event with the same fields as the JSON response, once the turn has been saved
  * 
  * @param {Request} request - The incoming POST request with user message
  * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context (keeps a streamed reply running until it is saved)
  * @returns {Promise<Response>} AI response
  */
-async function handleChat(request, env) {
+async function handleChat(request, env, ctx) {
     try {
         // Parse request body
         let body;
@@ -293,337 +1141,157 @@ async function handleChat(request, env) {
             );
         }
 
-        const { message, language = 'en-US', sessionId, conversationHistory = [], personId } = body;
+        const { message: rawMessage, language = 'en-US', sessionId } = body;
 
-        if (!message || typeof message !== 'string') {
+        if (!rawMessage || typeof rawMessage !== 'string') {
             return new Response(
                 JSON.stringify({ success: false, error: 'Missing message' }),
                 { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
             );
         }
 
-        // Build conversation history for context - use actual conversation words
-        const recentHistory = conversationHistory.slice(-7);
-        
-        // Build rich context from actual conversation history
-        let conversationContext = '';
-        if (recentHistory.length > 0) {
-            conversationContext = recentHistory.map(h => 
-                `Human: ${h.user}\nAI: ${h.ai}`
-            ).join('\n\n') + '\n\n';
+        // Everything below (prompt, facts, coverage, search) works on the normalized text
+        const message = normalizeTranscript(rawMessage, language);
+
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
         }
+
+        // The person always comes from the invite token, never from the request body
+        const auth = await authenticateInvite(request, env);
+        if (auth.error) {
+            return inviteErrorResponse(auth);
+        }
+        const finalPersonId = auth.person.id;
+
+        // Build conversation history for context from what is stored in D1, not from the client
+        // Uses the person's latest turns across sessions, so a reload or a new device keeps the thread
+        const recentTurns = await loadRecentTurns(env, finalPersonId, 7);
+        const recentHistory = recentTurns.map(turn => ({ user: turn.user_message, ai: turn.ai_response }));
+
+        // Facts learned in earlier sessions, so the interviewer doesn't ask for them again
+        const knownFacts = await loadRelevantFacts(env, finalPersonId, message, 8);
+
+        // Sessions started from a photo stay on the photo (see handleAdminStartPhotoSession)
+        const photoSession = await getPhotoSession(env, sessionId, finalPersonId);
+
+        // Life-story curriculum: once the thread runs dry, move on to the chapters covered least
+        const coverage = await loadChapterCoverage(env, finalPersonId);
+        const steering = !photoSession && isThreadDry(message, recentTurns) ? chooseChapterQuestion(coverage, language) : null;
         
-        // Enhanced system prompt that uses actual conversation context
-        const systemPrompt = language === 'ur-PK' 
-            ? `آپ ایک دوستانہ، متجسس انسان ہیں جو واقعی سننا چاہتا ہے۔ قدرتی طور پر بات کریں۔ اگر کوئی سوال پوچھے تو براہ راست جواب دیں۔ اگر کوئی کہانی یا واقعہ بتائے تو اس کے الفاظ استعمال کرتے ہوئے متعلقہ سوالات پوچھیں۔ گفتگو کے الفاظ اور موضوعات کو استعمال کریں۔`
-            : `You are a friendly, curious person who genuinely wants to listen. Speak naturally. If someone asks a question, answer it directly. If someone shares a story or experience, ask relevant follow-up questions using the actual words and topics from the conversation. Use the specific words and phrases they used. Be conversational and natural - respond to what they actually said, not with generic phrases.`;
-
-        // Use Hugging Face Inference API (FREE, no API key needed for basic models)
-        // Using better conversational models - try multiple options for best quality
-        // Priority: Try simpler, more reliable models first
-        const modelOptions = [
-            'microsoft/DialoGPT-medium',         // Most reliable, works without auth
-            'microsoft/DialoGPT-large',          // Larger version
-            'facebook/blenderbot-400M-distill',  // May need different format
-            'gpt2'                                // Simple text generation as last resort
-        ];
-        
-        let aiResponse = '';
-        let lastError = null;
+        // Prompts and fallback phrases come from the language registry (languages.js)
+        const lang = getLanguage(language);
+        let systemPrompt = lang.prompts.system + buildFactsPrompt(knownFacts, auth.person.display_name, language);
+        if (photoSession) {
+            systemPrompt += buildPhotoPrompt(photoSession, auth.person.display_name, language);
+        }
+        if (steering) {
+            systemPrompt += fillTemplate(lang.prompts.steer, { question: steering.question });
+        }
+
+        // Generates, saves and returns the reply - streamed as it is written if the client asked
+        // for it (stream: true), as one JSON response otherwise
+        const reply = async (send = null) => {
+            // Ask the configured LLM providers (see LLM_PROVIDERS) in fallback order
+            // enhanceAIResponse rejects generic replies so the next provider gets a chance
+            const generated = await generateChatReply(
+                env,
+                { system: systemPrompt, history: recentHistory, message, language },
+                text => enhanceAIResponse(text, message, language, recentHistory),
+                send
+            );
+            let aiResponse = generated.text;
+            let askedQuestion = aiResponse ? steering : null;
+            if (generated.provider) {
+                console.log(`Using response from provider ${generated.provider}`);
+            } else {
+                console.log('All LLM providers failed:', generated.errors);
+            }
         
-        // Try models in order of quality
-        for (const modelName of modelOptions) {
-            try {
-                // Build request body based on model type
-                let requestBody;
-                if (modelName === 'gpt2') {
-                    // GPT-2 uses simple text generation format
-                    const conversationText = recentHistory.map(h => `Human: ${h.user}\nAI: ${h.ai}`).join('\n\n') + `\n\nHuman: ${message}\nAI:`;
-                    requestBody = {
-                        inputs: conversationText,
-                        parameters: {
-                            max_new_tokens: 60,
-                            temperature: 0.7,
-                            return_full_text: false
-                        }
-                    };
-                } else {
-                    // Conversational models use dialogue format
-                    requestBody = {
-                        inputs: {
-                            past_user_inputs: recentHistory.map(m => m.user).slice(-5),
-                            generated_responses: recentHistory.map(m => m.ai).slice(-5),
-                            text: message
-                        }
-                    };
-                }
-                
-                const response = await fetch(`https://api-inference.huggingface.co/models/${modelName}`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify(requestBody)
-                });
-
-                if (response.ok) {
-                    const result = await response.json();
-                    
-                    // Log the raw response for debugging
-                    console.log(`Model ${modelName} response:`, JSON.stringify(result).substring(0, 200));
-                    
-                    // Try multiple possible response formats
-                    let rawResponse = '';
-                    
-                    // Format 1: Direct generated_text
-                    if (result.generated_text) {
-                        rawResponse = result.generated_text;
-                    }
-                    // Format 2: Array with generated_text
-                    else if (Array.isArray(result) && result[0]?.generated_text) {
-                        rawResponse = result[0].generated_text;
-                    }
-                    // Format 3: Array with text property
-                    else if (Array.isArray(result) && result[0]?.text) {
-                        rawResponse = result[0].text;
-                    }
-                    // Format 4: Direct text property
-                    else if (result.text) {
-                        rawResponse = result.text;
-                    }
-                    // Format 5: Conversational model format
-                    else if (result.conversation?.generated_responses && result.conversation.generated_responses.length > 0) {
-                        rawResponse = result.conversation.generated_responses[result.conversation.generated_responses.length - 1];
-                    }
-                    // Format 6: Check if it's a string directly
-                    else if (typeof result === 'string') {
-                        rawResponse = result;
-                    }
-                    // Format 7: GPT-2 style (array with generated_text)
-                    else if (Array.isArray(result) && result.length > 0) {
-                        if (result[0]?.generated_text) {
-                            rawResponse = result[0].generated_text;
-                            // Extract just the AI part if it contains "AI:"
-                            if (rawResponse.includes('AI:')) {
-                                rawResponse = rawResponse.split('AI:').pop().trim();
-                            }
-                        }
-                    }
-                    
-                    // Clean and check response
-                    rawResponse = rawResponse ? String(rawResponse).trim() : '';
-                    
-                    // Remove any leading/trailing quotes or punctuation artifacts
-                    rawResponse = rawResponse.replace(/^["'`]+|["'`]+$/g, '').trim();
-                    
-                    console.log(`Extracted response from ${modelName}:`, rawResponse.substring(0, 100));
-                    
-                    // Check if we got a valid response (at least 3 characters, not just punctuation)
-                    if (rawResponse && rawResponse.length > 3 && rawResponse.match(/[a-zA-Z\u0600-\u06FF]/)) {
-                        // Post-process to ensure quality responses
-                        const enhanced = enhanceAIResponse(rawResponse, message, language, conversationHistory);
-                        if (enhanced) {
-                            aiResponse = enhanced;
-                            console.log(`Using response from ${modelName}`);
-                            break; // Success, stop trying other models
-                        } else {
-                            console.log(`Model ${modelName} response was filtered out (generic), trying next...`);
-                        }
-                    } else {
-                        console.log(`Model ${modelName} returned empty/invalid response (${rawResponse.length} chars), trying next...`);
-                    }
-                } else if (response.status === 503) {
-                    // Model is loading, try next one
-                    const errorData = await response.json().catch(() => ({}));
-                    console.log(`Model ${modelName} is loading (503), trying next...`);
-                    continue;
-                } else {
-                    // Other error, try next model
-                    const errorText = await response.text().catch(() => '');
-                    console.log(`Model ${modelName} error (${response.status}):`, errorText.substring(0, 200));
-                    lastError = `HTTP ${response.status}`;
-                    continue;
-                }
-            } catch (error) {
-                console.log(`Error with model ${modelName}:`, error.message);
-                lastError = error.message;
-                continue; // Try next model
-            }
-        }
-        
-        // If all conversational models failed, try a simple text generation model
-        if (!aiResponse || aiResponse.trim().length < 3) {
-            console.log('All conversational models failed, trying text generation model...');
-            
-            try {
-                // Try a simple text generation model with better prompt
-                const conversationText = recentHistory.map(h => `Human: ${h.user}\nAI: ${h.ai}`).join('\n\n') + `\n\nHuman: ${message}\nAI:`;
-                
-                const textGenResponse = await fetch('https://api-inference.huggingface.co/models/gpt2', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        inputs: conversationText,
-                        parameters: {
-                            max_new_tokens: 50,
-                            temperature: 0.8,
-                            return_full_text: false
-                        }
-                    })
-                });
-                
-                if (textGenResponse.ok) {
-                    const textGenResult = await textGenResponse.json();
-                    let genText = '';
-                    
-                    if (textGenResult[0]?.generated_text) {
-                        genText = textGenResult[0].generated_text;
-                    } else if (typeof textGenResult === 'string') {
-                        genText = textGenResult;
-                    }
-                    
-                    // Extract just the AI part (after "AI:")
-                    const aiPart = genText.split('AI:').pop() || genText;
-                    const cleaned = aiPart.split('\n')[0].trim();
-                    
-                    if (cleaned && cleaned.length > 5) {
-                        aiResponse = enhanceAIResponse(cleaned, message, language, conversationHistory);
-                        console.log('Got response from GPT-2 fallback');
-                    }
-                }
-            } catch (fallbackError) {
-                console.log('Text generation fallback also failed:', fallbackError.message);
-            }
-        }
-        
-        // If still no response, generate contextual response based on conversation
-        if (!aiResponse || aiResponse.trim().length < 3) {
-            console.log('All AI models failed, generating contextual response from conversation');
+            // If still no response, generate contextual response based on conversation
+            if (!aiResponse || aiResponse.trim().length < 3) {
+                console.log('All AI models failed, generating contextual response from conversation');
             
-            // Generate a contextual response based on what the user actually said
-            const lowerMessage = message.toLowerCase();
+                // Generate a contextual response based on what the user actually said
+                const lowerMessage = message.toLowerCase();
             
-            // Handle specific questions naturally
-            if (lowerMessage.includes('hear') || lowerMessage.includes('there') || lowerMessage.includes('can you')) {
-                aiResponse = language === 'ur-PK'
-                    ? 'جی ہاں، میں آپ کو سن رہا ہوں! آپ کیا کہنا چاہتے ہیں؟'
-                    : 'Yes, I can hear you! What would you like to tell me?';
-            } else if (lowerMessage.includes('hello') || lowerMessage.includes('hi') || lowerMessage.includes('hey')) {
-                aiResponse = language === 'ur-PK'
-                    ? 'ہیلو! آپ سے مل کر خوشی ہوئی۔ آپ مجھے اپنے بارے میں کچھ بتائیں۔'
-                    : 'Hello! Nice to meet you. Tell me about yourself.';
-            } else if (lowerMessage.includes('name')) {
-                const nameMatch = message.match(/(?:my name is|i'm|i am|میرا نام)\s+(\w+)/i);
-                const name = nameMatch ? nameMatch[1] : '';
-                aiResponse = language === 'ur-PK'
-                    ? name ? `آپ سے مل کر بہت خوشی ہوئی، ${name}! آپ کہاں رہتے ہیں؟` : 'آپ سے مل کر خوشی ہوئی! آپ کا نام کیا ہے؟'
-                    : name ? `Nice to meet you, ${name}! Where are you from?` : 'Nice to meet you! What\'s your name?';
-            } else {
-                // Use conversation context to generate a follow-up question
-                const lastTopic = recentHistory.length > 0 ? recentHistory[recentHistory.length - 1].user.toLowerCase() : '';
-                
-                if (lastTopic.includes('childhood') || lastTopic.includes('grew up')) {
-                    aiResponse = language === 'ur-PK'
-                        ? 'آپ کے بچپن کے بارے میں مزید بتائیں؟'
-                        : 'Tell me more about your childhood?';
-                } else if (lastTopic.includes('family') || lastTopic.includes('parent')) {
-                    aiResponse = language === 'ur-PK'
-                        ? 'آپ کے خاندان کے بارے میں مزید بتائیں؟'
-                        : 'Tell me more about your family?';
-                } else if (lastTopic.includes('work') || lastTopic.includes('job')) {
-                    aiResponse = language === 'ur-PK'
-                        ? 'آپ کے کام کے بارے میں مزید بتائیں؟'
-                        : 'Tell me more about your work?';
+                // Handle specific questions naturally
+                if (lowerMessage.includes('hear') || lowerMessage.includes('there') || lowerMessage.includes('can you')) {
+                    aiResponse = lang.phrases.canHear;
+                } else if (lowerMessage.includes('hello') || lowerMessage.includes('hi') || lowerMessage.includes('hey')) {
+                    aiResponse = lang.phrases.hello;
+                } else if (lowerMessage.includes('name')) {
+                    const nameMatch = message.match(/(?:my name is|i'm|i am|میرا نام)\s+(\w+)/i);
+                    const name = nameMatch ? nameMatch[1] : '';
+                    aiResponse = name ? fillTemplate(lang.phrases.niceToMeetName, { name }) : lang.phrases.askName;
                 } else {
-                    // Generate varied responses based on what was actually said
-                    const messageWords = message.toLowerCase().split(/\s+/);
-                    const hasQuestion = message.includes('?');
-                    
-                    if (hasQuestion) {
-                        // If they asked a question, acknowledge and ask them to elaborate
-                        aiResponse = language === 'ur-PK'
-                            ? 'یہ اچھا سوال ہے! آپ اس کے بارے میں کیا سوچتے ہیں؟'
-                            : 'That\'s a good question! What do you think about that?';
-                    } else if (messageWords.length < 5) {
-                        // Short statement - ask for more details
-                        aiResponse = language === 'ur-PK'
-                            ? 'وہ کیسا تھا؟'
-                            : 'What was that like?';
+                    // Use conversation context to pick a follow-up question from the question bank:
+                    // the next chapter if the thread has run dry, otherwise the chapter being talked about
+                    const lastTopic = recentHistory.length > 0 ? recentHistory[recentHistory.length - 1].user : '';
+                    const currentChapter = detectChapters(message)[0] || detectChapters(lastTopic)[0];
+                
+                    if (steering || currentChapter) {
+                        askedQuestion = steering || chooseChapterQuestion(coverage, language, currentChapter);
+                        aiResponse = askedQuestion.question;
                     } else {
-                        // Longer statement - acknowledge and continue conversation naturally
-                        aiResponse = language === 'ur-PK'
-                            ? 'یہ بہت دلچسپ ہے! پھر کیا ہوا؟'
-                            : 'That\'s interesting! What happened next?';
+                        // Generate varied responses based on what was actually said
+                        const messageWords = message.toLowerCase().split(/\s+/);
+                        const hasQuestion = message.includes('?');
+                    
+                        if (hasQuestion) {
+                            // If they asked a question, acknowledge and ask them to elaborate
+                            aiResponse = lang.phrases.goodQuestion;
+                        } else if (messageWords.length < 5) {
+                            // Short statement - ask for more details
+                            aiResponse = lang.phrases.whatWasThatLike;
+                        } else {
+                            // Longer statement - acknowledge and continue conversation naturally
+                            aiResponse = lang.phrases.whatHappenedNext;
+                        }
                     }
                 }
             }
-        }
 
             // Save conversation to database
             const timestamp = new Date().toISOString();
             const session = sessionId || `session_${Date.now()}`;
-            
+            let conversationId = null;
+        
             if (env.DB) {
                 try {
-                    // Create conversations table if it doesn't exist
-                    await env.DB.prepare(`
-                        CREATE TABLE IF NOT EXISTS conversations (
-                            id INTEGER PRIMARY KEY AUTOINCREMENT,
-                            session_id TEXT,
-                            user_message TEXT,
-                            ai_response TEXT,
-                            language TEXT,
-                            timestamp TEXT,
-                            context TEXT,
-                            person_id TEXT
-                        )
-                    `).run();
-
-                    // Migration: Add person_id column if it doesn't exist (for existing tables)
-                    try {
-                        // Check if person_id column exists by trying to query it
-                        await env.DB.prepare('SELECT person_id FROM conversations LIMIT 1').first();
-                    } catch (colError) {
-                        // Column doesn't exist, add it
-                        if (colError.message && colError.message.includes('no such column')) {
-                            console.log('Adding person_id column to existing conversations table...');
-                            await env.DB.prepare('ALTER TABLE conversations ADD COLUMN person_id TEXT').run();
-                            console.log('person_id column added successfully');
-                        } else {
-                            // Table might not exist yet, that's okay
-                            console.log('Table might not exist yet, will be created with person_id column');
-                        }
-                    }
-
                     // Save this conversation with person_id
-                    const finalPersonId = (personId && personId !== 'default' && personId.trim() !== '') ? personId : 'default';
-                    
                     console.log('Attempting to save conversation:', {
-                        personId: personId,
-                        finalPersonId: finalPersonId,
+                        personId: finalPersonId,
                         message: message.substring(0, 50),
                         hasDB: !!env.DB
                     });
-                    
+                
                     const insertResult = await env.DB.prepare(`
-                        INSERT INTO conversations (session_id, user_message, ai_response, language, timestamp, context, person_id)
-                        VALUES (?, ?, ?, ?, ?, ?, ?)
-                    `).bind(session, message, aiResponse, language, timestamp, JSON.stringify(conversationHistory), finalPersonId).run();
-                    
+                        INSERT INTO conversations (session_id, user_message, ai_response, language, timestamp, context, person_id, raw_user_message, photo_id)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    `).bind(session, message, aiResponse, language, timestamp, buildTurnContext(recentTurns), finalPersonId, rawMessage, photoSession?.photo_id ?? null).run();
+                
                     console.log('Conversation saved successfully:', {
                         success: insertResult.success,
                         meta: insertResult.meta,
                         personId: finalPersonId,
                         rowId: insertResult.meta?.last_row_id
                     });
+
+                    conversationId = insertResult.meta?.last_row_id ?? null;
+                    await saveFacts(env, finalPersonId, 'conversations', conversationId, message);
+                    await saveTimelineEvents(env, finalPersonId, 'conversations', conversationId, message);
+                    await saveFamilyMentions(env, finalPersonId, 'conversations', conversationId, message);
+                    await recordChapterCoverage(env, finalPersonId, detectChapters(message), askedQuestion?.chapter);
                 } catch (dbError) {
                     console.error('ERROR saving conversation:', dbError);
                     console.error('DB Error details:', {
                         message: dbError.message,
                         stack: dbError.stack,
-                        personId: personId,
+                        personId: finalPersonId,
                         hasDB: !!env.DB,
                         errorType: dbError.constructor.name
                     });
@@ -633,13 +1301,24 @@ async function handleChat(request, env) {
                 console.error('Database not available! env.DB is:', env.DB);
             }
 
-        return new Response(
-            JSON.stringify({
+            return {
                 success: true,
                 response: aiResponse,
+                provider: generated.provider || 'fallback',
+                chapter: askedQuestion ? askedQuestion.chapter : null,
                 sessionId: session,
+                photoId: photoSession?.photo_id ?? null,
+                conversationId,
                 timestamp
-            }),
+            };
+        };
+
+        if (body.stream === true) {
+            return serverSentEventsResponse(reply, ctx);
+        }
+
+        return new Response(
+            JSON.stringify(await reply()),
             {
                 status: 200,
                 headers: {
@@ -657,6 +1336,77 @@ async function handleChat(request, env) {
     }
 }
 
+/**
+ * Streams the result of produce(send) as server-sent events
+ * produce can call send(event, data) for progress events along the way; what it returns is
+ * sent as the final 'done' event. If it throws, an 'error' event is sent instead.
+ * 
+ * @param {Function} produce - async (send) => result
+ * @param {Object} ctx - Execution context; produce is passed to ctx.waitUntil so the runtime
+ *   doesn't cancel it once the response has been returned
+ * @returns {Response} A text/event-stream response, returned before produce has finished
+ */
+function serverSentEventsResponse(produce, ctx) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+
+    // A client that went away makes the writes fail - the work still finishes and gets saved,
+    // because the producer is kept alive with ctx.waitUntil below
+    const send = (event, data) => writer
+        .write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`))
+        .catch(() => {});
+
+    ctx.waitUntil((async () => {
+        try {
+            await send('done', await produce(send));
+        } catch (error) {
+            console.error('Error while streaming a response:', error);
+            await send('error', { success: false, error: 'Internal server error' });
+        } finally {
+            await writer.close().catch(() => {});
+        }
+    })());
+
+    return new Response(readable, {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            ...getCORSHeaders()
+        }
+    });
+}
+
+/**
+ * Loads a person's most recent conversation turns, oldest first
+ * 
+ * @param {Object} env - Environment variables (must include DB binding)
+ * @param {string} personId - Person the turns belong to
+ * @param {number} limit - How many turns to return
+ * @returns {Promise<Array<{id: number, user_message: string, ai_response: string}>>}
+ */
+async function loadRecentTurns(env, personId, limit) {
+    const result = await env.DB.prepare(`
+        SELECT id, user_message, ai_response
+        FROM conversations
+        WHERE person_id = ? AND deleted_at IS NULL
+        ORDER BY timestamp DESC, id DESC
+        LIMIT ?
+    `).bind(personId, limit).all();
+
+    return (result.results || []).reverse();
+}
+
+/**
+ * Builds the value stored in a turn's context column
+ * Only the ids of the turns the prompt was built from are kept - the text already
+ * lives in those rows, so storing it again would grow the table quadratically
+ */
+function buildTurnContext(turns) {
+    return JSON.stringify({ turnIds: turns.map(turn => turn.id) });
+}
+
 /**
  * Minimal enhancement - only clean up the AI response, don't add hard-coded text
  * Trust the AI model to generate appropriate responses
@@ -689,181 +1439,673 @@ function enhanceAIResponse(rawResponse, userMessage, language, history) {
     return response;
 }
 
-// Removed hard-coded response generators - let the AI model handle everything based on conversation context
-
 /**
- * Handles GET /conversations endpoint
- * Retrieves conversation history
+ * LLM providers for /chat
+ * 
+ * Which providers are used, and in which order, comes from the LLM_PROVIDERS
+ * environment variable (comma separated, e.g. "openai,workers-ai,huggingface").
+ * If one provider fails, times out or gives an unusable reply, the next one is tried.
+ * 
+ * Every provider takes the same prompt - { system, history: [{ user, ai }], message, language }
+ * - and returns the reply text, or throws. Per-provider settings can be overridden with
+ * <PREFIX>_TIMEOUT_MS and <PREFIX>_RETRIES (e.g. OPENAI_TIMEOUT_MS=30000, HF_RETRIES=0).
+ * 
+ * When /chat streams its reply, generate() also gets { status, token } callbacks: providers
+ * that can stream pass each piece of text to token() as it arrives, and status() reports
+ * progress worth showing to the user (e.g. a Hugging Face model that is still loading).
+ * 
+ * Providers with followsInstructions can also write biographies (see getBiographyProviders);
+ * the Hugging Face chat models only make small talk.
  */
-async function handleGetConversations(request, env) {
-    try {
-        if (!env.DB) {
-            return new Response(
-                JSON.stringify({ success: false, error: 'Database not configured' }),
-                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
-            );
-        }
+const LLM_PROVIDERS = {
+    // Any server that speaks the OpenAI chat-completions API:
+    // OpenAI itself, a local llama.cpp server, Ollama (http://localhost:11434/v1), etc.
+    openai: {
+        envPrefix: 'OPENAI',
+        followsInstructions: true,
+        timeoutMs: 20000,
+        retries: 1,
+        isConfigured: env => !!env.OPENAI_BASE_URL,
+        generate: async (env, prompt, signal, events) => {
+            const headers = { 'Content-Type': 'application/json' };
+            if (env.OPENAI_API_KEY) {
+                headers['Authorization'] = `Bearer ${env.OPENAI_API_KEY}`;
+            }
 
-        const url = new URL(request.url);
-        const sessionId = url.searchParams.get('sessionId');
-        const personId = url.searchParams.get('personId');
-        const limit = parseInt(url.searchParams.get('limit') || '100');
+            const response = await fetch(`${env.OPENAI_BASE_URL.replace(/\/+$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers: headers,
+                signal: signal,
+                body: JSON.stringify({
+                    model: env.OPENAI_MODEL || 'gpt-4o-mini',
+                    messages: buildChatMessages(prompt),
+                    max_tokens: prompt.maxTokens || 150,
+                    temperature: 0.7,
+                    stream: !!events
+                })
+            });
 
-        // Check if person_id column exists
-        let hasPersonIdColumn = false;
-        try {
-            await env.DB.prepare('SELECT person_id FROM conversations LIMIT 1').first();
-            hasPersonIdColumn = true;
-        } catch (colError) {
-            // Column doesn't exist yet - old table structure
-            hasPersonIdColumn = false;
-        }
+            if (!response.ok) {
+                throw providerHttpError(response.status, await response.text().catch(() => ''));
+            }
 
-        let query = 'SELECT * FROM conversations';
-        let params = [];
-        let conditions = [];
+            if (events) {
+                return readStreamedText(response.body, chunk => chunk.choices?.[0]?.delta?.content, events.token);
+            }
 
-        if (sessionId) {
-            conditions.push('session_id = ?');
-            params.push(sessionId);
+            const result = await response.json();
+            return result.choices?.[0]?.message?.content || '';
         }
+    },
 
-        if (personId && hasPersonIdColumn) {
-            conditions.push('person_id = ?');
-            params.push(personId);
+    // Cloudflare Workers AI - needs the "ai" binding in wrangler.jsonc
+    'workers-ai': {
+        envPrefix: 'WORKERS_AI',
+        followsInstructions: true,
+        timeoutMs: 15000,
+        retries: 1,
+        isConfigured: env => !!env.AI,
+        generate: async (env, prompt, signal, events) => {
+            const result = await env.AI.run(env.WORKERS_AI_MODEL || '@cf/meta/llama-3.1-8b-instruct', {
+                messages: buildChatMessages(prompt),
+                max_tokens: prompt.maxTokens || 150,
+                stream: !!events
+            });
+            if (events) {
+                return readStreamedText(result, chunk => chunk.response, events.token);
+            }
+            return result?.response || '';
         }
+    },
 
-        if (conditions.length > 0) {
-            query += ' WHERE ' + conditions.join(' AND ');
+    // Hugging Face Inference API - works without a token for public models (rate limited)
+    // Tries each model in HF_MODELS in order
+    huggingface: {
+        envPrefix: 'HF',
+        timeoutMs: 15000,
+        retries: 0,
+        isConfigured: () => true,
+        generate: async (env, prompt, signal, events) => {
+            const models = env.HF_MODELS
+                ? env.HF_MODELS.split(',').map(model => model.trim()).filter(Boolean)
+                : HF_DEFAULT_MODELS;
+            const headers = { 'Content-Type': 'application/json' };
+            if (env.HF_API_TOKEN) {
+                headers['Authorization'] = `Bearer ${env.HF_API_TOKEN}`;
+            }
+
+            let lastError = null;
+            for (const [index, modelName] of models.entries()) {
+                if (index > 0) {
+                    events?.status({ stage: 'fallback', provider: 'huggingface', model: modelName });
+                }
+
+                const response = await fetch(`https://api-inference.huggingface.co/models/${modelName}`, {
+                    method: 'POST',
+                    headers: headers,
+                    signal: signal,
+                    body: JSON.stringify(buildHuggingFaceRequest(modelName, prompt))
+                });
+
+                if (!response.ok) {
+                    // 503 means the model is still loading - try the next one
+                    const errorBody = await response.text().catch(() => '');
+                    lastError = providerHttpError(response.status, errorBody);
+                    console.log(`Model ${modelName} error (${response.status}), trying next...`);
+                    if (response.status === 503) {
+                        const estimatedTime = parseFloat(errorBody.match(/"estimated_time"\s*:\s*([\d.]+)/)?.[1]);
+                        events?.status({ stage: 'model-loading', provider: 'huggingface', model: modelName, estimatedTime: estimatedTime || null });
+                    }
+                    continue;
+                }
+
+                const text = extractHuggingFaceText(await response.json());
+                if (cleanModelText(text)) {
+                    console.log(`Using response from ${modelName}`);
+                    return text;
+                }
+                console.log(`Model ${modelName} returned empty/invalid response, trying next...`);
+            }
+
+            throw lastError || new Error('All Hugging Face models returned empty responses');
         }
+    },
 
-        query += ' ORDER BY timestamp DESC LIMIT ?';
-        params.push(limit);
+    // Deterministic replies for local development and tests - never calls the network
+    // MOCK_LLM_REPLY overrides the reply text
+    mock: {
+        envPrefix: 'MOCK',
+        followsInstructions: true,
+        timeoutMs: 1000,
+        retries: 0,
+        isConfigured: () => true,
+        generate: async (env, prompt, signal, events) => {
+            const reply = env.MOCK_LLM_REPLY || fillTemplate(getLanguage(prompt.language).phrases.youSaid, { message: prompt.message });
+            // Streams word by word, so clients can be tried against streamed replies offline
+            if (events) {
+                reply.split(/(?<=\s)/).forEach(events.token);
+            }
+            return reply;
+        }
+    }
+};
 
-        const result = await env.DB.prepare(query).bind(...params).all();
+// Conversational models first, gpt2 plain text generation as last resort
+const HF_DEFAULT_MODELS = [
+    'microsoft/DialoGPT-medium',
+    'microsoft/DialoGPT-large',
+    'facebook/blenderbot-400M-distill',
+    'gpt2'
+];
 
-        return new Response(
-            JSON.stringify({
-                success: true,
-                conversations: result.results || []
-            }),
-            {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...getCORSHeaders()
+/**
+ * Returns the configured providers in fallback order
+ * Defaults to Hugging Face only, which is what the app used before providers were configurable
+ */
+function getChatProviders(env) {
+    return resolveProviders(LLM_PROVIDERS, env.LLM_PROVIDERS || 'huggingface', 'LLM_PROVIDERS', env);
+}
+
+/**
+ * Picks providers from a registry by a comma separated list of names, skipping unknown
+ * and unconfigured ones
+ * 
+ * @param {Object} registry - Provider definitions keyed by name (e.g. LLM_PROVIDERS)
+ * @param {string} list - Names in fallback order, e.g. "openai,huggingface"
+ * @param {string} variable - Environment variable the list came from (for log messages)
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} Providers with their name added
+ */
+function resolveProviders(registry, list, variable, env) {
+    return list
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean)
+        .filter(name => {
+            if (!registry[name]) {
+                console.error(`Unknown provider "${name}" in ${variable} - skipping`);
+                return false;
+            }
+            return true;
+        })
+        .map(name => ({ name, ...registry[name] }))
+        .filter(provider => provider.isConfigured(env));
+}
+
+/**
+ * Generates a reply by trying each configured provider in order
+ * 
+ * With send, progress is reported as it happens: 'token' events carry the reply text as the
+ * provider streams it, 'status' events say what is taking the time (a model loading, a retry,
+ * a switch to the next provider), and 'reset' tells the client to throw away the text streamed
+ * so far because that reply failed or was rejected and another attempt follows.
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} prompt - { system, history: [{ user, ai }], message, language, maxTokens? }
+ * @param {Function} [accept] - Post-processes a reply; returning null rejects it and moves on
+ * @param {Function} [send] - (event, data) => void, see serverSentEventsResponse
+ * @returns {Promise<{text: string, provider: string|null, errors: string[]}>}
+ */
+async function generateChatReply(env, prompt, accept = text => text, send = null) {
+    let streamed = false;
+    const discardStreamed = () => {
+        if (streamed) {
+            streamed = false;
+            send('reset', {});
+        }
+    };
+
+    const result = await runWithFallback(
+        env,
+        getChatProviders(env),
+        (provider, signal) => provider.generate(env, prompt, signal, send && {
+            status: data => send('status', data),
+            // A provider that timed out may still be reading its stream - drop what it sends after
+            token: text => {
+                if (text && !signal.aborted) {
+                    streamed = true;
+                    send('token', { text });
                 }
             }
-        );
-    } catch (error) {
-        console.error('Error getting conversations:', error);
-        return new Response(
-            JSON.stringify({ success: false, error: 'Internal server error' }),
-            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
-        );
+        }),
+        raw => {
+            const cleaned = cleanModelText(raw);
+            return cleaned ? accept(cleaned) : null;
+        },
+        send && (status => {
+            discardStreamed();
+            send('status', status);
+        })
+    );
+
+    if (send && !result.value) {
+        discardStreamed();
     }
+
+    return { text: result.value || '', provider: result.provider, errors: result.errors };
 }
 
 /**
- * Handles GET /people endpoint
- * Returns list of all people/profiles in the database
+ * Reads a streamed model reply (server-sent events with a JSON chunk per data line, as sent
+ * by OpenAI-compatible servers and Workers AI) and passes each piece of text to onToken
+ * 
+ * @param {ReadableStream} body - The response body
+ * @param {Function} pick - Gets the text out of one parsed chunk
+ * @param {Function} onToken - Called with each piece of text
+ * @returns {Promise<string>} The whole reply
  */
-async function handleGetPeople(request, env) {
-    try {
-        if (!env.DB) {
-            return new Response(
-                JSON.stringify({ success: false, error: 'Database not configured' }),
-                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
-            );
+async function readStreamedText(body, pick, onToken) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    let text = '';
+
+    const readLine = line => {
+        const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+        if (!data || data === '[DONE]') {
+            return;
+        }
+        try {
+            const piece = pick(JSON.parse(data));
+            if (piece) {
+                text += piece;
+                onToken(piece);
+            }
+        } catch (error) {
+            console.warn('Skipping unreadable stream chunk:', data.substring(0, 100));
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        buffer += value;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(readLine);
+    }
+    readLine(buffer);
+
+    return text;
+}
+
+/**
+ * Calls each provider in turn until one gives an acceptable result
+ * Applies the provider's timeout and retries, overridable with <PREFIX>_TIMEOUT_MS and <PREFIX>_RETRIES
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Array<Object>} providers - From resolveProviders()
+ * @param {Function} call - (provider, signal) => Promise of the raw result
+ * @param {Function} accept - Turns a raw result into the value, or null to reject it and move on
+ * @param {Function} [onStatus] - Told about every retry ({ stage: 'retrying', provider, attempt })
+ *   and every switch to the next provider ({ stage: 'fallback', provider, previous })
+ * @returns {Promise<{value: *, provider: string|null, errors: string[]}>}
+ */
+async function runWithFallback(env, providers, call, accept, onStatus = null) {
+    const errors = [];
+
+    for (const [index, provider] of providers.entries()) {
+        if (index > 0) {
+            onStatus?.({ stage: 'fallback', provider: provider.name, previous: providers[index - 1].name });
         }
 
-        // Get unique people from conversations
-        const conversations = await env.DB.prepare(`
-            SELECT DISTINCT person_id 
-            FROM conversations 
-            WHERE person_id IS NOT NULL AND person_id != ''
-            ORDER BY person_id
-        `).all();
+        const timeoutMs = parseInt(env[`${provider.envPrefix}_TIMEOUT_MS`]) || provider.timeoutMs;
+        const retries = env[`${provider.envPrefix}_RETRIES`] !== undefined
+            ? parseInt(env[`${provider.envPrefix}_RETRIES`]) || 0
+            : provider.retries;
 
-        // Get unique people from memories
-        const memories = await env.DB.prepare(`
-            SELECT DISTINCT person_id 
-            FROM grandma_memories 
-            WHERE person_id IS NOT NULL AND person_id != ''
-            ORDER BY person_id
-        `).all();
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            try {
+                const raw = await withTimeout(signal => call(provider, signal), timeoutMs);
+                const accepted = accept(raw);
 
-        // Combine and deduplicate
-        const peopleSet = new Set();
-        (conversations.results || []).forEach(row => peopleSet.add(row.person_id));
-        (memories.results || []).forEach(row => peopleSet.add(row.person_id));
+                if (accepted) {
+                    return { value: accepted, provider: provider.name, errors };
+                }
 
-        const people = Array.from(peopleSet).map(id => ({ id, name: id }));
+                // An unusable result won't get better by asking the same provider again
+                errors.push(`${provider.name}: empty or unusable response`);
+                break;
+            } catch (error) {
+                errors.push(`${provider.name}: ${error.message}`);
+                console.log(`Provider ${provider.name} failed (attempt ${attempt + 1}/${retries + 1}):`, error.message);
 
-        return new Response(
-            JSON.stringify({
-                success: true,
-                people: people
-            }),
-            {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...getCORSHeaders()
+                if (error.retryable === false) {
+                    break;
+                }
+                if (attempt < retries) {
+                    await new Promise(resolve => setTimeout(resolve, 250 * (attempt + 1)));
+                    onStatus?.({ stage: 'retrying', provider: provider.name, attempt: attempt + 2 });
                 }
             }
-        );
-    } catch (error) {
-        console.error('Error getting people:', error);
-        return new Response(
-            JSON.stringify({ success: false, error: 'Internal server error' }),
-            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
-        );
+        }
     }
+
+    return { value: null, provider: null, errors };
 }
 
 /**
- * Verifies admin access using secret key
- * Set ADMIN_SECRET in Cloudflare Worker environment variables
+ * Runs fn(signal) and rejects if it takes longer than timeoutMs
+ * The signal is aborted on timeout so fetch() calls are cancelled too
  */
-function verifyAdminAccess(request, env) {
-    const url = new URL(request.url);
-    const providedSecret = url.searchParams.get('secret') || request.headers.get('X-Admin-Secret');
-    const adminSecret = env.ADMIN_SECRET || 'CHANGE_THIS_SECRET_KEY';
-    
-    if (!providedSecret || providedSecret !== adminSecret) {
-        return false;
+async function withTimeout(fn, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            const error = new Error(`Timed out after ${timeoutMs}ms`);
+            error.retryable = true;
+            reject(error);
+        }, timeoutMs);
+    });
+
+    try {
+        return await Promise.race([fn(controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
     }
-    return true;
 }
 
 /**
- * Handles GET /admin/data endpoint
- * Returns all conversation data (admin only)
+ * Error for a non-2xx provider response
+ * Rate limits and server errors are worth retrying, bad requests and auth errors are not
  */
-async function handleAdminGetData(request, env) {
-    // Verify admin access
-    const url = new URL(request.url);
-    const providedSecret = url.searchParams.get('secret');
-    const adminSecret = env.ADMIN_SECRET;
-    
-    if (!adminSecret) {
+function providerHttpError(status, body) {
+    const error = new Error(`HTTP ${status}${body ? `: ${body.substring(0, 200)}` : ''}`);
+    error.status = status;
+    error.retryable = status === 429 || status >= 500;
+    return error;
+}
+
+/**
+ * Builds an OpenAI-style messages array from a provider prompt
+ */
+function buildChatMessages(prompt) {
+    const messages = [];
+    if (prompt.system) {
+        messages.push({ role: 'system', content: prompt.system });
+    }
+    (prompt.history || []).forEach(turn => {
+        messages.push({ role: 'user', content: turn.user });
+        messages.push({ role: 'assistant', content: turn.ai });
+    });
+    messages.push({ role: 'user', content: prompt.message });
+    return messages;
+}
+
+/**
+ * Builds the request body for a Hugging Face model
+ * gpt2 is plain text generation, the others use the conversational input format
+ */
+function buildHuggingFaceRequest(modelName, prompt) {
+    const history = prompt.history || [];
+
+    if (modelName === 'gpt2') {
+        const conversationText = history.map(h => `Human: ${h.user}\nAI: ${h.ai}`).join('\n\n') + `\n\nHuman: ${prompt.message}\nAI:`;
+        return {
+            inputs: conversationText,
+            parameters: {
+                max_new_tokens: 60,
+                temperature: 0.7,
+                return_full_text: false
+            }
+        };
+    }
+
+    return {
+        inputs: {
+            past_user_inputs: history.map(m => m.user).slice(-5),
+            generated_responses: history.map(m => m.ai).slice(-5),
+            text: prompt.message
+        }
+    };
+}
+
+/**
+ * Pulls the generated text out of a Hugging Face response
+ * Handles the text-generation ([{ generated_text }]) and conversational
+ * ({ generated_text, conversation }) response shapes
+ */
+function extractHuggingFaceText(result) {
+    if (typeof result === 'string') {
+        return result;
+    }
+
+    const first = Array.isArray(result) ? result[0] : result;
+    let text = first?.generated_text || first?.text || '';
+
+    if (!text && result?.conversation?.generated_responses?.length > 0) {
+        const responses = result.conversation.generated_responses;
+        text = responses[responses.length - 1];
+    }
+
+    // Text generation models may continue the transcript - keep only the AI's first line
+    if (text.includes('AI:')) {
+        text = text.split('AI:').pop().split('\n')[0];
+    }
+
+    return text;
+}
+
+/**
+ * Trims quotes and artifacts from model output
+ * Returns '' unless there are at least a few real letters
+ */
+function cleanModelText(text) {
+    const cleaned = (text ? String(text) : '').trim().replace(/^["'`]+|["'`]+$/g, '').trim();
+    return cleaned.length > 3 && /\p{L}/u.test(cleaned) ? cleaned : '';
+}
+
+/**
+ * Speech-to-text providers for /transcribe
+ * 
+ * Used when the browser has no speech recognition, or its transcript comes back in the wrong
+ * script (iOS returns Devanagari for Urdu). Which providers are used, and in which order, comes
+ * from TRANSCRIBE_PROVIDERS (comma separated, default "workers-ai"); the fallback, timeout and
+ * retry handling is the same as for LLM_PROVIDERS.
+ * 
+ * Every provider gets { bytes: Uint8Array, contentType, language } and returns the transcript.
+ */
+const TRANSCRIPTION_PROVIDERS = {
+    // Any server that speaks the OpenAI audio-transcriptions API:
+    // OpenAI itself, faster-whisper-server, a local whisper.cpp server, etc.
+    whisper: {
+        envPrefix: 'WHISPER',
+        timeoutMs: 60000,
+        retries: 1,
+        isConfigured: env => !!env.WHISPER_BASE_URL,
+        transcribe: async (env, audio, signal) => {
+            const form = new FormData();
+            const extension = RECORDING_EXTENSIONS[audio.contentType] || 'webm';
+            form.append('file', new Blob([audio.bytes], { type: audio.contentType }), `utterance.${extension}`);
+            form.append('model', env.WHISPER_MODEL || 'whisper-1');
+            form.append('language', audio.language.split('-')[0]);
+            form.append('response_format', 'json');
+
+            const headers = {};
+            if (env.WHISPER_API_KEY) {
+                headers['Authorization'] = `Bearer ${env.WHISPER_API_KEY}`;
+            }
+
+            const response = await fetch(`${env.WHISPER_BASE_URL.replace(/\/+$/, '')}/audio/transcriptions`, {
+                method: 'POST',
+                headers: headers,
+                signal: signal,
+                body: form
+            });
+
+            if (!response.ok) {
+                throw providerHttpError(response.status, await response.text().catch(() => ''));
+            }
+
+            const result = await response.json();
+            return result.text || '';
+        }
+    },
+
+    // Cloudflare Workers AI - needs the "ai" binding in wrangler.jsonc
+    'workers-ai': {
+        envPrefix: 'WORKERS_AI_WHISPER',
+        timeoutMs: 30000,
+        retries: 1,
+        isConfigured: env => !!env.AI,
+        transcribe: async (env, audio) => {
+            const model = env.WORKERS_AI_WHISPER_MODEL || '@cf/openai/whisper-large-v3-turbo';
+            // The turbo model takes base64 audio and a language hint, the older whisper models a byte array
+            const input = model.includes('turbo')
+                ? { audio: base64Encode(audio.bytes), language: audio.language.split('-')[0] }
+                : { audio: [...audio.bytes] };
+            const result = await env.AI.run(model, input);
+            return result?.text || '';
+        }
+    },
+
+    // Fixture-based transcripts for development and tests - never calls out
+    // TRANSCRIBE_FIXTURES is a JSON object mapping the audio's SHA-256 (hex) to its transcript;
+    // unknown audio gets the language's entry in TRANSCRIBE_MOCK_FIXTURES
+    mock: {
+        envPrefix: 'MOCK_TRANSCRIBE',
+        timeoutMs: 1000,
+        retries: 0,
+        isConfigured: () => true,
+        transcribe: async (env, audio) => {
+            const fixtures = env.TRANSCRIBE_FIXTURES ? JSON.parse(env.TRANSCRIBE_FIXTURES) : {};
+            const digest = await crypto.subtle.digest('SHA-256', audio.bytes);
+            const hash = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+            return fixtures[hash] || TRANSCRIBE_MOCK_FIXTURES[audio.language] || TRANSCRIBE_MOCK_FIXTURES['en-US'];
+        }
+    }
+};
+
+const TRANSCRIBE_MOCK_FIXTURES = {
+    'en-US': 'I grew up in a small village near Lahore.',
+    'ur-PK': 'میں لاہور کے قریب ایک چھوٹے سے گاؤں میں پلی بڑھی۔'
+};
+
+/**
+ * Handles POST /transcribe endpoint
+ * Turns one recorded utterance into text for the person the invite token belongs to
+ * 
+ * The body is the raw audio (Content-Type audio/webm, audio/mp4, ...); ?language= picks the
+ * language (default en-US). Transcripts in the wrong script are rejected and the next
+ * provider is tried.
+ */
+async function handleTranscribe(request, env) {
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // Transcription costs money - only people with a valid invite can use it
+        const auth = await authenticateInvite(request, env);
+        if (auth.error) {
+            return inviteErrorResponse(auth);
+        }
+
+        const language = new URL(request.url).searchParams.get('language') || 'en-US';
+        const contentType = (request.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+        if (!contentType.startsWith('audio/')) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Content-Type must be an audio type, e.g. audio/webm' }),
+                { status: 415, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const bytes = new Uint8Array(await request.arrayBuffer());
+        if (bytes.byteLength === 0 || bytes.byteLength > MAX_RECORDING_BYTES) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: bytes.byteLength === 0 ? 'Empty recording' : `Recording too large (max ${MAX_RECORDING_BYTES} bytes)`
+                }),
+                { status: bytes.byteLength === 0 ? 400 : 413, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const providers = resolveProviders(TRANSCRIPTION_PROVIDERS, env.TRANSCRIBE_PROVIDERS || 'workers-ai', 'TRANSCRIBE_PROVIDERS', env);
+        if (providers.length === 0) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'No transcription provider configured. Set TRANSCRIBE_PROVIDERS (and WHISPER_BASE_URL or the AI binding).'
+                }),
+                { status: 503, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const audio = { bytes, contentType, language };
+        const expectedScript = findLanguage(language)?.script;
+        const result = await runWithFallback(
+            env,
+            providers,
+            (provider, signal) => provider.transcribe(env, audio, signal),
+            raw => {
+                const text = normalizeTranscript((raw || '').trim(), language);
+                const script = detectScript(text);
+                return text && !(expectedScript && script && script !== expectedScript) ? text : null;
+            }
+        );
+
+        if (!result.value) {
+            console.log('All transcription providers failed:', result.errors);
+            return new Response(
+                JSON.stringify({ success: false, error: 'Transcription failed', details: result.errors }),
+                { status: 502, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
         return new Response(
-            JSON.stringify({ 
-                success: false, 
-                error: 'Admin secret not configured. Please set ADMIN_SECRET in Cloudflare Worker environment variables.' 
+            JSON.stringify({
+                success: true,
+                text: result.value,
+                language: language,
+                script: detectScript(result.value),
+                provider: result.provider
             }),
-            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
         );
-    }
-    
-    if (!providedSecret || providedSecret !== adminSecret) {
+    } catch (error) {
+        console.error('Error transcribing:', error);
         return new Response(
-            JSON.stringify({ success: false, error: 'Unauthorized. Invalid secret key.' }),
-            { status: 401, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
         );
     }
+}
+
+/**
+ * Normalizes what a person said before it is stored or sent to the model
+ * Urdu heard by Hindi speech recognition arrives in Devanagari and is transliterated
+ * to Urdu script (see transliterate.js); other languages are kept as they are
+ * 
+ * @param {string} text - Transcript or typed text
+ * @param {string} language - Language code, e.g. 'ur-PK'
+ * @returns {string} The text to store
+ */
+function normalizeTranscript(text, language) {
+    return findLanguage(language)?.transliterate ? transliterateToUrdu(text) : text;
+}
+
+function base64Encode(bytes) {
+    let binary = '';
+    // Chunked - String.fromCharCode(...bytes) overflows the stack for long recordings
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
 
+/**
+ * Handles GET /conversations endpoint
+ * Retrieves conversation history for the person the invite token belongs to
+ * Any personId query parameter is ignored - people can only read their own transcripts
+ */
+async function handleGetConversations(request, env) {
     try {
         if (!env.DB) {
             return new Response(
@@ -872,76 +2114,36 @@ async function handleAdminGetData(request, env) {
             );
         }
 
+        const auth = await authenticateInvite(request, env);
+        if (auth.error) {
+            return inviteErrorResponse(auth);
+        }
+
         const url = new URL(request.url);
-        const personId = url.searchParams.get('personId'); // Optional: filter by person
+        const sessionId = url.searchParams.get('sessionId');
+        const limit = Math.min(parseInt(url.searchParams.get('limit') || '100') || 100, 500);
 
         let query = 'SELECT * FROM conversations';
         let params = [];
+        let conditions = ['person_id = ?', 'deleted_at IS NULL'];
+        params.push(auth.person.id);
 
-        if (personId) {
-            query += ' WHERE person_id = ?';
-            params.push(personId);
+        if (sessionId) {
+            conditions.push('session_id = ?');
+            params.push(sessionId);
         }
 
-        query += ' ORDER BY timestamp ASC';
-
-        let result;
-        try {
-            if (params.length > 0) {
-                result = await env.DB.prepare(query).bind(...params).all();
-            } else {
-                result = await env.DB.prepare(query).all();
-            }
-        } catch (dbError) {
-            // Table might not exist yet
-            console.error('Error querying conversations:', dbError);
-            result = { results: [] };
-        }
+        query += ' WHERE ' + conditions.join(' AND ');
 
-        // Also get saved memories
-        let memoriesQuery = 'SELECT * FROM grandma_memories';
-        let memoriesParams = [];
-        if (personId) {
-            memoriesQuery += ' WHERE person_id = ?';
-            memoriesParams.push(personId);
-        }
-        memoriesQuery += ' ORDER BY timestamp ASC';
-        
-        let memoriesResult;
-        try {
-            if (memoriesParams.length > 0) {
-                memoriesResult = await env.DB.prepare(memoriesQuery).bind(...memoriesParams).all();
-            } else {
-                memoriesResult = await env.DB.prepare(memoriesQuery).all();
-            }
-        } catch (dbError) {
-            // Table might not exist yet
-            console.error('Error querying memories:', dbError);
-            memoriesResult = { results: [] };
-        }
+        query += ' ORDER BY timestamp DESC LIMIT ?';
+        params.push(limit);
 
-        // Get all unique people (include 'default' and empty, but filter them out for display)
-        let people = [];
-        try {
-            // Check if person_id column exists first
-            await env.DB.prepare('SELECT person_id FROM conversations LIMIT 1').first();
-            // Column exists, query it
-            const peopleResult = await env.DB.prepare('SELECT DISTINCT person_id FROM conversations WHERE person_id IS NOT NULL AND person_id != \'\'').all();
-            people = peopleResult.results ? peopleResult.results.map(row => row.person_id) : [];
-        } catch (dbError) {
-            // Column doesn't exist yet or table doesn't exist
-            console.error('Error querying people (column may not exist):', dbError.message);
-            people = [];
-        }
+        const result = await env.DB.prepare(query).bind(...params).all();
 
         return new Response(
             JSON.stringify({
                 success: true,
-                conversations: result.results || [],
-                memories: memoriesResult.results || [],
-                people: people,
-                totalConversations: result.results?.length || 0,
-                totalMemories: memoriesResult.results?.length || 0
+                conversations: result.results || []
             }),
             {
                 status: 200,
@@ -952,41 +2154,61 @@ async function handleAdminGetData(request, env) {
             }
         );
     } catch (error) {
-        console.error('Error getting admin data:', error);
+        console.error('Error getting conversations:', error);
         return new Response(
-            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            JSON.stringify({ success: false, error: 'Internal server error' }),
             { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
         );
     }
 }
 
 /**
- * Handles POST /admin/analyze endpoint
- * Uses AI to analyze a person's conversations and generate summaries
+ * Handles GET /people and GET /admin/people endpoints
+ * Returns full profiles with conversation and memory counts (admin only)
  */
-async function handleAdminAnalyze(request, env) {
-    // Verify admin access
-    const body = await request.json().catch(() => ({}));
-    const providedSecret = body.secret || new URL(request.url).searchParams.get('secret') || request.headers.get('X-Admin-Secret');
-    const adminSecret = env.ADMIN_SECRET || 'CHANGE_THIS_SECRET_KEY';
-    
-    if (!providedSecret || providedSecret !== adminSecret) {
-        return new Response(
-            JSON.stringify({ success: false, error: 'Unauthorized. Provide secret in body or header' }),
-            { status: 401, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
-        );
+async function handleAdminGetPeople(request, env) {
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
     }
 
     try {
-        const { personId } = body;
-
-        if (!personId) {
+        if (!env.DB) {
             return new Response(
-                JSON.stringify({ success: false, error: 'personId required' }),
-                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
             );
         }
 
+        const people = (await listPeopleWithCounts(env)).filter(person => canAccessPerson(admin, person.id));
+
+        return new Response(
+            JSON.stringify({ success: true, people: people }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error getting admin people:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles POST /people and POST /admin/people endpoints
+ * Creates a new person profile (admin only)
+ * 
+ * Body: { personId?, name, birthYear?, preferredLanguage?, relationship? }
+ * If personId is omitted it is derived from the name (e.g. "Uncle Ahmed" -> "uncle-ahmed")
+ */
+async function handleCreatePerson(request, env) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
         if (!env.DB) {
             return new Response(
                 JSON.stringify({ success: false, error: 'Database not configured' }),
@@ -994,96 +2216,7733 @@ async function handleAdminAnalyze(request, env) {
             );
         }
 
-        // Get all conversations AND memories for this person
-        // Check if person_id column exists first
-        let conversationsResult;
-        let memoriesResult;
-        
-        try {
-            await env.DB.prepare('SELECT person_id FROM conversations LIMIT 1').first();
-            // Column exists, query with person_id filter
-            conversationsResult = await env.DB.prepare(
-                'SELECT * FROM conversations WHERE person_id = ? ORDER BY timestamp ASC'
-            ).bind(personId).all();
-        } catch (colError) {
-            // Column doesn't exist yet - return empty
-            console.log('person_id column does not exist yet, returning empty conversations');
-            conversationsResult = { results: [] };
-        }
-
-        // Get memories for this person (ensure table exists)
+        let body;
         try {
-            // Ensure grandma_memories table exists (older deployments might not have it)
-            await env.DB.prepare(`
-                CREATE TABLE IF NOT EXISTS grandma_memories (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    text TEXT,
-                    language TEXT,
-                    timestamp TEXT,
-                    person_id TEXT
-                )
-            `).run();
-
-            memoriesResult = await env.DB.prepare(
-                'SELECT * FROM grandma_memories WHERE person_id = ? ORDER BY timestamp ASC'
-            ).bind(personId).all();
-        } catch (memError) {
-            console.log('Error getting memories:', memError);
-            memoriesResult = { results: [] };
+            body = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Invalid JSON' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
         }
 
-        const conversations = conversationsResult.results || [];
-        const memories = memoriesResult.results || [];
+        const { fields, error } = parsePersonFields(body, false);
+        if (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: error }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
 
-        if (conversations.length === 0 && memories.length === 0) {
+        const personId = normalizePersonId(body.personId || fields.display_name);
+        if (!personId) {
             return new Response(
-                JSON.stringify({ success: false, error: 'No conversations or memories found for this person' }),
-                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+                JSON.stringify({ success: false, error: 'Invalid personId. Use letters, numbers and hyphens (e.g. "uncle-ahmed").' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
             );
         }
 
-        // Build comprehensive text for analysis - include both conversations and memories
-        const conversationText = conversations.map(conv => 
-            `[${new Date(conv.timestamp).toLocaleDateString()}] User: ${conv.user_message}\nAI: ${conv.ai_response}`
-        ).join('\n\n');
-        
-        const memoriesText = memories.map(mem => 
-            `[${new Date(mem.timestamp).toLocaleDateString()}] Memory: ${mem.text}`
-        ).join('\n\n');
-        
-        const allText = [
-            memoriesText && memoriesText.length > 0 ? `=== SAVED MEMORIES ===\n${memoriesText}` : '',
-            conversationText && conversationText.length > 0 ? `=== CONVERSATIONS ===\n${conversationText}` : ''
-        ].filter(Boolean).join('\n\n');
+        if (await getPerson(env, personId)) {
+            return new Response(
+                JSON.stringify({ success: false, error: `Person "${personId}" already exists` }),
+                { status: 409, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
 
-        // Generate comprehensive book-like analysis
-        const analysis = await generatePersonAnalysis(personId, conversations, memories, allText);
+        const now = new Date().toISOString();
+        await env.DB.prepare(`
+            INSERT INTO people (id, display_name, birth_year, preferred_language, relationship, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            personId,
+            fields.display_name,
+            fields.birth_year ?? null,
+            fields.preferred_language ?? null,
+            fields.relationship ?? null,
+            now,
+            now
+        ).run();
 
         return new Response(
-            JSON.stringify({
-                success: true,
-                personId: personId,
-                analysis: analysis,
-                stats: {
-                    totalConversations: conversations.length,
-                    totalMemories: memories.length,
-                    totalMessages: conversations.length * 2,
-                    dateRange: {
-                        first: conversations[0]?.timestamp || memories[0]?.timestamp,
-                        last: conversations[conversations.length - 1]?.timestamp || memories[memories.length - 1]?.timestamp
-                    }
-                }
-            }),
-            {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...getCORSHeaders()
+            JSON.stringify({ success: true, person: await getPerson(env, personId) }),
+            { status: 201, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error creating person:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles PATCH /people/:id and PATCH /admin/people/:id endpoints
+ * Updates profile fields of an existing person (admin only)
+ * The id itself never changes because it is part of every private link
+ */
+async function handleUpdatePerson(request, env, personId) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Invalid JSON' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const person = await getPerson(env, personId);
+        if (!person) {
+            return unknownPersonResponse(personId);
+        }
+
+        const { fields, error } = parsePersonFields(body, true);
+        if (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: error }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const columns = Object.keys(fields);
+        if (columns.length === 0) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Nothing to update' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const assignments = columns.map(column => `${column} = ?`).join(', ');
+        await env.DB.prepare(`UPDATE people SET ${assignments}, updated_at = ? WHERE id = ?`)
+            .bind(...columns.map(column => fields[column]), new Date().toISOString(), personId)
+            .run();
+
+        // Ages on the timeline are dated from the birth year
+        if (fields.birth_year !== undefined && fields.birth_year !== person.birth_year) {
+            await rebuildTimeline(env.DB, personId);
+        }
+
+        return new Response(
+            JSON.stringify({ success: true, person: await getPerson(env, personId) }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error updating person:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles DELETE /people/:id and DELETE /admin/people/:id endpoints
+ * Removes a person profile (admin only)
+ * Refuses while conversations or memories still reference the person so nothing is orphaned
+ * Their private links are revoked, so they can't open a profile created later under the same id
+ */
+async function handleDeletePerson(request, env, personId) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!(await getPerson(env, personId))) {
+            return unknownPersonResponse(personId);
+        }
+
+        const counts = await countPersonRows(env, personId, true);
+        if (counts.conversations > 0 || counts.memories > 0) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: `Person "${personId}" still has ${counts.conversations} conversations and ${counts.memories} memories (deleted ones included). Delete those first.`
+                }),
+                { status: 409, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const photos = await env.DB.prepare('SELECT COUNT(*) AS count FROM photos WHERE person_id = ?').bind(personId).first();
+        if (photos.count > 0) {
+            return new Response(
+                JSON.stringify({ success: false, error: `Person "${personId}" still has ${photos.count} photos. Delete those first.` }),
+                { status: 409, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        await env.DB.batch([
+            env.DB.prepare('DELETE FROM people WHERE id = ?').bind(personId),
+            env.DB.prepare('DELETE FROM admin_grants WHERE person_id = ?').bind(personId),
+            env.DB.prepare('DELETE FROM biographies WHERE person_id = ?').bind(personId),
+            env.DB.prepare('DELETE FROM family_edges WHERE person_id = ?').bind(personId),
+            env.DB.prepare('DELETE FROM family_members WHERE person_id = ?').bind(personId),
+            env.DB.prepare('UPDATE invite_tokens SET revoked_at = ? WHERE person_id = ? AND revoked_at IS NULL')
+                .bind(new Date().toISOString(), personId)
+        ]);
+
+        return new Response(
+            JSON.stringify({ success: true, deleted: personId }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error deleting person:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Looks up a single person profile
+ * 
+ * @param {Object} env - Environment variables (must include DB binding)
+ * @param {string} personId - Normalized person id
+ * @returns {Promise<Object|null>} The people row, or null if unknown
+ */
+async function getPerson(env, personId) {
+    if (!personId) {
+        return null;
+    }
+    return env.DB.prepare('SELECT * FROM people WHERE id = ?').bind(personId).first();
+}
+
+/**
+ * Returns all person profiles with how many conversations and memories each has
+ */
+async function listPeopleWithCounts(env) {
+    const result = await env.DB.prepare('SELECT * FROM people ORDER BY display_name').all();
+    const people = result.results || [];
+
+    for (const person of people) {
+        const counts = await countPersonRows(env, person.id);
+        person.conversation_count = counts.conversations;
+        person.memory_count = counts.memories;
+    }
+
+    return people;
+}
+
+/**
+ * Counts conversations and memories stored for a person
+ * 
+ * @param {boolean} [includeDeleted=false] - Also count soft-deleted rows (they are still stored)
+ */
+async function countPersonRows(env, personId, includeDeleted = false) {
+    const live = includeDeleted ? '' : ' AND deleted_at IS NULL';
+    const row = await env.DB.prepare(`
+        SELECT
+            (SELECT COUNT(*) FROM conversations WHERE person_id = ?${live}) AS conversations,
+            (SELECT COUNT(*) FROM grandma_memories WHERE person_id = ?${live}) AS memories
+    `).bind(personId, personId).first();
+
+    return { conversations: row?.conversations || 0, memories: row?.memories || 0 };
+}
+
+/**
+ * Normalizes a person id the same way index.html does when a name is typed in
+ * ("Uncle Ahmed" -> "uncle-ahmed")
+ * 
+ * @param {*} value - Raw person id or name
+ * @returns {string} Normalized id, or '' if it is missing or invalid
+ */
+function normalizePersonId(value) {
+    if (typeof value !== 'string') {
+        return '';
+    }
+
+    const personId = value.trim().toLowerCase().replace(/\s+/g, '-');
+    return /^[\p{L}\p{N}][\p{L}\p{M}\p{N}_-]{0,63}$/u.test(personId) ? personId : '';
+}
+
+/**
+ * Turns a person id into a readable default name ("uncle-ahmed" -> "Uncle Ahmed")
+ */
+function displayNameFromPersonId(personId) {
+    return personId.split('-').map(word =>
+        word.charAt(0).toUpperCase() + word.slice(1)
+    ).join(' ');
+}
+
+/**
+ * Validates profile fields from a POST/PATCH body and maps them to people columns
+ * 
+ * @param {Object} body - Parsed request body
+ * @param {boolean} partial - true for PATCH (every field optional)
+ * @returns {{fields: Object, error: string|null}}
+ */
+function parsePersonFields(body, partial) {
+    const fields = {};
+    const name = body.name ?? body.displayName;
+
+    if (name !== undefined || !partial) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return { fields, error: 'Missing or invalid "name" field' };
+        }
+        fields.display_name = name.trim().substring(0, 100);
+    }
+
+    if (body.birthYear !== undefined) {
+        const birthYear = body.birthYear === null || body.birthYear === '' ? null : Number(body.birthYear);
+        const currentYear = new Date().getFullYear();
+        if (birthYear !== null && (!Number.isInteger(birthYear) || birthYear < 1880 || birthYear > currentYear)) {
+            return { fields, error: `"birthYear" must be a year between 1880 and ${currentYear}` };
+        }
+        fields.birth_year = birthYear;
+    }
+
+    const textFields = { preferredLanguage: 'preferred_language', relationship: 'relationship' };
+    for (const [key, column] of Object.entries(textFields)) {
+        if (body[key] === undefined) {
+            continue;
+        }
+        if (body[key] !== null && typeof body[key] !== 'string') {
+            return { fields, error: `Invalid "${key}" field` };
+        }
+        fields[column] = body[key] ? body[key].trim().substring(0, 100) : null;
+    }
+
+    // The pages pick prompts, speech and voices from the registry, so only its languages can be chosen
+    if (fields.preferred_language) {
+        const language = findLanguage(fields.preferred_language);
+        if (!language) {
+            return { fields, error: `"preferredLanguage" must be one of: ${Object.keys(LANGUAGES).join(', ')}` };
+        }
+        fields.preferred_language = language.code;
+    }
+
+    return { fields, error: null };
+}
+
+/**
+ * Response for a person id that has no profile in the people table
+ */
+function unknownPersonResponse(personId) {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: `Unknown person "${personId}". Ask the admin to add them on the dashboard first.`
+        }),
+        { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+    );
+}
+
+/**
+ * Handles GET /me endpoint
+ * Tells index.html which person an invite token belongs to
+ */
+async function handleGetMe(request, env) {
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const auth = await authenticateInvite(request, env);
+        if (auth.error) {
+            return inviteErrorResponse(auth);
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                person: {
+                    id: auth.person.id,
+                    name: auth.person.display_name,
+                    preferredLanguage: auth.person.preferred_language
+                }
+            }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error resolving invite:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error' }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles GET /admin/invites endpoint
+ * Lists invite tokens (optionally for one person via ?personId=) without exposing the tokens
+ */
+async function handleAdminListInvites(request, env) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const personId = new URL(request.url).searchParams.get('personId');
+        let query = 'SELECT id, person_id, label, created_at, revoked_at, last_used_at FROM invite_tokens';
+        const params = [];
+        if (personId) {
+            query += ' WHERE person_id = ?';
+            params.push(personId);
+        }
+        query += ' ORDER BY created_at DESC';
+
+        const result = await env.DB.prepare(query).bind(...params).all();
+
+        return new Response(
+            JSON.stringify({ success: true, invites: result.results || [] }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error listing invites:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles POST /admin/invites endpoint
+ * Issues a new signed invite token bound to one person (admin only)
+ * The token is returned exactly once - only its SHA-256 hash is stored
+ * 
+ * Body: { personId, label? }
+ */
+async function handleAdminCreateInvite(request, env) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    if (!env.INVITE_SECRET) {
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Invite secret not configured. Please set INVITE_SECRET in Cloudflare Worker environment variables.'
+            }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const body = await request.json().catch(() => ({}));
+        const personId = normalizePersonId(body.personId);
+        const person = await getPerson(env, personId);
+        if (!person) {
+            return unknownPersonResponse(body.personId || '');
+        }
+
+        const token = await createInviteToken(env.INVITE_SECRET, person.id);
+        const label = typeof body.label === 'string' ? body.label.trim().substring(0, 100) : null;
+        const now = new Date().toISOString();
+
+        const result = await env.DB.prepare(`
+            INSERT INTO invite_tokens (person_id, token_hash, label, created_at)
+            VALUES (?, ?, ?, ?)
+        `).bind(person.id, await sha256Hex(token), label || null, now).run();
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                token: token,
+                invite: {
+                    id: result.meta?.last_row_id,
+                    person_id: person.id,
+                    label: label || null,
+                    created_at: now,
+                    revoked_at: null,
+                    last_used_at: null
                 }
+            }),
+            { status: 201, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error creating invite:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles DELETE /admin/invites/:id endpoint
+ * Revokes an invite token - the link stops working immediately
+ */
+async function handleAdminRevokeInvite(request, env, inviteId) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const result = await env.DB.prepare(
+            'UPDATE invite_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'
+        ).bind(new Date().toISOString(), inviteId).run();
+
+        if (!result.meta?.changes) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Invite not found or already revoked' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        return new Response(
+            JSON.stringify({ success: true, revoked: inviteId }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error revoking invite:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Authenticates a request from index.html using its invite token
+ * The token is read from the "Authorization: Bearer <token>" header
+ * 
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables (DB binding and INVITE_SECRET)
+ * @returns {Promise<{person: Object, invite: Object}|{error: string, status: number}>}
+ */
+async function authenticateInvite(request, env) {
+    if (!env.INVITE_SECRET) {
+        return {
+            error: 'Invite secret not configured. Please set INVITE_SECRET in Cloudflare Worker environment variables.',
+            status: 500
+        };
+    }
+
+    const header = request.headers.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+    if (!token) {
+        return { error: 'Missing invite token. Please open the private link you were sent.', status: 401 };
+    }
+
+    const payload = await verifyInviteToken(env.INVITE_SECRET, token);
+    if (!payload) {
+        return { error: 'Invalid invite token. Please ask for a new private link.', status: 401 };
+    }
+
+    const invite = await env.DB.prepare(
+        'SELECT * FROM invite_tokens WHERE token_hash = ?'
+    ).bind(await sha256Hex(token)).first();
+
+    // The signed person id must match the stored one - a valid signature alone is not enough
+    if (!invite || invite.person_id !== payload.personId) {
+        return { error: 'Invalid invite token. Please ask for a new private link.', status: 401 };
+    }
+
+    if (invite.revoked_at) {
+        return { error: 'This private link has been revoked. Please ask for a new one.', status: 401 };
+    }
+
+    const person = await getPerson(env, invite.person_id);
+    if (!person) {
+        return { error: `Unknown person "${invite.person_id}". Ask the admin to add them on the dashboard first.`, status: 404 };
+    }
+
+    // A link made for an earlier person with the same id (deleted since) doesn't open this one
+    if (person.created_at && invite.created_at && invite.created_at < person.created_at) {
+        return { error: 'This private link has been revoked. Please ask for a new one.', status: 401 };
+    }
+
+    await env.DB.prepare('UPDATE invite_tokens SET last_used_at = ? WHERE id = ?')
+        .bind(new Date().toISOString(), invite.id)
+        .run();
+
+    return { person, invite };
+}
+
+/**
+ * Response for a failed authenticateInvite() call
+ */
+function inviteErrorResponse(auth) {
+    return new Response(
+        JSON.stringify({ success: false, error: auth.error }),
+        { status: auth.status, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+    );
+}
+
+/**
+ * Builds a signed invite token (see signToken)
+ * The random nonce makes every token unique even for the same person
+ */
+async function createInviteToken(secret, personId) {
+    const nonce = base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)));
+    return signToken(secret, { p: personId, n: nonce });
+}
+
+/**
+ * Checks an invite token's signature and decodes its payload
+ * 
+ * @returns {Promise<{personId: string}|null>} Decoded payload, or null if the token is malformed or forged
+ */
+async function verifyInviteToken(secret, token) {
+    const decoded = await verifySignedToken(secret, token);
+    return decoded && typeof decoded.p === 'string' ? { personId: decoded.p } : null;
+}
+
+/**
+ * Builds a signed token: base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload))
+ */
+async function signToken(secret, payload) {
+    const encoded = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+    const signature = await hmacSha256(secret, encoded);
+    return `${encoded}.${base64UrlEncode(signature)}`;
+}
+
+/**
+ * Checks a signed token's signature and decodes its JSON payload
+ * 
+ * @returns {Promise<Object|null>} Decoded payload, or null if the token is malformed or forged
+ */
+async function verifySignedToken(secret, token) {
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) {
+        return null;
+    }
+
+    try {
+        const key = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(secret),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['verify']
+        );
+        const valid = await crypto.subtle.verify(
+            'HMAC',
+            key,
+            base64UrlDecode(signature),
+            new TextEncoder().encode(payload)
+        );
+        if (!valid) {
+            return null;
+        }
+
+        const decoded = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+        return decoded && typeof decoded === 'object' ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * HMAC-SHA256 of a string using the Web Crypto API
+ * 
+ * @returns {Promise<Uint8Array>} Raw signature bytes
+ */
+async function hmacSha256(secret, data) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(data));
+    return new Uint8Array(signature);
+}
+
+/**
+ * SHA-256 of a string as lowercase hex (used to store tokens without keeping them)
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function base64UrlEncode(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Editing, redacting and deleting entries
+ * 
+ * Admins can fix transcription mistakes in conversations and memories, redact something
+ * that should never have been kept, or delete an entry. Deletes are soft (deleted_at), so
+ * a mistaken delete can be undone with PATCH {"deleted": false}. Every change is written to
+ * audit_log with who made it and the previous value - except redactions, which also wipe
+ * the old text from earlier audit rows, the raw transcript and the original recordings.
+ */
+const ENTRY_TYPES = {
+    conversations: {
+        table: 'conversations',
+        label: 'Conversation',
+        responseKey: 'conversation',
+        fields: { userMessage: 'user_message', aiResponse: 'ai_response' },
+        personText: 'user_message',
+        rawColumn: 'raw_user_message'
+    },
+    memories: {
+        table: 'grandma_memories',
+        label: 'Memory',
+        responseKey: 'memory',
+        fields: { text: 'text' },
+        personText: 'text',
+        rawColumn: 'raw_text'
+    }
+};
+
+const MAX_ENTRY_TEXT_LENGTH = 10000;
+
+/**
+ * Handles PATCH /admin/conversations/:id and PATCH /admin/memories/:id endpoints
+ * 
+ * Body: {
+ *   userMessage?, aiResponse?,   // conversations
+ *   text?,                       // memories
+ *   redact?,                     // true: don't keep the old text anywhere
+ *   deleted?                     // false: restore a deleted entry
+ * }
+ */
+async function handleAdminUpdateEntry(request, env, type, entryId) {
+    const admin = await authenticateAdmin(request, env, 'editor');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Invalid JSON' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const entry = ENTRY_TYPES[type];
+        const row = await env.DB.prepare(`SELECT * FROM ${entry.table} WHERE id = ?`).bind(entryId).first();
+        const restore = body.deleted === false && Boolean(row?.deleted_at);
+
+        if (row && !canAccessPerson(admin, row.person_id)) {
+            return adminErrorResponse(noAccessToPerson(row.person_id));
+        }
+
+        // Like deleting, redacting and restoring are for owners only
+        if ((body.redact === true || body.deleted === false) && admin.role !== 'owner') {
+            return adminErrorResponse({ error: 'Forbidden. Redacting and restoring need the owner role.', status: 403 });
+        }
+
+        if (!row || (row.deleted_at && !restore)) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: row ? `${entry.label} is deleted. Send "deleted": false to restore it.` : `${entry.label} not found`
+                }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const changes = {};
+        for (const [field, column] of Object.entries(entry.fields)) {
+            if (body[field] === undefined) {
+                continue;
+            }
+
+            const value = typeof body[field] === 'string' ? body[field].trim() : '';
+            if (!value || value.length > MAX_ENTRY_TEXT_LENGTH) {
+                return new Response(
+                    JSON.stringify({
+                        success: false,
+                        error: `"${field}" must be non-empty text of at most ${MAX_ENTRY_TEXT_LENGTH} characters`
+                    }),
+                    { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+                );
+            }
+            if (value !== row[column]) {
+                changes[column] = value;
+            }
+        }
+
+        const redact = body.redact === true;
+        const textChanged = Object.keys(changes).length > 0;
+        if (!textChanged && !redact && !restore) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: `Nothing to change. Send ${Object.keys(entry.fields).map(field => `"${field}"`).join(', ')}, "redact" or "deleted": false`
+                }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // Redacting replaces the text - on its own it would keep the very words it should remove
+        if (redact && !textChanged) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: `Redacting needs the new text. Send ${Object.keys(entry.fields).map(field => `"${field}"`).join(' or ')} without the part to remove, along with "redact": true`
+                }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // The raw transcript belongs to the old wording
+        if (changes[entry.personText] !== undefined || redact) {
+            changes[entry.rawColumn] = null;
+        }
+        if (restore) {
+            changes.deleted_at = null;
+        }
+
+        const previous = {};
+        for (const column of Object.keys(changes)) {
+            previous[column] = row[column];
+        }
+
+        const action = redact ? 'redact' : textChanged ? 'update' : 'restore';
+        const columns = Object.keys(changes);
+        const statements = [
+            env.DB.prepare(
+                `UPDATE ${entry.table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`
+            ).bind(...columns.map(column => changes[column]), entryId)
+        ];
+
+        let recordingKeys = [];
+        if (redact) {
+            const recordings = await env.DB.prepare(
+                'SELECT object_key FROM recordings WHERE source_table = ? AND source_id = ?'
+            ).bind(entry.table, entryId).all();
+            recordingKeys = (recordings.results || []).map(recording => recording.object_key);
+
+            // Biography versions written from the old text quote it in their book and notes
+            statements.push(...await staleBiographyStatements(env, row.person_id, entry.table, entryId, admin.actor));
+
+            statements.push(
+                env.DB.prepare(
+                    'UPDATE audit_log SET previous_value = NULL, new_value = NULL WHERE target_table = ? AND target_id = ?'
+                ).bind(entry.table, entryId),
+                env.DB.prepare(
+                    'UPDATE facts SET source_text = NULL WHERE source_table = ? AND source_id = ?'
+                ).bind(entry.table, entryId),
+                env.DB.prepare('DELETE FROM timeline_events WHERE source_table = ? AND source_id = ?').bind(entry.table, entryId),
+                env.DB.prepare('DELETE FROM family_edges WHERE source_table = ? AND source_id = ?').bind(entry.table, entryId),
+                env.DB.prepare('DELETE FROM recordings WHERE source_table = ? AND source_id = ?').bind(entry.table, entryId)
+            );
+        }
+
+        statements.push(auditStatement(env, {
+            actor: admin.actor,
+            action: action,
+            table: entry.table,
+            id: entryId,
+            personId: row.person_id,
+            previous: redact ? null : previous,
+            next: changes
+        }));
+
+        // Facts mined from the old text are mined again from the new one (corrected facts stay).
+        // A redaction drops the row's timeline events and family edges, so they are always mined
+        // again from what is left - which also removes relatives only the redacted words named
+        const refreshFacts = changes[entry.personText] !== undefined || restore || redact;
+        if (refreshFacts) {
+            statements.push(env.DB.prepare(
+                'DELETE FROM facts WHERE source_table = ? AND source_id = ? AND verified = 0 AND deleted_at IS NULL'
+            ).bind(entry.table, entryId));
+        }
+
+        await env.DB.batch(statements);
+
+        // Without the bucket no recording could have been stored
+        const store = getMediaStore(env);
+        if (recordingKeys.length > 0 && store) {
+            for (const key of recordingKeys) {
+                try {
+                    await store.delete(key);
+                } catch (error) {
+                    console.error(`Error deleting redacted recording ${key}:`, error.message);
+                }
+            }
+        }
+
+        const updated = await env.DB.prepare(`SELECT * FROM ${entry.table} WHERE id = ?`).bind(entryId).first();
+        if (refreshFacts && row.person_id) {
+            await saveFacts(env, row.person_id, entry.table, entryId, updated[entry.personText]);
+            await saveTimelineEvents(env, row.person_id, entry.table, entryId, updated[entry.personText]);
+            await saveFamilyMentions(env, row.person_id, entry.table, entryId, updated[entry.personText]);
+        }
+
+        console.log(`${entry.label} ${entryId}: ${action} by ${admin.actor}`);
+
+        return new Response(
+            JSON.stringify({ success: true, action: action, [entry.responseKey]: updated }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error updating entry:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles DELETE /admin/conversations/:id and DELETE /admin/memories/:id endpoints
+ * The row is kept with deleted_at set and hidden everywhere else; PATCH {"deleted": false} restores it
+ */
+async function handleAdminDeleteEntry(request, env, type, entryId) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const entry = ENTRY_TYPES[type];
+        const now = new Date().toISOString();
+        const result = await env.DB.prepare(
+            `UPDATE ${entry.table} SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL`
+        ).bind(now, entryId).run();
+
+        if (!result.meta?.changes) {
+            return new Response(
+                JSON.stringify({ success: false, error: `${entry.label} not found or already deleted` }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const row = await env.DB.prepare(`SELECT person_id FROM ${entry.table} WHERE id = ?`).bind(entryId).first();
+        await env.DB.batch([
+            auditStatement(env, {
+                actor: admin.actor,
+                action: 'delete',
+                table: entry.table,
+                id: entryId,
+                personId: row?.person_id,
+                previous: { deleted_at: null },
+                next: { deleted_at: now }
+            }),
+            // Unconfirmed facts go with it; facts an admin corrected are kept
+            env.DB.prepare(
+                'DELETE FROM facts WHERE source_table = ? AND source_id = ? AND verified = 0 AND deleted_at IS NULL'
+            ).bind(entry.table, entryId),
+            env.DB.prepare('DELETE FROM timeline_events WHERE source_table = ? AND source_id = ?').bind(entry.table, entryId),
+            env.DB.prepare('DELETE FROM family_edges WHERE source_table = ? AND source_id = ?').bind(entry.table, entryId),
+            pruneFamilyMembers(env.DB, row?.person_id)
+        ]);
+
+        console.log(`${entry.label} ${entryId}: delete by ${admin.actor}`);
+
+        return new Response(
+            JSON.stringify({ success: true, deleted: entryId }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error deleting entry:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+// Audited tables other than the entry types, by the name ?table= takes
+const AUDITED_TABLES = { users: 'admin_users', biographies: 'biographies', photos: 'photos' };
+
+/**
+ * Handles GET /admin/audit-log endpoint
+ * Lists changes newest first, optionally for one entry (?table=conversations|memories|users|biographies|photos&id=) or person (?personId=)
+ */
+async function handleAdminGetAuditLog(request, env) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const url = new URL(request.url);
+        const type = url.searchParams.get('table');
+        const entryId = url.searchParams.get('id');
+        const personId = url.searchParams.get('personId');
+        const limit = Math.min(parseInt(url.searchParams.get('limit') || '100') || 100, 500);
+
+        if (type && !ENTRY_TYPES[type] && !AUDITED_TABLES[type]) {
+            return new Response(
+                JSON.stringify({ success: false, error: `"table" must be one of: ${[...Object.keys(ENTRY_TYPES), ...Object.keys(AUDITED_TABLES)].join(', ')}` }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const conditions = [];
+        const params = [];
+        if (type) {
+            conditions.push('target_table = ?');
+            params.push(AUDITED_TABLES[type] || ENTRY_TYPES[type].table);
+        }
+        if (entryId) {
+            conditions.push('target_id = ?');
+            params.push(parseInt(entryId));
+        }
+        if (personId) {
+            conditions.push('person_id = ?');
+            params.push(personId);
+        }
+
+        let query = 'SELECT * FROM audit_log';
+        if (conditions.length > 0) {
+            query += ' WHERE ' + conditions.join(' AND ');
+        }
+        query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+        params.push(limit);
+
+        const result = await env.DB.prepare(query).bind(...params).all();
+        const entries = (result.results || []).map(row => ({
+            ...row,
+            previous_value: row.previous_value ? JSON.parse(row.previous_value) : null,
+            new_value: row.new_value ? JSON.parse(row.new_value) : null
+        }));
+
+        return new Response(
+            JSON.stringify({ success: true, entries: entries }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error listing audit log:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Prepares the audit_log insert for a change, to run in the same batch as the change itself
+ * 
+ * @param {Object} env - Environment variables (must include DB binding)
+ * @param {Object} change - { actor, action, table, id, personId, previous, next }; previous/next are
+ *   objects of the changed columns (null when nothing should be kept, e.g. redactions)
+ * @returns {Object} D1 prepared statement
+ */
+function auditStatement(env, change) {
+    return env.DB.prepare(`
+        INSERT INTO audit_log (actor, action, target_table, target_id, person_id, previous_value, new_value, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+        change.actor,
+        change.action,
+        change.table,
+        change.id,
+        change.personId ?? null,
+        change.previous ? JSON.stringify(change.previous) : null,
+        change.next ? JSON.stringify(change.next) : null,
+        new Date().toISOString()
+    );
+}
+
+/**
+ * Long-term fact memory
+ * 
+ * Simple facts people state about themselves - names, places, dates and relationships -
+ * are mined from every /chat message and /save memory into the facts table, linked to the
+ * row they came from. /chat adds the most relevant ones to the system prompt so the
+ * interviewer doesn't ask for the same thing twice. Admins can correct or delete them.
+ */
+const FACT_RELATIONS = {
+    husband: 'husband', wife: 'wife', mother: 'mother', mom: 'mother', mum: 'mother',
+    father: 'father', dad: 'father', brother: 'brother', sister: 'sister', son: 'son',
+    daughter: 'daughter', grandmother: 'grandmother', grandfather: 'grandfather',
+    grandson: 'grandson', granddaughter: 'granddaughter', uncle: 'uncle', aunt: 'aunt',
+    cousin: 'cousin', nephew: 'nephew', niece: 'niece', 'father-in-law': 'father-in-law',
+    'mother-in-law': 'mother-in-law', 'best friend': 'best friend', friend: 'friend', teacher: 'teacher',
+    'شوہر': 'husband', 'بیوی': 'wife', 'والدہ': 'mother', 'امی': 'mother', 'ماں': 'mother',
+    'والد': 'father', 'ابو': 'father', 'ابا': 'father', 'بھائی': 'brother', 'بہن': 'sister',
+    'بیٹے': 'son', 'بیٹا': 'son', 'بیٹی': 'daughter', 'دادی': 'grandmother', 'نانی': 'grandmother',
+    'دادا': 'grandfather', 'نانا': 'grandfather', 'چچا': 'uncle', 'ماموں': 'uncle',
+    'خالہ': 'aunt', 'پھوپھی': 'aunt', 'دوست': 'friend', 'استاد': 'teacher'
+};
+
+const FACT_COUNT_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+const FACT_CATEGORIES = ['name', 'place', 'date', 'relationship'];
+
+// Names and places are only trusted when capitalized, which speech recognition does for proper nouns
+const FACT_NAME = "([A-Z][\\w'-]+(?: [A-Z][\\w'-]+)?)";
+const FACT_PLACE = "([A-Z][\\w'-]+(?:,? [A-Z][\\w'-]+){0,2})";
+const FACT_RELATION_EN = Object.keys(FACT_RELATIONS).filter(key => /^[a-z]/.test(key))
+    .sort((a, b) => b.length - a.length).join('|');
+const FACT_RELATION_UR = Object.keys(FACT_RELATIONS).filter(key => !/^[a-z]/.test(key)).join('|');
+
+/**
+ * Patterns that turn one sentence into a fact
+ * Each build() gets the regex match and returns { label, value }, or null to skip it
+ */
+const FACT_PATTERNS = [
+    {
+        category: 'name',
+        pattern: new RegExp(`\\b[Mm]y name (?:is|was) ${FACT_NAME}`),
+        build: match => ({ label: 'own name', value: match[1] })
+    },
+    {
+        category: 'relationship',
+        pattern: new RegExp(`\\b[Mm]y (${FACT_RELATION_EN})(?:'s name (?:is|was)| (?:is |was )?(?:named|called)|,) ${FACT_NAME}`),
+        build: match => ({ label: `${FACT_RELATIONS[match[1]]}'s name`, value: match[2] })
+    },
+    {
+        category: 'relationship',
+        pattern: /\b(?:I|We|we) (?:have|had) (\d{1,2}|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve) (children|kids|sons|daughters|brothers|sisters|grandchildren)\b/i,
+        build: match => ({
+            label: `number of ${match[2].toLowerCase() === 'kids' ? 'children' : match[2].toLowerCase()}`,
+            value: String(FACT_COUNT_WORDS[match[1].toLowerCase()] || parseInt(match[1]))
+        })
+    },
+    {
+        category: 'place',
+        pattern: new RegExp(`\\b(?:I|We|we) (grew up|was born|were born|was raised|were raised|lived|studied|went to school|worked|got married|settled|moved|migrated|came) (in|at|to|from) ${FACT_PLACE}`),
+        build: match => ({ label: `${match[1].replace(/^(?:was|were) /, '')} ${match[2]}`, value: match[3] })
+    },
+    {
+        category: 'date',
+        pattern: /\b(?:I|we) (?:was |were |got )?(born|married|moved|migrated|came|retired|graduated)\b[^.,;]*?\b(?:in|on) (?:the year )?((?:18|19|20)\d{2})\b/i,
+        build: match => ({ label: `${match[1].toLowerCase()} (year)`, value: match[2] })
+    },
+    {
+        category: 'name',
+        pattern: /میرا نام (\S+(?: \S+)?) (?:ہے|تھا)/,
+        build: match => ({ label: 'own name', value: match[1] })
+    },
+    {
+        category: 'relationship',
+        pattern: new RegExp(`میر[اےی] (${FACT_RELATION_UR})(?: صاحب)? کا نام (\\S+(?: \\S+)?) (?:ہے|تھا)`),
+        build: match => ({ label: `${FACT_RELATIONS[match[1]]}'s name`, value: match[2] })
+    },
+    {
+        category: 'place',
+        pattern: /(?:میں|ہم) (\S+(?: \S+)?) میں (پیدا ہوئی|پیدا ہوا|پیدا ہوئے|پلی بڑھی|پلا بڑھا|بڑی ہوئی|بڑا ہوا|رہتی تھی|رہتا تھا|رہتے تھے)/,
+        build: match => {
+            if (/\d/.test(match[1])) {
+                return null;
+            }
+            const label = match[2].startsWith('پیدا') ? 'born in' : match[2].startsWith('رہت') ? 'lived in' : 'grew up in';
+            return { label, value: match[1] };
+        }
+    },
+    {
+        category: 'date',
+        pattern: /\b((?:18|19|20)\d{2})(?: ء)? میں/,
+        build: (match, sentence) => {
+            const event = /پیدا/.test(sentence) ? 'born'
+                : /شادی/.test(sentence) ? 'married'
+                : /(?:ہجرت|منتقل|آ گئ|آگئ)/.test(sentence) ? 'moved'
+                : null;
+            return event ? { label: `${event} (year)`, value: match[1] } : null;
+        }
+    }
+];
+
+/**
+ * Handles GET /admin/facts endpoint
+ * Lists the facts remembered about a person (?personId=, add &includeDeleted=1 for deleted ones)
+ */
+async function handleAdminListFacts(request, env) {
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const url = new URL(request.url);
+        const personId = url.searchParams.get('personId');
+        if (personId && !canAccessPerson(admin, personId)) {
+            return adminErrorResponse(noAccessToPerson(personId));
+        }
+
+        const conditions = [];
+        const params = [];
+        if (personId) {
+            conditions.push('person_id = ?');
+            params.push(personId);
+        }
+        if (url.searchParams.get('includeDeleted') !== '1') {
+            conditions.push('deleted_at IS NULL');
+        }
+
+        let query = 'SELECT * FROM facts';
+        if (conditions.length > 0) {
+            query += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        query += ' ORDER BY person_id, category, label';
+
+        const result = await env.DB.prepare(query).bind(...params).all();
+
+        return new Response(
+            JSON.stringify({ success: true, facts: (result.results || []).filter(fact => canAccessPerson(admin, fact.person_id)) }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error listing facts:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles PATCH /admin/facts/:id endpoint
+ * Corrects a fact - corrected facts are marked verified and win over mined ones in /chat
+ * 
+ * Body: { category?, label?, value? }
+ */
+async function handleAdminUpdateFact(request, env, factId) {
+    const admin = await authenticateAdmin(request, env, 'editor');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Invalid JSON' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const fact = await env.DB.prepare('SELECT * FROM facts WHERE id = ? AND deleted_at IS NULL').bind(factId).first();
+        if (!fact) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Fact not found' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!canAccessPerson(admin, fact.person_id)) {
+            return adminErrorResponse(noAccessToPerson(fact.person_id));
+        }
+
+        const category = body.category === undefined ? fact.category : String(body.category).trim();
+        const label = body.label === undefined ? fact.label : String(body.label).trim().substring(0, 100);
+        const value = body.value === undefined ? fact.value : String(body.value).trim().substring(0, 200);
+
+        if (!FACT_CATEGORIES.includes(category) || !label || !value) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: `A fact needs a label, a value and a category (${FACT_CATEGORIES.join(', ')})`
+                }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const duplicate = await env.DB.prepare(
+            'SELECT id FROM facts WHERE person_id = ? AND category = ? AND label = ? AND value = ? AND id != ?'
+        ).bind(fact.person_id, category, label, value, factId).first();
+        if (duplicate) {
+            return new Response(
+                JSON.stringify({ success: false, error: `The same fact already exists (id ${duplicate.id})` }),
+                { status: 409, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // The old wording stays behind as a deleted row, so mentioning it again doesn't bring it back
+        const now = new Date().toISOString();
+        await env.DB.batch([
+            env.DB.prepare(
+                'UPDATE facts SET category = ?, label = ?, value = ?, verified = 1, updated_at = ? WHERE id = ?'
+            ).bind(category, label, value, now, factId),
+            env.DB.prepare(`
+                INSERT OR IGNORE INTO facts (person_id, category, label, value, source_table, source_id, source_text, created_at, updated_at, deleted_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).bind(fact.person_id, fact.category, fact.label, fact.value, fact.source_table, fact.source_id, fact.source_text, fact.created_at, now, now)
+        ]);
+
+        const updated = await env.DB.prepare('SELECT * FROM facts WHERE id = ?').bind(factId).first();
+
+        return new Response(
+            JSON.stringify({ success: true, fact: updated }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error updating fact:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles DELETE /admin/facts/:id endpoint
+ * The row is kept with deleted_at set, so the same statement isn't mined again later
+ */
+async function handleAdminDeleteFact(request, env, factId) {
+    const admin = await authenticateAdmin(request, env, 'editor');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const fact = await env.DB.prepare('SELECT person_id FROM facts WHERE id = ?').bind(factId).first();
+        if (fact && !canAccessPerson(admin, fact.person_id)) {
+            return adminErrorResponse(noAccessToPerson(fact.person_id));
+        }
+
+        const now = new Date().toISOString();
+        const result = await env.DB.prepare(
+            'UPDATE facts SET deleted_at = ?, updated_at = ? WHERE id = ? AND deleted_at IS NULL'
+        ).bind(now, now, factId).run();
+
+        if (!result.meta?.changes) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Fact not found or already deleted' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        return new Response(
+            JSON.stringify({ success: true, deleted: factId }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error deleting fact:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Finds facts in a piece of text, one sentence at a time (English and Urdu script)
+ * 
+ * @param {string} text - What the person said or wrote
+ * @returns {Array<{category: string, label: string, value: string, sourceText: string}>}
+ */
+function extractFacts(text) {
+    const facts = [];
+    const seen = new Set();
+    const sentences = toWesternDigits(text).split(/[.!?؟۔\n]+/);
+
+    for (const rawSentence of sentences) {
+        const sentence = rawSentence.trim();
+        if (!sentence) {
+            continue;
+        }
+
+        for (const { category, pattern, build } of FACT_PATTERNS) {
+            const match = sentence.match(pattern);
+            const fact = match ? build(match, sentence) : null;
+            if (!fact) {
+                continue;
+            }
+
+            const value = fact.value.replace(/[\s,;:'"]+$/, '').substring(0, 200);
+            const key = `${category}|${fact.label}|${value}`;
+            if (!value || seen.has(key)) {
+                continue;
+            }
+            seen.add(key);
+            facts.push({ category, label: fact.label, value, sourceText: sentence.substring(0, 300) });
+        }
+    }
+
+    return facts;
+}
+
+/**
+ * Converts Urdu (Extended Arabic-Indic) and Arabic-Indic digits to 0-9
+ */
+function toWesternDigits(text) {
+    return text
+        .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+        .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660));
+}
+
+/**
+ * Mines facts from a saved row and stores them for the person
+ * Never throws - losing a fact must not fail the request that saved the row
+ * 
+ * @param {Object} env - Environment variables (must include DB binding)
+ * @param {string} personId - Person the facts are about
+ * @param {string} sourceTable - conversations or grandma_memories
+ * @param {number} sourceId - Row the text was saved in
+ * @param {string} text - The text to mine
+ * @returns {Promise<number>} How many new facts were stored
+ */
+async function saveFacts(env, personId, sourceTable, sourceId, text) {
+    try {
+        const facts = extractFacts(text);
+        if (facts.length === 0) {
+            return 0;
+        }
+
+        // The unique index skips facts that are already known - including deleted ones
+        const now = new Date().toISOString();
+        const results = await env.DB.batch(facts.map(fact => env.DB.prepare(`
+            INSERT OR IGNORE INTO facts (person_id, category, label, value, source_table, source_id, source_text, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(personId, fact.category, fact.label, fact.value, sourceTable, sourceId ?? null, fact.sourceText, now, now)));
+
+        const stored = results.reduce((total, result) => total + (result.meta?.changes || 0), 0);
+        if (stored > 0) {
+            console.log(`Stored ${stored} new fact(s) for ${personId} from ${sourceTable} ${sourceId}`);
+        }
+        return stored;
+    } catch (error) {
+        console.error('Error saving facts:', error);
+        return 0;
+    }
+}
+
+/**
+ * Picks the facts most worth reminding the interviewer of for this message
+ * Facts sharing words with the message come first, then corrected ones, names and
+ * relationships, then the most recently learned
+ * 
+ * @param {Object} env - Environment variables (must include DB binding)
+ * @param {string} personId - Person the facts are about
+ * @param {string} message - The message being answered
+ * @param {number} limit - Maximum number of facts
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadRelevantFacts(env, personId, message, limit) {
+    const result = await env.DB.prepare(`
+        SELECT id, category, label, value, verified
+        FROM facts
+        WHERE person_id = ? AND deleted_at IS NULL
+        ORDER BY updated_at DESC, id DESC
+        LIMIT 200
+    `).bind(personId).all();
+
+    const facts = result.results || [];
+    if (facts.length <= limit) {
+        return facts;
+    }
+
+    const words = new Set(factWords(message));
+    return facts
+        .map((fact, index) => {
+            const overlap = factWords(`${fact.label} ${fact.value}`).filter(word => words.has(word)).length;
+            const core = fact.category === 'name' || fact.category === 'relationship' ? 1 : 0;
+            return { fact, index, score: overlap * 3 + (fact.verified ? 1 : 0) + core };
+        })
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, limit)
+        .map(entry => entry.fact);
+}
+
+function factWords(text) {
+    return text.toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(word => word.length > 2);
+}
+
+/**
+ * Formats known facts as an addition to the /chat system prompt
+ */
+function buildFactsPrompt(facts, personName, language) {
+    if (facts.length === 0) {
+        return '';
+    }
+
+    const lines = facts.map(fact => `- ${fact.label}: ${fact.value}`).join('\n');
+    return fillTemplate(getLanguage(language).prompts.knownFacts, { name: personName, facts: lines });
+}
+
+/**
+ * Life timeline
+ * 
+ * Every conversation turn and memory is searched for when the things it tells about happened:
+ * explicit years ("in 1947", "۱۹۴۷ میں"), decades ("in the sixties", "ساٹھ کی دہائی"), ages
+ * ("when I was twelve", "بارہ سال کی عمر میں") and times of life counted from the birth year
+ * ("as a child", "in my twenties", "the year after I was born"). Each one is stored in
+ * timeline_events with the row it was said in. Ages get their year from people.birth_year,
+ * so the person's timeline is rebuilt when the birth year changes.
+ */
+
+// Earliest year read as a date (the same limit as a person's birth year)
+const TIMELINE_MIN_YEAR = 1880;
+// Oldest age read as an age, so "when we were 200 people" isn't one
+const TIMELINE_MAX_AGE = 110;
+// Events written per D1 batch while a timeline is rebuilt
+const TIMELINE_BATCH_SIZE = 100;
+
+const TIMELINE_NUMBERS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+    eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60,
+    seventy: 70, eighty: 80, ninety: 90,
+    'ایک': 1, 'دو': 2, 'تین': 3, 'چار': 4, 'پانچ': 5, 'چھ': 6, 'سات': 7, 'آٹھ': 8, 'نو': 9, 'دس': 10,
+    'گیارہ': 11, 'بارہ': 12, 'تیرہ': 13, 'چودہ': 14, 'پندرہ': 15, 'سولہ': 16, 'سترہ': 17, 'اٹھارہ': 18,
+    'انیس': 19, 'بیس': 20, 'اکیس': 21, 'بائیس': 22, 'تئیس': 23, 'چوبیس': 24, 'پچیس': 25, 'چھبیس': 26,
+    'ستائیس': 27, 'اٹھائیس': 28, 'انتیس': 29, 'تیس': 30, 'چالیس': 40, 'پچاس': 50, 'ساٹھ': 60,
+    'ستر': 70, 'اسی': 80, 'نوے': 90
+};
+
+const TIMELINE_DECADES = {
+    twenties: 20, thirties: 30, forties: 40, fifties: 50, sixties: 60, seventies: 70, eighties: 80, nineties: 90
+};
+
+// "12", "twelve", "twenty-one"
+const TIMELINE_NUMBER_EN = (() => {
+    const words = Object.keys(TIMELINE_NUMBERS).filter(word => /^[a-z]/.test(word)).sort((a, b) => b.length - a.length);
+    const tens = words.filter(word => TIMELINE_NUMBERS[word] >= 20);
+    const ones = words.filter(word => TIMELINE_NUMBERS[word] < 10);
+    return `(\\d{1,3}|(?:${tens.join('|')})[- ](?:${ones.join('|')})|${words.join('|')})`;
+})();
+// "12", "بارہ"
+const TIMELINE_NUMBER_UR = `(?<![\\p{L}\\p{M}])(\\d{1,3}|${Object.keys(TIMELINE_NUMBERS).filter(word => !/^[a-z]/.test(word))
+    .sort((a, b) => b.length - a.length).join('|')})(?![\\p{L}\\p{M}])`;
+const TIMELINE_DECADE_EN = `(${Object.keys(TIMELINE_DECADES).join('|')})`;
+// "early", "mid-", "late"
+const TIMELINE_PART = '(early |mid-?|late )?';
+// Words after a number that make it a count or a measure rather than an age
+const TIMELINE_NOT_AGE = "(?! ?(?:%|feet|foot|inches|kg|kilos|pounds|rupees|o'clock|children|kids|brothers|sisters|siblings|people|of us)\\b)";
+// Words after a four-digit number that make it an amount rather than a year
+const TIMELINE_NOT_YEAR = '(?![.,]?\\d| ?(?:%|rupees|rs\\b|dollars|pounds|people|miles|km|kilometers|feet|ft\\b|meters|metres|kg|grams|روپے))';
+
+/**
+ * Patterns that date a sentence, most specific first - a pattern can't use words an earlier
+ * one already matched. Each build() gets the regex match and the birth year (or null) and
+ * returns { year, yearEnd } for calendar dates or { age, ageEnd } for ages, or null to skip it
+ */
+const TIMELINE_PATTERNS = [
+    {
+        precision: 'decade',
+        pattern: new RegExp(`\\b${TIMELINE_PART}((?:18|19|20)\\d)0['’]?s\\b`, 'gi'),
+        build: match => timelineDecade(parseInt(match[2]) * 10, match[1])
+    },
+    {
+        precision: 'decade',
+        pattern: new RegExp(`(?<![\\w'’])${TIMELINE_PART}['’]([2-9])0s\\b`, 'gi'),
+        build: (match, birthYear) => timelineDecade(timelineCentury(parseInt(match[2]) * 10, birthYear, 9), match[1])
+    },
+    {
+        precision: 'decade',
+        pattern: new RegExp(`\\bthe ${TIMELINE_PART}${TIMELINE_DECADE_EN}\\b`, 'gi'),
+        build: (match, birthYear) => timelineDecade(timelineCentury(TIMELINE_DECADES[match[2].toLowerCase()], birthYear, 9), match[1])
+    },
+    {
+        precision: 'decade',
+        pattern: new RegExp(`(?<![\\p{L}\\p{M}\\d])(\\d{4}|${Object.keys(TIMELINE_NUMBERS).filter(word => !/^[a-z]/.test(word) && TIMELINE_NUMBERS[word] % 10 === 0 && TIMELINE_NUMBERS[word] >= 20).join('|')})(?: ?ء)? (?:کی|کے) (?:دہائی|عشرے)`, 'gu'),
+        build: (match, birthYear) => /^\d{4}$/.test(match[1])
+            ? timelineDecade(Math.floor(parseInt(match[1]) / 10) * 10)
+            : timelineDecade(timelineCentury(TIMELINE_NUMBERS[match[1]], birthYear, 9))
+    },
+    {
+        precision: 'year',
+        pattern: new RegExp(`(?<![\\d,.$£]|\\bRs\\.? ?)\\b(1[89]\\d{2}|20\\d{2})\\b${TIMELINE_NOT_YEAR}`, 'giu'),
+        build: match => timelineYear(parseInt(match[1]))
+    },
+    {
+        precision: 'year',
+        // "in '47"
+        pattern: /(?<![\w'’])['’](\d{2})\b(?!s\b)/g,
+        build: (match, birthYear) => timelineYear(timelineCentury(parseInt(match[1]), birthYear, 0))
+    },
+    {
+        precision: 'relative',
+        pattern: new RegExp(`\\b(?:the|a|one|${TIMELINE_NUMBER_EN}) years? (after|before) (?:I|we) (?:was|were) born\\b`, 'gi'),
+        build: match => timelineAge((match[1] ? timelineNumber(match[1]) : 1) * (match[2].toLowerCase() === 'before' ? -1 : 1))
+    },
+    {
+        precision: 'relative',
+        pattern: /\b(?:I|we) (?:was|were) born\b|جب (?:میں|ہم) پیدا (?:ہوئی|ہوا|ہوئے)|میری پیدائش/gi,
+        build: () => timelineAge(0)
+    },
+    {
+        precision: 'age',
+        pattern: new RegExp(`\\b(?:when|while|after|before|since|until|once|by the time) (?:I|we) (?:was|were|turned|had turned) (?:only |just |about |around |nearly |almost |barely )?${TIMELINE_NUMBER_EN}(?: (?:years?|yrs?) old)?\\b${TIMELINE_NOT_AGE}`, 'gi'),
+        build: match => timelineAge(timelineNumber(match[1]))
+    },
+    {
+        precision: 'age',
+        pattern: new RegExp(`\\b(?:I|we) (?:was|were) (?:only |just |about |around |nearly |almost |barely )?${TIMELINE_NUMBER_EN} (?:years?|yrs?) old\\b`, 'gi'),
+        build: match => timelineAge(timelineNumber(match[1]))
+    },
+    {
+        precision: 'age',
+        pattern: new RegExp(`\\b(?:(?:at|by) (?:the age of|age)|aged) ${TIMELINE_NUMBER_EN}\\b`, 'gi'),
+        build: match => timelineAge(timelineNumber(match[1]))
+    },
+    {
+        precision: 'age',
+        pattern: new RegExp(`(?:جب (?:میں|ہم) (?:تقریباً )?)?${TIMELINE_NUMBER_UR} (?:سال|برس) (?:کی عمر میں|(?:کی|کا|کے) (?:تھی|تھا|تھے|ہوئی|ہوا|ہوئے))`, 'gu'),
+        build: match => timelineAge(timelineNumber(match[1]))
+    },
+    {
+        precision: 'relative',
+        pattern: new RegExp(`\\bin (?:my|our) ${TIMELINE_PART}${TIMELINE_DECADE_EN}\\b`, 'gi'),
+        build: match => timelineAge(...timelinePart(TIMELINE_DECADES[match[2].toLowerCase()], 10, match[1]))
+    },
+    {
+        precision: 'relative',
+        pattern: /\b(?:as (?:a )?teenagers?|when (?:I|we) (?:was|were) (?:a )?teenagers?|in (?:my|our) (early |late )?teens)\b|(?<![\p{L}\p{M}])لڑکپن میں/giu,
+        build: match => timelineAge(...timelinePart(13, 7, match[1]))
+    },
+    {
+        precision: 'relative',
+        pattern: /\b(?:as (?:a )?(?:little |small )?(?:child|children|kids?|girls?|boys?)|when (?:I|we) (?:was|were) (?:a )?(?:child|children|kids?|little|small|(?:little |small )(?:girls?|boys?))|in (?:my|our) childhood|during (?:my|our) childhood)\b|(?<![\p{L}\p{M}])بچپن (?:میں|کے دنوں میں)|جب (?:میں|ہم) (?:چھوٹی|چھوٹا|چھوٹے|بچی|بچہ|بچے) (?:تھی|تھا|تھے)/giu,
+        build: () => timelineAge(4, 12)
+    },
+    {
+        precision: 'relative',
+        pattern: /\b(?:when (?:I|we) (?:was|were) young|in (?:my|our) youth|as a young (?:woman|man|bride|girl|boy))\b|(?<![\p{L}\p{M}])جوانی (?:میں|کے دنوں میں)/giu,
+        build: () => timelineAge(15, 25)
+    }
+];
+
+/**
+ * Finds the dated events in a piece of text, one sentence at a time (English and Urdu script)
+ * A sentence that names a year only gives its years - the ages and decades in it say the same less precisely
+ * 
+ * @param {string} text - What the person said or wrote
+ * @param {number|null} birthYear - The person's birth year, if known
+ * @returns {Array<{year: number|null, yearEnd: number|null, age: number|null, ageEnd: number|null, precision: string, phrase: string, description: string}>}
+ */
+function extractTimelineEvents(text, birthYear) {
+    const events = [];
+    const sentences = toWesternDigits(text).split(/[.!?؟۔\n]+/);
+
+    for (const rawSentence of sentences) {
+        const sentence = rawSentence.trim();
+        if (!sentence) {
+            continue;
+        }
+
+        const found = [];
+        const used = [];
+        const seen = new Set();
+        for (const { precision, pattern, build } of TIMELINE_PATTERNS) {
+            for (const match of sentence.matchAll(pattern)) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (used.some(([from, to]) => start < to && end > from)) {
+                    continue;
+                }
+
+                const date = build(match, birthYear);
+                if (!date) {
+                    continue;
+                }
+                used.push([start, end]);
+
+                const event = { year: null, yearEnd: null, age: null, ageEnd: null, ...date, precision };
+                if (event.age !== null && birthYear) {
+                    event.year = birthYear + event.age;
+                    event.yearEnd = birthYear + event.ageEnd;
+                }
+
+                const key = `${event.year}|${event.yearEnd}|${event.age}|${event.ageEnd}`;
+                if (seen.has(key)) {
+                    continue;
+                }
+                seen.add(key);
+                found.push({ ...event, phrase: match[0].trim().substring(0, 100), description: sentence.substring(0, 300) });
+            }
+        }
+
+        const hasYear = found.some(event => event.precision === 'year');
+        events.push(...found.filter(event => !hasYear || event.precision === 'year'));
+    }
+
+    return sortTimeline(events);
+}
+
+function timelineNumber(words) {
+    if (/^\d+$/.test(words)) {
+        return parseInt(words);
+    }
+    return words.toLowerCase().split(/[- ]/).reduce((total, word) => total + (TIMELINE_NUMBERS[word] || 0), 0);
+}
+
+function timelineYear(year) {
+    if (year < TIMELINE_MIN_YEAR || year > new Date().getFullYear()) {
+        return null;
+    }
+    return { year, yearEnd: year };
+}
+
+function timelineDecade(start, part) {
+    const [year, yearEnd] = timelinePart(start, 10, part);
+    if (start < TIMELINE_MIN_YEAR - 9 || year > new Date().getFullYear()) {
+        return null;
+    }
+    return { year, yearEnd };
+}
+
+function timelineAge(age, ageEnd = age) {
+    if (Math.abs(age) > TIMELINE_MAX_AGE) {
+        return null;
+    }
+    return { age, ageEnd };
+}
+
+/**
+ * First and last value of a span narrowed to its early, mid or late part
+ * ("the early sixties" is 1960-1963, "in my late teens" 17-19)
+ */
+function timelinePart(start, length, part) {
+    const third = Math.round(length / 3);
+    const word = (part || '').trim().toLowerCase().replace(/-$/, '');
+    if (word === 'early') {
+        return [start, start + third];
+    }
+    if (word === 'mid') {
+        return [start + third, start + length - 1 - third];
+    }
+    if (word === 'late') {
+        return [start + length - 1 - third, start + length - 1];
+    }
+    return [start, start + length - 1];
+}
+
+/**
+ * Century for a two-digit year or decade ("'47", "the twenties")
+ * The 1900s, unless that is before the person was born and the 2000s have already reached it
+ * 
+ * @param {number} value - 0-99
+ * @param {number|null} birthYear - The person's birth year, if known
+ * @param {number} span - Years the value covers after its start (9 for a decade)
+ * @returns {number}
+ */
+function timelineCentury(value, birthYear, span) {
+    if (birthYear && 1900 + value + span < birthYear && 2000 + value <= new Date().getFullYear()) {
+        return 2000 + value;
+    }
+    return 1900 + value;
+}
+
+/**
+ * Orders events by when they happened; ages without a year (birth year unknown) go last, youngest first
+ */
+function sortTimeline(events) {
+    return events.sort((a, b) => (a.year === null) - (b.year === null)
+        || (a.year ?? 0) - (b.year ?? 0)
+        || (a.yearEnd ?? 0) - (b.yearEnd ?? 0)
+        || (a.age ?? 0) - (b.age ?? 0));
+}
+
+/**
+ * Short label for when an event happened: "1947", "1960s", "c. 1955-1963", "1947 (age 12)", "1935 (birth)", "ages 4-12"
+ */
+function timelineLabel(event) {
+    const ages = event.age === event.ageEnd ? `age ${event.age}` : `ages ${event.age}-${event.ageEnd}`;
+    if (event.year === null) {
+        if (event.age === 0 && event.ageEnd === 0) {
+            return 'birth';
+        }
+        return event.age < 0 ? `${-event.age} year(s) before birth` : ages;
+    }
+    if (event.age === 0 && event.ageEnd === 0) {
+        return `${event.year} (birth)`;
+    }
+
+    if (event.precision === 'decade' && event.year % 10 === 0 && event.yearEnd === event.year + 9) {
+        return `${event.year}s`;
+    }
+    const years = event.yearEnd === event.year ? `${event.year}` : `${event.year}-${event.yearEnd}`;
+    if (event.precision === 'year') {
+        return years;
+    }
+    if (event.precision === 'age') {
+        return `${years} (${ages})`;
+    }
+    return `c. ${years}`;
+}
+
+/**
+ * Finds the dated events in everything a person said, in the order they happened
+ * Only the person's side of conversations is read - the interviewer's questions don't date anything
+ * 
+ * @param {Array<Object>} conversations - conversations rows
+ * @param {Array<Object>} memories - grandma_memories rows
+ * @param {number|null} birthYear - The person's birth year, if known
+ * @returns {Array<Object>} Events as returned by extractTimelineEvents, with sourceTable and sourceId
+ */
+function buildTimeline(conversations, memories, birthYear) {
+    const events = [
+        ...conversations.flatMap(row => extractTimelineEvents(row.user_message || '', birthYear)
+            .map(event => ({ ...event, sourceTable: 'conversations', sourceId: row.id }))),
+        ...memories.flatMap(row => extractTimelineEvents(row.text || '', birthYear)
+            .map(event => ({ ...event, sourceTable: 'grandma_memories', sourceId: row.id })))
+    ];
+    return sortTimeline(events);
+}
+
+function timelineInsert(db, personId, sourceTable, sourceId, event, now) {
+    return db.prepare(`
+        INSERT INTO timeline_events (person_id, source_table, source_id, year, year_end, age, age_end, precision, phrase, description, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(personId, sourceTable, sourceId, event.year, event.yearEnd, event.age, event.ageEnd,
+        event.precision, event.phrase, event.description, now);
+}
+
+/**
+ * Replaces the timeline events found in a saved row
+ * Never throws - losing an event must not fail the request that saved the row
+ * 
+ * @param {Object} env - Environment variables (must include DB binding)
+ * @param {string} personId - Person the row belongs to
+ * @param {string} sourceTable - conversations or grandma_memories
+ * @param {number} sourceId - Row the text was saved in
+ * @param {string} text - What the person said (conversations.user_message or grandma_memories.text)
+ * @returns {Promise<number>} How many events were stored
+ */
+async function saveTimelineEvents(env, personId, sourceTable, sourceId, text) {
+    if (!personId || sourceId === null || sourceId === undefined) {
+        return 0;
+    }
+
+    try {
+        const person = await getPerson(env, personId);
+        const events = extractTimelineEvents(text || '', person?.birth_year ?? null);
+        const now = new Date().toISOString();
+        await env.DB.batch([
+            env.DB.prepare('DELETE FROM timeline_events WHERE source_table = ? AND source_id = ?').bind(sourceTable, sourceId),
+            ...events.map(event => timelineInsert(env.DB, personId, sourceTable, sourceId, event, now))
+        ]);
+        return events.length;
+    } catch (error) {
+        console.error('Error saving timeline events:', error);
+        return 0;
+    }
+}
+
+/**
+ * Finds a person's timeline events again in all their rows that aren't deleted
+ * Used when the birth year changes (ages and decades depend on it) and by migration 16
+ * 
+ * @param {Object} db - D1 database
+ * @param {string} personId - Person to rebuild
+ * @returns {Promise<number>} How many events were stored
+ */
+async function rebuildTimeline(db, personId) {
+    const person = await db.prepare('SELECT birth_year FROM people WHERE id = ?').bind(personId).first();
+    const conversations = await db.prepare(
+        'SELECT id, user_message FROM conversations WHERE person_id = ? AND deleted_at IS NULL'
+    ).bind(personId).all();
+    const memories = await db.prepare(
+        'SELECT id, text FROM grandma_memories WHERE person_id = ? AND deleted_at IS NULL'
+    ).bind(personId).all();
+
+    const events = buildTimeline(conversations.results || [], memories.results || [], person?.birth_year ?? null);
+    const now = new Date().toISOString();
+    const statements = [
+        db.prepare('DELETE FROM timeline_events WHERE person_id = ?').bind(personId),
+        ...events.map(event => timelineInsert(db, personId, event.sourceTable, event.sourceId, event, now))
+    ];
+    for (let start = 0; start < statements.length; start += TIMELINE_BATCH_SIZE) {
+        await db.batch(statements.slice(start, start + TIMELINE_BATCH_SIZE));
+    }
+
+    console.log(`Rebuilt the timeline of ${personId}: ${events.length} event(s)`);
+    return events.length;
+}
+
+/**
+ * Handles GET /admin/timeline endpoint
+ * Lists a person's timeline events (?personId=) in the order they happened, with the rows they came from
+ */
+async function handleAdminGetTimeline(request, env) {
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        const personId = new URL(request.url).searchParams.get('personId');
+        if (!personId) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'personId required' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!canAccessPerson(admin, personId)) {
+            return adminErrorResponse(noAccessToPerson(personId));
+        }
+
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const person = await getPerson(env, personId);
+        const result = await env.DB.prepare(`
+            SELECT id, year, year_end, age, age_end, precision, phrase, description, source_table, source_id
+            FROM timeline_events WHERE person_id = ?
+            ORDER BY year IS NULL, year, year_end, age, source_table, source_id, id
+        `).bind(personId).all();
+
+        const events = (result.results || []).map(row => {
+            const event = {
+                id: row.id,
+                year: row.year,
+                yearEnd: row.year_end,
+                age: row.age,
+                ageEnd: row.age_end,
+                precision: row.precision,
+                phrase: row.phrase,
+                description: row.description,
+                sourceTable: row.source_table,
+                sourceId: row.source_id
+            };
+            return { ...event, label: timelineLabel(event) };
+        });
+
+        return new Response(
+            JSON.stringify({ success: true, personId: personId, birthYear: person?.birth_year ?? null, events: events }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error getting timeline:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Family graph
+ * 
+ * The relatives a person names are kept as a graph. family_members are the people: the person
+ * themself is the "self" member, and a relative only mentioned on the way to someone else
+ * (the mother in "my mother's brother Rashid") has no name until one is given. family_edges
+ * say how two members are related, each citing the sentence it was said in. Kinship is read
+ * in English ("my brother Ali", "Zainab, my mother", "my mother's brother Rashid"), romanized
+ * Urdu ("my nani Fatima", "Khala Zubaida", "Akram Chacha") and Urdu script ("میری امی کا نام زینب تھا").
+ */
+
+// Each relation's generation from the person (+1 parents, -1 children) and side of the family
+// general ones give way to a more precise relation of the same generation ("uncle" → "maternal uncle")
+const FAMILY_RELATIONS = {
+    self: { generation: 0 },
+    mother: { generation: 1 }, father: { generation: 1 },
+    grandmother: { generation: 2, general: true }, grandfather: { generation: 2, general: true },
+    'maternal grandmother': { generation: 2, side: 'maternal' }, 'maternal grandfather': { generation: 2, side: 'maternal' },
+    'paternal grandmother': { generation: 2, side: 'paternal' }, 'paternal grandfather': { generation: 2, side: 'paternal' },
+    aunt: { generation: 1, general: true }, uncle: { generation: 1, general: true },
+    'maternal aunt': { generation: 1, side: 'maternal' }, 'maternal uncle': { generation: 1, side: 'maternal' },
+    'paternal aunt': { generation: 1, side: 'paternal' }, 'paternal uncle': { generation: 1, side: 'paternal' },
+    "maternal aunt's husband": { generation: 1, side: 'maternal' }, "maternal uncle's wife": { generation: 1, side: 'maternal' },
+    "paternal aunt's husband": { generation: 1, side: 'paternal' }, "paternal uncle's wife": { generation: 1, side: 'paternal' },
+    'mother-in-law': { generation: 1 }, 'father-in-law': { generation: 1 },
+    brother: { generation: 0 }, sister: { generation: 0 }, husband: { generation: 0 }, wife: { generation: 0 },
+    cousin: { generation: 0 }, 'brother-in-law': { generation: 0 }, 'sister-in-law': { generation: 0 },
+    child: { generation: -1, general: true }, son: { generation: -1 }, daughter: { generation: -1 },
+    nephew: { generation: -1 }, niece: { generation: -1 }, 'son-in-law': { generation: -1 }, 'daughter-in-law': { generation: -1 },
+    grandchild: { generation: -2, general: true }, grandson: { generation: -2 }, granddaughter: { generation: -2 }
+};
+
+// Relations a person has only one of, so a name given later belongs to the unnamed one
+const FAMILY_SINGLE_RELATIONS = [
+    'mother', 'father', 'maternal grandmother', 'maternal grandfather', 'paternal grandmother', 'paternal grandfather', 'husband'
+];
+
+// Words for each relation (see FAMILY_RELATIONS)
+const KINSHIP_TERMS = {
+    mother: 'mother', mom: 'mother', mum: 'mother', mummy: 'mother', ammi: 'mother', amma: 'mother',
+    father: 'father', dad: 'father', daddy: 'father', abba: 'father', abbu: 'father', abbaji: 'father',
+    grandmother: 'grandmother', grandma: 'grandmother', granny: 'grandmother',
+    grandfather: 'grandfather', grandpa: 'grandfather',
+    nani: 'maternal grandmother', nana: 'maternal grandfather', dadi: 'paternal grandmother', dada: 'paternal grandfather',
+    aunt: 'aunt', auntie: 'aunt', aunty: 'aunt', uncle: 'uncle',
+    khala: 'maternal aunt', khalu: "maternal aunt's husband", mamu: 'maternal uncle', mamoo: 'maternal uncle',
+    mamun: 'maternal uncle', mumani: "maternal uncle's wife", phupho: 'paternal aunt', phuppo: 'paternal aunt',
+    phuphi: 'paternal aunt', phupha: "paternal aunt's husband", chacha: 'paternal uncle', chachi: "paternal uncle's wife",
+    taya: 'paternal uncle', tayi: "paternal uncle's wife",
+    brother: 'brother', bhai: 'brother', bhaiya: 'brother', bhaijan: 'brother',
+    sister: 'sister', baji: 'sister', apa: 'sister', api: 'sister', behen: 'sister',
+    husband: 'husband', wife: 'wife', cousin: 'cousin',
+    son: 'son', daughter: 'daughter', nephew: 'nephew', niece: 'niece',
+    grandson: 'grandson', granddaughter: 'granddaughter',
+    'mother-in-law': 'mother-in-law', 'father-in-law': 'father-in-law', 'brother-in-law': 'brother-in-law',
+    'sister-in-law': 'sister-in-law', 'son-in-law': 'son-in-law', 'daughter-in-law': 'daughter-in-law',
+    'امی': 'mother', 'اماں': 'mother', 'والدہ': 'mother', 'ماں': 'mother',
+    'ابو': 'father', 'ابا': 'father', 'والد': 'father',
+    'نانی': 'maternal grandmother', 'نانا': 'maternal grandfather', 'دادی': 'paternal grandmother', 'دادا': 'paternal grandfather',
+    'خالہ': 'maternal aunt', 'خالو': "maternal aunt's husband", 'ماموں': 'maternal uncle', 'ممانی': "maternal uncle's wife",
+    'پھوپھو': 'paternal aunt', 'پھوپھی': 'paternal aunt', 'پھپھو': 'paternal aunt', 'پھوپھا': "paternal aunt's husband",
+    'چچا': 'paternal uncle', 'چچی': "paternal uncle's wife", 'تایا': 'paternal uncle', 'تائی': "paternal uncle's wife",
+    'بھائی': 'brother', 'بہن': 'sister', 'باجی': 'sister', 'آپا': 'sister',
+    'شوہر': 'husband', 'بیوی': 'wife', 'اہلیہ': 'wife',
+    'بیٹا': 'son', 'بیٹے': 'son', 'بیٹی': 'daughter',
+    'پوتا': 'grandson', 'نواسا': 'grandson', 'پوتی': 'granddaughter', 'نواسی': 'granddaughter',
+    'بھتیجا': 'nephew', 'بھانجا': 'nephew', 'بھتیجی': 'niece', 'بھانجی': 'niece',
+    'ساس': 'mother-in-law', 'سسر': 'father-in-law', 'داماد': 'son-in-law', 'بہو': 'daughter-in-law'
+};
+
+// "my brothers Ali and Hassan"
+const KINSHIP_PLURALS = {
+    brothers: 'brother', sisters: 'sister', sons: 'son', daughters: 'daughter', children: 'child', kids: 'child',
+    grandchildren: 'grandchild', grandsons: 'grandson', granddaughters: 'granddaughter', cousins: 'cousin',
+    nephews: 'nephew', nieces: 'niece', uncles: 'uncle', aunts: 'aunt'
+};
+
+// Romanized Urdu words also said as a title before or after the name; "bhai" and "baji" are left
+// out because they are said to anyone
+const KINSHIP_TITLES = [
+    'ammi', 'amma', 'abba', 'abbu', 'nani', 'nana', 'dadi', 'dada', 'khala', 'khalu', 'mamu', 'mamoo',
+    'mamun', 'mumani', 'phupho', 'phuppo', 'phuphi', 'phupha', 'chacha', 'chachi', 'taya', 'tayi'
+];
+
+// "my mother's brother" is the person's maternal uncle
+const FAMILY_COMPOSED = {
+    'mother|mother': 'maternal grandmother', 'mother|father': 'maternal grandfather',
+    'father|mother': 'paternal grandmother', 'father|father': 'paternal grandfather',
+    'mother|sister': 'maternal aunt', 'mother|brother': 'maternal uncle',
+    'father|sister': 'paternal aunt', 'father|brother': 'paternal uncle',
+    'brother|son': 'nephew', 'sister|son': 'nephew', 'brother|daughter': 'niece', 'sister|daughter': 'niece',
+    'son|son': 'grandson', 'daughter|son': 'grandson', 'son|daughter': 'granddaughter', 'daughter|daughter': 'granddaughter',
+    'son|child': 'grandchild', 'daughter|child': 'grandchild',
+    'husband|mother': 'mother-in-law', 'wife|mother': 'mother-in-law', 'husband|father': 'father-in-law', 'wife|father': 'father-in-law',
+    'husband|brother': 'brother-in-law', 'wife|brother': 'brother-in-law', 'sister|husband': 'brother-in-law',
+    'husband|sister': 'sister-in-law', 'wife|sister': 'sister-in-law', 'brother|wife': 'sister-in-law',
+    'son|wife': 'daughter-in-law', 'daughter|husband': 'son-in-law'
+};
+
+// Capitalized words that start a sentence or clause rather than a name: English, romanized Urdu
+// possessives and fillers ("Meri ammi", "Phir ammi ne kaha"), and times ("Yesterday nani called")
+const FAMILY_NAME_STOPWORDS = new Set([
+    'i', 'my', 'our', 'the', 'a', 'an', 'and', 'but', 'so', 'then', 'when', 'while', 'after', 'before', 'once',
+    'we', 'he', 'she', 'they', 'it', 'his', 'her', 'their', 'this', 'that', 'there', 'also', 'even', 'later',
+    'dear', 'late', 'allah', 'god', 'eid', 'yes', 'no', 'oh', 'well', 'everyone', 'everybody',
+    'meri', 'mera', 'mere', 'hamari', 'hamara', 'hamare', 'phir', 'aur', 'jab', 'ek', 'woh', 'wo', 'ye', 'yeh',
+    'yesterday', 'today', 'tomorrow', 'tonight', 'now', 'soon', 'again', 'always', 'never', 'often', 'sometimes',
+    'usually', 'every', 'last', 'next', 'still', 'just', 'only', 'first', 'finally', 'suddenly', 'recently',
+    'morning', 'evening', 'night', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'
+]);
+
+const KINSHIP_LATIN = Object.keys(KINSHIP_TERMS).filter(term => /^[a-z]/.test(term));
+const KINSHIP_EN = `(${caselessAlternation(KINSHIP_LATIN)})`;
+const KINSHIP_UR = `(${Object.keys(KINSHIP_TERMS).filter(term => !/^[a-z]/.test(term)).sort((a, b) => b.length - a.length).join('|')})`;
+const KINSHIP_PLURAL_EN = `(${caselessAlternation(Object.keys(KINSHIP_PLURALS))})`;
+const KINSHIP_TITLE = `(${caselessAlternation(KINSHIP_TITLES)})`;
+// "'s name was", " named", " called", ","
+const KINSHIP_NAMED = "(?:['’]s name (?:is|was)| (?:is |was )?(?:named|called)|,)?";
+// Romanized Urdu "meri", "mere", "hamari"... and "sahab"/"jaan"/"ji" after a kinship word
+const KINSHIP_MY_ROMAN = '(?:\\b(?:[Mm]er[aei]|[Hh]amar[aei]) )?';
+const KINSHIP_HONORIFIC_ROMAN = '(?: (?:sahab|jaan|ji))?';
+const FAMILY_NAME_LIST = "([A-Z][\\w'-]+(?:(?:,|,? and) [A-Z][\\w'-]+)*)";
+
+/**
+ * Patterns that find a named relative in one sentence
+ * Each build() gets the regex match and returns { name, terms } - the kinship words from the person
+ * to the relative, e.g. ['mother', 'brother'] - or a list of them, or null to skip it
+ */
+const FAMILY_PATTERNS = [
+    {
+        pattern: new RegExp(`\\b(?:[Mm]y|[Oo]ur) ${KINSHIP_EN}['’]s ${KINSHIP_EN}${KINSHIP_NAMED} ${FACT_NAME}`, 'g'),
+        build: match => ({ name: match[3], terms: [match[1], match[2]] })
+    },
+    {
+        pattern: new RegExp(`${FACT_NAME}(?:,| (?:is|was)) (?:my|our) ${KINSHIP_EN}['’]s ${KINSHIP_EN}\\b`, 'g'),
+        build: match => ({ name: match[1], terms: [match[2], match[3]] })
+    },
+    {
+        pattern: new RegExp(`\\b(?:[Mm]y|[Oo]ur) (?:(?:two|three|four|five|six|seven|eight|nine|ten|\\d+) )?${KINSHIP_PLURAL_EN}(?: (?:were|are))?(?: (?:named|called))?,? ${FAMILY_NAME_LIST}`, 'g'),
+        build: match => match[2].split(/,? and |, /).map(name => ({ name, terms: [match[1]] }))
+    },
+    {
+        pattern: new RegExp(`\\b(?:[Mm]y|[Oo]ur) ${KINSHIP_EN}${KINSHIP_NAMED} ${FACT_NAME}`, 'g'),
+        build: match => ({ name: match[2], terms: [match[1]] })
+    },
+    {
+        pattern: new RegExp(`${FACT_NAME}(?:,| (?:is|was)) (?:my|our) ${KINSHIP_EN}\\b`, 'g'),
+        build: match => ({ name: match[1], terms: [match[2]] })
+    },
+    {
+        // "meri ammi ke bhai ka naam Rashid tha"
+        pattern: new RegExp(`${KINSHIP_MY_ROMAN}\\b${KINSHIP_EN}${KINSHIP_HONORIFIC_ROMAN} (?:ke|ki) ${KINSHIP_EN} ka naam ${FACT_NAME} (?:hai|tha|thi)\\b`, 'g'),
+        build: match => ({ name: match[3], terms: [match[1], match[2]] })
+    },
+    {
+        // "meri ammi ka naam Zainab tha"
+        pattern: new RegExp(`${KINSHIP_MY_ROMAN}\\b${KINSHIP_EN}${KINSHIP_HONORIFIC_ROMAN} ka naam ${FACT_NAME} (?:hai|tha|thi)\\b`, 'g'),
+        build: match => ({ name: match[2], terms: [match[1]] })
+    },
+    {
+        pattern: new RegExp(`\\b${KINSHIP_TITLE} ([A-Z][\\w'-]+)`, 'g'),
+        build: match => ({ name: match[2], terms: [match[1]] })
+    },
+    {
+        // A capitalized word starting the sentence is only a name before a capitalized title
+        // ("Akram Chacha"), not before a lowercase one ("Phir ammi ne kaha")
+        pattern: new RegExp(`\\b([A-Z][\\w'-]+) ${KINSHIP_TITLE}\\b`, 'g'),
+        build: match => match.index === 0 && !/^[A-Z]/.test(match[2]) ? null : { name: match[1], terms: [match[2]] }
+    },
+    {
+        pattern: new RegExp(`میر[اےی] ${KINSHIP_UR}(?: صاحب| جان)? (?:کے|کی) ${KINSHIP_UR} کا نام (\\S+(?: \\S+)?) (?:ہے|تھا|تھی)`, 'g'),
+        build: match => ({ name: match[3], terms: [match[1], match[2]] })
+    },
+    {
+        pattern: new RegExp(`میر[اےی] ${KINSHIP_UR}(?: صاحب| جان)? کا نام (\\S+(?: \\S+)?) (?:ہے|تھا|تھی)`, 'g'),
+        build: match => ({ name: match[2], terms: [match[1]] })
+    },
+    {
+        pattern: new RegExp(`میر[اےی] ${KINSHIP_UR}[،,] (\\S+)`, 'g'),
+        build: match => ({ name: match[2], terms: [match[1]] })
+    }
+];
+
+/**
+ * Finds the relatives named in a piece of text, one sentence at a time (English and Urdu script)
+ * 
+ * @param {string} text - What the person said or wrote
+ * @returns {Array<{name: string, relation: string, generation: number, side: string|null, via: string|null, link: string|null, sourceText: string}>}
+ *   relation is the relative's relation to the person; for "my mother's brother Rashid",
+ *   via is "mother" and link is "brother" (what Rashid is to the mother)
+ */
+function extractFamilyMentions(text) {
+    const mentions = [];
+    const seen = new Set();
+    const sentences = text.split(/[.!?؟۔\n]+/);
+
+    for (const rawSentence of sentences) {
+        const sentence = rawSentence.trim();
+        if (!sentence) {
+            continue;
+        }
+
+        const used = [];
+        for (const { pattern, build } of FAMILY_PATTERNS) {
+            for (const match of sentence.matchAll(pattern)) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (used.some(([from, to]) => start < to && end > from)) {
+                    continue;
+                }
+
+                const found = [build(match)].flat().filter(Boolean).map(({ name, terms }) => {
+                    const cleaned = cleanFamilyName(name);
+                    const relations = terms.map(term => KINSHIP_TERMS[term.toLowerCase()] || KINSHIP_PLURALS[term.toLowerCase()]);
+                    return cleaned && relations.every(Boolean) ? { name: cleaned, relations } : null;
+                }).filter(Boolean);
+                if (found.length === 0) {
+                    continue;
+                }
+                used.push([start, end]);
+
+                for (const { name, relations } of found) {
+                    const [via, link] = relations.length > 1 ? relations : [null, null];
+                    const relation = via ? composeFamilyRelation(via, link) : { relation: relations[0], ...FAMILY_RELATIONS[relations[0]] };
+                    const key = `${name.toLowerCase()}|${relation.relation}|${via}`;
+                    if (seen.has(key)) {
+                        continue;
+                    }
+                    seen.add(key);
+                    mentions.push({
+                        name,
+                        relation: relation.relation,
+                        generation: relation.generation,
+                        side: relation.side || null,
+                        via,
+                        link,
+                        sourceText: sentence.substring(0, 300)
+                    });
+                }
+            }
+        }
+    }
+
+    return mentions;
+}
+
+/**
+ * A test corpus for extractFamilyMentions: sentences and the [name, relation] pairs we expect
+ * GET /test-family-mentions runs it (see runFamilyMentionCorpus)
+ */
+const FAMILY_MENTION_CORPUS = [
+    // English
+    { text: 'My brother Ali lived in Karachi.', expected: [['Ali', 'brother']] },
+    { text: 'Zainab, my mother, was a teacher.', expected: [['Zainab', 'mother']] },
+    { text: "My mother's brother Rashid was a pilot.", expected: [['Rashid', 'maternal uncle']] },
+    { text: 'My brothers Ali and Hassan went to school with me.', expected: [['Ali', 'brother'], ['Hassan', 'brother']] },
+    // Romanized Urdu
+    { text: 'My nani Fatima made the best halwa.', expected: [['Fatima', 'maternal grandmother']] },
+    { text: 'Khala Zubaida came to visit.', expected: [['Zubaida', 'maternal aunt']] },
+    { text: 'Akram Chacha took us to the fair.', expected: [['Akram', 'paternal uncle']] },
+    { text: 'We stayed with Zainab Khala that summer.', expected: [['Zainab', 'maternal aunt']] },
+    { text: 'Meri ammi ka naam Zainab tha.', expected: [['Zainab', 'mother']] },
+    { text: 'Mere abbu ke bhai ka naam Rashid tha.', expected: [['Rashid', 'paternal uncle']] },
+    // Capitalized words that aren't names
+    { text: 'Phir ammi ne kaha.', expected: [] },
+    { text: 'Yesterday nani called.', expected: [] },
+    { text: 'Yesterday Nani called.', expected: [] },
+    { text: 'Jab Dadi aayi, sab khush the.', expected: [] },
+    // Urdu script
+    { text: 'میری امی کا نام زینب تھا۔', expected: [['زینب', 'mother']] },
+    { text: 'میرے ابو کے بھائی کا نام رشید تھا۔', expected: [['رشید', 'paternal uncle']] }
+];
+
+/**
+ * Runs FAMILY_MENTION_CORPUS
+ *
+ * @returns {{passed: number, failed: number, results: Array<{text: string, expected: Array, actual: Array, passed: boolean}>}}
+ */
+function runFamilyMentionCorpus() {
+    const results = FAMILY_MENTION_CORPUS.map(({ text, expected }) => {
+        const actual = extractFamilyMentions(text).map(mention => [mention.name, mention.relation]);
+        return { text, expected, actual, passed: JSON.stringify(actual) === JSON.stringify(expected) };
+    });
+    const passed = results.filter(result => result.passed).length;
+
+    return { passed, failed: results.length - passed, results };
+}
+
+function caselessAlternation(words) {
+    return [...words].sort((a, b) => b.length - a.length)
+        .map(word => `[${word[0].toUpperCase()}${word[0]}]${word.slice(1)}`)
+        .join('|');
+}
+
+/**
+ * Trims words that aren't part of a name ("Then Ali" → "Ali"); null when nothing name-like is left
+ */
+function cleanFamilyName(name) {
+    const words = name.trim().replace(/['’]s$/, '').replace(/[,;:'"’]+$/, '').split(/\s+/);
+    while (words.length > 0 && FAMILY_NAME_STOPWORDS.has(words[0].toLowerCase())) {
+        words.shift();
+    }
+    if (words.length === 0 || words.some(word => KINSHIP_TERMS[word.toLowerCase()] || FAMILY_NAME_STOPWORDS.has(word.toLowerCase()))) {
+        return null;
+    }
+    return words.join(' ').substring(0, 100);
+}
+
+/**
+ * The person's relation to the `link` of their `via` ("mother" + "brother" → "maternal uncle")
+ * Relations without a name of their own are spelled out ("paternal grandfather's brother")
+ */
+function composeFamilyRelation(via, link) {
+    const first = FAMILY_RELATIONS[via];
+    const second = FAMILY_RELATIONS[link];
+    let relation = FAMILY_COMPOSED[`${via}|${link}`];
+    if (!relation && /(?:^|\s)(?:aunt|uncle)$/.test(via) && ['son', 'daughter', 'child'].includes(link)) {
+        relation = 'cousin';
+    }
+    if (relation) {
+        return { relation, ...FAMILY_RELATIONS[relation] };
+    }
+
+    const side = first.side || (via === 'mother' ? 'maternal' : via === 'father' ? 'paternal' : undefined);
+    return { relation: `${via}'s ${link}`, generation: first.generation + second.generation, side };
+}
+
+/**
+ * Finds or adds a member of a person's family graph
+ * There is one member for each relation a person has only one of (mother, nani...): the first
+ * name given for it names the member that had none yet, and later ones are the same member
+ * 
+ * @param {Object} db - D1 database
+ * @param {string} personId - Whose family it is
+ * @param {string|null} name - The relative's name, null if only the relation is known
+ * @param {{relation: string, generation: number, side?: string}} relation - Relation to the person
+ * @param {string} now - ISO timestamp
+ * @returns {Promise<number>} The member id
+ */
+async function upsertFamilyMember(db, personId, name, relation, now) {
+    const single = FAMILY_SINGLE_RELATIONS.includes(relation.relation);
+    const nameKey = name ? name.toLowerCase() : `~${relation.relation}`;
+
+    if (single) {
+        // A second name for the mother is the same mother, said another way ("Zainab", "زینب", "Ammi Jaan")
+        const named = await db.prepare(
+            'SELECT id FROM family_members WHERE person_id = ? AND relation = ? AND name IS NOT NULL ORDER BY id LIMIT 1'
+        ).bind(personId, relation.relation).first();
+        if (named) {
+            return named.id;
+        }
+    }
+
+    const existing = await db.prepare('SELECT * FROM family_members WHERE person_id = ? AND name_key = ?').bind(personId, nameKey).first();
+    if (existing) {
+        const current = FAMILY_RELATIONS[existing.relation];
+        const known = FAMILY_RELATIONS[relation.relation];
+        if (current?.general && known && !known.general && current.generation === known.generation) {
+            await db.prepare('UPDATE family_members SET relation = ?, side = ?, updated_at = ? WHERE id = ?')
+                .bind(relation.relation, relation.side || null, now, existing.id).run();
+        }
+        return existing.id;
+    }
+
+    if (name && single) {
+        const unnamed = await db.prepare('SELECT id FROM family_members WHERE person_id = ? AND name_key = ?')
+            .bind(personId, `~${relation.relation}`).first();
+        if (unnamed) {
+            await db.prepare('UPDATE family_members SET name = ?, name_key = ?, updated_at = ? WHERE id = ?')
+                .bind(name, nameKey, now, unnamed.id).run();
+            return unnamed.id;
+        }
+    }
+
+    const result = await db.prepare(`
+        INSERT INTO family_members (person_id, name, name_key, relation, generation, side, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(personId, name, nameKey, relation.relation, relation.generation, relation.side || null, now, now).run();
+    return result.meta.last_row_id;
+}
+
+/**
+ * Adds the relatives named in one row to the person's family graph
+ * 
+ * @returns {Promise<number>} How many relatives were mentioned
+ */
+async function storeFamilyMentions(db, personId, sourceTable, sourceId, text) {
+    const mentions = extractFamilyMentions(text || '');
+    if (mentions.length === 0) {
+        return 0;
+    }
+
+    const now = new Date().toISOString();
+    const edge = (from, to, relation, mention) => db.prepare(`
+        INSERT OR IGNORE INTO family_edges (person_id, from_member_id, to_member_id, relation, source_table, source_id, source_text, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(personId, from, to, relation, sourceTable, sourceId, mention.sourceText, now);
+
+    const self = await upsertFamilyMember(db, personId, null, { relation: 'self', generation: 0 }, now);
+    for (const mention of mentions) {
+        const member = await upsertFamilyMember(db, personId, mention.name, mention, now);
+        const statements = [edge(self, member, mention.relation, mention)];
+        if (mention.via) {
+            const via = await upsertFamilyMember(db, personId, null, { relation: mention.via, ...FAMILY_RELATIONS[mention.via] }, now);
+            statements.push(edge(self, via, mention.via, mention), edge(via, member, mention.link, mention));
+        }
+        await db.batch(statements);
+    }
+    return mentions.length;
+}
+
+/**
+ * Statement removing the members nobody is linked to any more (their mentions were edited or deleted)
+ */
+function pruneFamilyMembers(db, personId) {
+    return db.prepare(`
+        DELETE FROM family_members
+        WHERE person_id = ? AND relation != 'self'
+          AND id NOT IN (SELECT to_member_id FROM family_edges WHERE person_id = ?)
+    `).bind(personId, personId);
+}
+
+/**
+ * Replaces the family graph edges from a saved row
+ * Never throws - losing a relative must not fail the request that saved the row
+ * 
+ * @param {Object} env - Environment variables (must include DB binding)
+ * @param {string} personId - Person the row belongs to
+ * @param {string} sourceTable - conversations or grandma_memories
+ * @param {number} sourceId - Row the text was saved in
+ * @param {string} text - What the person said (conversations.user_message or grandma_memories.text)
+ * @returns {Promise<number>} How many relatives were mentioned
+ */
+async function saveFamilyMentions(env, personId, sourceTable, sourceId, text) {
+    if (!personId || sourceId === null || sourceId === undefined) {
+        return 0;
+    }
+
+    try {
+        await env.DB.prepare('DELETE FROM family_edges WHERE source_table = ? AND source_id = ?').bind(sourceTable, sourceId).run();
+        const mentioned = await storeFamilyMentions(env.DB, personId, sourceTable, sourceId, text);
+        await pruneFamilyMembers(env.DB, personId).run();
+        return mentioned;
+    } catch (error) {
+        console.error('Error saving family mentions:', error);
+        return 0;
+    }
+}
+
+/**
+ * Reads a person's family graph again from all their rows that aren't deleted (used by migration 17)
+ * 
+ * @param {Object} db - D1 database
+ * @param {string} personId - Person to rebuild
+ * @returns {Promise<number>} How many relatives were mentioned
+ */
+async function rebuildFamilyGraph(db, personId) {
+    await db.batch([
+        db.prepare('DELETE FROM family_edges WHERE person_id = ?').bind(personId),
+        db.prepare('DELETE FROM family_members WHERE person_id = ?').bind(personId)
+    ]);
+
+    const conversations = await db.prepare(
+        'SELECT id, user_message FROM conversations WHERE person_id = ? AND deleted_at IS NULL'
+    ).bind(personId).all();
+    const memories = await db.prepare(
+        'SELECT id, text FROM grandma_memories WHERE person_id = ? AND deleted_at IS NULL'
+    ).bind(personId).all();
+
+    let mentioned = 0;
+    for (const row of conversations.results || []) {
+        mentioned += await storeFamilyMentions(db, personId, 'conversations', row.id, row.user_message);
+    }
+    for (const row of memories.results || []) {
+        mentioned += await storeFamilyMentions(db, personId, 'grandma_memories', row.id, row.text);
+    }
+
+    console.log(`Rebuilt the family graph of ${personId}: ${mentioned} mention(s)`);
+    return mentioned;
+}
+
+/**
+ * Handles GET /admin/family-graph endpoint
+ * Returns a person's family (?personId=) as nodes and edges for drawing a tree
+ * 
+ * Nodes: { id, name, relation, generation, side, label, self } - generation is +1 for parents,
+ *   -1 for children; name is null for relatives only known by relation
+ * Edges: { from, to, relation, sources } - "to is from's <relation>", with the sentences that say so
+ */
+async function handleAdminGetFamilyGraph(request, env) {
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        const personId = new URL(request.url).searchParams.get('personId');
+        if (!personId) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'personId required' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!canAccessPerson(admin, personId)) {
+            return adminErrorResponse(noAccessToPerson(personId));
+        }
+
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const person = await getPerson(env, personId);
+        const members = await env.DB.prepare(
+            'SELECT id, name, relation, generation, side FROM family_members WHERE person_id = ? ORDER BY generation DESC, relation, name'
+        ).bind(personId).all();
+        const edgeRows = await env.DB.prepare(`
+            SELECT from_member_id, to_member_id, relation, source_table, source_id, source_text
+            FROM family_edges WHERE person_id = ? ORDER BY id
+        `).bind(personId).all();
+
+        const nodes = (members.results || []).map(member => {
+            const self = member.relation === 'self';
+            const name = self ? person?.display_name || displayNameFromPersonId(personId) : member.name;
+            return {
+                id: member.id,
+                name: name,
+                relation: member.relation,
+                generation: member.generation,
+                side: member.side,
+                label: name || member.relation.charAt(0).toUpperCase() + member.relation.slice(1),
+                self: self
+            };
+        });
+
+        const edges = new Map();
+        for (const row of edgeRows.results || []) {
+            const key = `${row.from_member_id}|${row.to_member_id}|${row.relation}`;
+            if (!edges.has(key)) {
+                edges.set(key, { from: row.from_member_id, to: row.to_member_id, relation: row.relation, sources: [] });
+            }
+            edges.get(key).sources.push({ table: row.source_table, id: row.source_id, text: row.source_text });
+        }
+
+        return new Response(
+            JSON.stringify({ success: true, personId: personId, nodes: nodes, edges: [...edges.values()] }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error getting family graph:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Interview curriculum
+ * 
+ * A question bank organized by life chapter, in English and Urdu. Every /chat message and
+ * /save memory that talks about a chapter counts towards its coverage for that person
+ * (chapter_coverage table). When a thread runs dry, /chat steers towards the chapters that
+ * have been covered least, asking their questions in order.
+ * 
+ * Keywords are matched as whole words, so list the inflected forms that should count.
+ */
+const INTERVIEW_CHAPTERS = [
+    {
+        id: 'childhood',
+        title: { en: 'Childhood', ur: 'بچپن' },
+        keywords: [
+            'childhood', 'as a child', 'when i was little', 'when i was young', 'grew up', 'growing up',
+            'games', 'toys', 'playing outside',
+            'بچپن', 'کھیل', 'کھیلتے', 'کھیلتی', 'کھلونے', 'پلی بڑھی', 'پلا بڑھا'
+        ],
+        questions: {
+            en: [
+                'Where did you grow up, and what was your home like?',
+                'What games did you play as a child, and who did you play with?',
+                'What is your earliest memory?',
+                'What was a normal day like for you as a child?',
+                'Who were you closest to when you were little?'
+            ],
+            ur: [
+                'آپ کہاں پلے بڑھے، اور آپ کا گھر کیسا تھا؟',
+                'بچپن میں آپ کون سے کھیل کھیلتے تھے، اور کس کے ساتھ؟',
+                'آپ کی سب سے پرانی یاد کون سی ہے؟',
+                'بچپن میں آپ کا عام دن کیسا گزرتا تھا؟',
+                'بچپن میں آپ سب سے زیادہ کس کے قریب تھے؟'
+            ]
+        }
+    },
+    {
+        id: 'schooling',
+        title: { en: 'Schooling', ur: 'تعلیم' },
+        keywords: [
+            'school', 'schools', 'teacher', 'teachers', 'class', 'classes', 'college', 'university',
+            'exam', 'exams', 'studied', 'study', 'studying', 'madrasa', 'homework',
+            'اسکول', 'سکول', 'استاد', 'استانی', 'پڑھائی', 'پڑھتے', 'پڑھتی', 'کالج', 'امتحان', 'مدرسہ', 'مدرسے'
+        ],
+        questions: {
+            en: [
+                'Did you go to school? What was it like?',
+                'Which teacher do you still remember, and why?',
+                'Which subjects did you enjoy, and which did you find hard?',
+                'How did you get to school every day?',
+                'Did you want to keep studying? What happened?'
+            ],
+            ur: [
+                'کیا آپ اسکول گئے؟ وہ کیسا تھا؟',
+                'کون سے استاد آپ کو آج بھی یاد ہیں، اور کیوں؟',
+                'آپ کو کون سے مضامین پسند تھے، اور کون سے مشکل لگتے تھے؟',
+                'آپ روز اسکول کیسے جاتے تھے؟',
+                'کیا آپ آگے پڑھنا چاہتے تھے؟ پھر کیا ہوا؟'
+            ]
+        }
+    },
+    {
+        id: 'migration',
+        title: { en: 'Migration', ur: 'ہجرت' },
+        keywords: [
+            'partition', 'migrated', 'migration', 'emigrated', 'immigrated', 'visa', 'border', 'abroad',
+            'new country', 'left home', 'moved to', 'refugee', 'refugees',
+            'ہجرت', 'تقسیم', 'بارڈر', 'ویزا', 'پردیس', 'ولایت', 'منتقل'
+        ],
+        questions: {
+            en: [
+                'Did your family ever move to a new city or country? What made them go?',
+                'What do you remember about the journey?',
+                'What did you have to leave behind?',
+                'What was hardest about settling in a new place?',
+                'What do you miss about the place you came from?'
+            ],
+            ur: [
+                'کیا آپ کا خاندان کبھی کسی نئے شہر یا ملک گیا؟ کیوں؟',
+                'آپ کو اس سفر کی کیا باتیں یاد ہیں؟',
+                'آپ کو کیا کچھ پیچھے چھوڑنا پڑا؟',
+                'نئی جگہ بسنے میں سب سے مشکل کیا تھا؟',
+                'آپ کو اپنی پرانی جگہ کی کون سی بات یاد آتی ہے؟'
+            ]
+        }
+    },
+    {
+        id: 'marriage',
+        title: { en: 'Marriage', ur: 'شادی' },
+        keywords: [
+            'married', 'marriage', 'wedding', 'husband', 'wife', 'engaged', 'engagement', 'rishta',
+            'in-laws', 'nikah', 'baraat', 'mehndi', 'dowry',
+            'شادی', 'شوہر', 'بیوی', 'منگنی', 'رشتہ', 'نکاح', 'بارات', 'مہندی', 'جہیز', 'سسرال'
+        ],
+        questions: {
+            en: [
+                'How did you meet your husband or wife?',
+                'What do you remember about your wedding day?',
+                'What was it like living with your in-laws?',
+                'What did you learn in the first years of marriage?',
+                'What kept your marriage strong?'
+            ],
+            ur: [
+                'آپ کی اپنے جیون ساتھی سے ملاقات کیسے ہوئی؟',
+                'آپ کو اپنی شادی کے دن کی کیا باتیں یاد ہیں؟',
+                'سسرال میں رہنا کیسا تھا؟',
+                'شادی کے پہلے سالوں میں آپ نے کیا سیکھا؟',
+                'آپ کی شادی کو کس چیز نے مضبوط رکھا؟'
+            ]
+        }
+    },
+    {
+        id: 'children',
+        title: { en: 'Children', ur: 'اولاد' },
+        keywords: [
+            'my children', 'my kids', 'son', 'sons', 'daughter', 'daughters', 'baby', 'pregnant',
+            'grandchildren', 'grandson', 'granddaughter', 'raising',
+            'بچے', 'بچوں', 'بیٹا', 'بیٹے', 'بیٹی', 'بیٹیاں', 'اولاد', 'پوتا', 'پوتی', 'نواسا', 'نواسی'
+        ],
+        questions: {
+            en: [
+                'What was the day your first child was born like?',
+                'What was each of your children like when they were small?',
+                'What was hardest about raising children back then?',
+                'Which traditions did you pass on to your children?',
+                'What makes you proudest about your children?'
+            ],
+            ur: [
+                'آپ کے پہلے بچے کی پیدائش کا دن کیسا تھا؟',
+                'آپ کے بچے چھوٹے تھے تو ہر ایک کیسا تھا؟',
+                'اس زمانے میں بچوں کی پرورش میں سب سے مشکل کیا تھا؟',
+                'آپ نے اپنے بچوں کو کون سی روایات سکھائیں؟',
+                'آپ کو اپنے بچوں کی کس بات پر سب سے زیادہ فخر ہے؟'
+            ]
+        }
+    },
+    {
+        id: 'work',
+        title: { en: 'Work', ur: 'کام' },
+        keywords: [
+            'work', 'worked', 'working', 'job', 'jobs', 'office', 'business', 'shop', 'factory',
+            'salary', 'boss', 'career', 'farm', 'fields', 'earned', 'retired', 'sewing',
+            'کام', 'نوکری', 'دفتر', 'کاروبار', 'دکان', 'تنخواہ', 'کھیت', 'فیکٹری', 'سلائی', 'ریٹائر'
+        ],
+        questions: {
+            en: [
+                'What was your first job, or the first work you did?',
+                'How did your family earn a living?',
+                'Which work are you proudest of?',
+                'What was a typical working day like?',
+                'Who taught you the skills you used in your work?'
+            ],
+            ur: [
+                'آپ کا پہلا کام یا پہلی نوکری کیا تھی؟',
+                'آپ کے گھر کا گزارا کیسے ہوتا تھا؟',
+                'آپ کو اپنے کس کام پر سب سے زیادہ فخر ہے؟',
+                'کام کا ایک عام دن کیسا ہوتا تھا؟',
+                'آپ کو یہ ہنر کس نے سکھائے؟'
+            ]
+        }
+    },
+    {
+        id: 'faith',
+        title: { en: 'Faith', ur: 'ایمان' },
+        keywords: [
+            'faith', 'god', 'allah', 'pray', 'prayed', 'prayer', 'prayers', 'namaz', 'mosque', 'church',
+            'temple', 'quran', 'ramadan', 'roza', 'eid', 'hajj', 'religion', 'religious',
+            'اللہ', 'خدا', 'نماز', 'مسجد', 'قرآن', 'رمضان', 'روزہ', 'روزے', 'عید', 'حج', 'دعا', 'ایمان', 'مذہب'
+        ],
+        questions: {
+            en: [
+                'What role has faith played in your life?',
+                'How did your family celebrate Eid and other special days?',
+                'Is there a prayer or verse that has stayed with you?',
+                'Was there a time your faith carried you through something hard?',
+                'What did your parents teach you about right and wrong?'
+            ],
+            ur: [
+                'آپ کی زندگی میں ایمان کا کیا کردار رہا ہے؟',
+                'آپ کا خاندان عید اور دوسرے خاص دن کیسے مناتا تھا؟',
+                'کوئی دعا یا آیت جو ہمیشہ آپ کے ساتھ رہی؟',
+                'کیا کبھی ایمان نے کسی مشکل وقت میں آپ کو سہارا دیا؟',
+                'آپ کے والدین نے آپ کو صحیح اور غلط کے بارے میں کیا سکھایا؟'
+            ]
+        }
+    },
+    {
+        id: 'advice',
+        title: { en: 'Advice for future generations', ur: 'آنے والی نسلوں کے لیے نصیحت' },
+        keywords: [
+            'advice', 'lesson', 'lessons', 'wisdom', 'future', 'young people', 'next generation',
+            'remember me', 'regret', 'regrets',
+            'نصیحت', 'مشورہ', 'سبق', 'نسل', 'مستقبل', 'افسوس'
+        ],
+        questions: {
+            en: [
+                'What advice would you give your grandchildren?',
+                'What is the most important lesson life has taught you?',
+                'If you could tell your younger self one thing, what would it be?',
+                'How would you like to be remembered?',
+                'What do you hope never changes in our family?'
+            ],
+            ur: [
+                'آپ اپنے پوتے پوتیوں اور نواسے نواسیوں کو کیا نصیحت کریں گے؟',
+                'زندگی نے آپ کو سب سے اہم سبق کیا سکھایا؟',
+                'اگر آپ اپنی جوانی کو ایک بات بتا سکتے تو وہ کیا ہوتی؟',
+                'آپ چاہتے ہیں کہ لوگ آپ کو کیسے یاد رکھیں؟',
+                'آپ کیا چاہتے ہیں کہ ہمارے خاندان میں کبھی نہ بدلے؟'
+            ]
+        }
+    }
+];
+
+// A chapter counts as covered once the person has talked about it in this many turns or memories
+const CHAPTER_COVERED_MENTIONS = 3;
+
+// Replies that mean the current thread has nothing more to give
+const DRY_THREAD_PATTERN = /\b(?:that'?s (?:all|it)|nothing (?:else|more)|not much|no more|i don'?t (?:remember|know)|i can'?t remember)\b|یاد نہیں|اور کچھ نہیں|بس اتنا|پتہ نہیں|معلوم نہیں/i;
+
+const CHAPTER_PATTERNS = INTERVIEW_CHAPTERS.map(chapter => ({
+    id: chapter.id,
+    pattern: new RegExp(`(?<![\\p{L}\\p{M}])(?:${chapter.keywords.join('|')})(?![\\p{L}\\p{M}])`, 'iu')
+}));
+
+/**
+ * Handles GET /admin/coverage endpoint
+ * Shows which life chapters have been covered and which questions haven't been asked yet
+ * 
+ * ?personId= gives the full breakdown for one person (questions in ?language=, default
+ * their preferred language); without it, a summary for everyone
+ */
+async function handleAdminGetCoverage(request, env) {
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const url = new URL(request.url);
+        const personId = url.searchParams.get('personId');
+
+        if (!personId) {
+            const peopleResult = await env.DB.prepare('SELECT id, display_name FROM people ORDER BY display_name').all();
+            const people = [];
+            for (const person of (peopleResult.results || []).filter(person => canAccessPerson(admin, person.id))) {
+                const chapters = describeCoverage(await loadChapterCoverage(env, person.id), 'en-US');
+                people.push({
+                    personId: person.id,
+                    name: person.display_name,
+                    covered: chapters.filter(chapter => chapter.status === 'covered').map(chapter => chapter.id),
+                    started: chapters.filter(chapter => chapter.status === 'started').map(chapter => chapter.id),
+                    notAskedYet: chapters.filter(chapter => chapter.status === 'not started').map(chapter => chapter.id)
+                });
+            }
+
+            return new Response(
+                JSON.stringify({ success: true, chapters: INTERVIEW_CHAPTERS.map(chapter => chapter.id), people }),
+                { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!canAccessPerson(admin, personId)) {
+            return adminErrorResponse(noAccessToPerson(personId));
+        }
+
+        const person = await getPerson(env, personId);
+        if (!person) {
+            return unknownPersonResponse(personId);
+        }
+
+        const language = url.searchParams.get('language') || person.preferred_language || 'en-US';
+        const chapters = describeCoverage(await loadChapterCoverage(env, personId), language);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                personId: personId,
+                chapters: chapters,
+                notAskedYet: chapters.filter(chapter => chapter.status === 'not started').map(chapter => chapter.id)
+            }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error loading coverage:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Loads a person's coverage rows, keyed by chapter id
+ * Chapters never touched have no row
+ */
+async function loadChapterCoverage(env, personId) {
+    const result = await env.DB.prepare('SELECT * FROM chapter_coverage WHERE person_id = ?').bind(personId).all();
+    const coverage = {};
+    for (const row of result.results || []) {
+        coverage[row.chapter] = row;
+    }
+    return coverage;
+}
+
+/**
+ * Turns coverage rows into the per-chapter breakdown shown by /admin/coverage
+ */
+function describeCoverage(coverage, language) {
+    return INTERVIEW_CHAPTERS.map(chapter => {
+        const row = coverage[chapter.id] || {};
+        const mentions = row.mentions || 0;
+        const questionsAsked = row.questions_asked || 0;
+        const questions = localize(chapter.questions, language);
+
+        return {
+            id: chapter.id,
+            title: localize(chapter.title, language),
+            status: mentions >= CHAPTER_COVERED_MENTIONS ? 'covered'
+                : mentions > 0 || questionsAsked > 0 ? 'started'
+                : 'not started',
+            mentions: mentions,
+            questionsAsked: questionsAsked,
+            lastMentionedAt: row.last_mentioned_at || null,
+            lastAskedAt: row.last_asked_at || null,
+            // Questions are asked in order, so everything past questionsAsked is still unasked
+            unaskedQuestions: questions.slice(Math.min(questionsAsked, questions.length))
+        };
+    });
+}
+
+/**
+ * Finds which life chapters a piece of text talks about
+ * 
+ * @param {string} text - What the person said or wrote
+ * @returns {Array<string>} Chapter ids, in curriculum order
+ */
+function detectChapters(text) {
+    if (!text) {
+        return [];
+    }
+    return CHAPTER_PATTERNS.filter(chapter => chapter.pattern.test(text)).map(chapter => chapter.id);
+}
+
+/**
+ * Decides whether the current thread has run dry: the person says there's nothing more,
+ * or gives a very short answer after an already short one
+ */
+function isThreadDry(message, recentTurns) {
+    if (DRY_THREAD_PATTERN.test(message)) {
+        return true;
+    }
+
+    if (message.trim().split(/\s+/).length > 3 || detectChapters(message).length > 0) {
+        return false;
+    }
+
+    const previous = recentTurns[recentTurns.length - 1];
+    return !previous || previous.user_message.trim().split(/\s+/).length <= 6;
+}
+
+/**
+ * Picks the next curriculum question to ask
+ * 
+ * @param {Object} coverage - Coverage rows keyed by chapter id (see loadChapterCoverage)
+ * @param {string} language - Language code
+ * @param {string} [chapterId] - Stay in this chapter; otherwise the least covered chapter is chosen
+ * @returns {{chapter: string, question: string}}
+ */
+function chooseChapterQuestion(coverage, language, chapterId) {
+    let chapter = INTERVIEW_CHAPTERS.find(entry => entry.id === chapterId);
+
+    if (!chapter) {
+        // Uncovered chapters first, then the ones asked about least, then curriculum order
+        const ranked = INTERVIEW_CHAPTERS
+            .map((entry, index) => {
+                const row = coverage[entry.id] || {};
+                const covered = (row.mentions || 0) >= CHAPTER_COVERED_MENTIONS ? 1 : 0;
+                return { entry, index, covered, asked: row.questions_asked || 0 };
+            })
+            .sort((a, b) => a.covered - b.covered || a.asked - b.asked || a.index - b.index);
+        chapter = ranked[0].entry;
+    }
+
+    const questions = localize(chapter.questions, language);
+    const asked = coverage[chapter.id]?.questions_asked || 0;
+    return { chapter: chapter.id, question: questions[asked % questions.length] };
+}
+
+/**
+ * Records which chapters a turn or memory talked about, and which chapter was asked about
+ * Never throws - coverage is bookkeeping and must not fail the request
+ * 
+ * @param {Object} env - Environment variables (must include DB binding)
+ * @param {string} personId - Person the coverage belongs to
+ * @param {Array<string>} mentioned - Chapter ids the person talked about
+ * @param {string} [askedChapter] - Chapter a curriculum question was asked from
+ */
+async function recordChapterCoverage(env, personId, mentioned, askedChapter) {
+    try {
+        const now = new Date().toISOString();
+        const statements = mentioned.map(chapter => env.DB.prepare(`
+            INSERT INTO chapter_coverage (person_id, chapter, mentions, first_mentioned_at, last_mentioned_at)
+            VALUES (?, ?, 1, ?, ?)
+            ON CONFLICT (person_id, chapter) DO UPDATE SET
+                mentions = mentions + 1,
+                first_mentioned_at = COALESCE(first_mentioned_at, excluded.first_mentioned_at),
+                last_mentioned_at = excluded.last_mentioned_at
+        `).bind(personId, chapter, now, now));
+
+        if (askedChapter) {
+            statements.push(env.DB.prepare(`
+                INSERT INTO chapter_coverage (person_id, chapter, questions_asked, last_asked_at)
+                VALUES (?, ?, 1, ?)
+                ON CONFLICT (person_id, chapter) DO UPDATE SET
+                    questions_asked = questions_asked + 1,
+                    last_asked_at = excluded.last_asked_at
+            `).bind(personId, askedChapter, now));
+        }
+
+        if (statements.length > 0) {
+            await env.DB.batch(statements);
+        }
+    } catch (error) {
+        console.error('Error recording chapter coverage:', error);
+    }
+}
+
+/**
+ * Media storage
+ * 
+ * Audio clips live in the R2 bucket bound as MEDIA (see wrangler.jsonc), under audio/<personId>/,
+ * and photos under photos/<personId>/. The same bucket holds database backups (backups/) and the font embedded in exported books (fonts/).
+ * `wrangler dev` simulates the bucket on the local filesystem (.wrangler/state). Without the
+ * binding, routes that store or read media answer 503 - unless MEDIA_IN_MEMORY is "true", for
+ * local development: then an in-memory stand-in with the same put/get/delete interface is used,
+ * and everything stored in it is lost when the worker restarts.
+ */
+const memoryMediaStore = createMemoryMediaStore();
+let warnedAboutMemoryStore = false;
+
+// Largest clip accepted by POST /recordings (one utterance is usually well under 1 MB)
+const MAX_RECORDING_BYTES = 10 * 1024 * 1024;
+
+const RECORDING_EXTENSIONS = {
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/mp4': 'm4a',
+    'audio/mpeg': 'mp3',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav'
+};
+
+/**
+ * Returns the R2 bucket, the in-memory stand-in when MEDIA isn't bound but MEDIA_IN_MEMORY is
+ * "true", or null - media must never be accepted into a store that silently forgets it
+ */
+function getMediaStore(env) {
+    if (env.MEDIA) {
+        return env.MEDIA;
+    }
+    if (env.MEDIA_IN_MEMORY !== 'true') {
+        return null;
+    }
+    if (!warnedAboutMemoryStore) {
+        console.warn('MEDIA bucket not bound - storing media in memory (MEDIA_IN_MEMORY). Add the r2_buckets binding in wrangler.jsonc.');
+        warnedAboutMemoryStore = true;
+    }
+    return memoryMediaStore;
+}
+
+/**
+ * Response for a route that needs the MEDIA bucket when getMediaStore() has none
+ */
+function mediaStoreMissingResponse() {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: 'Media storage not configured. Add the MEDIA r2_buckets binding in wrangler.jsonc (or set MEDIA_IN_MEMORY=true for local development).'
+        }),
+        { status: 503, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+    );
+}
+
+/**
+ * Minimal in-memory implementation of the R2 methods this worker uses
+ */
+function createMemoryMediaStore() {
+    const objects = new Map();
+
+    return {
+        async put(key, value, options = {}) {
+            const body = value instanceof ArrayBuffer ? value.slice(0) : await new Response(value).arrayBuffer();
+            objects.set(key, {
+                body: body,
+                httpMetadata: options.httpMetadata || {},
+                customMetadata: options.customMetadata || {},
+                uploaded: new Date()
+            });
+            return { key: key, size: body.byteLength };
+        },
+        async get(key) {
+            const object = objects.get(key);
+            if (!object) {
+                return null;
+            }
+            return {
+                key: key,
+                size: object.body.byteLength,
+                uploaded: object.uploaded,
+                httpMetadata: object.httpMetadata,
+                customMetadata: object.customMetadata,
+                body: new Response(object.body.slice(0)).body,
+                arrayBuffer: async () => object.body.slice(0)
+            };
+        },
+        async delete(key) {
+            objects.delete(key);
+        },
+        async list(options = {}) {
+            const prefix = options.prefix || '';
+            const keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+            return {
+                objects: keys.map(key => ({ key: key, size: objects.get(key).body.byteLength, uploaded: objects.get(key).uploaded })),
+                truncated: false
+            };
+        }
+    };
+}
+
+/**
+ * Handles POST /recordings endpoint
+ * Stores the original audio of one utterance, linked to the row its transcript was saved in
+ * 
+ * The body is the raw audio (Content-Type audio/webm, audio/mp4, ...). Query parameters:
+ * conversationId or memoryId (the row returned by /chat or /save), and optionally durationMs
+ */
+async function handleUploadRecording(request, env) {
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const store = getMediaStore(env);
+        if (!store) {
+            return mediaStoreMissingResponse();
+        }
+
+        // The person always comes from the invite token, never from the request
+        const auth = await authenticateInvite(request, env);
+        if (auth.error) {
+            return inviteErrorResponse(auth);
+        }
+        const personId = auth.person.id;
+
+        const url = new URL(request.url);
+        const conversationId = parseInt(url.searchParams.get('conversationId'));
+        const memoryId = parseInt(url.searchParams.get('memoryId'));
+        const sourceTable = conversationId ? 'conversations' : memoryId ? 'grandma_memories' : null;
+        const sourceId = conversationId || memoryId;
+
+        if (!sourceTable) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'conversationId or memoryId required' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // Strip codec parameters, e.g. "audio/webm;codecs=opus"
+        const contentType = (request.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+        if (!contentType.startsWith('audio/')) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Content-Type must be an audio type, e.g. audio/webm' }),
+                { status: 415, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // Clips can only be attached to the person's own rows
+        const row = await env.DB.prepare(`SELECT id FROM ${sourceTable} WHERE id = ? AND person_id = ?`)
+            .bind(sourceId, personId).first();
+        if (!row) {
+            return new Response(
+                JSON.stringify({ success: false, error: `${sourceTable === 'conversations' ? 'Conversation' : 'Memory'} ${sourceId} not found` }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const audio = await request.arrayBuffer();
+        if (audio.byteLength === 0 || audio.byteLength > MAX_RECORDING_BYTES) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: audio.byteLength === 0 ? 'Empty recording' : `Recording too large (max ${MAX_RECORDING_BYTES} bytes)`
+                }),
+                { status: audio.byteLength === 0 ? 400 : 413, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const durationMs = parseInt(url.searchParams.get('durationMs')) || null;
+        const extension = RECORDING_EXTENSIONS[contentType] || 'bin';
+        const key = `audio/${personId}/${sourceTable}-${sourceId}-${Date.now()}.${extension}`;
+
+        await store.put(key, audio, {
+            httpMetadata: { contentType: contentType },
+            customMetadata: { personId: personId, sourceTable: sourceTable, sourceId: String(sourceId) }
+        });
+
+        const createdAt = new Date().toISOString();
+        const result = await env.DB.prepare(`
+            INSERT INTO recordings (person_id, source_table, source_id, object_key, content_type, size_bytes, duration_ms, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(personId, sourceTable, sourceId, key, contentType, audio.byteLength, durationMs, createdAt).run();
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                recording: {
+                    id: result.meta.last_row_id,
+                    source_table: sourceTable,
+                    source_id: sourceId,
+                    content_type: contentType,
+                    size_bytes: audio.byteLength,
+                    duration_ms: durationMs,
+                    created_at: createdAt
+                }
+            }),
+            { status: 201, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error saving recording:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles GET /admin/recordings endpoint
+ * Lists recordings (optionally for one person via ?personId=)
+ */
+async function handleAdminListRecordings(request, env) {
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const personId = new URL(request.url).searchParams.get('personId');
+        if (personId && !canAccessPerson(admin, personId)) {
+            return adminErrorResponse(noAccessToPerson(personId));
+        }
+
+        const recordings = (await listRecordings(env, personId)).filter(recording => canAccessPerson(admin, recording.person_id));
+
+        return new Response(
+            JSON.stringify({ success: true, recordings: recordings }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error listing recordings:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles GET /admin/recordings/:id endpoint
+ * Returns the audio itself, for playback in admin.html
+ */
+async function handleAdminGetRecording(request, env, recordingId) {
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const store = getMediaStore(env);
+        if (!store) {
+            return mediaStoreMissingResponse();
+        }
+
+        const recording = await env.DB.prepare('SELECT * FROM recordings WHERE id = ?').bind(recordingId).first();
+        if (recording && !canAccessPerson(admin, recording.person_id)) {
+            return adminErrorResponse(noAccessToPerson(recording.person_id));
+        }
+
+        const object = recording ? await store.get(recording.object_key) : null;
+
+        if (!object) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Recording not found' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        return new Response(object.body, {
+            status: 200,
+            headers: {
+                'Content-Type': recording.content_type || 'application/octet-stream',
+                'Content-Length': String(object.size),
+                'Cache-Control': 'private, max-age=3600',
+                ...getCORSHeaders()
+            }
+        });
+    } catch (error) {
+        console.error('Error reading recording:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Lists recording metadata, oldest first (the audio itself stays in the media store)
+ */
+async function listRecordings(env, personId) {
+    let query = `SELECT id, person_id, source_table, source_id, content_type, size_bytes, duration_ms, created_at
+                 FROM recordings`;
+    const params = [];
+    if (personId) {
+        query += ' WHERE person_id = ?';
+        params.push(personId);
+    }
+    query += ' ORDER BY created_at ASC';
+
+    const result = await env.DB.prepare(query).bind(...params).all();
+    return result.results || [];
+}
+
+/**
+ * Photos
+ * 
+ * Old photographs in a person's archive, stored in the MEDIA bucket under photos/<personId>/ (see
+ * getMediaStore) with the caption, the people in them and the approximate date the family typed in
+ * ("1962", "summer 1958", "the 1960s"). The year is read from that date with extractTimelineEvents,
+ * so photos sort by when they were taken.
+ * 
+ * POST /admin/photos/:id/sessions starts an interview about a photo. The session id goes in the link
+ * to index.html (?photo=<sessionId>): the page shows the picture and opens with the session's question,
+ * and /chat links every turn of that session to the photo (conversations.photo_id) and tells the AI
+ * what the family wrote about it.
+ */
+
+// Largest photo accepted by POST /admin/photos (phone photos and scans are usually 2-5 MB)
+const MAX_PHOTO_BYTES = 15 * 1024 * 1024;
+
+// Types every browser can show
+const PHOTO_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+const PHOTO_CAPTION_LENGTH = 1000;
+const PHOTO_DATE_LENGTH = 50;
+const PHOTO_NAME_LENGTH = 100;
+const PHOTO_MAX_PEOPLE = 30;
+
+/**
+ * Handles POST /admin/photos endpoint
+ * Adds a photo to a person's archive
+ * 
+ * The body is the image itself (Content-Type image/jpeg, image/png, ...). Query parameters:
+ * personId, and optionally caption, people (comma-separated names) and date (approximate, free text)
+ */
+async function handleAdminUploadPhoto(request, env) {
+    const admin = await authenticateAdmin(request, env, 'editor');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const store = getMediaStore(env);
+        if (!store) {
+            return mediaStoreMissingResponse();
+        }
+
+        const url = new URL(request.url);
+        const person = await getPerson(env, normalizePersonId(url.searchParams.get('personId')));
+        if (!person) {
+            return unknownPersonResponse(url.searchParams.get('personId') || '');
+        }
+        if (!canAccessPerson(admin, person.id)) {
+            return adminErrorResponse(noAccessToPerson(person.id));
+        }
+
+        const contentType = (request.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+        if (!PHOTO_EXTENSIONS[contentType]) {
+            return new Response(
+                JSON.stringify({ success: false, error: `Content-Type must be one of ${Object.keys(PHOTO_EXTENSIONS).join(', ')}` }),
+                { status: 415, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const details = readPhotoDetails({
+            caption: url.searchParams.get('caption'),
+            people: url.searchParams.get('people'),
+            approximateDate: url.searchParams.get('date')
+        });
+        if (details.error) {
+            return new Response(
+                JSON.stringify({ success: false, error: details.error }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const image = await request.arrayBuffer();
+        if (image.byteLength === 0 || image.byteLength > MAX_PHOTO_BYTES) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: image.byteLength === 0 ? 'Empty photo' : `Photo too large (max ${MAX_PHOTO_BYTES} bytes)`
+                }),
+                { status: image.byteLength === 0 ? 400 : 413, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const key = `photos/${person.id}/${Date.now()}.${PHOTO_EXTENSIONS[contentType]}`;
+        await store.put(key, image, {
+            httpMetadata: { contentType: contentType },
+            customMetadata: { personId: person.id }
+        });
+
+        const now = new Date().toISOString();
+        const fields = { caption: null, people: '[]', approximate_date: null, year: null, ...details.fields };
+        const result = await env.DB.prepare(`
+            INSERT INTO photos (person_id, object_key, content_type, size_bytes, caption, people, approximate_date, year, created_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            person.id, key, contentType, image.byteLength,
+            fields.caption, fields.people, fields.approximate_date, fields.year,
+            admin.actor, now, now
+        ).run();
+
+        const photo = (await listPhotos(env, person.id)).find(row => row.id === result.meta.last_row_id);
+        console.log(`Photo ${photo.id} added for ${person.id} by ${admin.actor}`);
+
+        return new Response(
+            JSON.stringify({ success: true, photo: photo }),
+            { status: 201, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error saving photo:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles GET /admin/photos endpoint
+ * Lists photos (optionally for one person via ?personId=), in the order they were taken
+ */
+async function handleAdminListPhotos(request, env) {
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const personId = new URL(request.url).searchParams.get('personId');
+        if (personId && !canAccessPerson(admin, personId)) {
+            return adminErrorResponse(noAccessToPerson(personId));
+        }
+
+        const photos = (await listPhotos(env, personId)).filter(photo => canAccessPerson(admin, photo.person_id));
+
+        return new Response(
+            JSON.stringify({ success: true, photos: photos }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error listing photos:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles GET /admin/photos/:id endpoint
+ * Returns the image itself, for admin.html
+ */
+async function handleAdminGetPhoto(request, env, photoId) {
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const photo = await env.DB.prepare('SELECT * FROM photos WHERE id = ?').bind(photoId).first();
+        if (photo && !canAccessPerson(admin, photo.person_id)) {
+            return adminErrorResponse(noAccessToPerson(photo.person_id));
+        }
+
+        return photoImageResponse(env, photo);
+    } catch (error) {
+        console.error('Error reading photo:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles PATCH /admin/photos/:id endpoint
+ * Changes a photo's caption, tagged people or approximate date
+ * 
+ * Body: { caption, people: ["Name", ...], approximateDate } - fields left out are kept
+ */
+async function handleAdminUpdatePhoto(request, env, photoId) {
+    const admin = await authenticateAdmin(request, env, 'editor');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Invalid JSON' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const photo = await env.DB.prepare('SELECT * FROM photos WHERE id = ?').bind(photoId).first();
+        if (!photo) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Photo not found' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!canAccessPerson(admin, photo.person_id)) {
+            return adminErrorResponse(noAccessToPerson(photo.person_id));
+        }
+
+        const details = readPhotoDetails(body || {});
+        const columns = Object.keys(details.fields);
+        if (details.error || columns.length === 0) {
+            return new Response(
+                JSON.stringify({ success: false, error: details.error || 'Nothing to change. Send "caption", "people" or "approximateDate"' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        await env.DB.prepare(`UPDATE photos SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = ? WHERE id = ?`)
+            .bind(...columns.map(column => details.fields[column]), new Date().toISOString(), photoId)
+            .run();
+
+        const updated = (await listPhotos(env, photo.person_id)).find(row => row.id === photoId);
+
+        return new Response(
+            JSON.stringify({ success: true, photo: updated }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error updating photo:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles DELETE /admin/photos/:id endpoint
+ * Deletes the image and its sessions; the stories told about it stay, without the link
+ * Owner only, like every other delete, and written to audit_log with what was unlinked
+ */
+async function handleAdminDeletePhoto(request, env, photoId) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const store = getMediaStore(env);
+        if (!store) {
+            return mediaStoreMissingResponse();
+        }
+
+        const photo = await env.DB.prepare('SELECT * FROM photos WHERE id = ?').bind(photoId).first();
+        if (!photo) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Photo not found' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!canAccessPerson(admin, photo.person_id)) {
+            return adminErrorResponse(noAccessToPerson(photo.person_id));
+        }
+
+        const linked = async table => ((await env.DB.prepare(`SELECT id FROM ${table} WHERE photo_id = ?`).bind(photoId).all()).results || [])
+            .map(row => row.id);
+
+        await store.delete(photo.object_key);
+        await env.DB.batch([
+            auditStatement(env, {
+                actor: admin.actor,
+                action: 'delete',
+                table: 'photos',
+                id: photoId,
+                personId: photo.person_id,
+                previous: {
+                    object_key: photo.object_key,
+                    caption: photo.caption,
+                    people: JSON.parse(photo.people || '[]'),
+                    approximate_date: photo.approximate_date,
+                    conversation_ids: await linked('conversations'),
+                    memory_ids: await linked('grandma_memories')
+                },
+                next: null
+            }),
+            env.DB.prepare('DELETE FROM photos WHERE id = ?').bind(photoId),
+            env.DB.prepare('DELETE FROM photo_sessions WHERE photo_id = ?').bind(photoId),
+            env.DB.prepare('UPDATE conversations SET photo_id = NULL WHERE photo_id = ?').bind(photoId),
+            env.DB.prepare('UPDATE grandma_memories SET photo_id = NULL WHERE photo_id = ?').bind(photoId)
+        ]);
+        console.log(`Photo ${photoId} of ${photo.person_id} deleted by ${admin.actor}`);
+
+        return new Response(
+            JSON.stringify({ success: true, deleted: photoId }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error deleting photo:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles POST /admin/photos/:id/sessions endpoint
+ * Starts an interview session about a photo
+ * 
+ * Body (optional): { language } - the language of the opening question; the person's preferred
+ * language by default. Returns the sessionId for the ?photo= parameter of index.html
+ */
+async function handleAdminStartPhotoSession(request, env, photoId) {
+    const admin = await authenticateAdmin(request, env, 'editor');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const body = await request.json().catch(() => ({}));
+        const photo = await env.DB.prepare('SELECT * FROM photos WHERE id = ?').bind(photoId).first();
+        if (!photo) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Photo not found' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!canAccessPerson(admin, photo.person_id)) {
+            return adminErrorResponse(noAccessToPerson(photo.person_id));
+        }
+
+        const person = await getPerson(env, photo.person_id);
+        const language = getLanguage(findLanguage(body?.language)?.code || person?.preferred_language).code;
+        const question = photoOpeningQuestion(photo, language);
+        // Random part so the link can't be guessed from the photo id
+        const sessionId = `photo_${photoId}_${base64UrlEncode(crypto.getRandomValues(new Uint8Array(9)))}`;
+        const now = new Date().toISOString();
+
+        await env.DB.prepare(`
+            INSERT INTO photo_sessions (session_id, photo_id, person_id, language, question, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).bind(sessionId, photoId, photo.person_id, language, question, admin.actor, now).run();
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                session: { sessionId: sessionId, photoId: photoId, language: language, question: question, createdAt: now }
+            }),
+            { status: 201, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error starting photo session:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles GET /photo-sessions/:sessionId endpoint
+ * What index.html needs to open a photo session: the opening question and the photo's details
+ */
+async function handleGetPhotoSession(request, env, sessionId) {
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // Only the person the photo belongs to can open the session
+        const auth = await authenticateInvite(request, env);
+        if (auth.error) {
+            return inviteErrorResponse(auth);
+        }
+
+        const session = await getPhotoSession(env, sessionId, auth.person.id);
+        if (!session) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Photo session not found' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                session: {
+                    sessionId: session.session_id,
+                    language: session.language,
+                    question: session.question,
+                    photo: {
+                        id: session.photo_id,
+                        caption: session.caption,
+                        people: JSON.parse(session.people || '[]'),
+                        approximateDate: session.approximate_date
+                    }
+                }
+            }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error reading photo session:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles GET /photos/:id endpoint
+ * Returns one of the person's own photos, for index.html
+ */
+async function handleGetPhoto(request, env, photoId) {
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const auth = await authenticateInvite(request, env);
+        if (auth.error) {
+            return inviteErrorResponse(auth);
+        }
+
+        const photo = await findPhoto(env, photoId, auth.person.id);
+        return photoImageResponse(env, photo);
+    } catch (error) {
+        console.error('Error reading photo:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * The image of a photos row, or a 404 when the row or the object is missing
+ */
+async function photoImageResponse(env, photo) {
+    const store = getMediaStore(env);
+    if (!store) {
+        return mediaStoreMissingResponse();
+    }
+
+    const object = photo ? await store.get(photo.object_key) : null;
+
+    if (!object) {
+        return new Response(
+            JSON.stringify({ success: false, error: 'Photo not found' }),
+            { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+
+    return new Response(object.body, {
+        status: 200,
+        headers: {
+            'Content-Type': photo.content_type || 'application/octet-stream',
+            'Content-Length': String(object.size),
+            'Cache-Control': 'private, max-age=3600',
+            ...getCORSHeaders()
+        }
+    });
+}
+
+/**
+ * Reads the caption, tagged people and approximate date of a photo
+ * 
+ * @param {Object} input - { caption, people, approximateDate }; people is a list of names or a
+ *   comma-separated string. Fields that are undefined or null are left out
+ * @returns {{fields: Object, error: string|null}} The photos columns to set
+ */
+function readPhotoDetails(input) {
+    const fields = {};
+
+    if (input.caption !== undefined && input.caption !== null) {
+        fields.caption = String(input.caption).trim().substring(0, PHOTO_CAPTION_LENGTH) || null;
+    }
+
+    if (input.people !== undefined && input.people !== null) {
+        const names = Array.isArray(input.people) ? input.people : String(input.people).split(',');
+        if (names.some(name => typeof name !== 'string')) {
+            return { fields, error: '"people" must be a list of names' };
+        }
+        const people = [...new Set(names.map(name => name.trim().substring(0, PHOTO_NAME_LENGTH)).filter(Boolean))];
+        if (people.length > PHOTO_MAX_PEOPLE) {
+            return { fields, error: `At most ${PHOTO_MAX_PEOPLE} people can be tagged in a photo` };
+        }
+        fields.people = JSON.stringify(people);
+    }
+
+    if (input.approximateDate !== undefined && input.approximateDate !== null) {
+        const date = String(input.approximateDate).trim().substring(0, PHOTO_DATE_LENGTH);
+        fields.approximate_date = date || null;
+        // "summer 1958" → 1958, "the 1960s" → 1960
+        fields.year = date ? (extractTimelineEvents(date, null).find(event => event.year)?.year ?? null) : null;
+    }
+
+    return { fields, error: null };
+}
+
+/**
+ * Lists photo metadata in the order the photos were taken (undated last), with how many
+ * conversation turns and memories are linked to each
+ */
+async function listPhotos(env, personId) {
+    let query = `SELECT p.id, p.person_id, p.content_type, p.size_bytes, p.caption, p.people, p.approximate_date, p.year,
+                        p.created_by, p.created_at, p.updated_at,
+                        (SELECT COUNT(*) FROM conversations c WHERE c.photo_id = p.id AND c.deleted_at IS NULL) AS conversation_count,
+                        (SELECT COUNT(*) FROM grandma_memories m WHERE m.photo_id = p.id AND m.deleted_at IS NULL) AS memory_count
+                 FROM photos p`;
+    const params = [];
+    if (personId) {
+        query += ' WHERE p.person_id = ?';
+        params.push(personId);
+    }
+    query += ' ORDER BY p.year IS NULL, p.year, p.id';
+
+    const result = await env.DB.prepare(query).bind(...params).all();
+    return (result.results || []).map(photo => ({ ...photo, people: JSON.parse(photo.people || '[]') }));
+}
+
+/**
+ * Looks up one of a person's photos
+ * 
+ * @returns {Promise<Object|null>} The photos row, or null if there is none or it is someone else's
+ */
+async function findPhoto(env, photoId, personId) {
+    return env.DB.prepare('SELECT * FROM photos WHERE id = ? AND person_id = ?').bind(photoId, personId).first();
+}
+
+/**
+ * Looks up a person's photo session with the details of its photo
+ * 
+ * @returns {Promise<Object|null>} The photo_sessions row plus caption, people and approximate_date
+ */
+async function getPhotoSession(env, sessionId, personId) {
+    if (!sessionId) {
+        return null;
+    }
+    return env.DB.prepare(`
+        SELECT s.*, p.caption, p.people, p.approximate_date
+        FROM photo_sessions s JOIN photos p ON p.id = s.photo_id
+        WHERE s.session_id = ? AND s.person_id = ?
+    `).bind(sessionId, personId).first();
+}
+
+/**
+ * The question a photo session opens with, in the language of the session
+ */
+function photoOpeningQuestion(photo, language) {
+    const phrases = getLanguage(language).phrases;
+    const people = JSON.parse(photo.people || '[]');
+    // Without its final full stop, so it fits in the middle of the question
+    const about = (photo.caption || people.join(', ')).replace(/[\s.!?؟۔]+$/, '');
+    return about ? fillTemplate(phrases.photoQuestionAbout, { about: about }) : phrases.photoQuestion;
+}
+
+/**
+ * The part of the /chat system prompt that tells the AI which photo is being talked about
+ */
+function buildPhotoPrompt(session, personName, language) {
+    const people = JSON.parse(session.people || '[]');
+    const details = [
+        session.caption ? `- Caption: ${session.caption}` : '',
+        people.length > 0 ? `- People in it: ${people.join(', ')}` : '',
+        session.approximate_date ? `- Taken: ${session.approximate_date}` : '',
+        `- First question asked: ${session.question}`
+    ].filter(Boolean).join('\n');
+    return fillTemplate(getLanguage(language).prompts.photo, { name: personName, details: details });
+}
+
+/**
+ * Admin sessions and family accounts
+ * 
+ * POST /admin/login exchanges credentials for a short-lived session token signed with
+ * ADMIN_SECRET. The credentials are either ADMIN_SECRET itself (the owner) or the username and
+ * password of a family account in admin_users. Every admin route checks the token
+ * (Authorization: Bearer ...) through authenticateAdmin(), so changing the secret logs every
+ * session out. Failed logins are counted per client in admin_login_attempts, and too many in
+ * a row lock that client out for a while. There is no default secret: without ADMIN_SECRET
+ * every admin route is refused.
+ * 
+ * Each account has one of ADMIN_ROLES. Owners see everything; editors and viewers only see the
+ * people they were granted in admin_grants. An account's role and grants are looked up on every
+ * request, so changes (and deleted accounts) take effect immediately.
+ */
+const ADMIN_SESSION_TTL_SECONDS = 2 * 60 * 60;
+const ADMIN_LOGIN_MAX_FAILURES = 5;
+const ADMIN_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const ADMIN_LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// SQL condition for a failed login to start counting again from 1: the client's lockout has run
+// out, or its first failure is older than the window (?2 is now, ?3 the start of the window)
+const LOGIN_WINDOW_RESTARTS = '(locked_until IS NOT NULL AND locked_until <= ?2) OR (locked_until IS NULL AND first_failed_at <= ?3)';
+
+// Lowest to highest - each role can do everything the ones before it can
+// viewer: read and search the granted people's archives
+// editor: also fix their transcripts and facts, import memories, add photos, run the analysis and pin versions
+// owner: everyone's data, plus deleting, redacting, exporting, people, private links and accounts
+const ADMIN_ROLES = ['viewer', 'editor', 'owner'];
+
+const PASSWORD_HASH_ITERATIONS = 100000; // The most PBKDF2 iterations Workers allow
+const MIN_PASSWORD_LENGTH = 10;
+
+/**
+ * Handles POST /admin/login endpoint
+ * 
+ * Body: { secret } for the owner, or { username, password } for a family account
+ * Returns: { token, expiresAt, user } - send the token as "Authorization: Bearer <token>" to admin routes
+ */
+async function handleAdminLogin(request, env) {
+    if (!env.ADMIN_SECRET) {
+        return adminErrorResponse(adminSecretMissing());
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Invalid JSON' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const client = await loginClientKey(request);
+        const now = Date.now();
+        const attempts = await env.DB.prepare('SELECT * FROM admin_login_attempts WHERE client = ?').bind(client).first();
+
+        // A locked-out client is refused even with the right secret
+        if (attempts?.locked_until && Date.parse(attempts.locked_until) > now) {
+            return lockedOutResponse(attempts.locked_until);
+        }
+
+        const username = typeof body.username === 'string' ? body.username.trim().toLowerCase() : '';
+        let user = null;
+        let valid;
+        if (username) {
+            user = await env.DB.prepare('SELECT * FROM admin_users WHERE username = ?').bind(username).first();
+            valid = await verifyPassword(typeof body.password === 'string' ? body.password : '', user?.password_hash);
+        } else {
+            valid = await secretsMatch(typeof body.secret === 'string' ? body.secret : '', env.ADMIN_SECRET);
+        }
+
+        if (!valid) {
+            // Counted in a single statement, so parallel guesses can't all read the same count.
+            // Failures are counted within a window that restarts once it (or a lockout) runs out;
+            // a lockout another request has just started is kept
+            const nowIso = new Date(now).toISOString();
+            const counted = await env.DB.prepare(`
+                INSERT INTO admin_login_attempts (client, failures, first_failed_at, locked_until)
+                VALUES (?1, 1, ?2, CASE WHEN 1 >= ?4 THEN ?5 END)
+                ON CONFLICT (client) DO UPDATE SET
+                    failures = CASE WHEN ${LOGIN_WINDOW_RESTARTS} THEN 1 ELSE failures + 1 END,
+                    first_failed_at = CASE WHEN ${LOGIN_WINDOW_RESTARTS} THEN ?2 ELSE first_failed_at END,
+                    locked_until = CASE
+                        WHEN locked_until > ?2 THEN locked_until
+                        WHEN (CASE WHEN ${LOGIN_WINDOW_RESTARTS} THEN 1 ELSE failures + 1 END) >= ?4 THEN ?5
+                    END
+                RETURNING failures, locked_until
+            `).bind(
+                client,
+                nowIso,
+                new Date(now - ADMIN_LOGIN_WINDOW_MS).toISOString(),
+                ADMIN_LOGIN_MAX_FAILURES,
+                new Date(now + ADMIN_LOGIN_LOCKOUT_MS).toISOString()
+            ).first();
+
+            const lockedUntil = counted.locked_until && counted.locked_until > nowIso ? counted.locked_until : null;
+            console.warn(`Failed admin login (${counted.failures} of ${ADMIN_LOGIN_MAX_FAILURES})${lockedUntil ? ' - locked out' : ''}`);
+
+            if (lockedUntil) {
+                return lockedOutResponse(lockedUntil);
+            }
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: username ? 'Unauthorized. Invalid username or password.' : 'Unauthorized. Invalid secret key.'
+                }),
+                { status: 401, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // Wrong guesses sent alongside this one may have locked the client out in the meantime
+        const latest = await env.DB.prepare('SELECT locked_until FROM admin_login_attempts WHERE client = ?').bind(client).first();
+        if (latest?.locked_until && Date.parse(latest.locked_until) > now) {
+            return lockedOutResponse(latest.locked_until);
+        }
+        if (latest) {
+            await env.DB.prepare('DELETE FROM admin_login_attempts WHERE client = ?').bind(client).run();
+        }
+
+        const expiresAt = Math.floor(now / 1000) + ADMIN_SESSION_TTL_SECONDS;
+        const token = await signToken(env.ADMIN_SECRET, user
+            ? { typ: 'admin', uid: user.id, sub: user.username, exp: expiresAt }
+            : { typ: 'admin', sub: 'admin', exp: expiresAt });
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                token: token,
+                expiresAt: new Date(expiresAt * 1000).toISOString(),
+                user: user
+                    ? { username: user.username, displayName: user.display_name, role: user.role }
+                    : { username: 'admin', displayName: 'Owner', role: 'owner' }
+            }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error logging in:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Checks the admin session token on a request - every admin route goes through this
+ * 
+ * @param {string} [role='owner'] - Lowest of ADMIN_ROLES allowed to use the route
+ * @returns {Promise<Object>} { actor, role, userId, personIds } on success - actor is who to record in
+ *   audit_log, personIds the people this account may see (null for all) - or { error, status }
+ */
+async function authenticateAdmin(request, env, role = 'owner') {
+    if (!env.ADMIN_SECRET) {
+        return adminSecretMissing();
+    }
+
+    const header = request.headers.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+    if (!token) {
+        return { error: 'Unauthorized. Log in with POST /admin/login first.', status: 401 };
+    }
+
+    const session = await verifySignedToken(env.ADMIN_SECRET, token);
+    if (!session || session.typ !== 'admin' || typeof session.sub !== 'string') {
+        return { error: 'Unauthorized. Invalid session, please log in again.', status: 401 };
+    }
+
+    if (!(session.exp * 1000 > Date.now())) {
+        return { error: 'Unauthorized. Session expired, please log in again.', status: 401 };
+    }
+
+    let admin = { actor: session.sub, role: 'owner', userId: null, personIds: null };
+    if (session.uid !== undefined) {
+        const user = env.DB
+            ? await env.DB.prepare('SELECT id, username, role FROM admin_users WHERE id = ?').bind(session.uid).first()
+            : null;
+        if (!user) {
+            return { error: 'Unauthorized. This account no longer exists.', status: 401 };
+        }
+
+        const grants = await env.DB.prepare('SELECT person_id FROM admin_grants WHERE user_id = ?').bind(user.id).all();
+        admin = {
+            actor: user.username,
+            role: user.role,
+            userId: user.id,
+            personIds: user.role === 'owner' ? null : (grants.results || []).map(grant => grant.person_id)
+        };
+    }
+
+    if (ADMIN_ROLES.indexOf(admin.role) < ADMIN_ROLES.indexOf(role)) {
+        return { error: `Forbidden. This needs the ${role} role.`, status: 403 };
+    }
+
+    return admin;
+}
+
+/**
+ * Whether an authenticated admin may see a person's archive
+ */
+function canAccessPerson(admin, personId) {
+    return admin.personIds === null || admin.personIds.includes(personId);
+}
+
+/**
+ * authenticateAdmin-style error for a person outside the admin's grants
+ */
+function noAccessToPerson(personId) {
+    return { error: `Forbidden. You don't have access to "${personId}".`, status: 403 };
+}
+
+/**
+ * Response for a failed authenticateAdmin() call
+ */
+function adminErrorResponse(auth) {
+    return new Response(
+        JSON.stringify({ success: false, error: auth.error }),
+        { status: auth.status, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+    );
+}
+
+function adminSecretMissing() {
+    return {
+        error: 'Admin secret not configured. Please set ADMIN_SECRET in Cloudflare Worker environment variables.',
+        status: 500
+    };
+}
+
+function lockedOutResponse(lockedUntil) {
+    const retryAfter = Math.max(1, Math.ceil((Date.parse(lockedUntil) - Date.now()) / 1000));
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: `Too many failed logins. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+        }),
+        {
+            status: 429,
+            headers: { 'Content-Type': 'application/json', 'Retry-After': String(retryAfter), ...getCORSHeaders() }
+        }
+    );
+}
+
+/**
+ * Hashes a password for admin_users: "pbkdf2-sha256$iterations$salt$hash" (base64url)
+ */
+async function hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PASSWORD_HASH_ITERATIONS) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return `pbkdf2-sha256$${iterations}$${base64UrlEncode(salt)}$${base64UrlEncode(new Uint8Array(bits))}`;
+}
+
+/**
+ * Checks a password against a stored hash
+ * Without a stored hash (unknown username) a throwaway hash is still computed, so the response
+ * time doesn't reveal which usernames exist
+ */
+async function verifyPassword(password, storedHash) {
+    const [scheme, iterations, salt, expected] = (storedHash || '').split('$');
+    if (scheme !== 'pbkdf2-sha256' || !expected) {
+        await hashPassword(password);
+        return false;
+    }
+
+    const actual = await hashPassword(password, base64UrlDecode(salt), parseInt(iterations));
+    return secretsMatch(actual, storedHash);
+}
+
+/**
+ * Compares two secrets without the time taken depending on how much of them matched
+ */
+async function secretsMatch(provided, expected) {
+    const [a, b] = await Promise.all([sha256Hex(provided), sha256Hex(expected)]);
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+}
+
+/**
+ * Who is trying to log in, for the lockout - the client IP, hashed so it isn't stored
+ */
+function loginClientKey(request) {
+    return sha256Hex(request.headers.get('CF-Connecting-IP') || 'unknown');
+}
+
+/**
+ * Handles GET /admin/users endpoint
+ * Lists the family accounts with the people each one was granted (owner only)
+ */
+async function handleAdminListUsers(request, env) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const users = await env.DB.prepare(
+            'SELECT id, username, display_name, role, created_at, updated_at FROM admin_users ORDER BY username'
+        ).all();
+        const grants = await env.DB.prepare('SELECT user_id, person_id FROM admin_grants ORDER BY person_id').all();
+
+        const accounts = (users.results || []).map(user => ({
+            ...user,
+            person_ids: (grants.results || []).filter(grant => grant.user_id === user.id).map(grant => grant.person_id)
+        }));
+
+        return new Response(
+            JSON.stringify({ success: true, users: accounts, roles: ADMIN_ROLES }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error listing users:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles POST /admin/users endpoint
+ * Creates a family account (owner only)
+ * 
+ * Body: { username, password, role, displayName?, personIds? }
+ */
+async function handleAdminCreateUser(request, env) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Invalid JSON' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const { fields, personIds, error } = await parseUserFields(env, body, false);
+        if (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: error }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (await env.DB.prepare('SELECT id FROM admin_users WHERE username = ?').bind(fields.username).first()) {
+            return new Response(
+                JSON.stringify({ success: false, error: `Username "${fields.username}" is already taken` }),
+                { status: 409, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const now = new Date().toISOString();
+        const result = await env.DB.prepare(`
+            INSERT INTO admin_users (username, display_name, role, password_hash, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).bind(fields.username, fields.display_name ?? null, fields.role, await hashPassword(fields.password), now, now).run();
+
+        const userId = result.meta.last_row_id;
+        await env.DB.batch([
+            ...grantStatements(env, userId, personIds || []),
+            auditStatement(env, {
+                actor: admin.actor,
+                action: 'create',
+                table: 'admin_users',
+                id: userId,
+                previous: null,
+                next: { username: fields.username, role: fields.role, person_ids: personIds || [] }
+            })
+        ]);
+
+        return new Response(
+            JSON.stringify({ success: true, user: await getUserAccount(env, userId) }),
+            { status: 201, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error creating user:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles PATCH /admin/users/:id endpoint
+ * Changes an account's name, role or password; personIds replaces its grants (owner only)
+ */
+async function handleAdminUpdateUser(request, env, userId) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Invalid JSON' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const account = await getUserAccount(env, userId);
+        if (!account) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'User not found' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const { fields, personIds, error } = await parseUserFields(env, body, true);
+        if (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: error }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (Object.keys(fields).length === 0 && !personIds) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Nothing to update' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // The password itself never goes into the audit log
+        const previous = {};
+        const next = {};
+        const columns = {};
+        for (const [column, value] of Object.entries(fields)) {
+            if (column === 'password') {
+                columns.password_hash = await hashPassword(value);
+                next.password = '(changed)';
+            } else {
+                columns[column] = value;
+                previous[column] = account[column];
+                next[column] = value;
+            }
+        }
+        if (personIds) {
+            previous.person_ids = account.person_ids;
+            next.person_ids = personIds;
+        }
+
+        const now = new Date().toISOString();
+        const statements = [];
+        if (Object.keys(columns).length > 0) {
+            const names = Object.keys(columns);
+            statements.push(env.DB.prepare(
+                `UPDATE admin_users SET ${names.map(column => `${column} = ?`).join(', ')}, updated_at = ? WHERE id = ?`
+            ).bind(...names.map(column => columns[column]), now, userId));
+        }
+        if (personIds) {
+            statements.push(
+                env.DB.prepare('DELETE FROM admin_grants WHERE user_id = ?').bind(userId),
+                ...grantStatements(env, userId, personIds)
+            );
+        }
+        statements.push(auditStatement(env, {
+            actor: admin.actor,
+            action: 'update',
+            table: 'admin_users',
+            id: userId,
+            previous: previous,
+            next: next
+        }));
+
+        await env.DB.batch(statements);
+
+        return new Response(
+            JSON.stringify({ success: true, user: await getUserAccount(env, userId) }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error updating user:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles DELETE /admin/users/:id endpoint
+ * Removes an account and its grants; its sessions stop working right away (owner only)
+ */
+async function handleAdminDeleteUser(request, env, userId) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const account = await getUserAccount(env, userId);
+        if (!account) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'User not found' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        await env.DB.batch([
+            env.DB.prepare('DELETE FROM admin_users WHERE id = ?').bind(userId),
+            env.DB.prepare('DELETE FROM admin_grants WHERE user_id = ?').bind(userId),
+            auditStatement(env, {
+                actor: admin.actor,
+                action: 'delete',
+                table: 'admin_users',
+                id: userId,
+                previous: { username: account.username, role: account.role, person_ids: account.person_ids },
+                next: null
+            })
+        ]);
+
+        return new Response(
+            JSON.stringify({ success: true, deleted: userId }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Loads an account (without its password hash) and the people it was granted
+ */
+async function getUserAccount(env, userId) {
+    const user = await env.DB.prepare(
+        'SELECT id, username, display_name, role, created_at, updated_at FROM admin_users WHERE id = ?'
+    ).bind(userId).first();
+    if (!user) {
+        return null;
+    }
+
+    const grants = await env.DB.prepare('SELECT person_id FROM admin_grants WHERE user_id = ? ORDER BY person_id').bind(userId).all();
+    return { ...user, person_ids: (grants.results || []).map(grant => grant.person_id) };
+}
+
+function grantStatements(env, userId, personIds) {
+    const now = new Date().toISOString();
+    return personIds.map(personId =>
+        env.DB.prepare('INSERT OR IGNORE INTO admin_grants (user_id, person_id, created_at) VALUES (?, ?, ?)')
+            .bind(userId, personId, now)
+    );
+}
+
+/**
+ * Validates account fields from a request body (see parsePersonFields)
+ * 
+ * @param {boolean} partial - true for updates: only the fields present are checked, and the username can't change
+ * @returns {Promise<{fields: Object, personIds: string[]|null, error: string|null}>} personIds is null when not sent
+ */
+async function parseUserFields(env, body, partial) {
+    const fields = {};
+
+    if (!partial) {
+        const username = typeof body.username === 'string' ? body.username.trim().toLowerCase() : '';
+        // "admin" is how the ADMIN_SECRET owner appears in the audit log
+        if (!/^[a-z0-9][a-z0-9._-]{2,39}$/.test(username) || username === 'admin') {
+            return { fields, personIds: null, error: '"username" must be 3-40 letters, numbers, dots, dashes or underscores (and not "admin")' };
+        }
+        fields.username = username;
+    }
+
+    const name = body.displayName ?? body.name;
+    if (name !== undefined) {
+        if (name !== null && typeof name !== 'string') {
+            return { fields, personIds: null, error: 'Invalid "displayName" field' };
+        }
+        fields.display_name = name ? name.trim().substring(0, 100) : null;
+    }
+
+    if (body.role !== undefined || !partial) {
+        if (!ADMIN_ROLES.includes(body.role)) {
+            return { fields, personIds: null, error: `"role" must be one of: ${ADMIN_ROLES.join(', ')}` };
+        }
+        fields.role = body.role;
+    }
+
+    if (body.password !== undefined || !partial) {
+        if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH || body.password.length > 200) {
+            return { fields, personIds: null, error: `"password" must be at least ${MIN_PASSWORD_LENGTH} characters` };
+        }
+        fields.password = body.password;
+    }
+
+    let personIds = null;
+    if (body.personIds !== undefined) {
+        if (!Array.isArray(body.personIds) || body.personIds.some(personId => typeof personId !== 'string')) {
+            return { fields, personIds: null, error: '"personIds" must be a list of person ids' };
+        }
+        personIds = [...new Set(body.personIds)];
+        for (const personId of personIds) {
+            if (!(await getPerson(env, personId))) {
+                return { fields, personIds: null, error: `Unknown person "${personId}"` };
+            }
+        }
+    }
+
+    return { fields, personIds, error: null };
+}
+
+/**
+ * Handles GET /admin/data endpoint
+ * Returns all conversation data (admin only)
+ */
+async function handleAdminGetData(request, env) {
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const url = new URL(request.url);
+        const personId = url.searchParams.get('personId'); // Optional: filter by person
+        // Optional: show soft-deleted rows too (owners only - only they can restore them)
+        const includeDeleted = url.searchParams.get('includeDeleted') === '1' && admin.role === 'owner';
+
+        if (personId && !canAccessPerson(admin, personId)) {
+            return adminErrorResponse(noAccessToPerson(personId));
+        }
+
+        let query = 'SELECT * FROM conversations';
+        let params = [];
+        let conditions = includeDeleted ? [] : ['deleted_at IS NULL'];
+
+        if (personId) {
+            conditions.push('person_id = ?');
+            params.push(personId);
+        }
+
+        if (conditions.length > 0) {
+            query += ' WHERE ' + conditions.join(' AND ');
+        }
+
+        query += ' ORDER BY timestamp ASC';
+
+        let result;
+        try {
+            if (params.length > 0) {
+                result = await env.DB.prepare(query).bind(...params).all();
+            } else {
+                result = await env.DB.prepare(query).all();
+            }
+        } catch (dbError) {
+            // Table might not exist yet
+            console.error('Error querying conversations:', dbError);
+            result = { results: [] };
+        }
+
+        // Also get saved memories
+        let memoriesQuery = 'SELECT * FROM grandma_memories';
+        let memoriesParams = [];
+        if (conditions.length > 0) {
+            memoriesQuery += ' WHERE ' + conditions.join(' AND ');
+            memoriesParams = params;
+        }
+        memoriesQuery += ' ORDER BY timestamp ASC';
+        
+        let memoriesResult;
+        try {
+            if (memoriesParams.length > 0) {
+                memoriesResult = await env.DB.prepare(memoriesQuery).bind(...memoriesParams).all();
+            } else {
+                memoriesResult = await env.DB.prepare(memoriesQuery).all();
+            }
+        } catch (dbError) {
+            // Table might not exist yet
+            console.error('Error querying memories:', dbError);
+            memoriesResult = { results: [] };
+        }
+
+        // Recording metadata, so the dashboard can offer playback next to the text
+        let recordings = [];
+        try {
+            recordings = (await listRecordings(env, personId)).filter(recording => canAccessPerson(admin, recording.person_id));
+        } catch (dbError) {
+            console.error('Error querying recordings:', dbError.message);
+        }
+
+        // Photo metadata, so the dashboard can show the picture next to the stories told about it
+        let photos = [];
+        try {
+            photos = (await listPhotos(env, personId)).filter(photo => canAccessPerson(admin, photo.person_id));
+        } catch (dbError) {
+            console.error('Error querying photos:', dbError.message);
+        }
+
+        // Get all person profiles with their conversation/memory counts
+        let people = [];
+        try {
+            people = (await listPeopleWithCounts(env)).filter(person => canAccessPerson(admin, person.id));
+        } catch (dbError) {
+            console.error('Error querying people:', dbError.message);
+            people = [];
+        }
+
+        // Editors and viewers only get the people they were granted
+        const conversations = (result.results || []).filter(conv => canAccessPerson(admin, conv.person_id));
+        const memories = (memoriesResult.results || []).filter(memory => canAccessPerson(admin, memory.person_id));
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                conversations: conversations,
+                memories: memories,
+                recordings: recordings,
+                photos: photos,
+                people: people,
+                totalConversations: conversations.length,
+                totalMemories: memories.length
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...getCORSHeaders()
+                }
+            }
+        );
+    } catch (error) {
+        console.error('Error getting admin data:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles POST /admin/analyze endpoint (editor or owner)
+ * Uses AI to analyze a person's conversations and generate summaries
+ * 
+ * The result is stored as the next biography version. Only what was added or edited since
+ * the latest version is processed ({ full: true } starts over), and when nothing was, the
+ * latest version is returned as it is (biography.unchanged).
+ */
+async function handleAdminAnalyze(request, env) {
+    const admin = await authenticateAdmin(request, env, 'editor');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    const body = await request.json().catch(() => ({}));
+
+    try {
+        const { personId } = body;
+
+        if (!personId) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'personId required' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!canAccessPerson(admin, personId)) {
+            return adminErrorResponse(noAccessToPerson(personId));
+        }
+
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // Get all conversations AND memories for this person
+        const conversationsResult = await env.DB.prepare(
+            'SELECT * FROM conversations WHERE person_id = ? AND deleted_at IS NULL ORDER BY timestamp ASC'
+        ).bind(personId).all();
+
+        const memoriesResult = await env.DB.prepare(
+            'SELECT * FROM grandma_memories WHERE person_id = ? AND deleted_at IS NULL ORDER BY timestamp ASC'
+        ).bind(personId).all();
+
+        const conversations = conversationsResult.results || [];
+        const memories = memoriesResult.results || [];
+
+        if (conversations.length === 0 && memories.length === 0) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'No conversations or memories found for this person' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // Build comprehensive text for analysis - include both conversations and memories
+        const allText = buildAnalysisText(conversations, memories);
+
+        // Generate comprehensive book-like analysis, continuing from the latest version made the same way
+        const method = getBiographyProviders(env).length > 0 ? 'ai' : 'patterns';
+        const previous = body.full ? null : await getLatestBiography(env, personId, method);
+        const result = await generatePersonAnalysis(env, await getPerson(env, personId), conversations, memories, allText, previous);
+
+        let biography = null;
+        if (result.unchanged) {
+            biography = { ...biographySummary(previous), unchanged: true };
+        } else if (result.saved) {
+            biography = { ...biographySummary(await storeBiography(env, personId, result, conversations, memories, admin.actor)), unchanged: false };
+            console.log(`Stored biography version ${biography.version} for ${personId} (${result.method})`);
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                personId: personId,
+                analysis: result.analysis,
+                biography: biography,
+                stats: {
+                    totalConversations: conversations.length,
+                    totalMemories: memories.length,
+                    totalMessages: conversations.length * 2,
+                    dateRange: {
+                        first: conversations[0]?.timestamp || memories[0]?.timestamp,
+                        last: conversations[conversations.length - 1]?.timestamp || memories[memories.length - 1]?.timestamp
+                    }
+                }
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...getCORSHeaders()
+                }
+            }
+        );
+    } catch (error) {
+        console.error('Error analyzing person:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Joins a person's memories and conversations into the dated text the analysis reads
+ */
+function buildAnalysisText(conversations, memories) {
+    const conversationText = conversations.map(conv => 
+        `[${new Date(conv.timestamp).toLocaleDateString()}] User: ${conv.user_message}\nAI: ${conv.ai_response}`
+    ).join('\n\n');
+    
+    const memoriesText = memories.map(mem => 
+        `[${new Date(mem.timestamp).toLocaleDateString()}] Memory: ${mem.text}`
+    ).join('\n\n');
+    
+    return [
+        memoriesText && memoriesText.length > 0 ? `=== SAVED MEMORIES ===\n${memoriesText}` : '',
+        conversationText && conversationText.length > 0 ? `=== CONVERSATIONS ===\n${conversationText}` : ''
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Generates a person's biography (analysis.book) from all of their conversations and memories
+ * 
+ * Uses the map-reduce pipeline in generateBiography when an instruction-following provider is
+ * configured (see getBiographyProviders), and the pattern-based analysis otherwise. The lists
+ * (topics, personality, lifeEvents...) always come from the pattern-based analysis.
+ * 
+ * @param {Object} [previous] - Latest stored version (see getLatestBiography). Only rows that are
+ *   new or edited since then are read again, and nothing is generated when there are none.
+ * @returns {Promise<{analysis: Object, method: string, state: Object, unchanged: boolean, saved: boolean}>}
+ *   method is "ai" or "patterns"; state is what the next run needs (see generateBiography);
+ *   saved is false when the AI failed and the pattern-based analysis is only shown, not stored
+ */
+async function generatePersonAnalysis(env, person, conversations, memories, allText, previous) {
+    const name = person?.display_name || displayNameFromPersonId(person?.id || 'unknown');
+    const sources = await hashBiographySources(buildBiographySources(name, conversations, memories));
+    const hashes = Object.fromEntries(sources.map(source => [source.ref, source.hash]));
+    const providers = getBiographyProviders(env);
+    const method = providers.length > 0 ? 'ai' : 'patterns';
+
+    if (previous && !previous.stale_at && previous.method === method && sameSourceHashes(previous.state?.sources, hashes)) {
+        return { analysis: previous.analysis, method: method, state: previous.state, unchanged: true, saved: true };
+    }
+
+    let patternAnalysis;
+    try {
+        patternAnalysis = generateComprehensiveAnalysis(conversations, memories, allText, person?.birth_year ?? null);
+    } catch (error) {
+        console.error('Pattern-based analysis failed:', error);
+        // Minimal structure so the dashboard and the export still work
+        patternAnalysis = {
+            book: {
+                title: `The Life Story of ${name}`,
+                introduction: `This biography is compiled from ${conversations.length} conversations and ${memories.length} memories.`,
+                earlyLife: 'Early life details from conversations.',
+                personality: 'Personality traits mentioned in conversations.',
+                lifeJourney: 'Life events and experiences shared.',
+                relationships: 'Relationships and family members mentioned.',
+                values: 'Values and beliefs expressed.',
+                stories: 'Stories and anecdotes shared.',
+                themes: 'Key topics discussed.',
+                conclusion: 'A life rich with experiences and stories.'
+            },
+            summary: `This person has shared ${conversations.length} conversations covering various aspects of their life.`,
+            topics: [],
+            personality: [],
+            lifeEvents: [],
+            relationships: [],
+            values: [],
+            stories: []
+        };
+    }
+
+    if (method === 'patterns') {
+        return {
+            analysis: {
+                ...patternAnalysis,
+                note: 'Pattern-based analysis. Set BIOGRAPHY_PROVIDERS (e.g. "openai" or "workers-ai") to have the biography written by an AI model.'
+            },
+            method: method,
+            state: { sources: hashes },
+            unchanged: false,
+            saved: true
+        };
+    }
+
+    try {
+        const base = previous?.method === 'ai' && previous.state?.notes ? previous.state : null;
+        const biography = await generateBiography(env, providers, name, sources, base);
+        return {
+            analysis: {
+                ...patternAnalysis,
+                book: biography.book,
+                citations: biography.citations,
+                summary: biography.summary || patternAnalysis.summary,
+                pipeline: biography.pipeline,
+                note: undefined
+            },
+            method: method,
+            state: biography.state,
+            unchanged: false,
+            saved: true
+        };
+    } catch (error) {
+        console.error('Biography generation failed, using pattern-based analysis:', error);
+        return {
+            analysis: { ...patternAnalysis, note: `AI biography failed (${error.message}) - showing the pattern-based analysis. It wasn't saved.` },
+            method: 'patterns',
+            state: null,
+            unchanged: false,
+            saved: false
+        };
+    }
+}
+
+function sameSourceHashes(previous, current) {
+    if (!previous) {
+        return false;
+    }
+    const refs = Object.keys(current);
+    return refs.length === Object.keys(previous).length && refs.every(ref => previous[ref] === current[ref]);
+}
+
+/**
+ * Biography generation
+ * 
+ * A whole archive doesn't fit in one prompt, so the biography is written in passes:
+ * 
+ * 1. Map: the conversations and memories are split, in date order, into chunks of about
+ *    BIOGRAPHY_CHUNK_CHARS, and each chunk is summarized into notes filed under a book section,
+ *    every note ending with the ids of the rows it came from ([c12] is conversation 12, [m5]
+ *    memory 5).
+ * 2. Reduce: a section's notes that are too long for one prompt are merged in groups until
+ *    they fit, keeping the ids.
+ * 3. Write: each section is written from its notes, then the introduction, key themes and
+ *    conclusion from the written sections. The ids the text cites become the section's
+ *    citations, so every chapter can be traced back to the rows it was written from.
+ * 
+ * Every row is read by exactly one map call, however long the archive. A chunk whose notes
+ * can't be generated falls back to excerpts of its rows, so nothing is silently dropped.
+ * 
+ * The notes and drafts are stored with each version (biographies.state), so the next run
+ * only reads the rows added or edited since and rewrites the sections they change.
+ */
+const BIOGRAPHY_CHUNK_CHARS = 6000;
+// A section's notes are merged until they are at most this long
+const BIOGRAPHY_NOTES_CHARS = 8000;
+const BIOGRAPHY_MAX_MERGE_PASSES = 3;
+// Map calls run this many at a time
+const BIOGRAPHY_CONCURRENCY = 4;
+// Long answers take longer than chat replies
+const BIOGRAPHY_MIN_TIMEOUT_MS = 60000;
+// How much of each written section the introduction, themes and conclusion are written from
+const BIOGRAPHY_FRAMING_SECTION_CHARS = 2000;
+
+// Sections written from notes, with what belongs in them (the map prompt files notes under these)
+const BIOGRAPHY_NOTE_SECTIONS = {
+    earlyLife: 'childhood, parents and the home they grew up in, school and education',
+    personality: 'character, habits, tastes, humour, how they deal with people and problems',
+    lifeJourney: 'moves, work, hardships, achievements and other major events, in order',
+    relationships: 'spouse, children, relatives and friends - who they are and what they meant',
+    values: 'faith, beliefs, principles and the advice they give',
+    stories: 'specific anecdotes and memorable moments, told with their details'
+};
+
+// Sections written from the other sections
+const BIOGRAPHY_FRAMING_SECTIONS = {
+    introduction: '2-3 paragraphs introducing who they are, their background and what makes them unique',
+    themes: 'one or two paragraphs on the topics and themes that come back again and again in their life',
+    conclusion: '1-2 paragraphs on the essence of their life and what they leave to their family'
+};
+
+// Where excerpts go when a chunk can't be summarized, by interview chapter (see detectChapters)
+const CHAPTER_BOOK_SECTIONS = {
+    childhood: 'earlyLife',
+    schooling: 'earlyLife',
+    migration: 'lifeJourney',
+    work: 'lifeJourney',
+    marriage: 'relationships',
+    children: 'relationships',
+    faith: 'values',
+    advice: 'values'
+};
+
+const BIOGRAPHY_SYSTEM_PROMPT = 'You help a family write the biography of a relative from interviews with them. '
+    + 'Only use what the material says - never invent names, places, dates or events.';
+
+/**
+ * Returns the providers that can follow the biography prompts, in fallback order
+ * From BIOGRAPHY_PROVIDERS, else LLM_PROVIDERS; chat-only models (huggingface) are skipped
+ */
+function getBiographyProviders(env) {
+    const list = env.BIOGRAPHY_PROVIDERS || env.LLM_PROVIDERS || '';
+    return resolveProviders(LLM_PROVIDERS, list, env.BIOGRAPHY_PROVIDERS ? 'BIOGRAPHY_PROVIDERS' : 'LLM_PROVIDERS', env)
+        .filter(provider => provider.followsInstructions)
+        .map(provider => ({ ...provider, timeoutMs: Math.max(provider.timeoutMs, BIOGRAPHY_MIN_TIMEOUT_MS) }));
+}
+
+/**
+ * Runs the map-reduce pipeline
+ * 
+ * With the state of a previous run, only rows that are new or were edited since are read (plus
+ * the other rows behind notes that an edit or delete invalidated), and only the sections that
+ * got different notes are written again.
+ * 
+ * @param {Array<Object>} sources - From buildBiographySources, with hashes (hashBiographySources)
+ * @param {Object} [previous] - state of the previous run: { sources: {ref: hash}, notes: {section: [notes]}, drafts: {section: text with ids} }
+ * @returns {Promise<{book: Object, citations: Object, summary: string, pipeline: Object, state: Object}>}
+ *   citations maps each book section to [{ ref, table, id, timestamp }] in date order
+ */
+async function generateBiography(env, providers, name, sources, previous) {
+    const stats = { chunks: 0, calls: 0, failedCalls: 0, excerptChunks: 0, notes: 0, readSources: 0, reusedNotes: 0, writtenSections: [], providers: [] };
+    const generate = async (message, maxTokens) => {
+        stats.calls++;
+        const result = await runWithFallback(
+            env,
+            providers,
+            (provider, signal) => provider.generate(env, { system: BIOGRAPHY_SYSTEM_PROMPT, message: message, language: 'en-US', maxTokens: maxTokens }, signal),
+            raw => cleanModelText(raw) || null
+        );
+        if (!result.value) {
+            stats.failedCalls++;
+            console.warn('Biography step failed:', result.errors.join('; '));
+            return null;
+        }
+        if (!stats.providers.includes(result.provider)) {
+            stats.providers.push(result.provider);
+        }
+        return result.value;
+    };
+
+    const sourcesByRef = new Map(sources.map(source => [source.ref, source]));
+    const previousHashes = previous?.sources || {};
+
+    // Rows that were deleted or edited since the previous run - their notes no longer hold
+    const stale = new Set(Object.keys(previousHashes).filter(ref => sourcesByRef.get(ref)?.hash !== previousHashes[ref]));
+    const reread = new Set();
+    const notesBySection = {};
+    const changedSections = new Set();
+    for (const section of Object.keys(BIOGRAPHY_NOTE_SECTIONS)) {
+        notesBySection[section] = [];
+        for (const note of previous?.notes?.[section] || []) {
+            if (note.refs.some(ref => stale.has(ref))) {
+                // The note's other rows are read again so what they said isn't lost
+                note.refs.filter(ref => !stale.has(ref)).forEach(ref => reread.add(ref));
+                changedSections.add(section);
+            } else {
+                notesBySection[section].push(note);
+                stats.reusedNotes++;
+            }
+        }
+    }
+
+    const fresh = sources.filter(source => previousHashes[source.ref] !== source.hash || reread.has(source.ref));
+    stats.readSources = fresh.length;
+    const chunks = chunkBiographySources(fresh, parseInt(env.BIOGRAPHY_CHUNK_CHARS) || BIOGRAPHY_CHUNK_CHARS);
+    stats.chunks = chunks.length;
+
+    // 1. Map
+    const chunkNotes = await mapWithConcurrency(chunks, BIOGRAPHY_CONCURRENCY, async chunk => {
+        const refs = new Set(chunk.map(source => source.ref));
+        const reply = await generate(buildBiographyNotesPrompt(name, chunk), 1200);
+        const notes = reply ? parseBiographyNotes(reply, refs) : [];
+        if (notes.length > 0) {
+            return notes;
+        }
+        stats.excerptChunks++;
+        return excerptNotes(chunk);
+    });
+
+    chunkNotes.flat().forEach(note => {
+        notesBySection[note.section].push(note);
+        changedSections.add(note.section);
+    });
+    stats.notes = chunkNotes.flat().length;
+
+    // 2. Reduce and 3. write the sections
+    const book = { title: `The Life Story of ${name}` };
+    const citations = {};
+    const drafts = {};
+    for (const [section, description] of Object.entries(BIOGRAPHY_NOTE_SECTIONS)) {
+        if (previous && !changedSections.has(section) && previous.drafts?.[section] !== undefined) {
+            drafts[section] = previous.drafts[section];
+        } else {
+            notesBySection[section] = await mergeBiographyNotes(generate, name, section, notesBySection[section]);
+            const notes = notesBySection[section];
+            if (notes.length === 0) {
+                drafts[section] = '';
+            } else {
+                stats.writtenSections.push(section);
+                const reply = await generate(buildBiographySectionPrompt(name, section, description, notes), 1500);
+                // If the model couldn't write it, the notes themselves are the section
+                drafts[section] = reply || notes.map(note => `${note.text} [${note.refs.join(', ')}]`).join('\n');
+            }
+        }
+
+        const noteRefs = new Set(notesBySection[section].flatMap(note => note.refs));
+        book[section] = drafts[section] ? stripCitationMarkers(drafts[section]) : `${name} didn't talk about this yet.`;
+        citations[section] = drafts[section] ? biographyCitations(citedRefs(drafts[section], noteRefs), noteRefs, sourcesByRef) : [];
+    }
+
+    const allRefs = new Set(sources.map(source => source.ref));
+    const material = Object.keys(BIOGRAPHY_NOTE_SECTIONS)
+        .filter(section => drafts[section])
+        .map(section => `## ${bookChapterTitle(section)}\n${drafts[section].substring(0, BIOGRAPHY_FRAMING_SECTION_CHARS)}`)
+        .join('\n\n');
+    const rewriteFraming = !previous || stats.writtenSections.length > 0;
+    for (const [section, description] of Object.entries(BIOGRAPHY_FRAMING_SECTIONS)) {
+        if (rewriteFraming || previous.drafts?.[section] === undefined) {
+            const reply = material ? await generate(buildBiographyFramingPrompt(name, section, description, material), 900) : null;
+            drafts[section] = reply || '';
+            if (reply) {
+                stats.writtenSections.push(section);
+            }
+        } else {
+            drafts[section] = previous.drafts[section];
+        }
+
+        book[section] = stripCitationMarkers(drafts[section]);
+        const cited = citedRefs(drafts[section], allRefs);
+        // Without ids it draws on everything the other sections cite
+        citations[section] = drafts[section]
+            ? biographyCitations(cited.length > 0 ? cited : Object.values(citations).flat().map(citation => citation.ref), allRefs, sourcesByRef)
+            : [];
+    }
+
+    if (stats.calls > 0 && stats.failedCalls === stats.calls) {
+        throw new Error(`no provider answered (${providers.map(provider => provider.name).join(', ')})`);
+    }
+
+    console.log(`Biography for ${name}: read ${stats.readSources} of ${sources.length} rows in ${stats.chunks} chunks, ${stats.notes} new notes, ${stats.calls} model calls (${stats.failedCalls} failed)`);
+
+    return {
+        book: book,
+        citations: citations,
+        summary: firstSentences(book.introduction, 2),
+        pipeline: stats,
+        state: {
+            sources: Object.fromEntries(sources.map(source => [source.ref, source.hash])),
+            notes: notesBySection,
+            drafts: drafts
+        }
+    };
+}
+
+/**
+ * Turns rows into dated, labelled excerpts - [c12] for conversation 12, [m5] for memory 5
+ */
+function buildBiographySources(name, conversations, memories) {
+    return [
+        ...conversations.map(conv => ({
+            ref: `c${conv.id}`,
+            table: 'conversations',
+            id: conv.id,
+            timestamp: conv.timestamp,
+            text: `${name}: ${conv.user_message || ''}\nInterviewer: ${conv.ai_response || ''}`
+        })),
+        ...memories.map(mem => ({
+            ref: `m${mem.id}`,
+            table: 'grandma_memories',
+            id: mem.id,
+            timestamp: mem.timestamp,
+            text: `${mem.speaker || name} (saved memory): ${mem.text || ''}`
+        }))
+    ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Adds a short hash of each excerpt's text, so the next run can tell which rows changed
+ */
+async function hashBiographySources(sources) {
+    for (const source of sources) {
+        source.hash = (await sha256Hex(source.text)).substring(0, 16);
+    }
+    return sources;
+}
+
+/**
+ * Packs excerpts into chunks of at most maxChars, in order
+ * A row longer than a chunk is split into several excerpts with the same id
+ */
+function chunkBiographySources(sources, maxChars) {
+    const chunks = [];
+    let current = [];
+    let length = 0;
+
+    for (const source of sources) {
+        const header = `[${source.ref}] ${(source.timestamp || '').substring(0, 10)} `;
+        const room = maxChars - header.length;
+        for (let start = 0; start < source.text.length; start += room) {
+            const excerpt = { ...source, excerpt: `${header}${source.text.substring(start, start + room)}` };
+            if (length + excerpt.excerpt.length > maxChars && current.length > 0) {
+                chunks.push(current);
+                current = [];
+                length = 0;
+            }
+            current.push(excerpt);
+            length += excerpt.excerpt.length + 2;
+        }
+    }
+    if (current.length > 0) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+function buildBiographyNotesPrompt(name, chunk) {
+    const sections = Object.entries(BIOGRAPHY_NOTE_SECTIONS)
+        .map(([section, description]) => `- ${section}: ${description}`)
+        .join('\n');
+
+    return `Below are excerpts from interviews with ${name} and memories saved for them, in date order. Each starts with its id in square brackets.
+
+Write notes of everything the excerpts tell about ${name}'s life: people, places, dates, events, habits, feelings and stories, with their details. Skip small talk and the interviewer's own questions. Write in English, keeping names and places as they were said.
+
+Write one note per line, in this form:
+section | note [ids]
+
+section is one of:
+${sections}
+
+Every note must end with the ids of the excerpts it comes from, e.g. [c12, m5].
+
+Excerpts:
+${chunk.map(source => source.excerpt).join('\n\n')}`;
+}
+
+/**
+ * Reads "section | note [c1, m2]" lines, keeping notes that cite at least one known id
+ */
+function parseBiographyNotes(text, knownRefs) {
+    const notes = [];
+    for (const line of text.split('\n')) {
+        const match = line.match(/^[\s*•\-\d.)]*([A-Za-z]+)\s*\|\s*(.+)$/);
+        if (!match || !BIOGRAPHY_NOTE_SECTIONS[match[1]]) {
+            continue;
+        }
+        const refs = citedRefs(match[2], knownRefs);
+        const note = stripCitationMarkers(match[2]).trim();
+        if (note && refs.length > 0) {
+            notes.push({ section: match[1], text: note, refs: refs });
+        }
+    }
+    return notes;
+}
+
+/**
+ * Fallback notes for a chunk the model couldn't summarize: the start of what was said in
+ * each row, filed by the interview chapter it mentions
+ */
+function excerptNotes(chunk) {
+    return chunk.map(source => {
+        const chapter = detectChapters(source.text).find(id => CHAPTER_BOOK_SECTIONS[id]);
+        const said = source.text.split('\nInterviewer:')[0].replace(/^[^:]*:\s*/, '').trim();
+        return {
+            section: chapter ? CHAPTER_BOOK_SECTIONS[chapter] : 'stories',
+            text: said.length > 400 ? `${said.substring(0, 400)}…` : said,
+            refs: [source.ref]
+        };
+    }).filter(note => note.text);
+}
+
+/**
+ * Merges a section's notes in groups until they fit in one prompt, keeping their ids
+ */
+async function mergeBiographyNotes(generate, name, section, notes) {
+    let current = notes;
+    for (let pass = 0; pass < BIOGRAPHY_MAX_MERGE_PASSES && notesLength(current) > BIOGRAPHY_NOTES_CHARS; pass++) {
+        const groups = [];
+        let group = [];
+        for (const note of current) {
+            if (group.length > 0 && notesLength(group) + notesLength([note]) > BIOGRAPHY_NOTES_CHARS) {
+                groups.push(group);
+                group = [];
+            }
+            group.push(note);
+        }
+        groups.push(group);
+
+        const merged = [];
+        for (const group of groups) {
+            const refs = new Set(group.flatMap(note => note.refs));
+            const reply = await generate(`These are notes for the "${bookChapterTitle(section)}" chapter of ${name}'s biography. Merge them into fewer, shorter notes: combine notes about the same thing, drop repeats, but keep every distinct fact, name, place and date.
+
+Write one note per line, in this form:
+${section} | note [ids]
+
+Every note must end with the ids of all the notes it was made from.
+
+Notes:
+${formatBiographyNotes(group)}`, 1500);
+            const result = reply ? parseBiographyNotes(reply, refs).filter(note => note.section === section) : [];
+            merged.push(...(result.length > 0 ? result : group));
+        }
+
+        // Nothing got shorter - stop rather than ask again
+        if (notesLength(merged) >= notesLength(current)) {
+            return merged;
+        }
+        current = merged;
+    }
+    return current;
+}
+
+function notesLength(notes) {
+    return notes.reduce((sum, note) => sum + note.text.length + note.refs.join(', ').length + 5, 0);
+}
+
+function formatBiographyNotes(notes) {
+    return notes.map(note => `- ${note.text} [${note.refs.join(', ')}]`).join('\n');
+}
+
+function buildBiographySectionPrompt(name, section, description, notes) {
+    return `Write the "${bookChapterTitle(section)}" chapter of ${name}'s biography (${description}) from the notes below.
+
+Write flowing paragraphs, as in a book, using the names, places, dates and details in the notes and nothing that isn't in them. Tell events in the order they happened where the notes say when. After each sentence, put the ids of the notes it uses in square brackets, e.g. [c12, m5]. Don't write a heading.
+
+Notes:
+${formatBiographyNotes(notes)}`;
+}
+
+function buildBiographyFramingPrompt(name, section, description, material) {
+    return `Below are chapters of ${name}'s biography. Write its "${bookChapterTitle(section)}": ${description}.
+
+Only use what the chapters say. After each sentence, put the ids in square brackets that the chapters give for it, e.g. [c12, m5]. Don't write a heading.
+
+${material}`;
+}
+
+/**
+ * Ids cited in text like "... [c12, m5]", limited to known ones, in order of first use
+ */
+function citedRefs(text, knownRefs) {
+    const refs = [];
+    for (const group of text.matchAll(/\[([^\]]*)\]/g)) {
+        for (const ref of group[1].match(/\b[cm]\d+\b/g) || []) {
+            if (knownRefs.has(ref) && !refs.includes(ref)) {
+                refs.push(ref);
+            }
+        }
+    }
+    return refs;
+}
+
+function stripCitationMarkers(text) {
+    return text.replace(/\s*\[\s*[cm]\d+(?:\s*[,;]\s*[cm]\d+)*\s*\]/g, '').replace(/[ \t]+\n/g, '\n').trim();
+}
+
+/**
+ * Turns cited ids into { table, id, timestamp } in date order
+ * A section that cites nothing recognisable cites everything it was written from
+ */
+function biographyCitations(cited, fallbackRefs, sourcesByRef) {
+    const refs = cited.length > 0 ? cited : [...fallbackRefs];
+    return refs
+        .map(ref => sourcesByRef.get(ref))
+        .filter(Boolean)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .map(source => ({ ref: source.ref, table: source.table, id: source.id, timestamp: source.timestamp }));
+}
+
+function bookChapterTitle(section) {
+    return (BOOK_CHAPTERS.find(([id]) => id === section) || [section, section])[1];
+}
+
+function firstSentences(text, count) {
+    const sentences = (text || '').split(/(?<=[.!?۔])\s+/).filter(Boolean);
+    return sentences.slice(0, count).join(' ');
+}
+
+/**
+ * Runs fn over items with at most limit calls at a time, keeping the order of the results
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Biography versions
+ * 
+ * Every /admin/analyze run that produces something new is stored as the next version of the
+ * person's biography, with the ids of the conversations and memories it covers and the state
+ * the next run continues from. Versions can be compared chapter by chapter, and the one the
+ * family approves is pinned: the pinned version is the book /admin/export renders.
+ */
+
+/**
+ * Stores an analysis as the person's next biography version
+ * 
+ * @returns {Promise<Object>} The stored row (see parseBiographyRow)
+ */
+async function storeBiography(env, personId, result, conversations, memories, actor) {
+    const inserted = await env.DB.prepare(`
+        INSERT INTO biographies (person_id, version, method, analysis, state, conversation_ids, memory_ids, created_by, created_at)
+        VALUES (?, (SELECT COALESCE(MAX(version), 0) + 1 FROM biographies WHERE person_id = ?), ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+        personId,
+        personId,
+        result.method,
+        JSON.stringify(result.analysis),
+        result.state ? JSON.stringify(result.state) : null,
+        JSON.stringify(conversations.map(conv => conv.id)),
+        JSON.stringify(memories.map(mem => mem.id)),
+        actor,
+        new Date().toISOString()
+    ).run();
+
+    return getBiography(env, inserted.meta.last_row_id);
+}
+
+/**
+ * Statements that mark the person's biography versions written from a redacted row as stale
+ * 
+ * Their book, lists and drafts quote the old text, so the analysis is cleared and the notes that
+ * cite the row are dropped; the rest of the notes stay for the next run to continue from. Stale
+ * versions can't be pinned or exported, and a pinned one is unpinned.
+ */
+async function staleBiographyStatements(env, personId, table, id, actor) {
+    const ref = `${table === 'conversations' ? 'c' : 'm'}${id}`;
+    const result = await env.DB.prepare(
+        'SELECT id, version, state, pinned_at FROM biographies WHERE person_id = ? AND state IS NOT NULL'
+    ).bind(personId).all();
+
+    const now = new Date().toISOString();
+    const statements = [];
+    for (const row of result.results || []) {
+        const state = JSON.parse(row.state);
+        if (state.sources?.[ref] === undefined) {
+            continue;
+        }
+
+        const notes = state.notes
+            ? Object.fromEntries(Object.entries(state.notes).map(([section, sectionNotes]) => [
+                section,
+                sectionNotes.filter(note => !note.refs.includes(ref))
+            ]))
+            : undefined;
+        statements.push(
+            env.DB.prepare(
+                'UPDATE biographies SET analysis = ?, state = ?, stale_at = ?, pinned_at = NULL, pinned_by = NULL WHERE id = ?'
+            ).bind('{}', JSON.stringify({ sources: state.sources, notes: notes }), now, row.id),
+            auditStatement(env, {
+                actor: actor,
+                action: 'stale',
+                table: 'biographies',
+                id: row.id,
+                personId: personId,
+                previous: { version: row.version, pinned: Boolean(row.pinned_at) },
+                next: { version: row.version, pinned: false, stale: true }
+            })
+        );
+    }
+    return statements;
+}
+
+async function getBiography(env, biographyId) {
+    const row = await env.DB.prepare('SELECT * FROM biographies WHERE id = ?').bind(biographyId).first();
+    return row ? parseBiographyRow(row) : null;
+}
+
+async function getBiographyVersion(env, personId, version) {
+    const row = await env.DB.prepare('SELECT * FROM biographies WHERE person_id = ? AND version = ?').bind(personId, version).first();
+    return row ? parseBiographyRow(row) : null;
+}
+
+/**
+ * The person's newest version, optionally only among those made with one method
+ */
+async function getLatestBiography(env, personId, method) {
+    const row = method
+        ? await env.DB.prepare('SELECT * FROM biographies WHERE person_id = ? AND method = ? ORDER BY version DESC LIMIT 1').bind(personId, method).first()
+        : await env.DB.prepare('SELECT * FROM biographies WHERE person_id = ? ORDER BY version DESC LIMIT 1').bind(personId).first();
+    return row ? parseBiographyRow(row) : null;
+}
+
+/**
+ * The person's book: the pinned version, else the newest one that isn't stale (null when there is none)
+ */
+async function getCanonicalBiography(env, personId) {
+    const row = await env.DB.prepare(
+        'SELECT * FROM biographies WHERE person_id = ? AND stale_at IS NULL ORDER BY pinned_at IS NULL, version DESC LIMIT 1'
+    ).bind(personId).first();
+    return row ? parseBiographyRow(row) : null;
+}
+
+function parseBiographyRow(row) {
+    return {
+        ...row,
+        analysis: JSON.parse(row.analysis),
+        state: row.state ? JSON.parse(row.state) : null,
+        conversation_ids: JSON.parse(row.conversation_ids || '[]'),
+        memory_ids: JSON.parse(row.memory_ids || '[]')
+    };
+}
+
+/**
+ * What the API returns about a version, without the analysis and pipeline state
+ */
+function biographySummary(biography) {
+    return {
+        id: biography.id,
+        personId: biography.person_id,
+        version: biography.version,
+        method: biography.method,
+        createdBy: biography.created_by,
+        createdAt: biography.created_at,
+        pinnedAt: biography.pinned_at,
+        pinnedBy: biography.pinned_by,
+        staleAt: biography.stale_at,
+        conversations: biography.conversation_ids.length,
+        memories: biography.memory_ids.length
+    };
+}
+
+/**
+ * Handles GET /admin/biographies?personId= endpoint
+ * Lists a person's biography versions, newest first
+ */
+async function handleAdminListBiographies(request, env) {
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        const personId = new URL(request.url).searchParams.get('personId');
+        if (!personId) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'personId required' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!canAccessPerson(admin, personId)) {
+            return adminErrorResponse(noAccessToPerson(personId));
+        }
+
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const result = await env.DB.prepare(`
+            SELECT id, person_id, version, method, created_by, created_at, pinned_at, pinned_by, stale_at, conversation_ids, memory_ids
+            FROM biographies WHERE person_id = ? ORDER BY version DESC
+        `).bind(personId).all();
+        const biographies = (result.results || []).map(row => biographySummary({
+            ...row,
+            conversation_ids: JSON.parse(row.conversation_ids || '[]'),
+            memory_ids: JSON.parse(row.memory_ids || '[]')
+        }));
+
+        return new Response(
+            JSON.stringify({ success: true, biographies: biographies }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error listing biographies:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles GET /admin/biographies/:id endpoint
+ * Returns one version with its analysis and the ids of the rows it covers
+ */
+async function handleAdminGetBiography(request, env, biographyId) {
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const biography = await getBiography(env, biographyId);
+        if (!biography || !canAccessPerson(admin, biography.person_id)) {
+            return biographyNotFound(biographyId);
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                biography: {
+                    ...biographySummary(biography),
+                    conversationIds: biography.conversation_ids,
+                    memoryIds: biography.memory_ids
+                },
+                analysis: biography.analysis
+            }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error loading biography:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles GET /admin/biographies/compare?from=:id&to=:id endpoint
+ * Compares two versions of one person's biography chapter by chapter
+ * 
+ * Each chapter reports its status (same, changed, added, removed), the sentences that were
+ * kept, added and removed in reading order, and the rows it cites that are new or gone.
+ */
+async function handleAdminCompareBiographies(request, env) {
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const url = new URL(request.url);
+        const fromId = parseInt(url.searchParams.get('from'));
+        const toId = parseInt(url.searchParams.get('to'));
+        if (!fromId || !toId) {
+            return new Response(
+                JSON.stringify({ success: false, error: '"from" and "to" must be biography ids' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const from = await getBiography(env, fromId);
+        const to = await getBiography(env, toId);
+        for (const [id, biography] of [[fromId, from], [toId, to]]) {
+            if (!biography || !canAccessPerson(admin, biography.person_id)) {
+                return biographyNotFound(id);
+            }
+        }
+        if (from.person_id !== to.person_id) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Both versions must be of the same person' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                from: biographySummary(from),
+                to: biographySummary(to),
+                chapters: compareBiographies(from.analysis, to.analysis)
+            }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error comparing biographies:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles POST and DELETE /admin/biographies/:id/pin endpoint (editor or owner)
+ * POST pins the version as the person's book, replacing the one pinned before; DELETE unpins it
+ */
+async function handleAdminPinBiography(request, env, biographyId) {
+    const admin = await authenticateAdmin(request, env, 'editor');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const biography = await getBiography(env, biographyId);
+        if (!biography || !canAccessPerson(admin, biography.person_id)) {
+            return biographyNotFound(biographyId);
+        }
+
+        const pin = request.method === 'POST';
+        if (pin && biography.stale_at) {
+            return new Response(
+                JSON.stringify({ success: false, error: `Version ${biography.version} was written from text that has since been redacted. Run the analysis again and pin the new version.` }),
+                { status: 409, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+        if (pin === Boolean(biography.pinned_at)) {
+            return new Response(
+                JSON.stringify({ success: false, error: `Version ${biography.version} is ${pin ? 'already' : 'not'} pinned` }),
+                { status: 409, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const now = new Date().toISOString();
+        const statements = [];
+        if (pin) {
+            // One pinned version per person
+            const previous = await env.DB.prepare(
+                'SELECT id, version FROM biographies WHERE person_id = ? AND pinned_at IS NOT NULL'
+            ).bind(biography.person_id).all();
+            for (const row of previous.results || []) {
+                statements.push(
+                    env.DB.prepare('UPDATE biographies SET pinned_at = NULL, pinned_by = NULL WHERE id = ?').bind(row.id),
+                    auditStatement(env, {
+                        actor: admin.actor,
+                        action: 'unpin',
+                        table: 'biographies',
+                        id: row.id,
+                        personId: biography.person_id,
+                        previous: { version: row.version, pinned: true },
+                        next: { version: row.version, pinned: false }
+                    })
+                );
+            }
+        }
+        statements.push(
+            env.DB.prepare('UPDATE biographies SET pinned_at = ?, pinned_by = ? WHERE id = ?')
+                .bind(pin ? now : null, pin ? admin.actor : null, biographyId),
+            auditStatement(env, {
+                actor: admin.actor,
+                action: pin ? 'pin' : 'unpin',
+                table: 'biographies',
+                id: biographyId,
+                personId: biography.person_id,
+                previous: { version: biography.version, pinned: !pin },
+                next: { version: biography.version, pinned: pin }
+            })
+        );
+        await env.DB.batch(statements);
+
+        console.log(`Biography version ${biography.version} of ${biography.person_id} ${pin ? 'pinned' : 'unpinned'} by ${admin.actor}`);
+
+        return new Response(
+            JSON.stringify({ success: true, biography: biographySummary(await getBiography(env, biographyId)) }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error pinning biography:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+function biographyNotFound(biographyId) {
+    return new Response(
+        JSON.stringify({ success: false, error: `Biography ${biographyId} not found` }),
+        { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+    );
+}
+
+/**
+ * Compares the book chapters (and their citations) of two analyses
+ */
+function compareBiographies(from, to) {
+    return BOOK_CHAPTERS.map(([section, title]) => {
+        const before = from.book?.[section] || '';
+        const after = to.book?.[section] || '';
+        const beforeRefs = new Set((from.citations?.[section] || []).map(citation => citation.ref));
+        const afterRefs = new Set((to.citations?.[section] || []).map(citation => citation.ref));
+
+        let status = 'changed';
+        if (before === after) {
+            status = 'same';
+        } else if (!before) {
+            status = 'added';
+        } else if (!after) {
+            status = 'removed';
+        }
+
+        return {
+            section: section,
+            title: title,
+            status: status,
+            changes: status === 'same' ? [{ type: 'same', text: after }] : diffSentences(splitSentences(before), splitSentences(after)),
+            citationsAdded: (to.citations?.[section] || []).filter(citation => !beforeRefs.has(citation.ref)),
+            citationsRemoved: (from.citations?.[section] || []).filter(citation => !afterRefs.has(citation.ref))
+        };
+    });
+}
+
+function splitSentences(text) {
+    return text.split(/(?<=[.!?۔؟])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Sentence diff (longest common subsequence), as runs of same/added/removed sentences
+ * Chapters too long to compare sentence by sentence are reported as replaced
+ */
+function diffSentences(before, after) {
+    const runs = [];
+    const push = (type, text) => {
+        const last = runs[runs.length - 1];
+        if (last && last.type === type) {
+            last.text += ` ${text}`;
+        } else {
+            runs.push({ type: type, text: text });
+        }
+    };
+
+    if (before.length * after.length > 250000) {
+        before.forEach(sentence => push('removed', sentence));
+        after.forEach(sentence => push('added', sentence));
+        return runs;
+    }
+
+    // lengths[i][j] = common sentences of before[i..] and after[j..]
+    const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            lengths[i][j] = before[i] === after[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < before.length && j < after.length) {
+        if (before[i] === after[j]) {
+            push('same', before[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', before[i++]);
+        } else {
+            push('added', after[j++]);
+        }
+    }
+    before.slice(i).forEach(sentence => push('removed', sentence));
+    after.slice(j).forEach(sentence => push('added', sentence));
+    return runs;
+}
+
+/**
+ * Generates comprehensive book-like analysis when AI is unavailable
+ * Creates detailed narrative from conversations and memories
+ */
+function generateComprehensiveAnalysis(conversations, memories, allText, birthYear = null) {
+    try {
+        // Extract key information from conversations and memories
+        const text = allText.toLowerCase();
+        const allEntries = [
+            ...conversations.map(c => ({ type: 'conversation', text: `${c.user_message} ${c.ai_response}`, date: c.timestamp })),
+            ...memories.map(m => ({ type: 'memory', text: m.text, date: m.timestamp }))
+        ].sort((a, b) => new Date(a.date) - new Date(b.date));
+        
+        // Topics, traits and values are counted in what the person said, not in the AI's questions
+        const evidence = analyzeLexicons([
+            ...conversations.map(c => c.user_message || ''),
+            ...memories.map(m => m.text || '')
+        ]);
+        const topics = evidence.topics.map(item => item.label);
+        const personality = evidence.personality.map(item => item.label);
+        const values = evidence.values.map(item => item.label);
+        const timeline = buildTimeline(conversations, memories, birthYear);
+        const events = extractLifeEvents(text, allEntries, timeline);
+        const relationships = extractRelationships(text, conversations, memories);
+        const stories = extractStories(allEntries);
+        
+        // Build comprehensive book-like structure
+        const book = {
+            title: `The Life Story`,
+            introduction: buildIntroduction(conversations, memories, topics),
+            earlyLife: buildEarlyLifeSection(text, events),
+            personality: buildPersonalitySection(personality, text),
+            lifeJourney: buildLifeJourneySection(timeline, allEntries),
+            relationships: buildRelationshipsSection(relationships, text),
+            values: buildValuesSection(values, text),
+            stories: buildStoriesSection(stories),
+            themes: topics.join(', ') || 'Life experiences',
+            conclusion: buildConclusion(topics, personality, values)
+        };
+        
+        return {
+            book: book,
+            summary: book.introduction.substring(0, 300),
+            topics: topics.slice(0, 10),
+            personality: personality.slice(0, 10),
+            lifeEvents: events.slice(0, 15),
+            relationships: relationships.slice(0, 10),
+            values: values.slice(0, 8),
+            stories: stories.slice(0, 10),
+            evidence: {
+                topics: evidence.topics.slice(0, 10),
+                personality: evidence.personality.slice(0, 10),
+                values: evidence.values.slice(0, 8)
+            }
+        };
+    } catch (error) {
+        console.error('Error in generateComprehensiveAnalysis:', error);
+        // Return minimal structure on error
+        return {
+            book: {
+                title: 'The Life Story',
+                introduction: `This biography is compiled from ${conversations.length} conversations and ${memories.length} memories.`,
+                earlyLife: 'Early life details from conversations.',
+                personality: 'Personality traits mentioned in conversations.',
+                lifeJourney: 'Life events and experiences shared.',
+                relationships: 'Relationships and family members mentioned.',
+                values: 'Values and beliefs expressed.',
+                stories: 'Stories and anecdotes shared.',
+                themes: 'Key topics discussed.',
+                conclusion: 'A life rich with experiences and stories.'
+            },
+            summary: `This person has shared ${conversations.length} conversations covering various aspects of their life.`,
+            topics: [],
+            personality: [],
+            lifeEvents: [],
+            relationships: [],
+            values: [],
+            stories: []
+        };
+    }
+}
+
+/**
+ * Sentences that tell about a life event: the dated ones in the order they happened, then the
+ * undated ones that name an event
+ */
+function extractLifeEvents(text, entries, timeline) {
+    const events = timeline.map(event => event.description);
+    const eventPattern = /\b(?:born|graduated|married|moved|migrated|started|retired|traveled|travelled|met)\b|پیدا|شادی|ہجرت/i;
+
+    entries.forEach(entry => {
+        entry.text.split(/[.!?؟۔\n]+/).forEach(sentence => {
+            if (eventPattern.test(sentence)) {
+                events.push(sentence.trim());
+            }
+        });
+    });
+
+    return [...new Set(events)].slice(0, 20);
+}
+
+function extractRelationships(text, conversations, memories) {
+    // Relatives they named come first, e.g. "Zainab (mother)"
+    const named = [
+        ...conversations.map(c => c.user_message || ''),
+        ...memories.map(m => m.text || '')
+    ].flatMap(entryText => extractFamilyMentions(entryText)).map(mention => `${mention.name} (${mention.relation})`);
+
+    const relationships = [];
+    const relKeywords = ['mother', 'father', 'wife', 'husband', 'son', 'daughter', 'brother', 'sister', 'friend', 'grandmother', 'grandfather'];
+    
+    relKeywords.forEach(keyword => {
+        if (text.includes(keyword)) {
+            relationships.push(keyword.charAt(0).toUpperCase() + keyword.slice(1));
+        }
+    });
+    
+    return [...new Set([...named, ...relationships])];
+}
+
+function extractStories(entries) {
+    // Extract longer entries as stories
+    return entries
+        .filter(e => e.text.length > 100)
+        .map(e => e.text.substring(0, 300))
+        .slice(0, 15);
+}
+
+function buildIntroduction(conversations, memories, topics) {
+    const totalEntries = conversations.length + memories.length;
+    const about = topics.length > 0 ? `${topics.slice(0, 3).join(', ')} and many other aspects of their life` : 'many aspects of their life';
+    return `This is a comprehensive biography compiled from ${totalEntries} conversations and ${memories.length} saved memories. The person shared stories about ${about}. This book captures their essence, experiences, and the wisdom they've gathered over the years.`;
+}
+
+function buildEarlyLifeSection(text, events) {
+    const earlyEvents = events.filter(e => e.toLowerCase().includes('child') || e.toLowerCase().includes('grew up') || e.toLowerCase().includes('school'));
+    if (earlyEvents.length > 0) {
+        return `Early life was marked by significant experiences: ${earlyEvents.slice(0, 3).join('. ')}. ${text.includes('childhood') ? 'Their childhood stories reveal a rich tapestry of memories and formative experiences.' : ''}`;
+    }
+    return 'Early life details were shared through conversations, revealing formative years and childhood experiences.';
+}
+
+function buildPersonalitySection(personality, text) {
+    if (personality.length === 0) {
+        return 'Their personality shines through in how they tell stories, interact with others, and reflect on their experiences.';
+    }
+    return `This person demonstrates ${personality.slice(0, 5).join(', ')}. Their personality shines through in how they tell stories, interact with others, and reflect on their experiences.`;
+}
+
+function buildLifeJourneySection(timeline, entries) {
+    // Labelled with when it happened, not when it was recorded
+    const chronological = timeline.length > 0
+        ? timeline.slice(0, 20).map(event => `[${timelineLabel(event)}] ${event.description.substring(0, 150)}`)
+        : entries.slice(0, 20).map(e => e.text.substring(0, 150));
+    return `Life's journey unfolded through many chapters:\n\n${chronological.join('\n\n')}`;
+}
+
+function buildRelationshipsSection(relationships, text) {
+    return `Important relationships included ${relationships.slice(0, 5).join(', ')}. These connections shaped their life and provided support, love, and companionship throughout the years.`;
+}
+
+function buildValuesSection(values, text) {
+    if (values.length === 0) {
+        return 'The values that guided their life show in the choices they describe and the stories they chose to tell.';
+    }
+    return `Core values that guided their life include ${values.slice(0, 5).join(', ')}. These principles influenced their decisions and how they lived.`;
+}
+
+function buildStoriesSection(stories) {
+    return stories.map((story, i) => `Story ${i + 1}: ${story}...`).join('\n\n');
+}
+
+function buildConclusion(topics, personality, values) {
+    // Only the parts there is evidence for
+    const parts = [
+        topics.length > 0 ? `filled with ${topics.slice(0, 2).join(' and ')}` : '',
+        personality.length > 0 ? `characterized by ${personality.slice(0, 2).join(' and ')}` : '',
+        values.length > 0 ? `guided by values of ${values.slice(0, 2).join(' and ')}` : ''
+    ].filter(Boolean);
+    const described = parts.length > 0 ? `, ${parts.join(', ')}` : '';
+    return `This biography captures the essence of a life well-lived${described}. Their stories and memories form a rich legacy.`;
+}
+
+/**
+ * Generates basic analysis when AI is unavailable
+ */
+function generateBasicAnalysis(conversations, conversationText) {
+    // One text per conversation; conversationText is only used when there are none
+    const texts = conversations.length > 0
+        ? conversations.map(c => c.user_message || '')
+        : [conversationText];
+    const topics = countLexicon(texts, TOPIC_LEXICON);
+    const personality = countLexicon(texts, PERSONALITY_LEXICON);
+    
+    return {
+        summary: `This person has shared ${conversations.length} conversations covering various aspects of their life.`,
+        topics: topics.map(item => item.label),
+        personality: personality.map(item => item.label),
+        lifeEvents: [],
+        relationships: [],
+        values: [],
+        stories: [],
+        evidence: { topics: topics, personality: personality, values: [] },
+        note: 'Basic pattern-based analysis. Use AI endpoint for detailed analysis.'
+    };
+}
+
+/**
+ * Imports
+ * 
+ * POST /admin/import brings stories that were written down elsewhere into grandma_memories:
+ * WhatsApp chat exports ("Export chat" → Without media), plain text or Markdown files and
+ * CSV spreadsheets. Every row keeps its original date and who said it (speaker), records the
+ * file it came from (source) and a hash of its date and text (content_hash), so importing
+ * the same file again skips what is already there.
+ */
+const IMPORT_FORMATS = ['whatsapp', 'text', 'csv'];
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+// Each row is a D1 write plus fact mining; bigger files have to be split
+const MAX_IMPORT_ENTRIES = 500;
+const IMPORT_BATCH_SIZE = 100;
+// Consecutive WhatsApp messages from one sender this close together become one memory
+const WHATSAPP_MERGE_WINDOW_MS = 5 * 60 * 1000;
+const IMPORT_PREVIEW_ENTRIES = 20;
+
+// "[31/12/2020, 21:41:05] Nani: ..." (iPhone) or "31/12/20, 9:41 pm - Nani: ..." (Android)
+const WHATSAPP_LINE = /^\u200E?\[?(\d{1,4})[\/.-](\d{1,2})[\/.-](\d{2,4}),?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([AaPp]\.?\s?[Mm]\.?)?\]?\s*(?:-\s+)?(.*)$/;
+// Placeholders WhatsApp writes instead of media and deleted messages
+const WHATSAPP_SKIPPED = /^\u200E?(?:<Media omitted>|(?:image|audio|video|sticker|GIF|document|Contact card) omitted|<attached: [^>]+>|This message was deleted|You deleted this message|null)$/i;
+
+// CSV header names accepted for each field
+const CSV_COLUMNS = {
+    text: ['text', 'message', 'transcript', 'memory', 'story', 'content'],
+    date: ['date', 'timestamp', 'datetime', 'time', 'created_at'],
+    speaker: ['speaker', 'sender', 'author', 'from', 'name'],
+    language: ['language', 'lang']
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * Handles POST /admin/import endpoint
+ * Imports a file's stories as saved memories of one person (editor or owner)
+ * 
+ * Body: {
+ *   personId, content,     // the file's text
+ *   format?,               // "whatsapp", "text" or "csv" - guessed from filename/content if left out
+ *   filename?,             // recorded as the rows' source
+ *   speakers?,             // WhatsApp/CSV: only import these senders (the person's own names)
+ *   speaker?,              // speaker of rows that don't name one (e.g. every row of a text file)
+ *   language?,             // otherwise guessed per row from its script
+ *   date?,                 // date of rows without one (ISO), default now
+ *   dateOrder?,            // "dmy" (default) or "mdy", for WhatsApp dates like 03/04/21
+ *   timeZoneOffset?,       // minutes ahead of UTC the file's times are in, e.g. 300 for Pakistan
+ *   dryRun?                // preview only: nothing is written
+ * }
+ */
+async function handleAdminImport(request, env) {
+    const admin = await authenticateAdmin(request, env, 'editor');
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Invalid JSON' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const { personId, content } = body;
+        if (!personId) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'personId required' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!canAccessPerson(admin, personId)) {
+            return adminErrorResponse(noAccessToPerson(personId));
+        }
+
+        const person = await getPerson(env, personId);
+        if (!person) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Person not found' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (typeof content !== 'string' || !content.trim() || content.length > MAX_IMPORT_BYTES) {
+            return new Response(
+                JSON.stringify({ success: false, error: `"content" must be the file's text, at most ${MAX_IMPORT_BYTES / 1024 / 1024} MB` }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const format = body.format || guessImportFormat(body.filename, content);
+        if (!IMPORT_FORMATS.includes(format)) {
+            return new Response(
+                JSON.stringify({ success: false, error: `"format" must be one of: ${IMPORT_FORMATS.join(', ')}` }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const options = parseImportOptions(body);
+        if (options.error) {
+            return new Response(
+                JSON.stringify({ success: false, error: options.error }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const parsed = format === 'whatsapp' ? parseWhatsAppExport(content, options)
+            : format === 'csv' ? parseCsvImport(content)
+            : parseTextImport(content);
+        if (parsed.error) {
+            return new Response(
+                JSON.stringify({ success: false, error: parsed.error }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // Who said what: every sender with how many messages, so the preview can offer a choice
+        const senders = {};
+        parsed.entries.forEach(entry => {
+            if (entry.speaker) {
+                senders[entry.speaker] = (senders[entry.speaker] || 0) + 1;
+            }
+        });
+
+        let entries = parsed.entries;
+        if (options.speakers) {
+            const wanted = options.speakers.map(speaker => speaker.toLowerCase());
+            entries = entries.filter(entry => entry.speaker && wanted.includes(entry.speaker.toLowerCase()));
+        } else if (format === 'whatsapp' && Object.keys(senders).length > 1 && !body.dryRun) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: `The chat has ${Object.keys(senders).length} senders. Send "speakers" with the names that are ${person.display_name}.`,
+                    senders: senders
+                }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (entries.length > MAX_IMPORT_ENTRIES) {
+            return new Response(
+                JSON.stringify({ success: false, error: `The file has ${entries.length} entries - import at most ${MAX_IMPORT_ENTRIES} at a time by splitting it` }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const source = `${format}:${String(body.filename || 'upload').substring(0, 200)}`;
+        const rows = await prepareImportRows(env, person, entries, options, source);
+        const fresh = rows.filter(row => !row.duplicate);
+
+        const summary = {
+            format: format,
+            entries: rows.length,
+            duplicates: rows.length - fresh.length,
+            senders: senders,
+            warnings: parsed.warnings.concat(rows.some(row => row.undated)
+                ? [`${rows.filter(row => row.undated).length} entries have no date - they get ${options.date}`]
+                : [])
+        };
+
+        if (body.dryRun) {
+            return new Response(
+                JSON.stringify({
+                    success: true,
+                    dryRun: true,
+                    ...summary,
+                    preview: rows.slice(0, IMPORT_PREVIEW_ENTRIES).map(row => ({
+                        timestamp: row.timestamp,
+                        speaker: row.speaker,
+                        language: row.language,
+                        text: row.text.length > 300 ? `${row.text.substring(0, 300)}…` : row.text,
+                        duplicate: row.duplicate
+                    }))
+                }),
+                { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const ids = [];
+        for (let start = 0; start < fresh.length; start += IMPORT_BATCH_SIZE) {
+            const results = await env.DB.batch(fresh.slice(start, start + IMPORT_BATCH_SIZE).map(row => env.DB.prepare(`
+                INSERT INTO grandma_memories (text, language, timestamp, person_id, raw_text, speaker, source, content_hash)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).bind(row.text, row.language, row.timestamp, personId, row.rawText, row.speaker, source, row.contentHash)));
+            results.forEach(result => ids.push(result.meta.last_row_id));
+        }
+
+        // Same follow-up as /save, with one coverage update for the whole file
+        for (let i = 0; i < fresh.length; i++) {
+            await saveFacts(env, personId, 'grandma_memories', ids[i], fresh[i].text);
+            await saveTimelineEvents(env, personId, 'grandma_memories', ids[i], fresh[i].text);
+            await saveFamilyMentions(env, personId, 'grandma_memories', ids[i], fresh[i].text);
+        }
+        await recordChapterCoverage(env, personId, fresh.flatMap(row => detectChapters(row.text)));
+
+        console.log(`Imported ${ids.length} ${format} entries for ${personId} by ${admin.actor} (${summary.duplicates} duplicates skipped)`);
+
+        return new Response(
+            JSON.stringify({ success: true, ...summary, imported: ids.length, ids: ids }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error importing:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Validates the optional import settings
+ * 
+ * @returns {{speakers, speaker, language, date, dateOrder, timeZoneOffset, error}}
+ */
+function parseImportOptions(body) {
+    const options = { error: null };
+
+    if (body.speakers !== undefined) {
+        const speakers = typeof body.speakers === 'string' ? [body.speakers] : body.speakers;
+        if (!Array.isArray(speakers) || speakers.length === 0 || speakers.some(speaker => typeof speaker !== 'string')) {
+            return { error: '"speakers" must be a list of names' };
+        }
+        options.speakers = speakers.map(speaker => speaker.trim());
+    }
+
+    options.speaker = typeof body.speaker === 'string' && body.speaker.trim() ? body.speaker.trim().substring(0, 100) : null;
+
+    if (body.language !== undefined && !findLanguage(body.language)) {
+        return { error: `"language" must be one of: ${Object.keys(LANGUAGES).join(', ')}` };
+    }
+    options.language = body.language ? findLanguage(body.language).code : null;
+
+    const date = body.date ? new Date(body.date) : new Date();
+    if (isNaN(date.getTime())) {
+        return { error: '"date" must be an ISO date, e.g. 1998-05-02' };
+    }
+    options.date = date.toISOString();
+
+    options.dateOrder = body.dateOrder || 'dmy';
+    if (!['dmy', 'mdy'].includes(options.dateOrder)) {
+        return { error: '"dateOrder" must be "dmy" or "mdy"' };
+    }
+
+    options.timeZoneOffset = body.timeZoneOffset ?? 0;
+    if (!Number.isInteger(options.timeZoneOffset) || Math.abs(options.timeZoneOffset) > 14 * 60) {
+        return { error: '"timeZoneOffset" must be minutes ahead of UTC, e.g. 300' };
+    }
+
+    return options;
+}
+
+function guessImportFormat(filename, content) {
+    if (/\.csv$/i.test(filename || '')) {
+        return 'csv';
+    }
+    const lines = content.split(/\r?\n/, 20).filter(line => line.trim());
+    return lines.filter(line => WHATSAPP_LINE.test(line)).length > lines.length / 2 ? 'whatsapp' : 'text';
+}
+
+/**
+ * Splits a WhatsApp chat export into messages
+ * 
+ * Lines without a date continue the message before them. System messages (no sender) and
+ * media placeholders are left out, and a sender's consecutive messages are joined.
+ * 
+ * @returns {{entries: Array<{timestamp, speaker, text}>, warnings: string[], error?: string}}
+ */
+function parseWhatsAppExport(content, options) {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const matches = lines.map(line => line.match(WHATSAPP_LINE));
+
+    // 03/04/21 could be either order - a part above 12 settles it
+    let order = options.dateOrder;
+    if (matches.some(match => match && match[1].length <= 2 && parseInt(match[1]) > 12)) {
+        order = 'dmy';
+    } else if (matches.some(match => match && parseInt(match[2]) > 12)) {
+        order = 'mdy';
+    }
+
+    const messages = [];
+    let systemLines = 0;
+    lines.forEach((line, index) => {
+        const match = matches[index];
+        if (!match) {
+            if (messages.length > 0 && line.trim()) {
+                messages[messages.length - 1].text += `\n${line}`;
+            }
+            return;
+        }
+
+        const [, first, second, third, hour, minute, secondOfMinute, meridiem, rest] = match;
+        const [year, month, day] = first.length === 4 ? [first, second, third]
+            : order === 'mdy' ? [third, first, second] : [third, second, first];
+        let hours = parseInt(hour) % (meridiem ? 12 : 24);
+        if (meridiem && /^p/i.test(meridiem)) {
+            hours += 12;
+        }
+        const fullYear = year.length === 2 ? 2000 + parseInt(year) : parseInt(year);
+        const time = Date.UTC(fullYear, parseInt(month) - 1, parseInt(day), hours, parseInt(minute), parseInt(secondOfMinute || '0'));
+
+        const sender = rest.match(/^([^:]{1,80}?):\s(.*)$/s);
+        if (!sender || isNaN(time)) {
+            systemLines++;
+            return;
+        }
+        messages.push({
+            time: time - options.timeZoneOffset * 60 * 1000,
+            speaker: sender[1].replace(/^\u200E/, '').trim(),
+            text: sender[2]
+        });
+    });
+
+    if (messages.length === 0) {
+        return { error: 'No WhatsApp messages found. Export the chat "Without media" and send the .txt file.' };
+    }
+
+    const entries = [];
+    let skipped = 0;
+    for (const message of messages) {
+        const text = message.text.replace(/\s*<This message was edited>$/, '').trim();
+        if (!text || WHATSAPP_SKIPPED.test(text)) {
+            skipped++;
+            continue;
+        }
+
+        const previous = entries[entries.length - 1];
+        if (previous && previous.speaker === message.speaker && message.time - previous.lastTime <= WHATSAPP_MERGE_WINDOW_MS) {
+            previous.text += `\n${text}`;
+            previous.lastTime = message.time;
+            continue;
+        }
+        entries.push({ time: message.time, lastTime: message.time, speaker: message.speaker, text: text });
+    }
+
+    const warnings = [];
+    if (skipped > 0) {
+        warnings.push(`${skipped} media or deleted messages left out`);
+    }
+    if (systemLines > 0) {
+        warnings.push(`${systemLines} system messages left out`);
+    }
+
+    return {
+        entries: entries.map(entry => ({ timestamp: new Date(entry.time).toISOString(), speaker: entry.speaker, text: entry.text })),
+        warnings: warnings
+    };
+}
+
+/**
+ * Splits a plain text or Markdown file into entries
+ * 
+ * Headings and --- lines separate entries; without them the whole file is one. A date in
+ * an entry's heading or on its first line becomes its date.
+ */
+function parseTextImport(content) {
+    const sections = [];
+    let current = { heading: null, lines: [] };
+    for (const line of content.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        if (/^#{1,6}\s/.test(line) || /^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+            sections.push(current);
+            current = { heading: line.startsWith('#') ? line.replace(/^#+\s*/, '').trim() : null, lines: [] };
+        } else {
+            current.lines.push(line);
+        }
+    }
+    sections.push(current);
+
+    const entries = [];
+    for (const section of sections) {
+        const lines = section.lines.join('\n').trim().split('\n');
+        let date = parseLooseDate(section.heading);
+        let heading = date && isJustADate(section.heading) ? null : section.heading;
+
+        if (!date && lines[0] && isJustADate(lines[0])) {
+            date = parseLooseDate(lines[0]);
+            lines.shift();
+        }
+
+        const text = [heading, lines.join('\n').trim()].filter(Boolean).join('\n\n');
+        if (text) {
+            splitLongText(text).forEach(part => entries.push({ timestamp: date, speaker: null, text: part }));
+        }
+    }
+
+    if (entries.length === 0) {
+        return { error: 'The file has no text' };
+    }
+    return { entries: entries, warnings: [] };
+}
+
+/**
+ * Reads a CSV file with a header row naming its columns (see CSV_COLUMNS)
+ */
+function parseCsvImport(content) {
+    const records = parseCsv(content.replace(/^\uFEFF/, ''));
+    if (records.length < 2) {
+        return { error: 'The CSV file needs a header row and at least one row' };
+    }
+
+    const header = records[0].map(name => name.trim().toLowerCase());
+    const column = field => header.findIndex(name => CSV_COLUMNS[field].includes(name));
+    const columns = { text: column('text'), date: column('date'), speaker: column('speaker'), language: column('language') };
+    if (columns.text === -1) {
+        return { error: `The CSV file needs a text column (one of: ${CSV_COLUMNS.text.join(', ')})` };
+    }
+
+    const warnings = [];
+    const entries = [];
+    records.slice(1).forEach((record, index) => {
+        const value = field => (columns[field] === -1 ? '' : (record[columns[field]] || '').trim());
+        const text = value('text');
+        if (!text) {
+            return;
+        }
+
+        const date = value('date') ? parseLooseDate(value('date')) : null;
+        if (value('date') && !date) {
+            warnings.push(`Row ${index + 2}: couldn't read the date "${value('date')}"`);
+        }
+        const language = value('language') ? findLanguage(value('language'))?.code : null;
+        splitLongText(text).forEach(part => entries.push({
+            timestamp: date,
+            speaker: value('speaker') || null,
+            language: language || null,
+            text: part
+        }));
+    });
+
+    return { entries: entries, warnings: warnings.slice(0, 20) };
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted fields may hold the delimiter, newlines and "" for a quote.
+ * The delimiter (comma, semicolon or tab) is whichever the header line has most of.
+ */
+function parseCsv(content) {
+    const headerLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best);
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Reads the dates people write: 1998-05-02, 2 May 1998, May 2, 1998, 02/05/1998 (day first)
+ * 
+ * @returns {string|null} ISO timestamp at midnight UTC, or null
+ */
+function parseLooseDate(text) {
+    if (!text) {
+        return null;
+    }
+    const value = toWesternDigits(String(text)).trim();
+    let year;
+    let month;
+    let day;
+    let match;
+
+    if ((match = value.match(/(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2}))?/))) {
+        // A full ISO timestamp keeps its time
+        const parsed = new Date(value);
+        if (match[4] && !isNaN(parsed.getTime())) {
+            return parsed.toISOString();
+        }
+        [year, month, day] = [match[1], match[2], match[3]];
+    } else if ((match = value.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3,9})\.?,?\s+(\d{4})\b/))) {
+        [day, month, year] = [match[1], monthNumber(match[2]), match[3]];
+    } else if ((match = value.match(/\b([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/))) {
+        [month, day, year] = [monthNumber(match[1]), match[2], match[3]];
+    } else if ((match = value.match(/\b(\d{1,2})[\/.](\d{1,2})[\/.](\d{4})\b/))) {
+        [day, month, year] = [match[1], match[2], match[3]];
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+    if (!month || isNaN(date.getTime()) || date.getUTCDate() !== parseInt(day)) {
+        return null;
+    }
+    return date.toISOString();
+}
+
+function monthNumber(name) {
+    const index = MONTHS.findIndex(month => month.startsWith(name.toLowerCase()) && name.length >= 3);
+    return index === -1 ? null : index + 1;
+}
+
+// A heading or line that is only a date, like "2 May 1998" or "1998-05-02:"
+function isJustADate(text) {
+    return Boolean(text) && text.length <= 40 && parseLooseDate(text) !== null
+        && !/[A-Za-z\u0600-\u06FF]{3,}/.test(text.replace(/\b[A-Za-z]{3,9}\b/g, word => (monthNumber(word) ? '' : word)));
+}
+
+/**
+ * Splits text longer than a memory may be at paragraph breaks
+ */
+function splitLongText(text) {
+    if (text.length <= MAX_ENTRY_TEXT_LENGTH) {
+        return [text];
+    }
+
+    const parts = [];
+    let current = '';
+    for (const paragraph of text.split(/\n\s*\n/)) {
+        const candidate = current ? `${current}\n\n${paragraph}` : paragraph;
+        if (candidate.length <= MAX_ENTRY_TEXT_LENGTH) {
+            current = candidate;
+            continue;
+        }
+        if (current) {
+            parts.push(current);
+        }
+        // A single paragraph that is still too long is cut
+        for (let start = 0; start < paragraph.length; start += MAX_ENTRY_TEXT_LENGTH) {
+            current = paragraph.substring(start, start + MAX_ENTRY_TEXT_LENGTH);
+            if (start + MAX_ENTRY_TEXT_LENGTH < paragraph.length) {
+                parts.push(current);
+            }
+        }
+    }
+    if (current) {
+        parts.push(current);
+    }
+    return parts;
+}
+
+/**
+ * Turns parsed entries into rows: language, normalized text, date and content hash, and
+ * whether the row is already stored (or appears earlier in the same file)
+ */
+async function prepareImportRows(env, person, entries, options, source) {
+    const rows = [];
+    for (const entry of entries) {
+        const language = entry.language || options.language || guessImportLanguage(entry.text, person);
+        const timestamp = entry.timestamp || options.date;
+        rows.push({
+            rawText: entry.text,
+            text: normalizeTranscript(entry.text, language),
+            language: language,
+            timestamp: timestamp,
+            undated: !entry.timestamp,
+            speaker: entry.speaker || options.speaker,
+            // Undated rows get today's date, so only their text can tell if they were imported before
+            contentHash: await importContentHash(entry.timestamp || '', entry.text)
+        });
+    }
+
+    // Look the hashes up in chunks (D1 allows 100 bound parameters per query)
+    const existing = new Set();
+    const hashes = [...new Set(rows.map(row => row.contentHash))];
+    for (let start = 0; start < hashes.length; start += 90) {
+        const chunk = hashes.slice(start, start + 90);
+        const result = await env.DB.prepare(`
+            SELECT content_hash FROM grandma_memories
+            WHERE person_id = ? AND content_hash IN (${chunk.map(() => '?').join(', ')})
+        `).bind(person.id, ...chunk).all();
+        (result.results || []).forEach(row => existing.add(row.content_hash));
+    }
+
+    const seen = new Set();
+    for (const row of rows) {
+        row.duplicate = existing.has(row.contentHash) || seen.has(row.contentHash);
+        seen.add(row.contentHash);
+    }
+    return rows;
+}
+
+/**
+ * Same text at the same time (to the minute) is the same entry, however it was spaced or
+ * spelled (see normalizeSearchText)
+ */
+function importContentHash(timestamp, text) {
+    const normalized = normalizeSearchText(text).toLowerCase().replace(/\s+/g, ' ').trim();
+    return sha256Hex(`${timestamp.substring(0, 16)}|${normalized}`);
+}
+
+/**
+ * Picks a row's language from its script: the person's preferred language if it is written
+ * in that script, otherwise the first registry language that is
+ */
+function guessImportLanguage(text, person) {
+    const preferred = getLanguage(person.preferred_language);
+    const script = detectScript(text);
+    if (!script || preferred.script === script) {
+        return preferred.code;
+    }
+    return Object.values(LANGUAGES).find(language => language.script === script)?.code || preferred.code;
+}
+
+/**
+ * Book exports
+ * 
+ * /admin/export renders a person's memory book - the biography chapters, the memories they
+ * saved and the dated conversation transcripts - as Markdown, a self-contained HTML page, an
+ * EPUB or a Word document that relatives can read and print offline. Nothing here needs a
+ * library: every format is built from the same list of blocks (buildBookBlocks), and EPUB
+ * and DOCX are ZIP files of XML (createZip).
+ * 
+ * Paragraphs in Arabic script (Urdu, Punjabi, Pashto) are marked right-to-left and set in
+ * Noto Nastaliq Urdu. The HTML, EPUB and DOCX files embed the font so it doesn't have to be
+ * installed; it is downloaded once from BOOK_FONT_URL and then kept in the MEDIA bucket.
+ */
+const BOOK_FONT_NAME = 'Noto Nastaliq Urdu';
+const BOOK_FONT_KEY = 'fonts/NotoNastaliqUrdu-Regular.ttf';
+const DEFAULT_BOOK_FONT_URL = 'https://notofonts.github.io/nastaliq/fonts/NotoNastaliqUrdu/hinted/ttf/NotoNastaliqUrdu-Regular.ttf';
+// Used when the font can't be embedded, and by readers that ignore embedded fonts
+const RTL_FONT_STACK = `'${BOOK_FONT_NAME}', 'Jameel Noori Nastaleeq', 'Urdu Typesetting', 'Noto Naskh Arabic', serif`;
+
+// Biography sections in reading order, with the headings the dashboard shows them under
+const BOOK_CHAPTERS = [
+    ['introduction', 'Introduction'],
+    ['earlyLife', 'Early Life & Childhood'],
+    ['personality', 'Personality & Character'],
+    ['lifeJourney', 'Life Journey & Experiences'],
+    ['relationships', 'Relationships & Family'],
+    ['values', 'Values, Beliefs & Philosophy'],
+    ['stories', 'Memorable Stories & Anecdotes'],
+    ['themes', 'Key Themes'],
+    ['conclusion', 'Conclusion']
+];
+
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: renderBookMarkdown },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8', render: renderBookHtml },
+    epub: { extension: 'epub', contentType: 'application/epub+zip', render: renderBookEpub },
+    docx: {
+        extension: 'docx',
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        render: renderBookDocx
+    }
+};
+
+/**
+ * Handles GET and POST /admin/export endpoint
+ * Downloads a person's memory book: ?personId=grandma&format=markdown|html|epub|docx
+ * 
+ * The biography chapters are the pinned biography version, else the newest one (see
+ * /admin/analyze), else written on the spot by the pattern-based analysis. &version=N exports
+ * another stored version, and POST { book } - an analysis.book - exports that biography.
+ */
+async function handleAdminExport(request, env) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        const url = new URL(request.url);
+        const personId = url.searchParams.get('personId');
+        const format = (url.searchParams.get('format') || 'html').toLowerCase();
+
+        if (!personId) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'personId required' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!EXPORT_FORMATS[format]) {
+            return new Response(
+                JSON.stringify({ success: false, error: `"format" must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!canAccessPerson(admin, personId)) {
+            return adminErrorResponse(noAccessToPerson(personId));
+        }
+
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const body = request.method === 'POST' ? await request.json().catch(() => ({})) : {};
+        if (body.book !== undefined && (!body.book || typeof body.book !== 'object' || Array.isArray(body.book))) {
+            return new Response(
+                JSON.stringify({ success: false, error: '"book" must be the analysis.book object from /admin/analyze' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const person = await getPerson(env, personId);
+        if (!person) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Person not found' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // Without a posted book: the requested version, else the pinned one, else the newest
+        let biography = body.book;
+        const version = url.searchParams.get('version');
+        if (!biography) {
+            const stored = version
+                ? await getBiographyVersion(env, personId, parseInt(version) || 0)
+                : await getCanonicalBiography(env, personId);
+            if (version && !stored) {
+                return new Response(
+                    JSON.stringify({ success: false, error: `Biography version ${version} not found` }),
+                    { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+                );
+            }
+            if (stored?.stale_at) {
+                return new Response(
+                    JSON.stringify({ success: false, error: `Biography version ${version} was written from text that has since been redacted. Run the analysis again.` }),
+                    { status: 409, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+                );
+            }
+            biography = stored?.analysis.book;
+        }
+
+        const book = await loadMemoryBook(env, person, biography);
+        if (!book) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'No conversations or memories found for this person' }),
+                { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // Only books with Arabic-script text need the Nastaliq font
+        const font = book.blocks.some(block => block.direction === 'rtl') ? await loadBookFont(env) : null;
+        const { extension, contentType, render } = EXPORT_FORMATS[format];
+        const output = await render(book, font);
+
+        console.log(`Exported ${format} book for ${personId} (${book.blocks.length} blocks, font ${font ? 'embedded' : 'not embedded'})`);
+
+        return new Response(output, {
+            status: 200,
+            headers: {
+                'Content-Type': contentType,
+                'Content-Disposition': `attachment; filename="${personId}-memory-book.${extension}"`,
+                ...getCORSHeaders()
+            }
+        });
+    } catch (error) {
+        console.error('Error exporting book:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Collects everything that goes into a person's book
+ * 
+ * @param {Object} person - Row of the people table
+ * @param {Object} [biography] - analysis.book to use instead of the pattern-based one
+ * @returns {Promise<Object|null>} { title, language, blocks }, or null when there is nothing to export
+ */
+async function loadMemoryBook(env, person, biography) {
+    const conversationsResult = await env.DB.prepare(
+        'SELECT * FROM conversations WHERE person_id = ? AND deleted_at IS NULL ORDER BY timestamp ASC'
+    ).bind(person.id).all();
+    const memoriesResult = await env.DB.prepare(
+        'SELECT * FROM grandma_memories WHERE person_id = ? AND deleted_at IS NULL ORDER BY timestamp ASC'
+    ).bind(person.id).all();
+
+    const conversations = conversationsResult.results || [];
+    const memories = memoriesResult.results || [];
+    if (conversations.length === 0 && memories.length === 0 && !biography) {
+        return null;
+    }
+
+    const chapters = biography
+        || generateComprehensiveAnalysis(conversations, memories, buildAnalysisText(conversations, memories), person.birth_year ?? null).book;
+    const name = person.display_name || displayNameFromPersonId(person.id);
+    // The pattern-based biography doesn't know the person's name
+    const title = typeof chapters.title === 'string' && chapters.title.trim() && chapters.title.trim() !== 'The Life Story'
+        ? chapters.title.trim()
+        : `The Life Story of ${name}`;
+
+    return {
+        title: title,
+        author: name,
+        // Language of the right-to-left paragraphs: the person's own, when it is written right to left
+        rtlLanguage: findLanguage(person.preferred_language)?.direction === 'rtl'
+            ? person.preferred_language.split('-')[0]
+            : 'ur',
+        blocks: buildBookBlocks(title, person, chapters, conversations, memories)
+    };
+}
+
+/**
+ * Lays the book out as a flat list of blocks, which every format renders the same way
+ * 
+ * Block types: title, subtitle, part (with an id, for tables of contents and page breaks),
+ * heading, meta (dates) and paragraph (optionally with a speaker). Each block knows its
+ * text direction.
+ */
+function buildBookBlocks(title, person, chapters, conversations, memories) {
+    const name = person.display_name || displayNameFromPersonId(person.id);
+    const blocks = [];
+    const add = (type, text, extra = {}) => {
+        blocks.push({ type: type, text: text, direction: textDirection(text), ...extra });
+    };
+
+    add('title', title);
+    const details = [
+        person.relationship,
+        person.birth_year ? `born ${person.birth_year}` : ''
+    ].filter(Boolean).join(' · ');
+    if (details) {
+        add('subtitle', details);
+    }
+    const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+    add('subtitle', `Told in ${count(conversations.length, 'conversation', 'conversations')} and ${count(memories.length, 'saved memory', 'saved memories')} · exported ${formatBookDate(new Date().toISOString())}`);
+
+    const biography = BOOK_CHAPTERS
+        .map(([key, heading]) => ({ heading: heading, paragraphs: splitParagraphs(chapters[key]) }))
+        .filter(chapter => chapter.paragraphs.length > 0);
+    if (biography.length > 0) {
+        add('part', 'Biography', { id: 'biography' });
+        for (const chapter of biography) {
+            add('heading', chapter.heading);
+            chapter.paragraphs.forEach(paragraph => add('paragraph', paragraph));
+        }
+    }
+
+    if (memories.length > 0) {
+        add('part', 'In Their Own Words', { id: 'memories' });
+        for (const memory of memories) {
+            add('meta', formatBookDate(memory.timestamp));
+            splitParagraphs(memory.text).forEach(paragraph => add('paragraph', paragraph));
+        }
+    }
+
+    if (conversations.length > 0) {
+        add('part', 'Conversations', { id: 'conversations' });
+        let day = null;
+        for (const conversation of conversations) {
+            const date = formatBookDate(conversation.timestamp);
+            if (date !== day) {
+                add('heading', date);
+                day = date;
+            }
+            add('paragraph', conversation.user_message || '', { speaker: name });
+            if (conversation.ai_response) {
+                add('paragraph', conversation.ai_response, { speaker: 'Interviewer', reply: true });
+            }
+        }
+    }
+
+    return blocks;
+}
+
+function splitParagraphs(text) {
+    if (typeof text !== 'string') {
+        return [];
+    }
+    return text.split(/\n+/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+function textDirection(text) {
+    return detectScript(text || '') === 'arabic' ? 'rtl' : 'ltr';
+}
+
+function formatBookDate(timestamp) {
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) {
+        return 'Undated';
+    }
+    return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Returns the Nastaliq font file, or null if it can't be downloaded (the books then name it
+ * in their styles, so readers that have it installed still use it)
+ */
+async function loadBookFont(env) {
+    // Cached in the bucket when there is one
+    const store = getMediaStore(env);
+    try {
+        const cached = store ? await store.get(BOOK_FONT_KEY) : null;
+        if (cached) {
+            return new Uint8Array(await cached.arrayBuffer());
+        }
+
+        const response = await fetch(env.BOOK_FONT_URL || DEFAULT_BOOK_FONT_URL);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const font = new Uint8Array(await response.arrayBuffer());
+        if (store) {
+            await store.put(BOOK_FONT_KEY, font, { httpMetadata: { contentType: 'font/ttf' } });
+        }
+        return font;
+    } catch (error) {
+        console.warn(`Could not load the book font (${error.message}) - exporting without it`);
+        return null;
+    }
+}
+
+/**
+ * Text for XML and HTML: escaped, without the control characters XML doesn't allow
+ */
+function bookXmlText(text) {
+    return escapeHtml(String(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+}
+
+function renderBookMarkdown(book) {
+    const escapeMarkdown = text => text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+
+    return book.blocks.map(block => {
+        const text = escapeMarkdown(block.text);
+        let markdown;
+        switch (block.type) {
+            case 'title': markdown = `# ${text}`; break;
+            case 'subtitle': markdown = `_${text}_`; break;
+            case 'part': markdown = `## ${text}`; break;
+            case 'heading': markdown = `### ${text}`; break;
+            case 'meta': markdown = `**${text}**`; break;
+            default: markdown = block.speaker ? `**${escapeMarkdown(block.speaker)}:** ${text}` : text;
+        }
+        // Markdown has no text direction - viewers that render HTML pick this up
+        return block.direction === 'rtl'
+            ? `<div dir="rtl" lang="${book.rtlLanguage}">\n\n${markdown}\n\n</div>`
+            : markdown;
+    }).join('\n\n') + '\n';
+}
+
+/**
+ * Body of the HTML and EPUB versions - well-formed XHTML, so the EPUB can use it as is
+ */
+function renderBookBodyHtml(book) {
+    return book.blocks.map(block => {
+        const attributes = block.direction === 'rtl' ? ` dir="rtl" lang="${book.rtlLanguage}"` : '';
+        const text = bookXmlText(block.text);
+        switch (block.type) {
+            case 'title': return `<h1${attributes}>${text}</h1>`;
+            case 'subtitle': return `<p class="subtitle"${attributes}>${text}</p>`;
+            case 'part': return `<h2 id="${block.id}"${attributes}>${text}</h2>`;
+            case 'heading': return `<h3${attributes}>${text}</h3>`;
+            case 'meta': return `<p class="meta"${attributes}>${text}</p>`;
+            default: {
+                const speaker = block.speaker ? `<span class="speaker">${bookXmlText(block.speaker)}:</span> ` : '';
+                return `<p${block.reply ? ' class="reply"' : ''}${attributes}>${speaker}${text}</p>`;
+            }
+        }
+    }).join('\n');
+}
+
+/**
+ * @param {string|null} fontSource - url() of the embedded font, or null
+ */
+function renderBookCss(fontSource) {
+    return `${fontSource ? `@font-face { font-family: '${BOOK_FONT_NAME}'; src: ${fontSource} format('truetype'); }\n` : ''}
+body { font-family: Georgia, 'Times New Roman', serif; line-height: 1.6; color: #222; max-width: 40em; margin: 2em auto; padding: 0 1em; }
+h1 { text-align: center; margin-bottom: 0.3em; }
+.subtitle { text-align: center; color: #666; font-style: italic; margin: 0.2em 0; }
+h2 { break-before: page; page-break-before: always; border-bottom: 1px solid #ccc; padding-top: 1em; }
+h3 { margin-top: 1.5em; }
+.meta { color: #666; font-weight: bold; margin: 1.5em 0 0.3em; }
+.speaker { font-weight: bold; }
+.reply { color: #555; }
+[dir="rtl"] { font-family: ${RTL_FONT_STACK}; line-height: 2.4; text-align: right; }
+@media print { body { max-width: none; margin: 0; } }
+`;
+}
+
+function renderBookHtml(book, font) {
+    const fontSource = font ? `url(data:font/ttf;base64,${base64Encode(font)})` : null;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${bookXmlText(book.title)}</title>
+<style>
+${renderBookCss(fontSource)}</style>
+</head>
+<body>
+${renderBookBodyHtml(book)}
+</body>
+</html>
+`;
+}
+
+function renderBookEpub(book, font) {
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    const parts = book.blocks.filter(block => block.type === 'part');
+    const title = bookXmlText(book.title);
+
+    const files = [
+        // Must come first, uncompressed, so readers can recognize the file
+        { name: 'mimetype', data: 'application/epub+zip' },
+        {
+            name: 'META-INF/container.xml',
+            data: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`
+        },
+        {
+            name: 'OEBPS/content.opf',
+            data: `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:uuid:${crypto.randomUUID()}</dc:identifier>
+<dc:title>${title}</dc:title>
+<dc:creator>${bookXmlText(book.author)}</dc:creator>
+<dc:language>en</dc:language>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="book" href="book.xhtml" media-type="application/xhtml+xml"/>
+<item id="css" href="book.css" media-type="text/css"/>
+${font ? '<item id="font" href="fonts/NotoNastaliqUrdu-Regular.ttf" media-type="font/ttf"/>\n' : ''}</manifest>
+<spine><itemref idref="book"/></spine>
+</package>`
+        },
+        {
+            name: 'OEBPS/nav.xhtml',
+            data: `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head><title>${title}</title></head>
+<body>
+<nav epub:type="toc" id="toc"><h1>Contents</h1>
+<ol>
+${parts.map(part => `<li><a href="book.xhtml#${part.id}">${bookXmlText(part.text)}</a></li>`).join('\n')}
+</ol>
+</nav>
+</body>
+</html>`
+        },
+        {
+            name: 'OEBPS/book.xhtml',
+            data: `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" lang="en" xml:lang="en">
+<head><title>${title}</title><link rel="stylesheet" type="text/css" href="book.css"/></head>
+<body>
+${renderBookBodyHtml(book)}
+</body>
+</html>`
+        },
+        { name: 'OEBPS/book.css', data: renderBookCss(font ? 'url(fonts/NotoNastaliqUrdu-Regular.ttf)' : null) }
+    ];
+    if (font) {
+        files.push({ name: 'OEBPS/fonts/NotoNastaliqUrdu-Regular.ttf', data: font });
+    }
+
+    return createZip(files);
+}
+
+function renderBookDocx(book, font) {
+    const styles = {
+        title: 'Title',
+        subtitle: 'Subtitle',
+        part: 'Heading1',
+        heading: 'Heading2',
+        meta: 'Meta'
+    };
+
+    const paragraphs = book.blocks.map(block => {
+        const rtl = block.direction === 'rtl';
+        const style = styles[block.type] ? `<w:pStyle w:val="${styles[block.type]}"/>` : '';
+        const runProperties = rtl ? `<w:rtl/><w:lang w:bidi="${book.rtlLanguage}"/>` : '';
+        const speaker = block.speaker
+            ? `<w:r><w:rPr><w:b/><w:bCs/></w:rPr><w:t xml:space="preserve">${bookXmlText(block.speaker)}: </w:t></w:r>`
+            : '';
+        const color = block.reply ? '<w:color w:val="555555"/>' : '';
+        return `<w:p><w:pPr>${style}${rtl ? '<w:bidi/>' : ''}</w:pPr>${speaker}`
+            + `<w:r><w:rPr>${color}${runProperties}</w:rPr><w:t xml:space="preserve">${bookXmlText(block.text)}</w:t></w:r></w:p>`;
+    }).join('\n');
+
+    // Word only uses an embedded font once it is obfuscated with a key named in fontTable.xml
+    const fontKey = `{${crypto.randomUUID().toUpperCase()}}`;
+    const wordNamespace = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+    const relationshipNamespace = 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+    const relationshipType = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+${font ? '<Default Extension="odttf" ContentType="application/vnd.openxmlformats-officedocument.obfuscatedFont"/>\n' : ''}<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>
+<Override PartName="/word/fontTable.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.fontTable+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`
+        },
+        {
+            name: '_rels/.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${relationshipType}/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+        },
+        {
+            name: 'docProps/core.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${bookXmlText(book.title)}</dc:title>
+<dc:creator>${bookXmlText(book.author)}</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`
+        },
+        {
+            name: 'word/_rels/document.xml.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${relationshipType}/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="${relationshipType}/settings" Target="settings.xml"/>
+<Relationship Id="rId3" Type="${relationshipType}/fontTable" Target="fontTable.xml"/>
+</Relationships>`
+        },
+        {
+            name: 'word/document.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${wordNamespace} ${relationshipNamespace}>
+<w:body>
+${paragraphs}
+<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`
+        },
+        {
+            name: 'word/styles.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${wordNamespace}>
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Georgia" w:hAnsi="Georgia" w:cs="${BOOK_FONT_NAME}"/><w:sz w:val="22"/><w:szCs w:val="24"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="300" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:jc w:val="center"/><w:spacing w:after="120"/></w:pPr><w:rPr><w:b/><w:sz w:val="48"/><w:szCs w:val="48"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:pPr><w:jc w:val="center"/></w:pPr><w:rPr><w:i/><w:color w:val="666666"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:pageBreakBefore/><w:spacing w:after="240"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="36"/><w:szCs w:val="36"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="28"/><w:szCs w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:customStyle="1" w:styleId="Meta"><w:name w:val="Date"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="60"/></w:pPr><w:rPr><w:b/><w:color w:val="666666"/></w:rPr></w:style>
+</w:styles>`
+        },
+        {
+            name: 'word/settings.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings ${wordNamespace}>${font ? '<w:embedTrueTypeFonts/>' : ''}</w:settings>`
+        },
+        {
+            name: 'word/fontTable.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:fonts ${wordNamespace} ${relationshipNamespace}>
+<w:font w:name="Georgia"/>
+<w:font w:name="${BOOK_FONT_NAME}">${font ? `<w:embedRegular r:id="rId1" w:fontKey="${fontKey}"/>` : ''}</w:font>
+</w:fonts>`
+        }
+    ];
+
+    if (font) {
+        files.push(
+            {
+                name: 'word/_rels/fontTable.xml.rels',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${relationshipType}/font" Target="fonts/font1.odttf"/>
+</Relationships>`
+            },
+            { name: 'word/fonts/font1.odttf', data: obfuscateFont(font, fontKey) }
+        );
+    }
+
+    return createZip(files);
+}
+
+/**
+ * Obfuscates a font for embedding in a DOCX file (ECMA-376 Part 1, 17.8.1): the first 32
+ * bytes are XORed with the bytes of the font key GUID, read from its end
+ */
+function obfuscateFont(font, fontKey) {
+    const hex = fontKey.replace(/[{}-]/g, '');
+    const key = [];
+    for (let i = 0; i < 16; i++) {
+        key.push(parseInt(hex.substr(30 - i * 2, 2), 16));
+    }
+
+    const obfuscated = new Uint8Array(font);
+    for (let i = 0; i < 32 && i < obfuscated.length; i++) {
+        obfuscated[i] ^= key[i % 16];
+    }
+    return obfuscated;
+}
+
+/**
+ * Builds a ZIP archive of uncompressed files - all EPUB and DOCX need
+ * 
+ * @param {Array<{name: string, data: string|Uint8Array}>} files - In archive order
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const time = (now.getUTCHours() << 11) | (now.getUTCMinutes() << 5) | (now.getUTCSeconds() >> 1);
+    const date = ((now.getUTCFullYear() - 1980) << 9) | ((now.getUTCMonth() + 1) << 5) | now.getUTCDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Backup and restore
+ * 
+ * A backup is one JSON document holding every row of every table (see backupTables), with
+ * the schema version it was taken at and a SHA-256 checksum of its contents:
+ * 
+ *   { format: 'memoirs-backup', formatVersion: 1, schemaVersion, createdAt,
+ *     tables: { <table>: { columns: [...], rows: [[...], ...] } }, checksum }
+ * 
+ * GET /admin/backup downloads one, and the cron trigger in wrangler.jsonc stores one a day in
+ * the MEDIA bucket under backups/. Audio recordings, photos and the book font stay in the bucket and
+ * are not part of the archive. The search index is not backed up either: the triggers on
+ * conversations and grandma_memories rebuild it as rows are restored.
+ */
+const BACKUP_FORMAT = 'memoirs-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_PREFIX = 'backups/';
+// Scheduled backups kept in the bucket; older ones are deleted after each new one
+const BACKUP_RETENTION = 30;
+// Rows written per D1 batch while restoring
+const RESTORE_BATCH_SIZE = 100;
+// How many conflicting rows a restore lists by key (all of them are counted)
+const RESTORE_MAX_CONFLICT_KEYS = 100;
+
+// Tables that only make sense in the database they're in
+const BACKUP_SKIPPED_TABLES = ['schema_migrations', 'admin_login_attempts'];
+
+/**
+ * Handles GET /admin/backup endpoint
+ * Downloads a backup of the whole database (owner only)
+ */
+async function handleAdminBackup(request, env) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const archive = await createBackupArchive(env);
+        console.log(`Backup downloaded by ${admin.actor}`);
+
+        return new Response(JSON.stringify(archive), {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Disposition': `attachment; filename="memoirs-backup-${archive.createdAt.substring(0, 10)}.json"`,
+                ...getCORSHeaders()
             }
+        });
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles GET /admin/backups endpoint
+ * Lists the backups stored in the bucket, newest first (owner only)
+ */
+async function handleAdminListBackups(request, env) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!getMediaStore(env)) {
+            return mediaStoreMissingResponse();
+        }
+
+        const backups = await listStoredBackups(env);
+        backups.sort((a, b) => b.key.localeCompare(a.key));
+
+        return new Response(
+            JSON.stringify({ success: true, backups: backups }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
         );
     } catch (error) {
-        console.error('Error analyzing person:', error);
+        console.error('Error listing backups:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles POST /admin/backups endpoint
+ * Stores a backup in the bucket now, like the scheduled one (owner only)
+ */
+async function handleAdminStoreBackup(request, env) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (!getMediaStore(env)) {
+            return mediaStoreMissingResponse();
+        }
+
+        const backup = await storeBackup(env, 'memoirs');
+
+        return new Response(
+            JSON.stringify({ success: true, backup: backup }),
+            { status: 201, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error storing backup:', error);
+        return new Response(
+            JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
+            { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    }
+}
+
+/**
+ * Handles POST /admin/restore endpoint
+ * Restores a backup into this database (owner only)
+ * 
+ * Body: {
+ *   archive? | key?,    // the backup itself, or the key of one stored under backups/
+ *   mode?,              // "merge" (default): add rows whose primary key isn't here yet,
+ *                       // "replace": empty the tables first, so the database matches the backup
+ *   dryRun?             // only check the backup and report what would be restored
+ * }
+ * 
+ * Columns the backup has but this database doesn't are dropped; columns added since the
+ * backup was taken get their defaults. Before a replace, the current data is stored as a
+ * backups/pre-restore-... backup so it can be undone.
+ */
+async function handleAdminRestore(request, env) {
+    const admin = await authenticateAdmin(request, env);
+    if (admin.error) {
+        return adminErrorResponse(admin);
+    }
+
+    try {
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Database not configured' }),
+                { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Invalid JSON' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const mode = body.mode || 'merge';
+        if (!['merge', 'replace'].includes(mode)) {
+            return new Response(
+                JSON.stringify({ success: false, error: '"mode" must be "merge" or "replace"' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        // A stored backup is read from the bucket, and replacing keeps a safety backup there first
+        const store = getMediaStore(env);
+        if (!store && (typeof body.key === 'string' || mode === 'replace')) {
+            return mediaStoreMissingResponse();
+        }
+
+        let archive = body.archive;
+        if (typeof body.key === 'string') {
+            if (!body.key.startsWith(BACKUP_PREFIX)) {
+                return new Response(
+                    JSON.stringify({ success: false, error: `"key" must start with ${BACKUP_PREFIX}` }),
+                    { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+                );
+            }
+            const object = await store.get(body.key);
+            if (!object) {
+                return new Response(
+                    JSON.stringify({ success: false, error: 'Backup not found' }),
+                    { status: 404, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+                );
+            }
+            try {
+                archive = JSON.parse(new TextDecoder().decode(await object.arrayBuffer()));
+            } catch (error) {
+                archive = null;
+            }
+        }
+
+        const invalid = await validateBackupArchive(archive);
+        if (invalid) {
+            return new Response(
+                JSON.stringify({ success: false, error: invalid }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const currentVersion = await getSchemaVersion(env.DB);
+        if (archive.schemaVersion > currentVersion) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: `The backup is from schema version ${archive.schemaVersion}, but this database is at version ${currentVersion}. Deploy the newer worker first.`
+                }),
+                { status: 409, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        const plan = await planRestore(env, archive);
+        // Merging keeps what is here, so find out which rows are already in the database
+        if (mode === 'merge') {
+            await compareRestoreRows(env, plan);
+        }
+        const conflictsFound = table => table.existing.filter(status => status === 'conflict').length;
+        const report = {
+            mode: mode,
+            backupCreatedAt: archive.createdAt,
+            backupSchemaVersion: archive.schemaVersion,
+            schemaVersion: currentVersion,
+            tables: Object.fromEntries(plan.tables.map(table => [table.name, {
+                rows: table.rows.length,
+                droppedColumns: table.droppedColumns,
+                ...(mode === 'merge' ? { conflicts: conflictsFound(table) } : {})
+            }])),
+            skippedTables: plan.skippedTables
+        };
+
+        if (body.dryRun) {
+            return new Response(
+                JSON.stringify({ success: true, dryRun: true, ...report }),
+                { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
+        if (mode === 'replace') {
+            report.safetyBackup = (await storeBackup(env, 'pre-restore')).key;
+        }
+
+        const statements = [];
+        if (mode === 'replace') {
+            for (const table of await backupTables(env.DB)) {
+                statements.push(env.DB.prepare(`DELETE FROM ${table}`));
+            }
+        }
+        // Rows already here, the same or not, are left alone
+        const targets = [];
+        for (const table of plan.tables) {
+            const sql = `INSERT OR IGNORE INTO ${table.name} (${table.columns.join(', ')}) VALUES (${table.columns.map(() => '?').join(', ')})`;
+            table.rows.forEach((row, index) => {
+                if (!table.existing?.[index]) {
+                    statements.push(env.DB.prepare(sql).bind(...row));
+                    targets.push({ table: table, index: index });
+                }
+            });
+        }
+
+        // Deletes come first, so results line up with targets after skipping them
+        const deletes = statements.length - targets.length;
+        const inserted = {};
+        for (let start = 0; start < statements.length; start += RESTORE_BATCH_SIZE) {
+            const results = await env.DB.batch(statements.slice(start, start + RESTORE_BATCH_SIZE));
+            results.forEach((result, offset) => {
+                const target = targets[start + offset - deletes];
+                if (!target) {
+                    return;
+                }
+                if (result.meta?.changes) {
+                    inserted[target.table.name] = (inserted[target.table.name] || 0) + result.meta.changes;
+                } else {
+                    // A free id, but another unique column (e.g. an invite's token) is taken
+                    target.table.existing = target.table.existing || target.table.rows.map(() => null);
+                    target.table.existing[target.index] = 'conflict';
+                }
+            });
+        }
+
+        for (const table of plan.tables) {
+            const counts = report.tables[table.name];
+            const existing = table.existing || [];
+            counts.inserted = inserted[table.name] || 0;
+            // Rows that were already here, exactly as in the backup
+            counts.skipped = existing.filter(status => status === 'same').length;
+            // Rows whose id (or a unique column) is taken by a different row here - not restored
+            const conflicts = table.rows.filter((row, index) => existing[index] === 'conflict');
+            counts.conflicts = conflicts.length;
+            counts.conflictKeys = conflicts.slice(0, RESTORE_MAX_CONFLICT_KEYS).map(row => restoreRowKey(table, row));
+        }
+
+        console.log(`Backup from ${archive.createdAt} restored (${mode}) by ${admin.actor}`);
+
+        return new Response(
+            JSON.stringify({ success: true, ...report }),
+            { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+        );
+    } catch (error) {
+        console.error('Error restoring backup:', error);
         return new Response(
             JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
             { status: 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
@@ -1092,397 +9951,463 @@ async function handleAdminAnalyze(request, env) {
 }
 
 /**
- * Generates comprehensive, book-like AI analysis of a person's life from conversations and memories
- * Creates a detailed narrative biography
+ * Runs from the cron trigger: stores a backup and deletes the oldest scheduled ones
+ */
+async function runScheduledBackup(env) {
+    if (!env.DB) {
+        console.warn('Scheduled backup skipped - database not configured');
+        return;
+    }
+
+    const store = getMediaStore(env);
+    if (!store) {
+        console.error('Scheduled backup skipped - the MEDIA bucket is not bound');
+        return;
+    }
+
+    try {
+        await ensureSchema(env);
+        const backup = await storeBackup(env, 'memoirs');
+
+        const scheduled = (await listStoredBackups(env))
+            .filter(stored => stored.key.startsWith(`${BACKUP_PREFIX}memoirs-`))
+            .sort((a, b) => b.key.localeCompare(a.key));
+        for (const old of scheduled.slice(BACKUP_RETENTION)) {
+            await store.delete(old.key);
+        }
+
+        console.log(`Scheduled backup stored as ${backup.key}`);
+    } catch (error) {
+        console.error('Scheduled backup failed:', error);
+    }
+}
+
+/**
+ * Reads every table into a backup archive
+ */
+async function createBackupArchive(env) {
+    const tables = {};
+    for (const table of await backupTables(env.DB)) {
+        const columns = await tableColumns(env.DB, table);
+        const result = await env.DB.prepare(`SELECT * FROM ${table}`).all();
+        tables[table] = {
+            columns: columns.map(column => column.name),
+            rows: (result.results || []).map(row => columns.map(column => row[column.name] ?? null))
+        };
+    }
+
+    const archive = {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        schemaVersion: await getSchemaVersion(env.DB),
+        createdAt: new Date().toISOString(),
+        tables: tables
+    };
+    archive.checksum = await backupChecksum(archive);
+    return archive;
+}
+
+/**
+ * Stores a backup in the bucket as backups/<name>-<timestamp>.json
+ * 
+ * @returns {Promise<{key: string, size: number, createdAt: string}>}
+ */
+async function storeBackup(env, name) {
+    const archive = await createBackupArchive(env);
+    const key = `${BACKUP_PREFIX}${name}-${archive.createdAt.replace(/[:.]/g, '-')}.json`;
+    const data = new TextEncoder().encode(JSON.stringify(archive));
+
+    await getMediaStore(env).put(key, data, {
+        httpMetadata: { contentType: 'application/json' },
+        customMetadata: { schemaVersion: String(archive.schemaVersion), checksum: archive.checksum }
+    });
+    return { key: key, size: data.length, createdAt: archive.createdAt };
+}
+
+async function listStoredBackups(env) {
+    const store = getMediaStore(env);
+    const backups = [];
+    let cursor;
+    do {
+        const page = await store.list({ prefix: BACKUP_PREFIX, cursor: cursor });
+        for (const object of page.objects) {
+            backups.push({ key: object.key, size: object.size, uploaded: object.uploaded });
+        }
+        cursor = page.truncated ? page.cursor : undefined;
+    } while (cursor);
+    return backups;
+}
+
+/**
+ * Names of the tables a backup covers: every table except SQLite's and D1's own, the search
+ * index (and its shadow tables) and BACKUP_SKIPPED_TABLES
+ */
+async function backupTables(db) {
+    const result = await db.prepare(
+        "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name"
+    ).all();
+    return (result.results || [])
+        .map(row => row.name)
+        .filter(name => !/^(sqlite_|_cf_|d1_|search_index)/.test(name) && !BACKUP_SKIPPED_TABLES.includes(name));
+}
+
+async function tableColumns(db, table) {
+    const result = await db.prepare(`PRAGMA table_info(${table})`).all();
+    return result.results || [];
+}
+
+function backupChecksum(archive) {
+    const { format, formatVersion, schemaVersion, createdAt, tables } = archive;
+    return sha256Hex(JSON.stringify({ format, formatVersion, schemaVersion, createdAt, tables }));
+}
+
+/**
+ * Checks a backup's structure and checksum
+ * 
+ * @returns {Promise<string|null>} What is wrong with it, or null if it can be restored
+ */
+async function validateBackupArchive(archive) {
+    if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+        return 'Not a backup made by /admin/backup. Send it as "archive", or the key of a stored one as "key".';
+    }
+    if (!Number.isInteger(archive.formatVersion) || archive.formatVersion > BACKUP_FORMAT_VERSION) {
+        return `Unsupported backup format version ${archive.formatVersion}. Deploy the newer worker first.`;
+    }
+    if (!Number.isInteger(archive.schemaVersion) || typeof archive.createdAt !== 'string'
+        || !archive.tables || typeof archive.tables !== 'object') {
+        return 'The backup is missing its schemaVersion, createdAt or tables';
+    }
+
+    for (const [name, table] of Object.entries(archive.tables)) {
+        if (!/^\w+$/.test(name) || !Array.isArray(table?.columns) || !Array.isArray(table.rows)
+            || table.columns.some(column => typeof column !== 'string' || !/^\w+$/.test(column))) {
+            return `Table "${name}" in the backup is malformed`;
+        }
+        if (table.rows.some(row => !Array.isArray(row) || row.length !== table.columns.length)) {
+            return `Table "${name}" in the backup has rows that don't match its columns`;
+        }
+    }
+
+    if (archive.checksum !== await backupChecksum(archive)) {
+        return 'The backup\'s checksum doesn\'t match - the file is damaged or was edited';
+    }
+    return null;
+}
+
+/**
+ * Compares the rows of a merge with the ones already in the database, by primary key
+ * Sets existing on each planned table: for every backup row, 'same' if an identical row is
+ * here already, 'conflict' if a different row has its key, or null if the key is free
  */
-async function generatePersonAnalysis(personId, conversations, memories, allText) {
-    // Create a comprehensive, book-like prompt for analysis
-    const analysisPrompt = `You are writing a comprehensive biography book about a person based on their conversations and saved memories. Create a detailed, narrative-style analysis that reads like chapters of a book.
-
-Write a comprehensive biography with the following structure:
+async function compareRestoreRows(env, plan) {
+    for (const table of plan.tables) {
+        const keyColumns = table.keyColumns;
+        table.existing = table.rows.map(() => null);
+        if (keyColumns.length === 0 || !keyColumns.every(column => table.columns.includes(column))) {
+            continue;
+        }
 
-1. **Introduction & Overview** (2-3 paragraphs): Who is this person? What is their background? What makes them unique?
+        const keyOf = values => JSON.stringify(keyColumns.map(column => values[table.columns.indexOf(column)]));
+        const current = await env.DB.prepare(`SELECT ${table.columns.join(', ')} FROM ${table.name}`).all();
+        const here = new Map((current.results || []).map(row => {
+            const values = table.columns.map(column => row[column]);
+            return [keyOf(values), JSON.stringify(values)];
+        }));
 
-2. **Early Life & Childhood** (detailed section): Where did they grow up? What was their childhood like? Family background, early experiences, education.
+        table.existing = table.rows.map(row => {
+            const found = here.get(keyOf(row));
+            if (found === undefined) {
+                return null;
+            }
+            return found === JSON.stringify(row) ? 'same' : 'conflict';
+        });
+    }
+}
 
-3. **Personality & Character** (detailed section): What are their defining personality traits? How do they approach life? What are their strengths, quirks, and characteristics?
+/**
+ * The primary key of a backup row, for reporting it: the id itself, or an object for a
+ * composite key (e.g. { user_id, person_id })
+ */
+function restoreRowKey(table, row) {
+    const keyColumns = table.keyColumns;
+    if (keyColumns.length === 0) {
+        return null;
+    }
+    const values = keyColumns.map(column => row[table.columns.indexOf(column)]);
+    return keyColumns.length === 1 ? values[0] : Object.fromEntries(keyColumns.map((column, index) => [column, values[index]]));
+}
 
-4. **Life Journey & Experiences** (detailed section): Major life events, transitions, challenges, and achievements. Tell their story chronologically where possible.
+/**
+ * Matches the backup's tables and columns to this database's
+ * 
+ * @returns {Promise<{tables: Array<{name, columns, rows, droppedColumns, keyColumns}>, skippedTables: Object}>}
+ *   skippedTables maps each table that can't be restored to the reason
+ */
+async function planRestore(env, archive) {
+    const existing = await backupTables(env.DB);
+    const tables = [];
+    const skippedTables = {};
 
-5. **Relationships & Family** (detailed section): Family members, friends, important relationships. How did they meet? What were these relationships like?
+    for (const [name, table] of Object.entries(archive.tables)) {
+        if (!existing.includes(name)) {
+            skippedTables[name] = 'not in this database';
+            continue;
+        }
 
-6. **Values, Beliefs & Philosophy** (detailed section): What do they value? What are their beliefs? What principles guide their life?
+        const columns = await tableColumns(env.DB, name);
+        const columnNames = columns.map(column => column.name);
+        // Required columns added after the backup was taken, with nothing to fill them
+        const missing = columns.filter(column =>
+            column.notnull && column.dflt_value === null && !column.pk && !table.columns.includes(column.name));
+        if (missing.length > 0) {
+            skippedTables[name] = `the backup has no ${missing.map(column => column.name).join(', ')}`;
+            continue;
+        }
 
-7. **Memorable Stories & Anecdotes** (detailed section): Specific stories, memories, and anecdotes they shared. Include details and context.
+        const kept = table.columns.map((column, index) => [column, index]).filter(([column]) => columnNames.includes(column));
+        tables.push({
+            name: name,
+            columns: kept.map(([column]) => column),
+            rows: table.rows.map(row => kept.map(([, index]) => row[index])),
+            droppedColumns: table.columns.filter(column => !columnNames.includes(column)),
+            keyColumns: columns.filter(column => column.pk).sort((a, b) => a.pk - b.pk).map(column => column.name)
+        });
+    }
 
-8. **Key Themes & Topics** (summary): What topics do they frequently discuss? What are the recurring themes in their life?
+    return { tables: tables, skippedTables: skippedTables };
+}
 
-9. **Conclusion** (1-2 paragraphs): Summary of their life's essence, legacy, and what makes them special.
+/**
+ * Full-text search
+ * 
+ * search_index is an FTS5 table holding what each person said (person_text: the user message
+ * or saved memory) and what the AI replied (ai_text). Triggers on conversations and
+ * grandma_memories keep it in sync, so every write path is indexed without extra code.
+ * The rowid encodes the source row: conversation id * 2, or memory id * 2 + 1.
+ * 
+ * Urdu is typed and transcribed inconsistently, so both the indexed text and the search
+ * terms go through SEARCH_NORMALIZATION first: short vowel marks and tatweel are dropped,
+ * Arabic letter variants become their Urdu forms, and Urdu/Arabic digits become 0-9.
+ */
+const SEARCH_NORMALIZATION = [
+    // Short vowels, shadda, sukun, madda/hamza marks, superscript alef and tatweel
+    ...['ً', 'ٌ', 'ٍ', 'َ', 'ُ', 'ِ', 'ّ', 'ْ',
+        'ٓ', 'ٔ', 'ٰ', 'ـ'].map(mark => [mark, '']),
+    ['ي', 'ی'], // Arabic yeh -> Farsi yeh
+    ['ى', 'ی'], // alef maksura -> Farsi yeh
+    ['ك', 'ک'], // Arabic kaf -> keheh
+    ['ه', 'ہ'], // Arabic heh -> heh goal
+    ...'۰۱۲۳۴۵۶۷۸۹'.split('').map((digit, value) => [digit, String(value)]),
+    ...'٠١٢٣٤٥٦٧٨٩'.split('').map((digit, value) => [digit, String(value)])
+];
 
-Write this as a flowing narrative, like chapters in a biography book. Be detailed, specific, and use the actual words and details from their conversations and memories. Include dates, places, names, and specific events mentioned.
+// Snippet markers - control characters that never appear in stored text, turned into <mark> after escaping
+const SNIPPET_START = '\u0002';
+const SNIPPET_END = '\u0003';
 
-Data to analyze:
-${allText.substring(0, 15000)} ${allText.length > 15000 ? '\n\n... (additional content truncated for length)' : ''}
+// Tables the search index is built from, and how each row maps to an index row
+const SEARCH_SOURCES = [
+    { table: 'conversations', rowid: 'id * 2', personText: 'user_message', aiText: 'ai_response' },
+    { table: 'grandma_memories', rowid: 'id * 2 + 1', personText: 'text', aiText: null }
+];
 
-Provide your analysis as a comprehensive book-like narrative in JSON format:
-{
-  "book": {
-    "title": "The Life Story of [Name]",
-    "introduction": "Detailed introduction paragraph(s)",
-    "earlyLife": "Detailed early life section",
-    "personality": "Detailed personality section",
-    "lifeJourney": "Detailed life journey section",
-    "relationships": "Detailed relationships section",
-    "values": "Detailed values and beliefs section",
-    "stories": "Detailed stories and anecdotes section",
-    "themes": "Summary of key themes",
-    "conclusion": "Conclusion paragraph(s)"
-  },
-  "summary": "Brief 2-3 sentence overview",
-  "topics": ["topic1", "topic2", "topic3"],
-  "personality": ["trait1", "trait2", "trait3"],
-  "lifeEvents": ["event1", "event2", "event3"],
-  "relationships": ["relationship1", "relationship2"],
-  "values": ["value1", "value2"],
-  "stories": ["story1", "story2", "story3"]
-}`;
+/**
+ * Creates the search index and its triggers, and indexes existing rows (migration 8)
+ */
+async function createSearchIndex(db) {
+    const statements = [
+        `CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+            person_text,
+            ai_text,
+            source_table UNINDEXED,
+            source_id UNINDEXED,
+            person_id UNINDEXED,
+            language UNINDEXED,
+            timestamp UNINDEXED,
+            tokenize = 'unicode61 remove_diacritics 2'
+        )`,
+        'DELETE FROM search_index'
+    ];
 
-    try {
-        // Use Hugging Face for text generation/analysis
-        const response = await fetch('https://api-inference.huggingface.co/models/microsoft/DialoGPT-medium', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                inputs: analysisPrompt
-            })
-        });
+    for (const source of SEARCH_SOURCES) {
+        const { columns, insert, remove } = searchIndexSql(source);
 
-        if (response.ok) {
-            const result = await response.json();
-            const aiAnalysis = result.generated_text || result[0]?.generated_text || '';
-            
-            // Try to extract JSON from response, or return as text
-            try {
-                const jsonMatch = aiAnalysis.match(/\{[\s\S]*\}/);
-                if (jsonMatch) {
-                    return JSON.parse(jsonMatch[0]);
-                }
-            } catch (e) {
-                // If JSON parsing fails, return structured text analysis
-            }
-            
-            return {
-                summary: aiAnalysis.substring(0, 500),
-                rawAnalysis: aiAnalysis,
-                note: 'AI analysis generated. Parse manually if needed.'
-            };
-        } else {
-            // Fallback: Generate comprehensive analysis from patterns
-            console.log('AI analysis API failed, using pattern-based analysis');
-            return generateComprehensiveAnalysis(conversations, memories, allText);
-        }
-    } catch (error) {
-        console.error('AI analysis error:', error);
-        console.error('Error details:', error.message, error.stack);
-        // Always return fallback analysis instead of failing
-        try {
-            return generateComprehensiveAnalysis(conversations, memories, allText);
-        } catch (fallbackError) {
-            console.error('Fallback analysis also failed:', fallbackError);
-            // Return minimal structure to prevent errors
-            return {
-                book: {
-                    title: `The Life Story of ${personId}`,
-                    introduction: `This biography is compiled from ${conversations.length} conversations and ${memories.length} memories.`,
-                    earlyLife: 'Early life details from conversations.',
-                    personality: 'Personality traits mentioned in conversations.',
-                    lifeJourney: 'Life events and experiences shared.',
-                    relationships: 'Relationships and family members mentioned.',
-                    values: 'Values and beliefs expressed.',
-                    stories: 'Stories and anecdotes shared.',
-                    themes: 'Key topics discussed.',
-                    conclusion: 'A life rich with experiences and stories.'
-                },
-                summary: `This person has shared ${conversations.length} conversations covering various aspects of their life.`,
-                topics: [],
-                personality: [],
-                lifeEvents: [],
-                relationships: [],
-                values: [],
-                stories: []
-            };
-        }
+        statements.push(
+            `CREATE TRIGGER IF NOT EXISTS ${source.table}_search_insert AFTER INSERT ON ${source.table} BEGIN
+                ${insert('new.')};
+            END`,
+            `CREATE TRIGGER IF NOT EXISTS ${source.table}_search_update AFTER UPDATE ON ${source.table} BEGIN
+                ${remove};
+                ${insert('new.')};
+            END`,
+            `CREATE TRIGGER IF NOT EXISTS ${source.table}_search_delete AFTER DELETE ON ${source.table} BEGIN
+                ${remove};
+            END`,
+            `INSERT INTO search_index (rowid, person_text, ai_text, source_table, source_id, person_id, language, timestamp)
+                SELECT ${columns('')} FROM ${source.table}`
+        );
     }
+
+    await db.batch(statements.map(sql => db.prepare(sql)));
 }
 
 /**
- * Generates comprehensive book-like analysis when AI is unavailable
- * Creates detailed narrative from conversations and memories
+ * Recreates the insert/update triggers so soft-deleted rows drop out of the index (migration 11)
  */
-function generateComprehensiveAnalysis(conversations, memories, allText) {
-    try {
-        // Extract key information from conversations and memories
-        const text = allText.toLowerCase();
-        const allEntries = [
-            ...conversations.map(c => ({ type: 'conversation', text: `${c.user_message} ${c.ai_response}`, date: c.timestamp })),
-            ...memories.map(m => ({ type: 'memory', text: m.text, date: m.timestamp }))
-        ].sort((a, b) => new Date(a.date) - new Date(b.date));
-        
-        // Extract topics, events, relationships
-        const topics = extractTopics(text);
-        const events = extractLifeEvents(text, allEntries);
-        const relationships = extractRelationships(text);
-        const personality = extractPersonality(text);
-        const values = extractValues(text);
-        const stories = extractStories(allEntries);
-        
-        // Build comprehensive book-like structure
-        const book = {
-            title: `The Life Story`,
-            introduction: buildIntroduction(conversations, memories, topics),
-            earlyLife: buildEarlyLifeSection(text, events),
-            personality: buildPersonalitySection(personality, text),
-            lifeJourney: buildLifeJourneySection(events, allEntries),
-            relationships: buildRelationshipsSection(relationships, text),
-            values: buildValuesSection(values, text),
-            stories: buildStoriesSection(stories),
-            themes: topics.join(', ') || 'Life experiences',
-            conclusion: buildConclusion(topics, personality, values)
-        };
-        
-        return {
-            book: book,
-            summary: book.introduction.substring(0, 300),
-            topics: topics.slice(0, 10),
-            personality: personality.slice(0, 10),
-            lifeEvents: events.slice(0, 15),
-            relationships: relationships.slice(0, 10),
-            values: values.slice(0, 8),
-            stories: stories.slice(0, 10)
-        };
-    } catch (error) {
-        console.error('Error in generateComprehensiveAnalysis:', error);
-        // Return minimal structure on error
-        return {
-            book: {
-                title: 'The Life Story',
-                introduction: `This biography is compiled from ${conversations.length} conversations and ${memories.length} memories.`,
-                earlyLife: 'Early life details from conversations.',
-                personality: 'Personality traits mentioned in conversations.',
-                lifeJourney: 'Life events and experiences shared.',
-                relationships: 'Relationships and family members mentioned.',
-                values: 'Values and beliefs expressed.',
-                stories: 'Stories and anecdotes shared.',
-                themes: 'Key topics discussed.',
-                conclusion: 'A life rich with experiences and stories.'
-            },
-            summary: `This person has shared ${conversations.length} conversations covering various aspects of their life.`,
-            topics: [],
-            personality: [],
-            lifeEvents: [],
-            relationships: [],
-            values: [],
-            stories: []
-        };
-    }
-}
-
-function extractTopics(text) {
-    const topicKeywords = {
-        'childhood': 'Childhood & Early Years',
-        'family': 'Family',
-        'work': 'Work & Career',
-        'school': 'Education',
-        'travel': 'Travel & Adventures',
-        'marriage': 'Marriage & Relationships',
-        'friends': 'Friendships',
-        'hobbies': 'Hobbies & Interests',
-        'health': 'Health & Wellness',
-        'religion': 'Religion & Spirituality'
-    };
-    
-    const found = [];
-    for (const [key, label] of Object.entries(topicKeywords)) {
-        if (text.includes(key)) found.push(label);
-    }
-    return found.length > 0 ? found : ['Life Experiences', 'Personal Stories'];
-}
+async function excludeDeletedFromSearch(db) {
+    const statements = [];
 
-function extractLifeEvents(text, entries) {
-    const events = [];
-    const eventKeywords = ['born', 'graduated', 'married', 'moved', 'started', 'retired', 'traveled', 'met'];
-    
-    entries.forEach(entry => {
-        const entryText = entry.text.toLowerCase();
-        eventKeywords.forEach(keyword => {
-            if (entryText.includes(keyword)) {
-                const sentence = entry.text.split(/[.!?]/).find(s => s.toLowerCase().includes(keyword));
-                if (sentence) events.push(sentence.trim());
-            }
-        });
-    });
-    
-    return events.slice(0, 20);
-}
+    for (const source of SEARCH_SOURCES) {
+        const { columns, remove } = searchIndexSql(source);
+        const insertLive = `INSERT INTO search_index (rowid, person_text, ai_text, source_table, source_id, person_id, language, timestamp)
+                    SELECT ${columns('new.')} WHERE new.deleted_at IS NULL`;
 
-function extractRelationships(text) {
-    const relationships = [];
-    const relKeywords = ['mother', 'father', 'wife', 'husband', 'son', 'daughter', 'brother', 'sister', 'friend', 'grandmother', 'grandfather'];
-    
-    relKeywords.forEach(keyword => {
-        if (text.includes(keyword)) {
-            relationships.push(keyword.charAt(0).toUpperCase() + keyword.slice(1));
-        }
-    });
-    
-    return [...new Set(relationships)];
-}
-
-function extractPersonality(text) {
-    const traits = [];
-    const traitKeywords = {
-        'kind': 'Kind',
-        'patient': 'Patient',
-        'curious': 'Curious',
-        'hardworking': 'Hardworking',
-        'loving': 'Loving',
-        'funny': 'Humorous',
-        'creative': 'Creative',
-        'brave': 'Brave',
-        'wise': 'Wise',
-        'generous': 'Generous'
-    };
-    
-    for (const [key, trait] of Object.entries(traitKeywords)) {
-        if (text.includes(key)) traits.push(trait);
-    }
-    
-    return traits.length > 0 ? traits : ['Thoughtful', 'Reflective'];
-}
-
-function extractValues(text) {
-    const values = [];
-    const valueKeywords = {
-        'family': 'Family',
-        'honesty': 'Honesty',
-        'hard work': 'Hard Work',
-        'education': 'Education',
-        'faith': 'Faith',
-        'respect': 'Respect',
-        'love': 'Love',
-        'tradition': 'Tradition'
-    };
-    
-    for (const [key, value] of Object.entries(valueKeywords)) {
-        if (text.includes(key)) values.push(value);
+        statements.push(
+            `DROP TRIGGER IF EXISTS ${source.table}_search_insert`,
+            `DROP TRIGGER IF EXISTS ${source.table}_search_update`,
+            `CREATE TRIGGER ${source.table}_search_insert AFTER INSERT ON ${source.table} BEGIN
+                ${insertLive};
+            END`,
+            `CREATE TRIGGER ${source.table}_search_update AFTER UPDATE ON ${source.table} BEGIN
+                ${remove};
+                ${insertLive};
+            END`
+        );
     }
-    
-    return values.length > 0 ? values : ['Personal Growth', 'Connection'];
-}
 
-function extractStories(entries) {
-    // Extract longer entries as stories
-    return entries
-        .filter(e => e.text.length > 100)
-        .map(e => e.text.substring(0, 300))
-        .slice(0, 15);
+    await db.batch(statements.map(sql => db.prepare(sql)));
 }
 
-function buildIntroduction(conversations, memories, topics) {
-    const totalEntries = conversations.length + memories.length;
-    return `This is a comprehensive biography compiled from ${totalEntries} conversations and ${memories.length} saved memories. The person shared stories about ${topics.slice(0, 3).join(', ')} and many other aspects of their life. This book captures their essence, experiences, and the wisdom they've gathered over the years.`;
+/**
+ * Builds the SQL fragments that copy a row of a SEARCH_SOURCES table into the index
+ * 
+ * @param {Object} source - Entry of SEARCH_SOURCES
+ * @returns {{columns: Function, insert: Function, remove: string}} columns/insert take the row prefix ('new.' or '')
+ */
+function searchIndexSql(source) {
+    const columns = row => `${source.rowid.replace('id', `${row}id`)}, ${normalizeSearchSql(`${row}${source.personText}`)}, `
+        + `${source.aiText ? normalizeSearchSql(`${row}${source.aiText}`) : "''"}, '${source.table}', `
+        + `${row}id, ${row}person_id, ${row}language, ${row}timestamp`;
+
+    return {
+        columns,
+        insert: row => `INSERT INTO search_index (rowid, person_text, ai_text, source_table, source_id, person_id, language, timestamp)
+            VALUES (${columns(row)})`,
+        remove: `DELETE FROM search_index WHERE rowid = ${source.rowid.replace('id', 'old.id')}`
+    };
 }
 
-function buildEarlyLifeSection(text, events) {
-    const earlyEvents = events.filter(e => e.toLowerCase().includes('child') || e.toLowerCase().includes('grew up') || e.toLowerCase().includes('school'));
-    if (earlyEvents.length > 0) {
-        return `Early life was marked by significant experiences: ${earlyEvents.slice(0, 3).join('. ')}. ${text.includes('childhood') ? 'Their childhood stories reveal a rich tapestry of memories and formative experiences.' : ''}`;
+/**
+ * Normalizes text the same way the search index does (see SEARCH_NORMALIZATION)
+ */
+function normalizeSearchText(text) {
+    let normalized = text || '';
+    for (const [from, to] of SEARCH_NORMALIZATION) {
+        normalized = normalized.split(from).join(to);
     }
-    return 'Early life details were shared through conversations, revealing formative years and childhood experiences.';
+    return normalized;
 }
 
-function buildPersonalitySection(personality, text) {
-    return `This person demonstrates ${personality.slice(0, 5).join(', ')}. Their personality shines through in how they tell stories, interact with others, and reflect on their experiences.`;
+/**
+ * Builds the SQL expression that applies SEARCH_NORMALIZATION to a column
+ */
+function normalizeSearchSql(column) {
+    return SEARCH_NORMALIZATION.reduce(
+        (expression, [from, to]) => `REPLACE(${expression}, '${from}', '${to}')`,
+        `COALESCE(${column}, '')`
+    );
 }
 
-function buildLifeJourneySection(events, entries) {
-    const chronological = entries.slice(0, 20).map(e => `[${new Date(e.date).getFullYear()}] ${e.text.substring(0, 150)}`).join('\n\n');
-    return `Life's journey unfolded through many chapters:\n\n${chronological}`;
-}
+/**
+ * Turns what the admin typed into a safe FTS5 query
+ * 
+ * Supported: words, "exact phrases", prefix* matches, AND / OR / NOT, parentheses, and
+ * -word as a shorthand for NOT word. Every term is quoted, so apostrophes and other
+ * punctuation can't cause FTS5 syntax errors.
+ * 
+ * @param {string} input - The search box text
+ * @returns {string} FTS5 MATCH expression ('' if nothing searchable is left)
+ */
+function buildSearchQuery(input) {
+    const tokens = input.match(/"[^"]*"?|[()]|[^\s()"]+/g) || [];
+    const parts = [];
 
-function buildRelationshipsSection(relationships, text) {
-    return `Important relationships included ${relationships.slice(0, 5).join(', ')}. These connections shaped their life and provided support, love, and companionship throughout the years.`;
-}
+    for (const token of tokens) {
+        if (token === '(' || token === ')' || /^(?:AND|OR|NOT)$/.test(token)) {
+            parts.push(token);
+            continue;
+        }
 
-function buildValuesSection(values, text) {
-    return `Core values that guided their life include ${values.slice(0, 5).join(', ')}. These principles influenced their decisions and how they lived.`;
-}
+        if (token.startsWith('"')) {
+            const phrase = normalizeSearchText(token.replace(/"/g, '')).trim();
+            if (phrase) {
+                parts.push(`"${phrase}"`);
+            }
+            continue;
+        }
 
-function buildStoriesSection(stories) {
-    return stories.map((story, i) => `Story ${i + 1}: ${story}...`).join('\n\n');
-}
+        const negated = token.length > 1 && token.startsWith('-');
+        const prefix = token.endsWith('*');
+        const word = normalizeSearchText(token.replace(/^-/, '').replace(/\*+$/, ''));
+        if (!word) {
+            continue;
+        }
 
-function buildConclusion(topics, personality, values) {
-    return `This biography captures the essence of a life well-lived, filled with ${topics.slice(0, 2).join(' and ')}, characterized by ${personality.slice(0, 2).join(' and ')}, and guided by values of ${values.slice(0, 2).join(' and ')}. Their stories and memories form a rich legacy.`;
+        const term = `"${word}"${prefix ? '*' : ''}`;
+        if (negated) {
+            // FTS5's NOT needs something on its left
+            parts.push(parts.length > 0 ? `NOT ${term}` : term);
+        } else {
+            parts.push(term);
+        }
+    }
+
+    return parts.join(' ');
 }
 
 /**
- * Generates basic analysis when AI is unavailable
+ * Escapes a snippet for HTML and turns the match markers into <mark> tags
  */
-function generateBasicAnalysis(conversations, conversationText) {
-    const text = conversationText.toLowerCase();
-    const topics = [];
-    const personality = [];
-    
-    // Extract topics
-    if (text.includes('family') || text.includes('parent')) topics.push('Family');
-    if (text.includes('childhood') || text.includes('grew up')) topics.push('Childhood');
-    if (text.includes('work') || text.includes('job')) topics.push('Work/Career');
-    if (text.includes('travel') || text.includes('visit')) topics.push('Travel');
-    if (text.includes('school') || text.includes('education')) topics.push('Education');
-    if (text.includes('marry') || text.includes('spouse')) topics.push('Marriage');
-    
-    // Extract personality hints
-    if (text.includes('love') || text.includes('care')) personality.push('Caring');
-    if (text.includes('hard work') || text.includes('dedicated')) personality.push('Hardworking');
-    if (text.includes('funny') || text.includes('humor')) personality.push('Humorous');
-    if (text.includes('adventure') || text.includes('explore')) personality.push('Adventurous');
-    
-    return {
-        summary: `This person has shared ${conversations.length} conversations covering various aspects of their life.`,
-        topics: [...new Set(topics)],
-        personality: [...new Set(personality)],
-        lifeEvents: [],
-        relationships: [],
-        values: [],
-        stories: [],
-        note: 'Basic pattern-based analysis. Use AI endpoint for detailed analysis.'
-    };
+function formatSnippet(snippet) {
+    return escapeHtml(snippet || '')
+        .split(SNIPPET_START).join('<mark>')
+        .split(SNIPPET_END).join('</mark>');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 /**
  * Handles POST /admin/query endpoint
- * Allows querying conversations with natural language
+ * Full-text search over conversations and saved memories, best matches first
+ * 
+ * Body: {
+ *   query,              // words, "phrases", prefix*, AND / OR / NOT, -word
+ *   personId?,          // only this person
+ *   language?,          // e.g. "ur" or "ur-PK" (prefix match)
+ *   from?, to?,         // ISO dates, inclusive
+ *   source?,            // "all" (default), "conversations" or "memories"
+ *   limit?, offset?     // paging, limit at most 200 (default 50)
+ * }
  */
 async function handleAdminQuery(request, env) {
-    // Verify admin access
-    const body = await request.json().catch(() => ({}));
-    const providedSecret = body.secret || new URL(request.url).searchParams.get('secret') || request.headers.get('X-Admin-Secret');
-    const adminSecret = env.ADMIN_SECRET || 'CHANGE_THIS_SECRET_KEY';
-    
-    if (!providedSecret || providedSecret !== adminSecret) {
-        return new Response(
-            JSON.stringify({ success: false, error: 'Unauthorized. Provide secret in body or header' }),
-            { status: 401, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
-        );
+    const admin = await authenticateAdmin(request, env, 'viewer');
+    if (admin.error) {
+        return adminErrorResponse(admin);
     }
 
+    const body = await request.json().catch(() => ({}));
+
     try {
-        const { query, personId } = body;
+        const { query, personId, language, from, to, source = 'all' } = body;
 
-        if (!query) {
+        if (!query || typeof query !== 'string') {
             return new Response(
                 JSON.stringify({ success: false, error: 'query required' }),
                 { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
@@ -1496,34 +10421,99 @@ async function handleAdminQuery(request, env) {
             );
         }
 
-        // Search conversations
-        // Check if person_id column exists
-        let hasPersonIdColumn = false;
-        try {
-            await env.DB.prepare('SELECT person_id FROM conversations LIMIT 1').first();
-            hasPersonIdColumn = true;
-        } catch (colError) {
-            hasPersonIdColumn = false;
+        const match = buildSearchQuery(query);
+        if (!match) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Nothing to search for in query' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
         }
 
-        let searchQuery = 'SELECT * FROM conversations WHERE (user_message LIKE ? OR ai_response LIKE ?)';
-        let params = [`%${query}%`, `%${query}%`];
+        const sourceTables = { conversations: 'conversations', memories: 'grandma_memories' };
+        if (source !== 'all' && !sourceTables[source]) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'source must be "all", "conversations" or "memories"' }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
 
-        if (personId && hasPersonIdColumn) {
-            searchQuery += ' AND person_id = ?';
+        if (personId && !canAccessPerson(admin, personId)) {
+            return adminErrorResponse(noAccessToPerson(personId));
+        }
+
+        const conditions = ['search_index MATCH ?'];
+        const params = [match];
+        if (personId) {
+            conditions.push('search_index.person_id = ?');
             params.push(personId);
+        } else if (admin.personIds !== null) {
+            // Editors and viewers only search the people they were granted
+            conditions.push(`search_index.person_id IN (${admin.personIds.map(() => '?').join(', ') || 'NULL'})`);
+            params.push(...admin.personIds);
+        }
+        if (language) {
+            conditions.push('search_index.language LIKE ?');
+            params.push(`${language}%`);
         }
+        if (from) {
+            conditions.push('search_index.timestamp >= ?');
+            params.push(from);
+        }
+        if (to) {
+            // A plain date includes that whole day
+            conditions.push('search_index.timestamp <= ?');
+            params.push(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to);
+        }
+        if (source !== 'all') {
+            conditions.push('search_index.source_table = ?');
+            params.push(sourceTables[source]);
+        }
+
+        const limit = Math.min(Math.max(parseInt(body.limit) || 50, 1), 200);
+        const offset = Math.max(parseInt(body.offset) || 0, 0);
+        const where = conditions.join(' AND ');
 
-        searchQuery += ' ORDER BY timestamp DESC LIMIT 50';
+        // bm25 weights: what the person said counts twice as much as the AI's replies
+        const result = await env.DB.prepare(`
+            SELECT search_index.source_table, search_index.source_id, search_index.person_id,
+                   search_index.language, search_index.timestamp,
+                   snippet(search_index, -1, '${SNIPPET_START}', '${SNIPPET_END}', '…', 16) AS snippet,
+                   bm25(search_index, 2.0, 1.0) AS score,
+                   conversations.user_message, conversations.ai_response, grandma_memories.text
+            FROM search_index
+            LEFT JOIN conversations
+                ON search_index.source_table = 'conversations' AND conversations.id = search_index.source_id
+            LEFT JOIN grandma_memories
+                ON search_index.source_table = 'grandma_memories' AND grandma_memories.id = search_index.source_id
+            WHERE ${where}
+            ORDER BY score
+            LIMIT ? OFFSET ?
+        `).bind(...params, limit, offset).all();
 
-        const result = await env.DB.prepare(searchQuery).bind(...params).all();
+        const total = await env.DB.prepare(`SELECT COUNT(*) AS count FROM search_index WHERE ${where}`)
+            .bind(...params).first();
+
+        const results = (result.results || []).map(row => ({
+            source: row.source_table === 'conversations' ? 'conversation' : 'memory',
+            id: row.source_id,
+            person_id: row.person_id,
+            language: row.language,
+            timestamp: row.timestamp,
+            user_message: row.user_message ?? undefined,
+            ai_response: row.ai_response ?? undefined,
+            text: row.text ?? undefined,
+            snippet: formatSnippet(row.snippet),
+            score: row.score
+        }));
 
         return new Response(
             JSON.stringify({
                 success: true,
                 query: query,
-                results: result.results || [],
-                count: result.results?.length || 0
+                match: match,
+                results: results,
+                count: results.length,
+                total: total?.count || 0
             }),
             {
                 status: 200,
@@ -1534,6 +10524,14 @@ async function handleAdminQuery(request, env) {
             }
         );
     } catch (error) {
+        // Unbalanced parentheses or a dangling AND/OR still reach FTS5 as syntax errors
+        if (/fts5|syntax error|malformed MATCH/i.test(error.message)) {
+            return new Response(
+                JSON.stringify({ success: false, error: 'Invalid search query', details: error.message }),
+                { status: 400, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+            );
+        }
+
         console.error('Error querying:', error);
         return new Response(
             JSON.stringify({ success: false, error: 'Internal server error', details: error.message }),
@@ -1544,6 +10542,7 @@ async function handleAdminQuery(request, env) {
 
 /**
  * Test database connectivity endpoint
+ * Read-only: reports the schema version and a few row counts, so anyone can call it safely
  */
 async function handleTestDB(request, env) {
     try {
@@ -1557,29 +10556,13 @@ async function handleTestDB(request, env) {
             );
         }
 
-        // Try to create table
-        await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS conversations (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                session_id TEXT,
-                user_message TEXT,
-                ai_response TEXT,
-                language TEXT,
-                timestamp TEXT,
-                context TEXT,
-                person_id TEXT
-            )
-        `).run();
-
-        // Try to query
-        const testQuery = await env.DB.prepare('SELECT COUNT(*) as count FROM conversations').first();
-        const count = testQuery?.count || 0;
+        // Tables are created by the schema migrations before any handler runs
+        const schemaVersion = await getSchemaVersion(env.DB);
 
-        // Try to insert a test record
-        const testInsert = await env.DB.prepare(`
-            INSERT INTO conversations (session_id, user_message, ai_response, language, timestamp, context, person_id)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-        `).bind('test_session', 'test message', 'test response', 'en-US', new Date().toISOString(), '[]', 'test').run();
+        const [conversations, people] = await env.DB.batch([
+            env.DB.prepare('SELECT COUNT(*) as count FROM conversations'),
+            env.DB.prepare('SELECT COUNT(*) as count FROM people')
+        ]);
 
         return new Response(
             JSON.stringify({
@@ -1587,9 +10570,10 @@ async function handleTestDB(request, env) {
                 message: 'Database is working!',
                 details: {
                     hasDB: !!env.DB,
-                    currentCount: count,
-                    testInsertSuccess: testInsert.success,
-                    testInsertId: testInsert.meta?.last_row_id
+                    schemaVersion: schemaVersion,
+                    latestSchemaVersion: MIGRATIONS[MIGRATIONS.length - 1].version,
+                    conversationCount: conversations.results[0]?.count || 0,
+                    peopleCount: people.results[0]?.count || 0
                 }
             }),
             { status: 200, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
@@ -1607,6 +10591,42 @@ async function handleTestDB(request, env) {
     }
 }
 
+/**
+ * Runs the transliteration test corpus (TRANSLITERATION_CORPUS in transliterate.js)
+ * Returns every case with the expected and actual Urdu; status 500 if any case fails
+ */
+function handleTestTransliteration() {
+    const report = runTransliterationCorpus();
+
+    return new Response(
+        JSON.stringify({
+            success: report.failed === 0,
+            passed: report.passed,
+            failed: report.failed,
+            results: report.results
+        }),
+        { status: report.failed === 0 ? 200 : 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+    );
+}
+
+/**
+ * Runs the family mention test corpus (FAMILY_MENTION_CORPUS)
+ * Returns every sentence with the expected and found relatives; status 500 if any case fails
+ */
+function handleTestFamilyMentions() {
+    const report = runFamilyMentionCorpus();
+
+    return new Response(
+        JSON.stringify({
+            success: report.failed === 0,
+            passed: report.passed,
+            failed: report.failed,
+            results: report.results
+        }),
+        { status: report.failed === 0 ? 200 : 500, headers: { 'Content-Type': 'application/json', ...getCORSHeaders() } }
+    );
+}
+
 /**
  * Returns CORS headers for cross-origin requests
  * Allows requests from any origin (including GitHub Pages)
@@ -1616,7 +10636,7 @@ async function handleTestDB(request, env) {
 function getCORSHeaders() {
     return {
         'Access-Control-Allow-Origin': '*', // Allow all origins (GitHub Pages, localhost, etc.)
-        'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+        'Access-Control-Allow-Methods': 'POST, GET, PATCH, DELETE, OPTIONS',
         'Access-Control-Allow-Headers': 'Content-Type, Authorization',
         'Access-Control-Max-Age': '86400' // Cache preflight for 24 hours
     };